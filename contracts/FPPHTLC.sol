@@ -2,13 +2,137 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 
-contract FPPHTLC is ReentrancyGuard {
+contract FPPHTLC is ReentrancyGuard, EIP712 {
+    // EIP-712 messages letting a relayer claim/refund on a party's behalf
+    bytes32 public constant CLAIM_TYPEHASH = keccak256(
+        "Claim(bytes32 swapId,address relayer,uint256 fee,uint256 deadline)"
+    );
+    bytes32 public constant REFUND_TYPEHASH = keccak256(
+        "Refund(bytes32 swapId,address relayer,uint256 fee,uint256 deadline)"
+    );
+    // Signed by the current recipient to reassign a pending swap (transferRecipient)
+    bytes32 public constant TRANSFER_RECIPIENT_TYPEHASH = keccak256(
+        "TransferRecipient(bytes32 swapId,address newRecipient,uint256 nonce,uint256 deadline)"
+    );
+    
+    // Token address used for swaps of the chain's native currency (sent as msg.value)
+    address public constant NATIVE_TOKEN = address(0);
+    
+    // Upper bound on secrets per multi-party commitment, keeping claims within block gas
+    uint256 public constant MAX_PARTIES = 8;
+    
+    // Upper bound on tranches per lockTranches call
+    uint256 public constant MAX_TRANCHES = 16;
+    
+    // Upper bound on items per batch call
+    uint256 public constant MAX_BATCH_SIZE = 32;
+    
+    // Upper bound on the protocol fee, in basis points (10%)
+    uint16 public constant MAX_PROTOCOL_FEE_BPS = 1000;
+    uint256 private constant BPS = 10000;
+    
+    // Hash applied to each secret and to the combined hash. Sha256 party hashes
+    // are Bitcoin/Lightning payment hashes of 32-byte preimages
+    enum HashAlgorithm {
+        Keccak256,
+        Sha256
+    }
+    
     // State variables
     mapping(bytes32 => CrossChainSwap) public swaps;
     
+    // Number of tranches locked under a parent swapId (0 for plain swaps)
+    mapping(bytes32 => uint256) public trancheCounts;
+    
+    // Hash algorithm of each swap; unset entries read as Keccak256
+    mapping(bytes32 => HashAlgorithm) public hashAlgorithms;
+    
+    // Nonce the next TransferRecipient signature of a swap must carry, so signatures cannot be replayed
+    mapping(bytes32 => uint256) public recipientNonces;
+    
+    // Protocol fee: claims set aside a share of the amount for the treasury at the
+    // rate fixed when the swap was locked, so fee changes never reach locked funds
+    // and refunds pay nothing. The fee admin controls only these settings
+    address public feeAdmin;
+    address public treasury;
+    uint16 public protocolFeeBps;
+    
+    // Fee rate overrides by token (NATIVE_TOKEN for native swaps)
+    mapping(address => TokenFee) public tokenFees;
+    
+    // Fee rate each swap was locked with; unset entries pay no fee
+    mapping(bytes32 => uint16) public swapFeeBps;
+    
+    // Protocol fees claimed and not yet withdrawn, by token. withdrawFees pays them
+    // out, so a treasury that cannot receive never blocks a claim
+    mapping(address => uint256) public accruedFees;
+    
+    // Token limits: with allowlistEnabled only allowed tokens can be locked, and each
+    // token can have per-swap minimum/maximum amounts and a cap on its total locked
+    // amount. They gate new locks only. The token admin controls only these settings
+    address public tokenAdmin;
+    bool public allowlistEnabled;
+    mapping(address => TokenLimits) public tokenLimits;
+    
+    // Amount of each token held by active swaps
+    mapping(address => uint256) public totalLocked;
+    
+    // Derived lifecycle state; not stored, computed from the flags and timelock
+    enum SwapState {
+        Empty,
+        Active,
+        Claimed,
+        Refunded,
+        Expired
+    }
+    
     // Structs
+    // EIP-2612 permit signature for lockFundsWithPermit
+    struct PermitSignature {
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+    
+    // Signed authorization for a relayed claim or refund; relayer = address(0) lets anyone submit
+    struct RelayAuthorization {
+        address relayer;
+        uint256 fee;
+        uint256 deadline;
+        bytes signature;
+    }
+    
+    // Lock limits of a token; a zero maxAmount or maxLocked means unlimited
+    struct TokenLimits {
+        bool allowed;
+        uint256 minAmount;
+        uint256 maxAmount;
+        uint256 maxLocked;
+    }
+    
+    // Per-token fee rate; tokens without an override pay protocolFeeBps
+    struct TokenFee {
+        bool overridden;
+        uint16 feeBps;
+    }
+    
+    // lockFunds parameters for one item of batchLock
+    struct LockRequest {
+        address recipient;
+        address token;
+        uint256 amount;
+        bytes32 combinedHash;
+        uint256 timelock;
+        string network;
+        bytes32 clientSwapId;
+    }
+    
     struct CrossChainSwap {
         address initiator;
         address recipient;
@@ -35,7 +159,44 @@ contract FPPHTLC is ReentrancyGuard {
     );
     
     event SwapClaimed(bytes32 indexed swapId, address indexed recipient);
+    // Secrets of a claim in commitment order, so the other parties can claim their legs
+    event SecretsRevealed(bytes32 indexed swapId, bytes32[] secrets);
     event SwapRefunded(bytes32 indexed swapId, address indexed initiator);
+    event SwapClaimedTo(bytes32 indexed swapId, address indexed recipient, address indexed beneficiary);
+    event RecipientTransferred(bytes32 indexed swapId, address indexed previousRecipient, address indexed newRecipient);
+    event RelayerFeePaid(bytes32 indexed swapId, address indexed relayer, uint256 fee);
+    event TranchesLocked(bytes32 indexed swapId, uint256 trancheCount, uint256 totalAmount);
+    event BatchItemFailed(uint256 indexed index, bytes reason);
+    event ProtocolFeePaid(bytes32 indexed swapId, address indexed treasury, uint256 fee);
+    event FeesWithdrawn(address indexed token, address indexed treasury, uint256 amount);
+    event FeeAdminTransferred(address indexed previousAdmin, address indexed newAdmin);
+    event TreasuryUpdated(address indexed previousTreasury, address indexed newTreasury);
+    event ProtocolFeeUpdated(uint16 feeBps);
+    event TokenFeeUpdated(address indexed token, bool overridden, uint16 feeBps);
+    event TokenAdminTransferred(address indexed previousAdmin, address indexed newAdmin);
+    event AllowlistModeUpdated(bool enabled);
+    event TokenAllowedUpdated(address indexed token, bool allowed);
+    event TokenLimitsUpdated(address indexed token, uint256 minAmount, uint256 maxAmount, uint256 maxLocked);
+    
+    modifier onlyFeeAdmin() {
+        require(msg.sender == feeAdmin, "Only fee admin");
+        _;
+    }
+    
+    modifier onlyTokenAdmin() {
+        require(msg.sender == tokenAdmin, "Only token admin");
+        _;
+    }
+    
+    // The fee admin is an argument because msg.sender is the factory for CREATE2
+    // deployments; it also starts out as the token admin
+    constructor(address feeAdmin_) EIP712("FPPHTLC", "1") {
+        require(feeAdmin_ != address(0), "Invalid fee admin");
+        feeAdmin = feeAdmin_;
+        tokenAdmin = feeAdmin_;
+        emit FeeAdminTransferred(address(0), feeAdmin_);
+        emit TokenAdminTransferred(address(0), feeAdmin_);
+    }
     
     // Functions
     function generateCombinedHash(
@@ -54,6 +215,15 @@ contract FPPHTLC is ReentrancyGuard {
         );
     }
     
+    /**
+     * @dev Commitment over N party hashes for multi-party (ring) swaps. With two
+     * hashes this equals generateCombinedHash, so two-party swaps are a special case
+     */
+    function generateMultiPartyHash(bytes32[] memory partyHashes) public pure returns (bytes32) {
+        require(partyHashes.length >= 2 && partyHashes.length <= MAX_PARTIES, "Invalid party count");
+        return _combinePartyHashes(partyHashes, HashAlgorithm.Keccak256);
+    }
+    
     function lockFunds(
         address recipient,
         address token,
@@ -61,24 +231,145 @@ contract FPPHTLC is ReentrancyGuard {
         bytes32 combinedHash,
         uint256 timelock,
         string memory network,
-        bytes32 swapId
-    ) external nonReentrant {
-        require(recipient != address(0), "Invalid recipient");
-        require(token != address(0), "Invalid token");
-        require(amount > 0, "Invalid amount");
-        require(timelock > block.timestamp, "Invalid timelock");
-        require(!swaps[swapId].isActive, "Swap already exists");
+        bytes32 clientSwapId
+    ) external payable nonReentrant returns (bytes32) {
+        return _lockFunds(recipient, token, amount, combinedHash, timelock, network, clientSwapId, HashAlgorithm.Keccak256);
+    }
+    
+    // Same as lockFunds, with combinedHash and the secrets it commits to hashed by `hashAlgorithm`
+    function lockFundsWithHashAlgorithm(
+        address recipient,
+        address token,
+        uint256 amount,
+        bytes32 combinedHash,
+        uint256 timelock,
+        string memory network,
+        bytes32 clientSwapId,
+        HashAlgorithm hashAlgorithm
+    ) external payable nonReentrant returns (bytes32) {
+        return _lockFunds(recipient, token, amount, combinedHash, timelock, network, clientSwapId, hashAlgorithm);
+    }
+    
+    // Same as lockFunds for EIP-2612 tokens, with a permit in place of a prior approve
+    function lockFundsWithPermit(
+        address recipient,
+        address token,
+        uint256 amount,
+        bytes32 combinedHash,
+        uint256 timelock,
+        string memory network,
+        bytes32 clientSwapId,
+        PermitSignature calldata permit
+    ) external nonReentrant returns (bytes32) {
+        require(token != NATIVE_TOKEN, "Permit requires ERC20");
         
-        // Transfer tokens to contract
-        IERC20 tokenContract = IERC20(token);
-        uint256 allowance = tokenContract.allowance(msg.sender, address(this));
-        require(allowance >= amount, "Insufficient allowance");
+        // A front-run permit still leaves the allowance set; the allowance check decides
+        try IERC20Permit(token).permit(
+            msg.sender, address(this), amount, permit.deadline, permit.v, permit.r, permit.s
+        ) {} catch {}
         
-        uint256 balanceBefore = tokenContract.balanceOf(address(this));
-        require(tokenContract.transferFrom(msg.sender, address(this), amount), "Transfer failed");
-        uint256 balanceAfter = tokenContract.balanceOf(address(this));
-        require(balanceAfter - balanceBefore == amount, "Transfer amount mismatch");
+        return _lockFunds(recipient, token, amount, combinedHash, timelock, network, clientSwapId, HashAlgorithm.Keccak256);
+    }
+    
+    /**
+     * @dev Split one lock into tranches sharing a recipient, token and timelock,
+     * each with its own amount and combined hash. Tranche i is an ordinary swap
+     * stored under computeTrancheId(swapId, i), claimed and refunded on its own,
+     * so a large swap can be filled partially and the remainder refunded
+     */
+    function lockTranches(
+        address recipient,
+        address token,
+        uint256[] calldata amounts,
+        bytes32[] calldata combinedHashes,
+        uint256 timelock,
+        string memory network,
+        bytes32 clientSwapId
+    ) external payable nonReentrant returns (bytes32 swapId) {
+        swapId = computeSwapId(msg.sender, clientSwapId);
+        uint256 count = amounts.length;
+        require(count > 0 && count <= MAX_TRANCHES && count == combinedHashes.length, "Invalid tranches");
+        
+        uint256 total;
+        for (uint256 i = 0; i < count; i++) {
+            _validateSwap(recipient, amounts[i], timelock);
+            total += amounts[i];
+        }
+        require(trancheCounts[swapId] == 0 && !swaps[swapId].isActive, "Swap already exists");
+        // Limits apply to the lock as a whole, so splitting it cannot get around the maximum
+        _reserveTokenLimits(token, total);
+        _pullFunds(token, total);
         
+        trancheCounts[swapId] = count;
+        for (uint256 i = 0; i < count; i++) {
+            _createSwap(computeTrancheId(swapId, i), recipient, token, amounts[i], combinedHashes[i], timelock, network);
+        }
+        
+        emit TranchesLocked(swapId, count, total);
+    }
+    
+    // Swaps are stored under the client id namespaced by the locker, so copying a
+    // pending clientSwapId from the mempool cannot occupy someone else's swapId
+    function computeSwapId(address initiator, bytes32 clientSwapId) public pure returns (bytes32) {
+        return keccak256(abi.encode(initiator, clientSwapId));
+    }
+    
+    function computeTrancheId(bytes32 swapId, uint256 index) public pure returns (bytes32) {
+        return keccak256(abi.encode(swapId, index));
+    }
+    
+    function _lockFunds(
+        address recipient,
+        address token,
+        uint256 amount,
+        bytes32 combinedHash,
+        uint256 timelock,
+        string memory network,
+        bytes32 clientSwapId,
+        HashAlgorithm hashAlgorithm
+    ) internal returns (bytes32 swapId) {
+        swapId = computeSwapId(msg.sender, clientSwapId);
+        _validateSwap(recipient, amount, timelock);
+        // A tranche parent id has no swap of its own but is taken as well
+        require(trancheCounts[swapId] == 0 && !swaps[swapId].isActive, "Swap already exists");
+        _reserveTokenLimits(token, amount);
+        _pullFunds(token, amount);
+        _createSwap(swapId, recipient, token, amount, combinedHash, timelock, network);
+        if (hashAlgorithm != HashAlgorithm.Keccak256) hashAlgorithms[swapId] = hashAlgorithm;
+    }
+    
+    function _validateSwap(address recipient, uint256 amount, uint256 timelock) internal view {
+        require(recipient != address(0), "Invalid recipient");
+        require(amount > 0, "Invalid amount");
+        require(timelock > block.timestamp, "Invalid timelock");
+    }
+    
+    // Take `amount` from the caller, rejecting fee-on-transfer shortfalls
+    function _pullFunds(address token, uint256 amount) internal {
+        if (token == NATIVE_TOKEN) {
+            require(msg.value == amount, "Incorrect native amount");
+        } else {
+            require(msg.value == 0, "Native value not accepted");
+            IERC20 tokenContract = IERC20(token);
+            uint256 allowance = tokenContract.allowance(msg.sender, address(this));
+            require(allowance >= amount, "Insufficient allowance");
+            
+            uint256 balanceBefore = tokenContract.balanceOf(address(this));
+            require(tokenContract.transferFrom(msg.sender, address(this), amount), "Transfer failed");
+            uint256 balanceAfter = tokenContract.balanceOf(address(this));
+            require(balanceAfter - balanceBefore == amount, "Transfer amount mismatch");
+        }
+    }
+    
+    function _createSwap(
+        bytes32 swapId,
+        address recipient,
+        address token,
+        uint256 amount,
+        bytes32 combinedHash,
+        uint256 timelock,
+        string memory network
+    ) internal {
         // Create swap
         swaps[swapId] = CrossChainSwap({
             initiator: msg.sender,
@@ -93,6 +384,9 @@ contract FPPHTLC is ReentrancyGuard {
             isRefunded: false
         });
         
+        // Written on every lock, so a rate is never left over from an earlier swap
+        swapFeeBps[swapId] = protocolFeeFor(token);
+        
         emit SwapInitiated(
             swapId,
             msg.sender,
@@ -110,50 +404,442 @@ contract FPPHTLC is ReentrancyGuard {
         bytes32 initiatorSecret,
         bytes32 recipientSecret
     ) external nonReentrant {
+        _claimFunds(swapId, _hashSecrets(initiatorSecret, recipientSecret, hashAlgorithms[swapId]), msg.sender, msg.sender, 0);
+        _revealSecrets(swapId, initiatorSecret, recipientSecret);
+    }
+    
+    // Claim as the recipient and pay a beneficiary, e.g. cold storage, instead of msg.sender
+    function claimFundsTo(
+        bytes32 swapId,
+        bytes32 initiatorSecret,
+        bytes32 recipientSecret,
+        address beneficiary
+    ) external nonReentrant {
+        require(beneficiary != address(0), "Invalid beneficiary");
+        _claimFunds(swapId, _hashSecrets(initiatorSecret, recipientSecret, hashAlgorithms[swapId]), msg.sender, beneficiary, 0);
+        _revealSecrets(swapId, initiatorSecret, recipientSecret);
+        emit SwapClaimedTo(swapId, msg.sender, beneficiary);
+    }
+    
+    // Claim a swap locked against generateMultiPartyHash, with the secrets in commitment order
+    function claimFundsMultiParty(bytes32 swapId, bytes32[] calldata secrets) external nonReentrant {
+        _claimFunds(swapId, _hashSecrets(secrets, hashAlgorithms[swapId]), msg.sender, msg.sender, 0);
+        emit SecretsRevealed(swapId, secrets);
+    }
+    
+    // Claim for the recipient with their signed Claim message; funds still go to the recipient
+    function claimFundsBySig(
+        bytes32 swapId,
+        bytes32 initiatorSecret,
+        bytes32 recipientSecret,
+        RelayAuthorization calldata auth
+    ) external nonReentrant {
+        address signer = _recoverRelayAuthorization(CLAIM_TYPEHASH, swapId, auth);
+        _claimFunds(swapId, _hashSecrets(initiatorSecret, recipientSecret, hashAlgorithms[swapId]), signer, signer, auth.fee);
+        _revealSecrets(swapId, initiatorSecret, recipientSecret);
+    }
+    
+    // secretsHash is the commitment rebuilt from the revealed secrets; funds go to `to`
+    function _claimFunds(bytes32 swapId, bytes32 secretsHash, address claimer, address to, uint256 fee) internal {
         CrossChainSwap storage swap = swaps[swapId];
         require(swap.isActive, "Swap not active");
         require(!swap.isClaimed, "Already claimed");
         require(!swap.isRefunded, "Already refunded");
         require(block.timestamp <= swap.timelock, "Timelock expired");
-        require(msg.sender == swap.recipient, "Not recipient");
+        require(claimer == swap.recipient, "Not recipient");
         
-        // Verify combined hash
-        bytes32 calculatedHash = generateCombinedHash(
-            keccak256(abi.encodePacked(initiatorSecret)),
-            keccak256(abi.encodePacked(recipientSecret))
-        );
-        require(calculatedHash == swap.combinedHash, "Invalid secrets");
+        require(secretsHash == swap.combinedHash, "Invalid secrets");
         
-        // Mark as claimed and transfer tokens
+        // Mark as claimed and transfer funds
         swap.isClaimed = true;
-        IERC20 tokenContract = IERC20(swap.token);
-        uint256 balanceBefore = tokenContract.balanceOf(swap.recipient);
-        require(tokenContract.transfer(swap.recipient, swap.amount), "Transfer failed");
-        uint256 balanceAfter = tokenContract.balanceOf(swap.recipient);
-        require(balanceAfter - balanceBefore == swap.amount, "Transfer amount mismatch");
+        totalLocked[swap.token] -= swap.amount;
+        _payOut(swapId, swap.token, to, swap.amount, fee, protocolFeeOf(swapId));
         
         emit SwapClaimed(swapId, swap.recipient);
     }
     
+    function _revealSecrets(bytes32 swapId, bytes32 initiatorSecret, bytes32 recipientSecret) internal {
+        bytes32[] memory secrets = new bytes32[](2);
+        secrets[0] = initiatorSecret;
+        secrets[1] = recipientSecret;
+        emit SecretsRevealed(swapId, secrets);
+    }
+    
+    // Reassign a pending swap with a TransferRecipient message signed by its current recipient
+    function transferRecipient(
+        bytes32 swapId,
+        address newRecipient,
+        uint256 deadline,
+        bytes calldata signature
+    ) external nonReentrant {
+        CrossChainSwap storage swap = swaps[swapId];
+        require(swap.isActive, "Swap not active");
+        require(!swap.isClaimed, "Already claimed");
+        require(!swap.isRefunded, "Already refunded");
+        require(block.timestamp <= swap.timelock, "Timelock expired");
+        require(newRecipient != address(0), "Invalid recipient");
+        require(block.timestamp <= deadline, "Signature expired");
+        
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(
+            TRANSFER_RECIPIENT_TYPEHASH, swapId, newRecipient, recipientNonces[swapId]++, deadline
+        )));
+        require(ECDSA.recover(digest, signature) == swap.recipient, "Invalid signature");
+        
+        address previousRecipient = swap.recipient;
+        swap.recipient = newRecipient;
+        emit RecipientTransferred(swapId, previousRecipient, newRecipient);
+    }
+    
     function refund(bytes32 swapId) external nonReentrant {
+        _refund(swapId, msg.sender, 0);
+    }
+    
+    // Refund for the initiator with their signed Refund message; funds still go to the initiator
+    function refundBySig(bytes32 swapId, RelayAuthorization calldata auth) external nonReentrant {
+        address signer = _recoverRelayAuthorization(REFUND_TYPEHASH, swapId, auth);
+        _refund(swapId, signer, auth.fee);
+    }
+    
+    function _refund(bytes32 swapId, address refundee, uint256 fee) internal {
         CrossChainSwap storage swap = swaps[swapId];
         require(swap.isActive, "Swap not active");
         require(!swap.isClaimed, "Already claimed");
         require(!swap.isRefunded, "Already refunded");
         require(block.timestamp > swap.timelock, "Timelock not expired");
-        require(msg.sender == swap.initiator, "Not initiator");
+        require(refundee == swap.initiator, "Not initiator");
         
-        // Mark as refunded and transfer tokens back
+        // Mark as refunded and transfer funds back, free of protocol fee
         swap.isRefunded = true;
-        IERC20 tokenContract = IERC20(swap.token);
-        uint256 balanceBefore = tokenContract.balanceOf(swap.initiator);
-        require(tokenContract.transfer(swap.initiator, swap.amount), "Transfer failed");
-        uint256 balanceAfter = tokenContract.balanceOf(swap.initiator);
-        require(balanceAfter - balanceBefore == swap.amount, "Transfer amount mismatch");
+        totalLocked[swap.token] -= swap.amount;
+        _payOut(swapId, swap.token, swap.initiator, swap.amount, fee, 0);
         
         emit SwapRefunded(swapId, swap.initiator);
     }
     
+    /**
+     * @dev Fee administration. Rates apply to swaps locked after the change and are
+     * capped at MAX_PROTOCOL_FEE_BPS; a non-zero rate needs a treasury to pay
+     */
+    function transferFeeAdmin(address newAdmin) external onlyFeeAdmin {
+        require(newAdmin != address(0), "Invalid fee admin");
+        emit FeeAdminTransferred(feeAdmin, newAdmin);
+        feeAdmin = newAdmin;
+    }
+    
+    function setTreasury(address newTreasury) external onlyFeeAdmin {
+        require(newTreasury != address(0), "Invalid treasury");
+        emit TreasuryUpdated(treasury, newTreasury);
+        treasury = newTreasury;
+    }
+    
+    // Anyone can trigger a withdrawal, but the fees only ever go to the current treasury
+    function withdrawFees(address token) external nonReentrant {
+        uint256 amount = accruedFees[token];
+        require(amount > 0, "No fees accrued");
+        accruedFees[token] = 0;
+        _transferOut(token, treasury, amount);
+        emit FeesWithdrawn(token, treasury, amount);
+    }
+    
+    function setProtocolFee(uint16 feeBps) external onlyFeeAdmin {
+        _validateFee(feeBps);
+        protocolFeeBps = feeBps;
+        emit ProtocolFeeUpdated(feeBps);
+    }
+    
+    // A zero override exempts the token from the default fee
+    function setTokenFee(address token, uint16 feeBps) external onlyFeeAdmin {
+        _validateFee(feeBps);
+        tokenFees[token] = TokenFee({overridden: true, feeBps: feeBps});
+        emit TokenFeeUpdated(token, true, feeBps);
+    }
+    
+    function clearTokenFee(address token) external onlyFeeAdmin {
+        delete tokenFees[token];
+        emit TokenFeeUpdated(token, false, 0);
+    }
+    
+    // Rate a swap of `token` locked now would pay
+    function protocolFeeFor(address token) public view returns (uint16) {
+        TokenFee memory tokenFee = tokenFees[token];
+        return tokenFee.overridden ? tokenFee.feeBps : protocolFeeBps;
+    }
+    
+    // Amount a claim of the swap accrues for the treasury
+    function protocolFeeOf(bytes32 swapId) public view returns (uint256) {
+        return swaps[swapId].amount * swapFeeBps[swapId] / BPS;
+    }
+    
+    function _validateFee(uint16 feeBps) internal view {
+        require(feeBps <= MAX_PROTOCOL_FEE_BPS, "Fee too high");
+        require(feeBps == 0 || treasury != address(0), "Treasury not set");
+    }
+    
+    /**
+     * @dev Token limits. Changes only gate new locks; swaps already locked can
+     * always be claimed or refunded
+     */
+    function transferTokenAdmin(address newAdmin) external onlyTokenAdmin {
+        require(newAdmin != address(0), "Invalid token admin");
+        emit TokenAdminTransferred(tokenAdmin, newAdmin);
+        tokenAdmin = newAdmin;
+    }
+    
+    function setAllowlistEnabled(bool enabled) external onlyTokenAdmin {
+        allowlistEnabled = enabled;
+        emit AllowlistModeUpdated(enabled);
+    }
+    
+    function setTokenAllowed(address token, bool allowed) external onlyTokenAdmin {
+        tokenLimits[token].allowed = allowed;
+        emit TokenAllowedUpdated(token, allowed);
+    }
+    
+    // 0 for maxAmount or maxLocked means unlimited
+    function setTokenLimits(
+        address token,
+        uint256 minAmount,
+        uint256 maxAmount,
+        uint256 maxLocked
+    ) external onlyTokenAdmin {
+        require(maxAmount == 0 || minAmount <= maxAmount, "Invalid limits");
+        TokenLimits storage limits = tokenLimits[token];
+        limits.minAmount = minAmount;
+        limits.maxAmount = maxAmount;
+        limits.maxLocked = maxLocked;
+        emit TokenLimitsUpdated(token, minAmount, maxAmount, maxLocked);
+    }
+    
+    function isTokenAllowed(address token) public view returns (bool) {
+        return !allowlistEnabled || tokenLimits[token].allowed;
+    }
+    
+    // Amount of `token` that can still be locked before its cap is reached
+    function availableToLock(address token) external view returns (uint256) {
+        uint256 maxLocked = tokenLimits[token].maxLocked;
+        if (maxLocked == 0) return type(uint256).max;
+        uint256 locked = totalLocked[token];
+        return locked >= maxLocked ? 0 : maxLocked - locked;
+    }
+    
+    // Check a new lock against its token's limits and count it as locked; a tranched
+    // lock is checked once, for the sum of its tranches
+    function _reserveTokenLimits(address token, uint256 amount) internal {
+        TokenLimits storage limits = tokenLimits[token];
+        require(isTokenAllowed(token), "Token not allowed");
+        require(amount >= limits.minAmount, "Amount below minimum");
+        require(limits.maxAmount == 0 || amount <= limits.maxAmount, "Amount above maximum");
+        uint256 locked = totalLocked[token] + amount;
+        require(limits.maxLocked == 0 || locked <= limits.maxLocked, "Token cap exceeded");
+        totalLocked[token] = locked;
+    }
+    
+    /**
+     * @dev Batch entry points for callers opening or settling many swaps at once.
+     * Each item runs as its own lockFunds/claimFunds/refund call; a failing item
+     * emits BatchItemFailed with its revert data and the rest still go through.
+     * batchLock is not payable, so native swaps are locked one by one
+     */
+    function batchLock(LockRequest[] calldata locks) external returns (bool[] memory success, bytes[] memory results) {
+        bytes[] memory calls = new bytes[](locks.length);
+        for (uint256 i = 0; i < locks.length; i++) {
+            LockRequest calldata lock = locks[i];
+            calls[i] = abi.encodeCall(
+                this.lockFunds,
+                (lock.recipient, lock.token, lock.amount, lock.combinedHash, lock.timelock, lock.network, lock.clientSwapId)
+            );
+        }
+        return _batch(calls);
+    }
+    
+    function batchClaim(
+        bytes32[] calldata swapIds,
+        bytes32[] calldata initiatorSecrets,
+        bytes32[] calldata recipientSecrets
+    ) external returns (bool[] memory success, bytes[] memory results) {
+        require(
+            swapIds.length == initiatorSecrets.length && swapIds.length == recipientSecrets.length,
+            "Length mismatch"
+        );
+        bytes[] memory calls = new bytes[](swapIds.length);
+        for (uint256 i = 0; i < swapIds.length; i++) {
+            calls[i] = abi.encodeCall(this.claimFunds, (swapIds[i], initiatorSecrets[i], recipientSecrets[i]));
+        }
+        return _batch(calls);
+    }
+    
+    function batchRefund(bytes32[] calldata swapIds) external returns (bool[] memory success, bytes[] memory results) {
+        bytes[] memory calls = new bytes[](swapIds.length);
+        for (uint256 i = 0; i < swapIds.length; i++) {
+            calls[i] = abi.encodeCall(this.refund, (swapIds[i]));
+        }
+        return _batch(calls);
+    }
+    
+    // Delegatecalls keep msg.sender and let each item take the reentrancy guard;
+    // they also reuse msg.value, hence no payable batch entry points
+    function _batch(bytes[] memory calls) internal returns (bool[] memory success, bytes[] memory results) {
+        require(calls.length > 0 && calls.length <= MAX_BATCH_SIZE, "Invalid batch size");
+        success = new bool[](calls.length);
+        results = new bytes[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            (success[i], results[i]) = address(this).delegatecall(calls[i]);
+            if (!success[i]) emit BatchItemFailed(i, results[i]);
+        }
+    }
+    
+    function _hash(bytes memory data, HashAlgorithm hashAlgorithm) internal pure returns (bytes32) {
+        return hashAlgorithm == HashAlgorithm.Sha256 ? sha256(data) : keccak256(data);
+    }
+    
+    // Two party hashes combine like generateCombinedHash, which is the keccak256 case of this
+    function _combinePartyHashes(bytes32[] memory partyHashes, HashAlgorithm hashAlgorithm) internal pure returns (bytes32) {
+        for (uint256 i = 0; i < partyHashes.length; i++) {
+            require(partyHashes[i] != bytes32(0), "Invalid party hash");
+        }
+        return _hash(abi.encodePacked(partyHashes), hashAlgorithm);
+    }
+    
+    function _hashSecrets(
+        bytes32 initiatorSecret,
+        bytes32 recipientSecret,
+        HashAlgorithm hashAlgorithm
+    ) internal pure returns (bytes32) {
+        return _hash(
+            abi.encodePacked(
+                _hash(abi.encodePacked(initiatorSecret), hashAlgorithm),
+                _hash(abi.encodePacked(recipientSecret), hashAlgorithm)
+            ),
+            hashAlgorithm
+        );
+    }
+    
+    function _hashSecrets(bytes32[] calldata secrets, HashAlgorithm hashAlgorithm) internal pure returns (bytes32) {
+        require(secrets.length >= 2 && secrets.length <= MAX_PARTIES, "Invalid party count");
+        bytes32[] memory partyHashes = new bytes32[](secrets.length);
+        for (uint256 i = 0; i < secrets.length; i++) {
+            partyHashes[i] = _hash(abi.encodePacked(secrets[i]), hashAlgorithm);
+        }
+        return _combinePartyHashes(partyHashes, hashAlgorithm);
+    }
+    
+    function _recoverRelayAuthorization(
+        bytes32 typehash,
+        bytes32 swapId,
+        RelayAuthorization calldata auth
+    ) internal view returns (address) {
+        require(block.timestamp <= auth.deadline, "Signature expired");
+        require(auth.relayer == address(0) || auth.relayer == msg.sender, "Invalid relayer");
+        
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(typehash, swapId, auth.relayer, auth.fee, auth.deadline))
+        );
+        return ECDSA.recover(digest, auth.signature);
+    }
+    
+    // Pay `to` the swap amount minus the relayer fee, which goes to msg.sender,
+    // and the protocol fee, which accrues for the treasury
+    function _payOut(
+        bytes32 swapId,
+        address token,
+        address to,
+        uint256 amount,
+        uint256 fee,
+        uint256 protocolFee
+    ) internal {
+        require(fee + protocolFee <= amount, "Fee exceeds amount");
+        _transferOut(token, to, amount - fee - protocolFee);
+        if (fee > 0) {
+            _transferOut(token, msg.sender, fee);
+            emit RelayerFeePaid(swapId, msg.sender, fee);
+        }
+        if (protocolFee > 0) {
+            accruedFees[token] += protocolFee;
+            emit ProtocolFeePaid(swapId, treasury, protocolFee);
+        }
+    }
+    
+    function _transferOut(address token, address to, uint256 amount) internal {
+        if (token == NATIVE_TOKEN) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            require(success, "Transfer failed");
+            return;
+        }
+        
+        IERC20 tokenContract = IERC20(token);
+        uint256 balanceBefore = tokenContract.balanceOf(to);
+        require(tokenContract.transfer(to, amount), "Transfer failed");
+        uint256 balanceAfter = tokenContract.balanceOf(to);
+        require(balanceAfter - balanceBefore == amount, "Transfer amount mismatch");
+    }
+    
+    /**
+     * @dev Check whether the two secrets open the swap's combinedHash
+     */
+    function verifySecrets(
+        bytes32 swapId,
+        bytes32 initiatorSecret,
+        bytes32 recipientSecret
+    ) public view returns (bool) {
+        CrossChainSwap storage swap = swaps[swapId];
+        if (swap.initiator == address(0)) {
+            return false;
+        }
+        
+        return _hashSecrets(initiatorSecret, recipientSecret, hashAlgorithms[swapId]) == swap.combinedHash;
+    }
+    
+    /**
+     * @dev Check whether N secrets, in commitment order, open the swap's combinedHash
+     */
+    function verifyMultiPartySecrets(bytes32 swapId, bytes32[] calldata secrets) external view returns (bool) {
+        CrossChainSwap storage swap = swaps[swapId];
+        if (swap.initiator == address(0)) {
+            return false;
+        }
+        
+        return _hashSecrets(secrets, hashAlgorithms[swapId]) == swap.combinedHash;
+    }
+    
+    /**
+     * @dev Check if claim is possible with the given secrets
+     */
+    function canClaim(
+        bytes32 swapId,
+        bytes32 initiatorSecret,
+        bytes32 recipientSecret
+    ) external view returns (bool) {
+        return getSwapState(swapId) == SwapState.Active &&
+               verifySecrets(swapId, initiatorSecret, recipientSecret);
+    }
+    
+    /**
+     * @dev Check if refund is possible
+     */
+    function canRefund(bytes32 swapId) external view returns (bool) {
+        return getSwapState(swapId) == SwapState.Expired;
+    }
+    
+    /**
+     * @dev Get the derived state of a swap
+     */
+    function getSwapState(bytes32 swapId) public view returns (SwapState) {
+        CrossChainSwap storage swap = swaps[swapId];
+        if (swap.initiator == address(0)) {
+            return SwapState.Empty;
+        }
+        if (swap.isClaimed) {
+            return SwapState.Claimed;
+        }
+        if (swap.isRefunded) {
+            return SwapState.Refunded;
+        }
+        if (block.timestamp > swap.timelock) {
+            return SwapState.Expired;
+        }
+        return SwapState.Active;
+    }
+    
     function getSwap(bytes32 swapId) external view returns (
         address initiator,
         address recipient,
@@ -164,21 +850,22 @@ contract FPPHTLC is ReentrancyGuard {
         string memory network,
         bool isActive,
         bool isClaimed,
-        bool isRefunded
+        bool isRefunded,
+        SwapState state
     ) {
+        // Assigned field by field: returning an 11-value tuple is too deep for the stack
+        state = getSwapState(swapId);
         CrossChainSwap storage swap = swaps[swapId];
-        return (
-            swap.initiator,
-            swap.recipient,
-            swap.token,
-            swap.amount,
-            swap.combinedHash,
-            swap.timelock,
-            swap.network,
-            swap.isActive,
-            swap.isClaimed,
-            swap.isRefunded
-        );
+        initiator = swap.initiator;
+        recipient = swap.recipient;
+        token = swap.token;
+        amount = swap.amount;
+        combinedHash = swap.combinedHash;
+        timelock = swap.timelock;
+        network = swap.network;
+        isActive = swap.isActive;
+        isClaimed = swap.isClaimed;
+        isRefunded = swap.isRefunded;
     }
 }
 
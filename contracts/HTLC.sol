@@ -3,6 +3,10 @@ pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
 
 /**
  * @title HTLC - Simplified Hash Time Lock Contract
@@ -17,7 +21,7 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
  * 6. Removed redundant events (SecretRevealed)
  * 7. Simplified error checking and state management
  * 8. Added explicit transfer failure checks
- * 9. Removed batch operations and complex query functions
+ * 9. Removed complex query functions (batch entry points are opt-in wrappers)
  * 10. Eliminated emergency functions with security issues
  * 
  * CRITICAL IMPROVEMENTS:
@@ -25,8 +29,15 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
  * - ~30% gas savings on lockFunds operation
  * - Simplified state management reduces complexity
  * - External swapId prevents hash collision attacks
+ * - swapId is namespaced by the locker, so a copied id cannot grief a lock
  * - More secure transfer operations with explicit checks
  * 
+ * Swap IDs: the caller supplies a client-generated id and the swap is stored
+ * under computeSwapId(msg.sender, clientSwapId). Another account reusing the
+ * same client id gets a different swapId, so it cannot occupy the real one.
+ * lockFunds returns the effective swapId and SwapInitiated emits it. A swapId
+ * is used once: it cannot be locked again after a claim or refund.
+ *
  * Process Flow:
  * 1. Alice generates secret and calculates hashlock H = hash(s)
  * 2. Alice locks TokenA using hashlock (lockFunds)
@@ -34,14 +45,89 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
  * 4. Alice reveals secret to claim TokenB (claimFunds)
  * 5. Bob uses revealed secret to claim TokenA (claimFunds)
  * 6. Refund after timeout if swap fails (refundFunds)
+ *
+ * Native currency (ETH/BNB) is locked by passing token = NATIVE_TOKEN
+ * (address(0)) and sending amount as msg.value.
+ *
+ * Tokens implementing EIP-2612 can be locked in one transaction with
+ * lockFundsWithPermit instead of approve + lockFunds.
+ *
+ * Tranches: lockTranches splits one lock into up to MAX_TRANCHES swaps, each
+ * with its own amount and hashlock (sub-secret), stored under
+ * computeTrancheId(swapId, index). Each tranche is claimed and refunded on its
+ * own with claimFunds/refundFunds, so a recipient can take part of a large
+ * swap and the initiator refunds the unclaimed tranches after the timelock.
+ *
+ * Batches: batchLock, batchClaim and batchRefund run up to MAX_BATCH_SIZE
+ * ordinary lockFunds/claimFunds/refundFunds calls in one transaction. A failing
+ * item emits BatchItemFailed and is skipped; the other items still go through.
+ *
+ * Gasless claims/refunds: the recipient (or initiator) signs an EIP-712
+ * Claim (or Refund) message and any relayer submits it with claimFundsBySig
+ * (or refundFundsBySig). Funds still go to the recipient (or initiator),
+ * minus the signed relayer fee, which is paid to the relayer.
+ *
+ * Beneficiaries: the recipient can claim into another address with
+ * claimFundsTo, e.g. from a hot wallet into cold storage. A pending swap can
+ * be reassigned to a new recipient with transferRecipient and an EIP-712
+ * TransferRecipient message signed by the current recipient; the per-swap
+ * nonce in recipientNonces stops the signature from being replayed.
+ *
+ * Hash algorithms: swaps hash their secret with keccak256 unless locked with
+ * lockFundsWithHashAlgorithm(..., HashAlgorithm.Sha256), which matches Bitcoin
+ * HTLCs and Lightning payment hashes. Lightning preimages are 32 raw bytes, so
+ * they are claimed with claimFundsWithPreimage; the revealed secret is then
+ * the preimage as a 0x-prefixed hex string.
+ *
+ * Protocol fee: claims set aside protocolFeeBps basis points of the amount (or
+ * a per-token override from setTokenFee) for the treasury, which are paid out
+ * by withdrawFees, so a treasury that cannot receive never blocks a claim.
+ * The rate is fixed when the swap is locked, so a later change never applies
+ * to locked funds, and refunds are never charged. The fee admin can only
+ * change the rates, the treasury and the admin itself; it has no access to
+ * swaps.
+ *
+ * Token limits: the token admin can restrict locks to allowlisted tokens
+ * (setAllowlistEnabled, setTokenAllowed) and give a token minimum and maximum
+ * amounts per swap and a cap on its total locked amount (setTokenLimits).
+ * Limits apply to new locks only; claims and refunds always go through.
  */
-contract HTLC is ReentrancyGuard {
+contract HTLC is ReentrancyGuard, EIP712 {
+    
+    bytes32 public constant CLAIM_TYPEHASH = keccak256(
+        "Claim(bytes32 swapId,address relayer,uint256 fee,uint256 deadline)"
+    );
+    bytes32 public constant REFUND_TYPEHASH = keccak256(
+        "Refund(bytes32 swapId,address relayer,uint256 fee,uint256 deadline)"
+    );
+    bytes32 public constant TRANSFER_RECIPIENT_TYPEHASH = keccak256(
+        "TransferRecipient(bytes32 swapId,address newRecipient,uint256 nonce,uint256 deadline)"
+    );
+    
+    // Token address used for swaps of the chain's native currency
+    address public constant NATIVE_TOKEN = address(0);
+    
+    // Upper bound on tranches per lockTranches call
+    uint256 public constant MAX_TRANCHES = 16;
+    
+    // Upper bound on items per batch call
+    uint256 public constant MAX_BATCH_SIZE = 32;
+    
+    // Upper bound on the protocol fee, in basis points (10%)
+    uint16 public constant MAX_PROTOCOL_FEE_BPS = 1000;
+    uint256 private constant BPS = 10000;
+    
+    // Hash applied to the secret (and by claimFundsWithPreimage, to the preimage)
+    enum HashAlgorithm {
+        Keccak256,
+        Sha256
+    }
     
     // Simplified HTLC contract structure
     struct HTLCContract {
         address initiator;      // Fund locker
         address recipient;      // Authorized claimer
-        address token;          // ERC20 token address
+        address token;          // ERC20 token address, or NATIVE_TOKEN
         uint256 amount;         // Locked amount
         bytes32 hashlock;       // Hash of the secret
         uint256 timelock;       // Time lock (Unix timestamp)
@@ -50,9 +136,88 @@ contract HTLC is ReentrancyGuard {
         string revealedSecret;  // Revealed secret (for cross-chain monitoring)
     }
     
+    // EIP-2612 permit signature for lockFundsWithPermit
+    struct PermitSignature {
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+    
+    // Signed authorization for a relayed claim or refund
+    struct RelayAuthorization {
+        address relayer;        // Relayer allowed to submit (address(0) = any)
+        uint256 fee;            // Fee paid to the relayer out of the swap amount
+        uint256 deadline;       // Signature expiry (Unix timestamp)
+        bytes signature;        // EIP-712 signature by the recipient/initiator
+    }
+    
+    // Lock limits of a token; a zero maximum or cap means unlimited
+    struct TokenLimits {
+        bool allowed;           // Lockable while the allowlist is enabled
+        uint256 minAmount;      // Smallest amount per swap
+        uint256 maxAmount;      // Largest amount per swap
+        uint256 maxLocked;      // Cap on the token's total locked amount
+    }
+    
+    // Per-token fee rate; tokens without an override pay protocolFeeBps
+    struct TokenFee {
+        bool overridden;
+        uint16 feeBps;
+    }
+    
+    // One lockFunds call in a batchLock
+    struct LockRequest {
+        bytes32 clientSwapId;
+        address recipient;
+        address token;
+        uint256 amount;
+        bytes32 hashlock;
+        uint256 timelock;
+    }
+    
     // Store all HTLC contracts
     mapping(bytes32 => HTLCContract) public swaps;
     
+    // Number of tranches locked under a parent swapId (0 for plain swaps)
+    mapping(bytes32 => uint256) public trancheCounts;
+    
+    // Hash algorithm of each swap; unset entries read as Keccak256
+    mapping(bytes32 => HashAlgorithm) public hashAlgorithms;
+    
+    // Nonce the next TransferRecipient signature of a swap must carry
+    mapping(bytes32 => uint256) public recipientNonces;
+    
+    // Account allowed to change the fee settings below
+    address public feeAdmin;
+    
+    // Receiver of protocol fees
+    address public treasury;
+    
+    // Default protocol fee, in basis points of the swap amount
+    uint16 public protocolFeeBps;
+    
+    // Fee rate overrides by token
+    mapping(address => TokenFee) public tokenFees;
+    
+    // Fee rate each swap was locked with; unset entries pay no fee
+    mapping(bytes32 => uint16) public swapFeeBps;
+    
+    // Protocol fees claimed and not yet withdrawn, by token
+    mapping(address => uint256) public accruedFees;
+    
+    // Account allowed to change the token limits below
+    address public tokenAdmin;
+    
+    // Only allowlisted tokens can be locked while set
+    bool public allowlistEnabled;
+    
+    // Allowlist entry and lock limits by token (NATIVE_TOKEN for native swaps)
+    mapping(address => TokenLimits) public tokenLimits;
+    
+    // Amount of each token held by active swaps
+    mapping(address => uint256) public totalLocked;
+    
     // Events
     event SwapInitiated(
         bytes32 indexed swapId,
@@ -75,37 +240,281 @@ contract HTLC is ReentrancyGuard {
         address indexed refundee
     );
     
+    // Emitted after SwapClaimed when the funds went to a beneficiary instead of the recipient
+    event SwapClaimedTo(
+        bytes32 indexed swapId,
+        address indexed recipient,
+        address indexed beneficiary
+    );
+    
+    event RecipientTransferred(
+        bytes32 indexed swapId,
+        address indexed previousRecipient,
+        address indexed newRecipient
+    );
+    
+    event RelayerFeePaid(
+        bytes32 indexed swapId,
+        address indexed relayer,
+        uint256 fee
+    );
+    
+    // Emitted once per lockTranches; each tranche also emits SwapInitiated
+    event TranchesLocked(
+        bytes32 indexed swapId,
+        uint256 trancheCount,
+        uint256 totalAmount
+    );
+    
+    // Emitted for each batch item that reverted; `reason` is its revert data
+    event BatchItemFailed(
+        uint256 indexed index,
+        bytes reason
+    );
+    
+    event ProtocolFeePaid(
+        bytes32 indexed swapId,
+        address indexed treasury,
+        uint256 fee
+    );
+    
+    event FeesWithdrawn(
+        address indexed token,
+        address indexed treasury,
+        uint256 amount
+    );
+    
+    event FeeAdminTransferred(
+        address indexed previousAdmin,
+        address indexed newAdmin
+    );
+    
+    event TreasuryUpdated(
+        address indexed previousTreasury,
+        address indexed newTreasury
+    );
+    
+    event ProtocolFeeUpdated(uint16 feeBps);
+    
+    // overridden = false means the token pays protocolFeeBps again
+    event TokenFeeUpdated(
+        address indexed token,
+        bool overridden,
+        uint16 feeBps
+    );
+    
+    event TokenAdminTransferred(
+        address indexed previousAdmin,
+        address indexed newAdmin
+    );
+    
+    event AllowlistModeUpdated(bool enabled);
+    
+    event TokenAllowedUpdated(
+        address indexed token,
+        bool allowed
+    );
+    
+    event TokenLimitsUpdated(
+        address indexed token,
+        uint256 minAmount,
+        uint256 maxAmount,
+        uint256 maxLocked
+    );
+    
+    modifier onlyFeeAdmin() {
+        require(msg.sender == feeAdmin, "Only fee admin");
+        _;
+    }
+    
+    modifier onlyTokenAdmin() {
+        require(msg.sender == tokenAdmin, "Only token admin");
+        _;
+    }
+    
+    /**
+     * @param _feeAdmin Account managing the protocol fee, and initially the token
+     * limits. Passed in rather than taken from msg.sender, which is the factory
+     * for CREATE2 deployments
+     */
+    constructor(address _feeAdmin) EIP712("HTLC", "1") {
+        require(_feeAdmin != address(0), "Invalid fee admin");
+        feeAdmin = _feeAdmin;
+        tokenAdmin = _feeAdmin;
+        emit FeeAdminTransferred(address(0), _feeAdmin);
+        emit TokenAdminTransferred(address(0), _feeAdmin);
+    }
+    
     /**
      * @dev Lock funds with external swapId
-     * @param _swapId External swap ID (client-generated)
+     * @param _clientSwapId Client-generated ID, namespaced by msg.sender
      * @param _recipient Recipient address
-     * @param _token ERC20 token address
+     * @param _token ERC20 token address, or NATIVE_TOKEN to lock msg.value
      * @param _amount Amount to lock
      * @param _hashlock Hash of secret H = hash(s)
      * @param _timelock Time lock (Unix timestamp)
      */
     function lockFunds(
-        bytes32 _swapId,
+        bytes32 _clientSwapId,
         address _recipient,
         address _token,
         uint256 _amount,
         bytes32 _hashlock,
         uint256 _timelock
-    ) external nonReentrant {
+    ) external payable nonReentrant returns (bytes32) {
+        return _lockFunds(_clientSwapId, _recipient, _token, _amount, _hashlock, _timelock, HashAlgorithm.Keccak256);
+    }
+    
+    /**
+     * @dev Same as lockFunds, with the hash algorithm the secret is checked against
+     * @param _hashAlgorithm Sha256 for Bitcoin/Lightning hashlocks, Keccak256 otherwise
+     */
+    function lockFundsWithHashAlgorithm(
+        bytes32 _clientSwapId,
+        address _recipient,
+        address _token,
+        uint256 _amount,
+        bytes32 _hashlock,
+        uint256 _timelock,
+        HashAlgorithm _hashAlgorithm
+    ) external payable nonReentrant returns (bytes32) {
+        return _lockFunds(_clientSwapId, _recipient, _token, _amount, _hashlock, _timelock, _hashAlgorithm);
+    }
+    
+    /**
+     * @dev Lock ERC20 funds using an EIP-2612 permit instead of a prior approve
+     * @param _permit Permit signed by msg.sender for this contract and _amount
+     */
+    function lockFundsWithPermit(
+        bytes32 _clientSwapId,
+        address _recipient,
+        address _token,
+        uint256 _amount,
+        bytes32 _hashlock,
+        uint256 _timelock,
+        PermitSignature calldata _permit
+    ) external nonReentrant returns (bytes32) {
+        require(_token != NATIVE_TOKEN, "Permit requires ERC20");
+        
+        // A permit submitted by someone else first makes this call revert but
+        // still sets the allowance, so ignore the failure and let transferFrom decide
+        try IERC20Permit(_token).permit(
+            msg.sender, address(this), _amount, _permit.deadline, _permit.v, _permit.r, _permit.s
+        ) {} catch {}
+        
+        return _lockFunds(_clientSwapId, _recipient, _token, _amount, _hashlock, _timelock, HashAlgorithm.Keccak256);
+    }
+    
+    /**
+     * @dev Lock funds as independently claimable tranches under one timelock
+     * @param _clientSwapId Client-generated ID, namespaced by msg.sender
+     * @param _recipient Recipient address
+     * @param _token ERC20 token address, or NATIVE_TOKEN to lock msg.value
+     * @param _amounts Amount of each tranche
+     * @param _hashlocks Hash of each tranche's sub-secret
+     * @param _timelock Time lock (Unix timestamp) shared by all tranches
+     * @return _swapId Parent swapId; tranche i is computeTrancheId(_swapId, i)
+     */
+    function lockTranches(
+        bytes32 _clientSwapId,
+        address _recipient,
+        address _token,
+        uint256[] calldata _amounts,
+        bytes32[] calldata _hashlocks,
+        uint256 _timelock
+    ) external payable nonReentrant returns (bytes32 _swapId) {
+        _swapId = computeSwapId(msg.sender, _clientSwapId);
+        uint256 count = _amounts.length;
+        require(count > 0 && count <= MAX_TRANCHES && count == _hashlocks.length, "Invalid tranches");
+        
+        uint256 total;
+        for (uint256 i = 0; i < count; i++) {
+            _validateSwap(_recipient, _amounts[i], _hashlocks[i], _timelock);
+            total += _amounts[i];
+        }
+        require(trancheCounts[_swapId] == 0 && swaps[_swapId].initiator == address(0), "Swap already exists");
+        // The limits apply to the lock as a whole, so splitting it cannot get
+        // around the per-swap maximum
+        _reserveTokenLimits(_token, total);
+        _pullFunds(_token, total);
+        
+        trancheCounts[_swapId] = count;
+        for (uint256 i = 0; i < count; i++) {
+            _createSwap(computeTrancheId(_swapId, i), _recipient, _token, _amounts[i], _hashlocks[i], _timelock);
+        }
+        
+        emit TranchesLocked(_swapId, count, total);
+    }
+    
+    /**
+     * @dev Effective swapId of a lock: the client id namespaced by its initiator
+     */
+    function computeSwapId(address _initiator, bytes32 _clientSwapId) public pure returns (bytes32) {
+        return keccak256(abi.encode(_initiator, _clientSwapId));
+    }
+    
+    /**
+     * @dev swapId under which tranche `_index` of a lockTranches call is stored
+     */
+    function computeTrancheId(bytes32 _swapId, uint256 _index) public pure returns (bytes32) {
+        return keccak256(abi.encode(_swapId, _index));
+    }
+    
+    function _lockFunds(
+        bytes32 _clientSwapId,
+        address _recipient,
+        address _token,
+        uint256 _amount,
+        bytes32 _hashlock,
+        uint256 _timelock,
+        HashAlgorithm _hashAlgorithm
+    ) internal returns (bytes32 _swapId) {
+        _swapId = computeSwapId(msg.sender, _clientSwapId);
+        _validateSwap(_recipient, _amount, _hashlock, _timelock);
+        // Refunded swaps keep their initiator, so their id stays used; tranche
+        // parents have no swap of their own but are taken as well
+        require(trancheCounts[_swapId] == 0 && swaps[_swapId].initiator == address(0), "Swap already exists");
+        _reserveTokenLimits(_token, _amount);
+        _pullFunds(_token, _amount);
+        _createSwap(_swapId, _recipient, _token, _amount, _hashlock, _timelock);
+        hashAlgorithms[_swapId] = _hashAlgorithm;
+    }
+    
+    function _validateSwap(
+        address _recipient,
+        uint256 _amount,
+        bytes32 _hashlock,
+        uint256 _timelock
+    ) internal view {
         require(_recipient != address(0), "Invalid recipient");
-        require(_token != address(0), "Invalid token");
         require(_amount > 0, "Amount must be positive");
         require(_timelock > block.timestamp, "Timelock must be in future");
         require(_hashlock != bytes32(0), "Invalid hashlock");
-        require(!swaps[_swapId].isActive, "Swap already exists");
-        
-        // Transfer tokens to contract
-        IERC20 tokenContract = IERC20(_token);
-        require(
-            tokenContract.transferFrom(msg.sender, address(this), _amount),
-            "Transfer failed"
-        );
-        
+    }
+    
+    /**
+     * @dev Take the locked amount from msg.sender, as native currency or ERC20
+     */
+    function _pullFunds(address _token, uint256 _amount) internal {
+        if (_token == NATIVE_TOKEN) {
+            require(msg.value == _amount, "Incorrect native amount");
+        } else {
+            require(msg.value == 0, "Native value not accepted");
+            require(
+                IERC20(_token).transferFrom(msg.sender, address(this), _amount),
+                "Transfer failed"
+            );
+        }
+    }
+    
+    function _createSwap(
+        bytes32 _swapId,
+        address _recipient,
+        address _token,
+        uint256 _amount,
+        bytes32 _hashlock,
+        uint256 _timelock
+    ) internal {
         // Create HTLC contract
         swaps[_swapId] = HTLCContract({
             initiator: msg.sender,
@@ -119,6 +528,9 @@ contract HTLC is ReentrancyGuard {
             revealedSecret: ""
         });
         
+        // Written on every lock, so a rate is never left over from an earlier swap
+        swapFeeBps[_swapId] = protocolFeeFor(_token);
+        
         emit SwapInitiated(
             _swapId,
             msg.sender,
@@ -136,28 +548,111 @@ contract HTLC is ReentrancyGuard {
      * @param _secret Original secret
      */
     function claimFunds(bytes32 _swapId, string calldata _secret) external nonReentrant {
+        _claimFunds(_swapId, bytes(_secret), _secret, msg.sender, msg.sender, 0);
+    }
+    
+    /**
+     * @dev Claim funds as the recipient and send them to another address
+     * @param _swapId Swap contract ID
+     * @param _secret Original secret
+     * @param _beneficiary Address receiving the funds
+     */
+    function claimFundsTo(bytes32 _swapId, string calldata _secret, address _beneficiary) external nonReentrant {
+        require(_beneficiary != address(0), "Invalid beneficiary");
+        _claimFunds(_swapId, bytes(_secret), _secret, msg.sender, _beneficiary, 0);
+        emit SwapClaimedTo(_swapId, msg.sender, _beneficiary);
+    }
+    
+    /**
+     * @dev Claim funds with a 32-byte preimage, hashed as raw bytes (Lightning
+     * payment preimages). The revealed secret is the preimage as a hex string
+     * @param _swapId Swap contract ID
+     * @param _preimage Preimage of the hashlock
+     */
+    function claimFundsWithPreimage(bytes32 _swapId, bytes32 _preimage) external nonReentrant {
+        _claimFunds(_swapId, abi.encodePacked(_preimage), Strings.toHexString(uint256(_preimage), 32), msg.sender, msg.sender, 0);
+    }
+    
+    /**
+     * @dev Claim funds on behalf of the recipient with a signed Claim message
+     * @param _swapId Swap contract ID
+     * @param _secret Original secret
+     * @param _auth Claim authorization signed by the recipient
+     */
+    function claimFundsBySig(
+        bytes32 _swapId,
+        string calldata _secret,
+        RelayAuthorization calldata _auth
+    ) external nonReentrant {
+        address signer = _recoverRelayAuthorization(CLAIM_TYPEHASH, _swapId, _auth);
+        _claimFunds(_swapId, bytes(_secret), _secret, signer, signer, _auth.fee);
+    }
+    
+    /**
+     * @dev `_preimage` is hashed with the swap's algorithm; `_secret` is what gets revealed.
+     * The funds go to `_to`, which is the recipient except for claimFundsTo
+     */
+    function _claimFunds(
+        bytes32 _swapId,
+        bytes memory _preimage,
+        string memory _secret,
+        address _claimer,
+        address _to,
+        uint256 _fee
+    ) internal {
         HTLCContract storage swap = swaps[_swapId];
         
         require(swap.isActive, "Swap not active");
         require(!swap.isClaimed, "Already claimed");
-        require(msg.sender == swap.recipient, "Only recipient can claim");
+        require(_claimer == swap.recipient, "Only recipient can claim");
         require(block.timestamp <= swap.timelock, "Timelock expired");
         require(
-            keccak256(abi.encodePacked(_secret)) == swap.hashlock,
+            _hash(_preimage, hashAlgorithms[_swapId]) == swap.hashlock,
             "Invalid secret"
         );
         
         // Update state
         swap.isClaimed = true;
         swap.revealedSecret = _secret;
+        totalLocked[swap.token] -= swap.amount;
         
-        // Transfer tokens to recipient
-        require(
-            IERC20(swap.token).transfer(swap.recipient, swap.amount),
-            "Transfer failed"
-        );
+        // Transfer funds to recipient (or its beneficiary)
+        _payOut(_swapId, swap.token, _to, swap.amount, _fee, protocolFeeOf(_swapId));
+        
+        emit SwapClaimed(_swapId, swap.recipient, _secret);
+    }
+    
+    /**
+     * @dev Reassign a pending swap with a TransferRecipient message signed by its
+     * current recipient. Anyone can submit it
+     * @param _swapId Swap contract ID
+     * @param _newRecipient Address that can claim the swap from now on
+     * @param _deadline Signature expiry (Unix timestamp)
+     * @param _signature EIP-712 signature by the current recipient
+     */
+    function transferRecipient(
+        bytes32 _swapId,
+        address _newRecipient,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external nonReentrant {
+        HTLCContract storage swap = swaps[_swapId];
         
-        emit SwapClaimed(_swapId, msg.sender, _secret);
+        require(swap.isActive, "Swap not active");
+        require(!swap.isClaimed, "Already claimed");
+        require(block.timestamp <= swap.timelock, "Timelock expired");
+        require(_newRecipient != address(0), "Invalid recipient");
+        require(block.timestamp <= _deadline, "Signature expired");
+        
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(
+            TRANSFER_RECIPIENT_TYPEHASH, _swapId, _newRecipient, recipientNonces[_swapId]++, _deadline
+        )));
+        require(ECDSA.recover(digest, _signature) == swap.recipient, "Invalid signature");
+        
+        address previousRecipient = swap.recipient;
+        swap.recipient = _newRecipient;
+        
+        emit RecipientTransferred(_swapId, previousRecipient, _newRecipient);
     }
     
     /**
@@ -165,23 +660,315 @@ contract HTLC is ReentrancyGuard {
      * @param _swapId Swap contract ID
      */
     function refundFunds(bytes32 _swapId) external nonReentrant {
+        _refundFunds(_swapId, msg.sender, 0);
+    }
+    
+    /**
+     * @dev Refund funds on behalf of the initiator with a signed Refund message
+     * @param _swapId Swap contract ID
+     * @param _auth Refund authorization signed by the initiator
+     */
+    function refundFundsBySig(bytes32 _swapId, RelayAuthorization calldata _auth) external nonReentrant {
+        address signer = _recoverRelayAuthorization(REFUND_TYPEHASH, _swapId, _auth);
+        _refundFunds(_swapId, signer, _auth.fee);
+    }
+    
+    function _refundFunds(bytes32 _swapId, address _refundee, uint256 _fee) internal {
         HTLCContract storage swap = swaps[_swapId];
         
         require(swap.isActive, "Swap not active");
         require(!swap.isClaimed, "Already claimed");
-        require(msg.sender == swap.initiator, "Only initiator can refund");
+        require(_refundee == swap.initiator, "Only initiator can refund");
         require(block.timestamp > swap.timelock, "Timelock not expired");
         
         // Update state
         swap.isActive = false;
+        totalLocked[swap.token] -= swap.amount;
         
-        // Return tokens to initiator
-        require(
-            IERC20(swap.token).transfer(swap.initiator, swap.amount),
-            "Transfer failed"
-        );
+        // Return funds to initiator, free of protocol fee
+        _payOut(_swapId, swap.token, swap.initiator, swap.amount, _fee, 0);
         
-        emit SwapRefunded(_swapId, msg.sender);
+        emit SwapRefunded(_swapId, swap.initiator);
+    }
+    
+    // Fee Administration
+    
+    /**
+     * @dev Hand the fee settings over to another account
+     */
+    function transferFeeAdmin(address _newAdmin) external onlyFeeAdmin {
+        require(_newAdmin != address(0), "Invalid fee admin");
+        emit FeeAdminTransferred(feeAdmin, _newAdmin);
+        feeAdmin = _newAdmin;
+    }
+    
+    /**
+     * @dev Set the account protocol fees are paid to
+     */
+    function setTreasury(address _treasury) external onlyFeeAdmin {
+        require(_treasury != address(0), "Invalid treasury");
+        emit TreasuryUpdated(treasury, _treasury);
+        treasury = _treasury;
+    }
+    
+    /**
+     * @dev Pay the protocol fees accrued in `_token` to the treasury. Anyone
+     * can trigger it, but the fees only ever go to the current treasury
+     */
+    function withdrawFees(address _token) external nonReentrant {
+        uint256 amount = accruedFees[_token];
+        require(amount > 0, "No fees accrued");
+        accruedFees[_token] = 0;
+        _transferOut(_token, treasury, amount);
+        emit FeesWithdrawn(_token, treasury, amount);
+    }
+    
+    /**
+     * @dev Set the default protocol fee for swaps locked from now on
+     * @param _feeBps Basis points of the swap amount, at most MAX_PROTOCOL_FEE_BPS
+     */
+    function setProtocolFee(uint16 _feeBps) external onlyFeeAdmin {
+        _validateFee(_feeBps);
+        protocolFeeBps = _feeBps;
+        emit ProtocolFeeUpdated(_feeBps);
+    }
+    
+    /**
+     * @dev Override the protocol fee of one token (NATIVE_TOKEN for native swaps)
+     * @param _feeBps Basis points of the swap amount; 0 exempts the token
+     */
+    function setTokenFee(address _token, uint16 _feeBps) external onlyFeeAdmin {
+        _validateFee(_feeBps);
+        tokenFees[_token] = TokenFee({overridden: true, feeBps: _feeBps});
+        emit TokenFeeUpdated(_token, true, _feeBps);
+    }
+    
+    /**
+     * @dev Drop a token's override so it pays the default protocol fee again
+     */
+    function clearTokenFee(address _token) external onlyFeeAdmin {
+        delete tokenFees[_token];
+        emit TokenFeeUpdated(_token, false, 0);
+    }
+    
+    /**
+     * @dev Protocol fee rate a swap of `_token` locked now would pay
+     */
+    function protocolFeeFor(address _token) public view returns (uint16) {
+        TokenFee memory tokenFee = tokenFees[_token];
+        return tokenFee.overridden ? tokenFee.feeBps : protocolFeeBps;
+    }
+    
+    /**
+     * @dev Protocol fee a claim of the swap accrues for the treasury
+     */
+    function protocolFeeOf(bytes32 _swapId) public view returns (uint256) {
+        return swaps[_swapId].amount * swapFeeBps[_swapId] / BPS;
+    }
+    
+    function _validateFee(uint16 _feeBps) internal view {
+        require(_feeBps <= MAX_PROTOCOL_FEE_BPS, "Fee too high");
+        require(_feeBps == 0 || treasury != address(0), "Treasury not set");
+    }
+    
+    // Token Limits
+    
+    /**
+     * @dev Hand the token limits over to another account
+     */
+    function transferTokenAdmin(address _newAdmin) external onlyTokenAdmin {
+        require(_newAdmin != address(0), "Invalid token admin");
+        emit TokenAdminTransferred(tokenAdmin, _newAdmin);
+        tokenAdmin = _newAdmin;
+    }
+    
+    /**
+     * @dev Turn allowlist mode on or off; while on, only allowed tokens can be locked
+     */
+    function setAllowlistEnabled(bool _enabled) external onlyTokenAdmin {
+        allowlistEnabled = _enabled;
+        emit AllowlistModeUpdated(_enabled);
+    }
+    
+    /**
+     * @dev Add a token to the allowlist or remove it. Swaps already locked are not affected
+     */
+    function setTokenAllowed(address _token, bool _allowed) external onlyTokenAdmin {
+        tokenLimits[_token].allowed = _allowed;
+        emit TokenAllowedUpdated(_token, _allowed);
+    }
+    
+    /**
+     * @dev Set a token's lock limits; 0 for `_maxAmount` or `_maxLocked` means unlimited
+     * @param _minAmount Smallest amount per swap
+     * @param _maxAmount Largest amount per swap
+     * @param _maxLocked Cap on the token's total locked amount
+     */
+    function setTokenLimits(
+        address _token,
+        uint256 _minAmount,
+        uint256 _maxAmount,
+        uint256 _maxLocked
+    ) external onlyTokenAdmin {
+        require(_maxAmount == 0 || _minAmount <= _maxAmount, "Invalid limits");
+        TokenLimits storage limits = tokenLimits[_token];
+        limits.minAmount = _minAmount;
+        limits.maxAmount = _maxAmount;
+        limits.maxLocked = _maxLocked;
+        emit TokenLimitsUpdated(_token, _minAmount, _maxAmount, _maxLocked);
+    }
+    
+    /**
+     * @dev Whether `_token` can be locked under the current allowlist mode
+     */
+    function isTokenAllowed(address _token) public view returns (bool) {
+        return !allowlistEnabled || tokenLimits[_token].allowed;
+    }
+    
+    /**
+     * @dev Amount of `_token` that can still be locked before its cap is reached
+     */
+    function availableToLock(address _token) external view returns (uint256) {
+        uint256 maxLocked = tokenLimits[_token].maxLocked;
+        if (maxLocked == 0) return type(uint256).max;
+        uint256 locked = totalLocked[_token];
+        return locked >= maxLocked ? 0 : maxLocked - locked;
+    }
+    
+    /**
+     * @dev Check a new lock against its token's limits and count it as locked;
+     * a tranched lock is checked once, for the sum of its tranches
+     */
+    function _reserveTokenLimits(address _token, uint256 _amount) internal {
+        TokenLimits storage limits = tokenLimits[_token];
+        require(isTokenAllowed(_token), "Token not allowed");
+        require(_amount >= limits.minAmount, "Amount below minimum");
+        require(limits.maxAmount == 0 || _amount <= limits.maxAmount, "Amount above maximum");
+        uint256 locked = totalLocked[_token] + _amount;
+        require(limits.maxLocked == 0 || locked <= limits.maxLocked, "Token cap exceeded");
+        totalLocked[_token] = locked;
+    }
+    
+    // Batch Functions
+    
+    /**
+     * @dev Lock several ERC20 swaps in one transaction, each as a lockFunds call.
+     * Not payable: native swaps must be locked with lockFunds
+     * @param _locks lockFunds parameters per swap
+     * @return success Whether each lock went through
+     * @return results abi-encoded swapId of each lock, or its revert data
+     */
+    function batchLock(LockRequest[] calldata _locks) external returns (bool[] memory success, bytes[] memory results) {
+        bytes[] memory calls = new bytes[](_locks.length);
+        for (uint256 i = 0; i < _locks.length; i++) {
+            LockRequest calldata lock = _locks[i];
+            calls[i] = abi.encodeCall(
+                this.lockFunds,
+                (lock.clientSwapId, lock.recipient, lock.token, lock.amount, lock.hashlock, lock.timelock)
+            );
+        }
+        return _batch(calls);
+    }
+    
+    /**
+     * @dev Claim several swaps in one transaction, each as a claimFunds call
+     * @param _swapIds Swap contract IDs
+     * @param _secrets Secret for each swap
+     */
+    function batchClaim(
+        bytes32[] calldata _swapIds,
+        string[] calldata _secrets
+    ) external returns (bool[] memory success, bytes[] memory results) {
+        require(_swapIds.length == _secrets.length, "Length mismatch");
+        bytes[] memory calls = new bytes[](_swapIds.length);
+        for (uint256 i = 0; i < _swapIds.length; i++) {
+            calls[i] = abi.encodeCall(this.claimFunds, (_swapIds[i], _secrets[i]));
+        }
+        return _batch(calls);
+    }
+    
+    /**
+     * @dev Refund several expired swaps in one transaction, each as a refundFunds call
+     * @param _swapIds Swap contract IDs
+     */
+    function batchRefund(bytes32[] calldata _swapIds) external returns (bool[] memory success, bytes[] memory results) {
+        bytes[] memory calls = new bytes[](_swapIds.length);
+        for (uint256 i = 0; i < _swapIds.length; i++) {
+            calls[i] = abi.encodeCall(this.refundFunds, (_swapIds[i]));
+        }
+        return _batch(calls);
+    }
+    
+    /**
+     * @dev Run each call as a delegatecall to this contract, so msg.sender is kept
+     * and every item takes the reentrancy guard itself. A delegatecall also reuses
+     * msg.value, which is why the batch entry points are not payable
+     */
+    function _batch(bytes[] memory _calls) internal returns (bool[] memory success, bytes[] memory results) {
+        require(_calls.length > 0 && _calls.length <= MAX_BATCH_SIZE, "Invalid batch size");
+        success = new bool[](_calls.length);
+        results = new bytes[](_calls.length);
+        for (uint256 i = 0; i < _calls.length; i++) {
+            (success[i], results[i]) = address(this).delegatecall(_calls[i]);
+            if (!success[i]) emit BatchItemFailed(i, results[i]);
+        }
+    }
+    
+    function _hash(bytes memory _data, HashAlgorithm _hashAlgorithm) internal pure returns (bytes32) {
+        return _hashAlgorithm == HashAlgorithm.Sha256 ? sha256(_data) : keccak256(_data);
+    }
+    
+    /**
+     * @dev Validate a relay authorization and return its signer
+     */
+    function _recoverRelayAuthorization(
+        bytes32 _typehash,
+        bytes32 _swapId,
+        RelayAuthorization calldata _auth
+    ) internal view returns (address) {
+        require(block.timestamp <= _auth.deadline, "Signature expired");
+        require(_auth.relayer == address(0) || _auth.relayer == msg.sender, "Invalid relayer");
+        
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(_typehash, _swapId, _auth.relayer, _auth.fee, _auth.deadline))
+        );
+        return ECDSA.recover(digest, _auth.signature);
+    }
+    
+    /**
+     * @dev Pay out a swap, deducting the relayer fee (if any) for msg.sender
+     * and the protocol fee (if any), which accrues for the treasury
+     */
+    function _payOut(
+        bytes32 _swapId,
+        address _token,
+        address _to,
+        uint256 _amount,
+        uint256 _fee,
+        uint256 _protocolFee
+    ) internal {
+        require(_fee + _protocolFee <= _amount, "Fee exceeds amount");
+        _transferOut(_token, _to, _amount - _fee - _protocolFee);
+        if (_fee > 0) {
+            _transferOut(_token, msg.sender, _fee);
+            emit RelayerFeePaid(_swapId, msg.sender, _fee);
+        }
+        if (_protocolFee > 0) {
+            accruedFees[_token] += _protocolFee;
+            emit ProtocolFeePaid(_swapId, treasury, _protocolFee);
+        }
+    }
+    
+    /**
+     * @dev Send locked funds out, as native currency or ERC20
+     */
+    function _transferOut(address _token, address _to, uint256 _amount) internal {
+        if (_token == NATIVE_TOKEN) {
+            (bool success, ) = payable(_to).call{value: _amount}("");
+            require(success, "Transfer failed");
+        } else {
+            require(IERC20(_token).transfer(_to, _amount), "Transfer failed");
+        }
     }
     
     // Query Functions
@@ -223,7 +1010,7 @@ contract HTLC is ReentrancyGuard {
         return swap.isActive &&
                !swap.isClaimed &&
                block.timestamp <= swap.timelock &&
-               keccak256(abi.encodePacked(_secret)) == swap.hashlock;
+               _hash(bytes(_secret), hashAlgorithms[_swapId]) == swap.hashlock;
     }
     
     /**
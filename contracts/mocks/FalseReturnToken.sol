@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import '@openzeppelin/contracts/token/ERC20/ERC20.sol';
+
+// Returns false instead of reverting once failTransfers is set, like some older tokens
+contract FalseReturnToken is ERC20 {
+    bool public failTransfers;
+
+    constructor(uint256 initialSupply) ERC20("False Token", "FALSE") {
+        _mint(msg.sender, initialSupply);
+    }
+
+    function setFailTransfers(bool _failTransfers) external {
+        failTransfers = _failTransfers;
+    }
+
+    function transfer(address to, uint256 amount) public override returns (bool) {
+        if (failTransfers) return false;
+        return super.transfer(to, amount);
+    }
+
+    function transferFrom(address from, address to, uint256 amount) public override returns (bool) {
+        if (failTransfers) return false;
+        return super.transferFrom(from, to, amount);
+    }
+}
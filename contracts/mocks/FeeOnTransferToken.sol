@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import '@openzeppelin/contracts/token/ERC20/ERC20.sol';
+
+// Burns feeBps of every transfer, so the receiver gets less than `amount`
+contract FeeOnTransferToken is ERC20 {
+    uint256 public feeBps;
+
+    constructor(uint256 initialSupply, uint256 _feeBps) ERC20("Fee Token", "FEE") {
+        feeBps = _feeBps;
+        _mint(msg.sender, initialSupply);
+    }
+
+    function setFeeBps(uint256 _feeBps) external {
+        feeBps = _feeBps;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal override {
+        uint256 fee = (amount * feeBps) / 10000;
+        if (fee > 0) _burn(from, fee);
+        super._transfer(from, to, amount - fee);
+    }
+}
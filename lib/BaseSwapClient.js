@@ -0,0 +1,254 @@
+const { ethers } = require("ethers");
+const { signRelayAuthorization, signRecipientTransfer } = require("./meta-tx");
+const { deriveTrancheId, summarizeTranches } = require("./tranches");
+const { SwapStatus } = require("./swap-status");
+const { chunk, batchOutcomes } = require("./batch");
+const { HashAlgorithm } = require("./secrets");
+
+const ERC20_ABI = [
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function balanceOf(address owner) view returns (uint256)"
+];
+
+// EIP-2612 permit and the EIP-5267 domain lookup used to sign it
+const ERC20_PERMIT_ABI = [
+    "function name() view returns (string)",
+    "function nonces(address owner) view returns (uint256)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)"
+];
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+// Seconds a permit signed by lock() stays valid
+const DEFAULT_PERMIT_DURATION = 3600;
+
+// Token address both contracts use for the chain's native currency (ETH/BNB)
+const NATIVE_TOKEN = ethers.constants.AddressZero;
+
+function isNativeToken(token) {
+    return !token || token.toLowerCase() === NATIVE_TOKEN;
+}
+
+/**
+ * Shared plumbing for SwapClient and FppSwapClient: signer handling,
+ * token approvals and timelock resolution.
+ */
+class BaseSwapClient {
+    /**
+     * @param {ethers.Contract} contract Deployed HTLC or FPPHTLC instance
+     * @param {ethers.Signer} [signer] Signer used for transactions (defaults to contract.signer)
+     */
+    constructor(contract, signer) {
+        if (!contract) throw new Error("Contract instance required");
+        this.signer = signer || contract.signer;
+        this.contract = this.signer ? contract.connect(this.signer) : contract;
+        this.provider = this.contract.provider || (this.signer && this.signer.provider);
+    }
+
+    get address() {
+        return this.contract.address;
+    }
+
+    async _requireSigner() {
+        if (!this.signer) throw new Error("A signer is required for this operation");
+        return this.signer.getAddress();
+    }
+
+    async latestTimestamp() {
+        const block = await this.provider.getBlock("latest");
+        return block.timestamp;
+    }
+
+    // Accept either an absolute `timelock` or a `timelockDuration` in seconds from now
+    async _resolveTimelock({ timelock, timelockDuration }) {
+        if (timelock !== undefined) return Number(timelock);
+        if (timelockDuration === undefined) throw new Error("timelock or timelockDuration required");
+        return (await this.latestTimestamp()) + Number(timelockDuration);
+    }
+
+    /**
+     * Approve the swap contract to pull `amount` of `token` if the current
+     * allowance is too low. Returns the approval receipt, or null if none was
+     * needed (including native currency, which is sent with the lock).
+     */
+    async ensureAllowance(token, amount) {
+        const owner = await this._requireSigner();
+        if (isNativeToken(token)) return null;
+        const erc20 = new ethers.Contract(token, ERC20_ABI, this.signer);
+        const allowance = await erc20.allowance(owner, this.address);
+        if (allowance.gte(amount)) return null;
+        const tx = await erc20.approve(this.address, amount);
+        return tx.wait();
+    }
+
+    /**
+     * Sign an EIP-2612 permit letting the swap contract pull `amount` of `token`.
+     * @param {number} [deadline] Unix timestamp (defaults to one hour from the latest block)
+     * @returns {Promise<Object>} { deadline, v, r, s } as taken by lockFundsWithPermit
+     */
+    async signPermit(token, amount, deadline) {
+        const owner = await this._requireSigner();
+        if (isNativeToken(token)) throw new Error("Permit requires an ERC20 token");
+        const erc20 = new ethers.Contract(token, ERC20_PERMIT_ABI, this.provider);
+        if (deadline === undefined) deadline = (await this.latestTimestamp()) + DEFAULT_PERMIT_DURATION;
+
+        const [nonce, domain] = await Promise.all([erc20.nonces(owner), this._permitDomain(erc20)]);
+        const signature = await this.signer._signTypedData(domain, PERMIT_TYPES, {
+            owner, spender: this.address, value: amount, nonce, deadline
+        });
+        const { v, r, s } = ethers.utils.splitSignature(signature);
+        return { deadline, v, r, s };
+    }
+
+    // Prefer the token's EIP-5267 domain; fall back to the OpenZeppelin default version "1"
+    async _permitDomain(erc20) {
+        try {
+            const domain = await erc20.eip712Domain();
+            return {
+                name: domain.name,
+                version: domain.version,
+                chainId: domain.chainId,
+                verifyingContract: domain.verifyingContract
+            };
+        } catch (error) {
+            const { chainId } = await this.provider.getNetwork();
+            return { name: await erc20.name(), version: "1", chainId, verifyingContract: erc20.address };
+        }
+    }
+
+    /**
+     * Sign a gasless claim for a swap payable to this signer. A relayer submits
+     * it with claimBySig() and receives `fee` out of the swap amount.
+     * @param {Object} [options] { relayer (default: any), fee (default 0), deadline }
+     */
+    async signClaim(swapId, options = {}) {
+        await this._requireSigner();
+        return signRelayAuthorization(this.signer, this.contract, "Claim", { swapId, ...options });
+    }
+
+    // Same as signClaim(), for refunding a swap this signer initiated
+    async signRefund(swapId, options = {}) {
+        await this._requireSigner();
+        return signRelayAuthorization(this.signer, this.contract, "Refund", { swapId, ...options });
+    }
+
+    /**
+     * Sign over a pending swap payable to this signer to `newRecipient`. Anyone
+     * can submit the result with transferRecipient().
+     * @param {Object} [options] { deadline }
+     * @returns {Promise<Object>} { swapId, newRecipient, nonce, deadline, signature }
+     */
+    async signRecipientTransfer(swapId, newRecipient, { deadline } = {}) {
+        await this._requireSigner();
+        return signRecipientTransfer(this.signer, this.contract, { swapId, newRecipient, deadline });
+    }
+
+    // Submit a transfer signed with signRecipientTransfer()
+    async transferRecipient(transfer, overrides = {}) {
+        await this._requireSigner();
+        const tx = await this.contract.transferRecipient(
+            transfer.swapId, transfer.newRecipient, transfer.deadline, transfer.signature, overrides
+        );
+        return tx.wait();
+    }
+
+    /**
+     * Read every tranche locked under `swapId` by lockTranches().
+     * @returns {Promise<Object>} { swapId, tranches: [{ index, ...getStatus() }],
+     *   totalAmount, claimedAmount, refundedAmount, openAmount }
+     */
+    async getTranches(swapId) {
+        const count = (await this.contract.trancheCounts(swapId)).toNumber();
+        const tranches = await Promise.all(Array.from({ length: count }, async (_, index) => ({
+            index,
+            ...(await this.getStatus(deriveTrancheId(swapId, index)))
+        })));
+        return { swapId, tranches, ...summarizeTranches(tranches) };
+    }
+
+    /**
+     * Refund every expired, unclaimed tranche of a swap this signer initiated.
+     * @returns {Promise<Object[]>} One receipt per refunded tranche
+     */
+    async refundTranches(swapId, overrides = {}) {
+        await this._requireSigner();
+        const { tranches } = await this.getTranches(swapId);
+        const receipts = [];
+        for (const tranche of tranches) {
+            if (tranche.status === SwapStatus.EXPIRED) receipts.push(await this.refund(tranche.swapId, overrides));
+        }
+        return receipts;
+    }
+
+    /**
+     * Lock prepared swaps through batchLock, `batchSize` (default 32) per transaction.
+     * Native swaps cannot be batched: the batch entry points are not payable.
+     * @param {Object[]} swaps Results of prepareSwap()
+     * @param {Object} [options] { approve: approve each token's total first if needed, batchSize, overrides }
+     * @returns {Promise<Object[]>} [{ swapId, success, error, receipt }] in input order
+     */
+    async batchLock(swaps, { approve = false, batchSize, overrides = {} } = {}) {
+        await this._requireSigner();
+        if (swaps.some((swap) => isNativeToken(swap.token))) throw new Error("Native swaps cannot be batch locked");
+        swaps.forEach((swap) => this._requireKeccak(swap, "Batch"));
+        if (approve) {
+            const totals = new Map();
+            for (const swap of swaps) {
+                const token = ethers.utils.getAddress(swap.token);
+                totals.set(token, (totals.get(token) || ethers.constants.Zero).add(swap.amount));
+            }
+            for (const [token, total] of totals) await this.ensureAllowance(token, total);
+        }
+        return this._sendBatch(
+            swaps,
+            (part) => this.contract.batchLock(part.map((swap) => this._lockRequest(swap)), overrides),
+            (swap) => swap.swapId,
+            batchSize
+        );
+    }
+
+    // Refund expired swaps through batchRefund; same result shape as batchLock()
+    async batchRefund(swapIds, { batchSize, overrides = {} } = {}) {
+        await this._requireSigner();
+        return this._sendBatch(swapIds, (part) => this.contract.batchRefund(part, overrides), (swapId) => swapId, batchSize);
+    }
+
+    // Send `items` in chunks and label each item's outcome with its swapId
+    async _sendBatch(items, send, swapIdOf, batchSize) {
+        const outcomes = [];
+        for (const part of chunk(items, batchSize)) {
+            const receipt = await (await send(part)).wait();
+            outcomes.push(...batchOutcomes(receipt, part.length).map(({ index, ...outcome }) => ({
+                swapId: swapIdOf(part[index]),
+                ...outcome,
+                receipt
+            })));
+        }
+        return outcomes;
+    }
+
+    // Only lockFundsWithHashAlgorithm takes another algorithm; the other lock paths are keccak256
+    _isKeccak(swap) {
+        return !swap.hashAlgorithm || swap.hashAlgorithm === HashAlgorithm.KECCAK256;
+    }
+
+    _requireKeccak(swap, lockType) {
+        if (!this._isKeccak(swap)) throw new Error(`${lockType} locks only support keccak256 swaps`);
+    }
+
+    // Native locks carry the amount as msg.value
+    _lockOverrides(swap, overrides) {
+        return isNativeToken(swap.token) ? { ...overrides, value: swap.amount } : overrides;
+    }
+}
+
+module.exports = { BaseSwapClient, ERC20_ABI, ERC20_PERMIT_ABI, NATIVE_TOKEN, isNativeToken };
@@ -0,0 +1,185 @@
+const { ethers } = require("ethers");
+const { SwapStatus } = require("./swap-status");
+const { HashAlgorithm } = require("./secrets");
+const { timelockRequirements } = require("./timelocks");
+
+// Blocks searched for the lock event when no fromBlock is given
+const DEFAULT_LOOKBACK_BLOCKS = 5000;
+
+class CounterpartyVerificationError extends Error {
+    constructor(swapId, reasons) {
+        super(`Counterparty lock ${swapId} failed verification: ${reasons.join("; ")}`);
+        this.swapId = swapId;
+        this.reasons = reasons;
+    }
+}
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Checks the counterparty's lock on the other chain before we claim from it
+ * (HTLC: claiming reveals our secret) or reveal a secret for it (FPPHTLC).
+ *
+ * verify() waits until the lock's SwapInitiated event has `confirmations`
+ * blocks, reads the swap through getSwap and compares it with the agreed
+ * terms. Any mismatch throws CounterpartyVerificationError listing every
+ * reason, so the caller never proceeds on a partially checked lock.
+ *
+ * Timelock ordering: the initiator reveals first, so the counterparty's lock
+ * must expire at least `minTimelockGap` seconds before the initiator's own.
+ * Verifying as the counterparty flips the check. Either way the lock must
+ * still have `minTimeRemaining` seconds left on its chain. Both default to
+ * timelockRequirements() for the swap's networks (`minGap` and
+ * `minClaimWindow`), the same margins planTimelocks() locks with.
+ */
+class CounterpartyVerifier {
+    /**
+     * @param {SwapClient|FppSwapClient} client Client on the counterparty's chain
+     * @param {Object} [options]
+     * @param {number} [options.confirmations] Blocks the lock needs before it is trusted
+     * @param {string} [options.initiatorNetwork] Network of the initiator's lock, for the default margins
+     * @param {string} [options.counterpartyNetwork] Network of the counterparty's lock, for the default margins
+     * @param {number} [options.safetyFactor] Safety factor of the default margins (see timelockRequirements)
+     * @param {Object} [options.timing] Network timing overrides for the default margins
+     * @param {number} [options.minTimelockGap] Seconds between the two timelocks
+     * @param {number} [options.minTimeRemaining] Seconds the lock must still run
+     * @param {number} [options.pollInterval] Milliseconds between confirmation checks
+     * @param {number} [options.timeout] Milliseconds to wait for confirmations
+     */
+    constructor(client, {
+        confirmations = 1,
+        initiatorNetwork,
+        counterpartyNetwork,
+        safetyFactor,
+        timing,
+        minTimelockGap,
+        minTimeRemaining,
+        pollInterval = 2000,
+        timeout = 300000
+    } = {}) {
+        const requirements = timelockRequirements({ initiatorNetwork, counterpartyNetwork, safetyFactor, timing });
+        this.client = client;
+        this.confirmations = confirmations;
+        this.minTimelockGap = minTimelockGap ?? requirements.minGap;
+        this.minTimeRemaining = minTimeRemaining ?? requirements.minClaimWindow;
+        this.pollInterval = pollInterval;
+        this.timeout = timeout;
+    }
+
+    /**
+     * Confirmations of the lock's SwapInitiated event (0 if not found).
+     * @returns {Promise<Object>} { confirmations, blockNumber, txHash }
+     */
+    async lockConfirmations(swapId, fromBlock) {
+        const { contract, provider } = this.client;
+        const latestBlock = await provider.getBlockNumber();
+        if (fromBlock === undefined) fromBlock = Math.max(0, latestBlock - DEFAULT_LOOKBACK_BLOCKS);
+        const [event] = await contract.queryFilter(contract.filters.SwapInitiated(swapId), fromBlock, latestBlock);
+        if (!event) return { confirmations: 0, blockNumber: null, txHash: null };
+        return {
+            confirmations: latestBlock - event.blockNumber + 1,
+            blockNumber: event.blockNumber,
+            txHash: event.transactionHash
+        };
+    }
+
+    /**
+     * Compare the lock with the agreed terms without waiting.
+     * @param {string} swapId Counterparty's on-chain swapId
+     * @param {Object} expected
+     * @param {string} expected.recipient Our address on the counterparty's chain
+     * @param {string} expected.token
+     * @param {ethers.BigNumberish} expected.amount
+     * @param {string} [expected.hashlock] HTLC: hashlock of our secret
+     * @param {string} [expected.combinedHash] FPPHTLC: combined hash both parties agreed on
+     * @param {string} [expected.hashAlgorithm] Agreed hash algorithm (default "keccak256")
+     * @param {string} [expected.initiator] Counterparty's address
+     * @param {string} [expected.network] FPPHTLC network label
+     * @param {number} [expected.ownTimelock] Timelock of our own lock
+     * @param {string} [expected.role] Our role: "initiator" (default) or "counterparty"
+     * @returns {Promise<Object>} { swap, reasons } where reasons is empty when the lock is safe
+     */
+    async check(swapId, expected) {
+        const [swap, now] = await Promise.all([this.client.getStatus(swapId), this.client.latestTimestamp()]);
+        const reasons = [];
+
+        if (swap.status !== SwapStatus.ACTIVE) {
+            reasons.push(`Lock is ${swap.status}`);
+            if (swap.status === SwapStatus.EMPTY) return { swap, reasons };
+        }
+        if (expected.initiator && !sameAddress(swap.initiator, expected.initiator)) {
+            reasons.push(`Initiator is ${swap.initiator}, expected ${expected.initiator}`);
+        }
+        if (!sameAddress(swap.recipient, expected.recipient)) {
+            reasons.push(`Recipient is ${swap.recipient}, expected ${expected.recipient}`);
+        }
+        if (!sameAddress(swap.token, expected.token)) {
+            reasons.push(`Token is ${swap.token}, expected ${expected.token}`);
+        }
+        if (!ethers.BigNumber.from(swap.amount).eq(expected.amount)) {
+            reasons.push(`Amount is ${swap.amount}, expected ${expected.amount}`);
+        }
+        if (expected.hashlock && swap.hashlock !== expected.hashlock) {
+            reasons.push("Hashlock does not match our secret");
+        }
+        if (expected.combinedHash && swap.combinedHash !== expected.combinedHash) {
+            reasons.push("combinedHash does not match the agreed hashes");
+        }
+        // A claim against the wrong algorithm reverts but still publishes our secret
+        const hashAlgorithm = expected.hashAlgorithm || HashAlgorithm.KECCAK256;
+        if (swap.hashAlgorithm !== hashAlgorithm) {
+            reasons.push(`Hash algorithm is ${swap.hashAlgorithm}, expected ${hashAlgorithm}`);
+        }
+        if (expected.network !== undefined && swap.network !== undefined && swap.network !== expected.network) {
+            reasons.push(`Network label is "${swap.network}", expected "${expected.network}"`);
+        }
+        reasons.push(...this._checkTimelock(swap.timelock, now, expected));
+        return { swap, reasons };
+    }
+
+    _checkTimelock(timelock, now, { ownTimelock, role = "initiator" }) {
+        const reasons = [];
+        if (timelock - now < this.minTimeRemaining) {
+            reasons.push(`Lock expires in ${timelock - now}s, below the ${this.minTimeRemaining}s minimum`);
+        }
+        if (ownTimelock === undefined) return reasons;
+
+        // Seconds by which the initiator's lock outlives the counterparty's
+        const gap = role === "initiator" ? Number(ownTimelock) - timelock : timelock - Number(ownTimelock);
+        if (gap <= 0) {
+            reasons.push(role === "initiator"
+                ? "Lock does not expire before our own lock"
+                : "Lock does not outlast our own lock");
+        } else if (gap < this.minTimelockGap) {
+            reasons.push(`Timelocks are ${gap}s apart, below the ${this.minTimelockGap}s safety margin`);
+        }
+        return reasons;
+    }
+
+    /**
+     * Wait for `confirmations`, then check the lock against `expected` (see check()).
+     * @param {Object} [options] { fromBlock: first block searched for the lock event }
+     * @returns {Promise<Object>} The verified swap, as returned by getStatus()
+     * @throws {CounterpartyVerificationError} With every reason the lock is unsafe
+     */
+    async verify(swapId, expected, { fromBlock } = {}) {
+        const deadline = Date.now() + this.timeout;
+        let lock = await this.lockConfirmations(swapId, fromBlock);
+        while (lock.confirmations < this.confirmations && Date.now() < deadline) {
+            await new Promise((resolve) => setTimeout(resolve, this.pollInterval));
+            lock = await this.lockConfirmations(swapId, fromBlock);
+        }
+        if (lock.confirmations === 0) throw new CounterpartyVerificationError(swapId, ["Lock not found"]);
+        if (lock.confirmations < this.confirmations) {
+            throw new CounterpartyVerificationError(swapId, [
+                `Lock has ${lock.confirmations} of ${this.confirmations} confirmations`
+            ]);
+        }
+
+        const { swap, reasons } = await this.check(swapId, expected);
+        if (reasons.length > 0) throw new CounterpartyVerificationError(swapId, reasons);
+        return swap;
+    }
+}
+
+module.exports = { CounterpartyVerifier, CounterpartyVerificationError };
@@ -0,0 +1,87 @@
+const { JsonStateStore } = require("./JsonStateStore");
+
+/**
+ * Record of a step-based deployment to one network, so an interrupted run
+ * resumes where it stopped. A step is marked done once it completes and is
+ * skipped by later runs; a step that throws is marked failed with its error
+ * and runs again next time.
+ *
+ *   {
+ *     network, chainId, factory, salt,
+ *     contracts: { [name]: { contract, address, constructorArgs, bytecodeHash,
+ *                            transactionHash, blockNumber, verification: { status, error } } },
+ *     steps: { [step]: { status: "done" | "failed", error, updatedAt } }
+ *   }
+ */
+class DeploymentManifest {
+    /**
+     * @param {string} filePath Manifest file, e.g. deployments/sepolia.json
+     * @param {Object} header { network, chainId, factory, salt } of the deployment
+     */
+    constructor(filePath, header) {
+        this.filePath = filePath;
+        this.store = new JsonStateStore(filePath, { ...header, contracts: {}, steps: {} });
+        this.data = this.store.load();
+
+        if (this.data.chainId !== header.chainId) {
+            throw new Error(`Manifest ${filePath} is for chain ${this.data.chainId}, not ${header.chainId}`);
+        }
+    }
+
+    get contracts() {
+        return this.data.contracts;
+    }
+
+    get steps() {
+        return this.data.steps;
+    }
+
+    isDone(step) {
+        return this.data.steps[step]?.status === "done";
+    }
+
+    /**
+     * Run `fn` unless `step` is already done, and record the outcome.
+     * @param {string} step Step name, e.g. "deploy:HTLC"
+     * @param {Function} fn Async step body
+     * @returns {Promise<boolean>} Whether the step ran
+     */
+    async step(step, fn) {
+        if (this.isDone(step)) return false;
+        try {
+            await fn();
+        } catch (error) {
+            this.data.steps[step] = { status: "failed", error: error.message, updatedAt: new Date().toISOString() };
+            this.save();
+            throw error;
+        }
+        this.data.steps[step] = { status: "done", updatedAt: new Date().toISOString() };
+        this.save();
+        return true;
+    }
+
+    /**
+     * Forget steps so the next run repeats them.
+     * @param {...string} steps
+     */
+    reset(...steps) {
+        for (const step of steps) delete this.data.steps[step];
+        this.save();
+    }
+
+    /**
+     * Merge `fields` into a contract's record.
+     * @param {string} name Contract name, e.g. "HTLC"
+     * @param {Object} fields
+     */
+    recordContract(name, fields) {
+        this.data.contracts[name] = { ...this.data.contracts[name], ...fields };
+        this.save();
+    }
+
+    save() {
+        this.store.save(this.data);
+    }
+}
+
+module.exports = { DeploymentManifest };
@@ -0,0 +1,296 @@
+const { BaseSwapClient, isNativeToken } = require("./BaseSwapClient");
+const {
+    HashAlgorithm, hashAlgorithmId, hashAlgorithmName, generateSecret, hashSecret, combineHashes, combinePartyHashes,
+    generateSwapId, deriveSwapId
+} = require("./secrets");
+const { statusFromState } = require("./swap-status");
+const { planTranches, deriveTrancheId } = require("./tranches");
+
+/**
+ * Client for the FPPHTLC contract.
+ *
+ * Each party generates its own secret and shares only the hash. Every lock is
+ * bound to combineHashes(lockerHash, counterpartyHash), so both legs can be
+ * locked in parallel and each claim needs both secrets.
+ *
+ * Ring swaps among N parties lock each leg against combinePartyHashes over all
+ * N hashes, starting with the locker's (see ringCommitments); claiming a leg
+ * takes all N secrets.
+ *
+ * Tranched swaps (prepareTranchedSwap/lockTranches) give the locker one secret
+ * per tranche, so releasing a tranche's secret lets the counterparty claim only
+ * that tranche; the rest can be refunded after the timelock.
+ *
+ * With hashAlgorithm "sha256" both the secrets and the combined hash use
+ * SHA-256, so a party hash can be a Lightning payment hash.
+ */
+class FppSwapClient extends BaseSwapClient {
+    /**
+     * Build the parameters for a lock without sending any transaction.
+     * @param {Object} params
+     * @param {string} [params.counterpartyHash] Hash of the recipient's secret
+     * @param {string[]} [params.partyHashes] Ring swaps: the other parties' hashes in ring
+     *   order, starting with the recipient's (instead of counterpartyHash). Throws unless
+     *   they make 2 to MAX_PARTIES distinct nonzero hashes together with the own one
+     * @param {string} [params.secret] Own bytes32 secret (generated if omitted)
+     * @param {string} [params.network] Network label stored with the swap
+     * @param {string} [params.hashAlgorithm] "keccak256" (default) or "sha256"; the other
+     *   parties' hashes must use the same algorithm
+     * @param {string} [params.clientSwapId] Id passed to lockFunds (generated if omitted); the
+     *   on-chain swapId is derived from it and this signer's address
+     * @returns {Promise<Object>} { swapId, clientSwapId, recipient, token, amount, combinedHash, hashAlgorithm, timelock,
+     *   network, secret, secretHash, counterpartyHash, partyHashes }
+     */
+    async prepareSwap({
+        recipient, token, amount, counterpartyHash, partyHashes, secret, clientSwapId, network = "",
+        hashAlgorithm = HashAlgorithm.KECCAK256, timelock, timelockDuration
+    }) {
+        if (!counterpartyHash && !partyHashes) throw new Error("counterpartyHash required");
+        const initiator = await this._requireSigner();
+        secret = secret || generateSecret();
+        const secretHash = hashSecret(secret, hashAlgorithm);
+        clientSwapId = clientSwapId || generateSwapId("fpphtlc");
+        return {
+            swapId: deriveSwapId(initiator, clientSwapId),
+            clientSwapId,
+            recipient,
+            token,
+            amount,
+            combinedHash: partyHashes
+                ? combinePartyHashes([secretHash, ...partyHashes], hashAlgorithm)
+                : combineHashes(secretHash, counterpartyHash, hashAlgorithm),
+            hashAlgorithm,
+            timelock: await this._resolveTimelock({ timelock, timelockDuration }),
+            network,
+            secret,
+            secretHash,
+            counterpartyHash: counterpartyHash || partyHashes[0],
+            partyHashes: partyHashes || [counterpartyHash]
+        };
+    }
+
+    /**
+     * Lock funds for a prepared swap.
+     * @param {Object} swap Result of prepareSwap()
+     * @param {Object} [options] { approve: approve the token first if needed,
+     *   permit: sign an EIP-2612 permit and lock in one transaction (ignored for native
+     *   currency), permitDeadline, overrides, onSubmitted: called with the lock
+     *   transaction before it is mined }
+     * @returns {Promise<Object>} { swapId, receipt }
+     */
+    async lock(swap, { approve = false, permit = false, permitDeadline, overrides = {}, onSubmitted } = {}) {
+        await this._requireSigner();
+        if (permit && !isNativeToken(swap.token)) {
+            this._requireKeccak(swap, "Permit");
+            const signature = await this.signPermit(swap.token, swap.amount, permitDeadline);
+            const tx = await this.contract.lockFundsWithPermit(
+                swap.recipient, swap.token, swap.amount, swap.combinedHash,
+                swap.timelock, swap.network, swap.clientSwapId, signature, overrides
+            );
+            if (onSubmitted) await onSubmitted(tx);
+            return { swapId: swap.swapId, receipt: await tx.wait() };
+        }
+        if (approve) await this.ensureAllowance(swap.token, swap.amount);
+        const args = [swap.recipient, swap.token, swap.amount, swap.combinedHash, swap.timelock, swap.network, swap.clientSwapId];
+        const tx = this._isKeccak(swap)
+            ? await this.contract.lockFunds(...args, this._lockOverrides(swap, overrides))
+            : await this.contract.lockFundsWithHashAlgorithm(
+                ...args, hashAlgorithmId(swap.hashAlgorithm), this._lockOverrides(swap, overrides)
+            );
+        if (onSubmitted) await onSubmitted(tx);
+        return { swapId: swap.swapId, receipt: await tx.wait() };
+    }
+
+    /**
+     * Build the parameters for a tranched lock without sending any transaction.
+     * @param {Object} params
+     * @param {number} [params.count] Split `amount` into this many equal tranches
+     * @param {BigNumberish[]} [params.amounts] Explicit tranche amounts (instead of count)
+     * @param {string} [params.counterpartyHash] Recipient's hash, shared by all tranches
+     * @param {string[]} [params.counterpartyHashes] One recipient hash per tranche (instead of counterpartyHash)
+     * @param {string[]} [params.secrets] Own bytes32 secret per tranche (generated if omitted)
+     * @returns {Promise<Object>} { swapId, clientSwapId, recipient, token, amount, timelock, network,
+     *   tranches: [{ index, trancheId, amount, combinedHash, secret, secretHash, counterpartyHash }] }
+     */
+    async prepareTranchedSwap({
+        recipient, token, amount, count, amounts, counterpartyHash, counterpartyHashes, secrets,
+        clientSwapId, network = "", timelock, timelockDuration
+    }) {
+        if (!counterpartyHash && !counterpartyHashes) throw new Error("counterpartyHash required");
+        const initiator = await this._requireSigner();
+        amounts = planTranches(amount, { count, amounts });
+        if (counterpartyHashes && counterpartyHashes.length !== amounts.length) {
+            throw new Error("One counterpartyHash per tranche required");
+        }
+        clientSwapId = clientSwapId || generateSwapId("fpphtlc");
+        const swapId = deriveSwapId(initiator, clientSwapId);
+        return {
+            swapId,
+            clientSwapId,
+            recipient,
+            token,
+            amount: amounts.reduce((total, trancheAmount) => total.add(trancheAmount)),
+            timelock: await this._resolveTimelock({ timelock, timelockDuration }),
+            network,
+            tranches: amounts.map((trancheAmount, index) => {
+                const secret = (secrets && secrets[index]) || generateSecret();
+                const secretHash = hashSecret(secret);
+                const trancheCounterpartyHash = counterpartyHashes ? counterpartyHashes[index] : counterpartyHash;
+                return {
+                    index,
+                    trancheId: deriveTrancheId(swapId, index),
+                    amount: trancheAmount,
+                    combinedHash: combineHashes(secretHash, trancheCounterpartyHash),
+                    secret,
+                    secretHash,
+                    counterpartyHash: trancheCounterpartyHash
+                };
+            })
+        };
+    }
+
+    /**
+     * Lock all tranches of a prepared tranched swap in one transaction.
+     * @param {Object} swap Result of prepareTranchedSwap()
+     * @param {Object} [options] { approve: approve the token total first if needed, overrides }
+     * @returns {Promise<Object>} { swapId, trancheIds, receipt }
+     */
+    async lockTranches(swap, { approve = false, overrides = {} } = {}) {
+        await this._requireSigner();
+        if (approve) await this.ensureAllowance(swap.token, swap.amount);
+        const tx = await this.contract.lockTranches(
+            swap.recipient, swap.token,
+            swap.tranches.map((tranche) => tranche.amount),
+            swap.tranches.map((tranche) => tranche.combinedHash),
+            swap.timelock, swap.network, swap.clientSwapId, this._lockOverrides(swap, overrides)
+        );
+        return {
+            swapId: swap.swapId,
+            trancheIds: swap.tranches.map((tranche) => tranche.trancheId),
+            receipt: await tx.wait()
+        };
+    }
+
+    /**
+     * Claim a swap locked for this signer.
+     * @param {string} swapId
+     * @param {string} initiatorSecret Secret of the party that locked the swap
+     * @param {string} recipientSecret Secret of the claiming party
+     */
+    async claim(swapId, initiatorSecret, recipientSecret, overrides = {}) {
+        await this._requireSigner();
+        const tx = await this.contract.claimFunds(swapId, initiatorSecret, recipientSecret, overrides);
+        return tx.wait();
+    }
+
+    // Same as claim(), sending the funds to `beneficiary` (e.g. cold storage) instead of this signer
+    async claimTo(swapId, initiatorSecret, recipientSecret, beneficiary, overrides = {}) {
+        await this._requireSigner();
+        const tx = await this.contract.claimFundsTo(swapId, initiatorSecret, recipientSecret, beneficiary, overrides);
+        return tx.wait();
+    }
+
+    /**
+     * Claim a ring leg locked for this signer.
+     * @param {string} swapId
+     * @param {string[]} secrets All parties' secrets in the leg's commitment order (see ringOrder)
+     */
+    async claimMultiParty(swapId, secrets, overrides = {}) {
+        await this._requireSigner();
+        const tx = await this.contract.claimFundsMultiParty(swapId, secrets, overrides);
+        return tx.wait();
+    }
+
+    /**
+     * Claim several swaps through batchClaim; see batchLock() for options and results.
+     * @param {Object[]} claims [{ swapId, initiatorSecret, recipientSecret }]
+     */
+    async batchClaim(claims, { batchSize, overrides = {} } = {}) {
+        await this._requireSigner();
+        return this._sendBatch(
+            claims,
+            (part) => this.contract.batchClaim(
+                part.map((c) => c.swapId), part.map((c) => c.initiatorSecret), part.map((c) => c.recipientSecret), overrides
+            ),
+            (claim) => claim.swapId,
+            batchSize
+        );
+    }
+
+    async refund(swapId, overrides = {}) {
+        await this._requireSigner();
+        const tx = await this.contract.refund(swapId, overrides);
+        return tx.wait();
+    }
+
+    // Relayer side: submit a claim signed by the recipient (see signClaim)
+    async claimBySig(swapId, initiatorSecret, recipientSecret, auth, overrides = {}) {
+        await this._requireSigner();
+        const tx = await this.contract.claimFundsBySig(swapId, initiatorSecret, recipientSecret, auth, overrides);
+        return tx.wait();
+    }
+
+    async refundBySig(swapId, auth, overrides = {}) {
+        await this._requireSigner();
+        const tx = await this.contract.refundBySig(swapId, auth, overrides);
+        return tx.wait();
+    }
+
+    // lockFunds parameters of a prepared swap, as taken by batchLock
+    _lockRequest(swap) {
+        return {
+            recipient: swap.recipient,
+            token: swap.token,
+            amount: swap.amount,
+            combinedHash: swap.combinedHash,
+            timelock: swap.timelock,
+            network: swap.network,
+            clientSwapId: swap.clientSwapId
+        };
+    }
+
+    async canClaim(swapId, initiatorSecret, recipientSecret) {
+        return this.contract.canClaim(swapId, initiatorSecret, recipientSecret);
+    }
+
+    async verifyMultiPartySecrets(swapId, secrets) {
+        return this.contract.verifyMultiPartySecrets(swapId, secrets);
+    }
+
+    async canRefund(swapId) {
+        return this.contract.canRefund(swapId);
+    }
+
+    // True when the two secrets open the swap's combinedHash, regardless of its state
+    async verifySecrets(swapId, initiatorSecret, recipientSecret) {
+        return this.contract.verifySecrets(swapId, initiatorSecret, recipientSecret);
+    }
+
+    /**
+     * Read a swap and its on-chain status (Empty/Active/Claimed/Refunded/Expired).
+     * `protocolFee` is what a claim sets aside for the treasury out of `amount`.
+     */
+    async getStatus(swapId) {
+        const [swap, hashAlgorithm, protocolFee] = await Promise.all([
+            this.contract.getSwap(swapId), this.contract.hashAlgorithms(swapId), this.contract.protocolFeeOf(swapId)
+        ]);
+        return {
+            swapId,
+            status: statusFromState(swap.state),
+            initiator: swap.initiator,
+            recipient: swap.recipient,
+            token: swap.token,
+            amount: swap.amount,
+            protocolFee,
+            combinedHash: swap.combinedHash,
+            hashAlgorithm: hashAlgorithmName(hashAlgorithm),
+            timelock: swap.timelock.toNumber(),
+            network: swap.network,
+            isActive: swap.isActive,
+            isClaimed: swap.isClaimed,
+            isRefunded: swap.isRefunded
+        };
+    }
+}
+
+module.exports = { FppSwapClient };
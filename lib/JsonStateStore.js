@@ -0,0 +1,32 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Minimal JSON file store used by long-running processes to survive restarts.
+ * Writes go to a temporary file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated state file behind.
+ */
+class JsonStateStore {
+    /**
+     * @param {string} filePath Location of the state file
+     * @param {Object} [initialState] State used when the file does not exist yet
+     */
+    constructor(filePath, initialState = {}) {
+        this.filePath = filePath;
+        this.initialState = initialState;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return JSON.parse(JSON.stringify(this.initialState));
+        return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    }
+
+    save(state) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(state, null, 4));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+}
+
+module.exports = { JsonStateStore };
@@ -0,0 +1,247 @@
+const { BaseSwapClient, isNativeToken } = require("./BaseSwapClient");
+const {
+    HashAlgorithm, hashAlgorithmId, hashAlgorithmName, generateSecret, generateStringSecret, hashSecret, hashStringSecret,
+    generateSwapId, deriveSwapId
+} = require("./secrets");
+const { deriveStatus } = require("./swap-status");
+const { planTranches, deriveTrancheId } = require("./tranches");
+
+/**
+ * Client for the standard HTLC contract.
+ *
+ * Process flow:
+ * 1. Initiator calls prepareSwap() to get a secret, hashlock and swapId
+ * 2. Both parties lock() under the same hashlock
+ * 3. Initiator claim()s the counterparty lock, revealing the secret on-chain
+ * 4. Counterparty reads the secret (getStatus().revealedSecret) and claim()s
+ * 5. refund() after the timelock if the swap did not complete
+ *
+ * Large swaps can be split with prepareTranchedSwap()/lockTranches(): each
+ * tranche has its own secret and is claimed like a normal swap under its
+ * trancheId, so the initiator can reveal secrets one tranche at a time.
+ *
+ * Swaps prepared with hashAlgorithm "sha256" use a bytes32 preimage as the
+ * secret, hashed the way Bitcoin HTLCs and Lightning invoices do, and are
+ * claimed with claimWithPreimage(). Pass a Lightning payment hash as
+ * `hashlock` to lock against an invoice.
+ */
+class SwapClient extends BaseSwapClient {
+    /**
+     * Build the parameters for a lock without sending any transaction.
+     * Pass `hashlock` to lock under a counterparty's hashlock instead of a new secret.
+     * `swapId` is the on-chain id, derived from this signer and `clientSwapId`.
+     * `hashAlgorithm` is "keccak256" (default, string secret) or "sha256" (bytes32 preimage).
+     * @returns {Promise<Object>} { swapId, clientSwapId, recipient, token, amount, hashlock, hashAlgorithm, timelock, secret }
+     */
+    async prepareSwap({
+        recipient, token, amount, hashlock, secret, hashAlgorithm = HashAlgorithm.KECCAK256, clientSwapId, timelock, timelockDuration
+    }) {
+        const initiator = await this._requireSigner();
+        hashAlgorithmId(hashAlgorithm);
+        if (!hashlock && hashAlgorithm === HashAlgorithm.SHA256) {
+            secret = secret || generateSecret();
+            hashlock = hashSecret(secret, hashAlgorithm);
+        } else if (!hashlock) {
+            secret = secret || generateStringSecret();
+            hashlock = hashStringSecret(secret);
+        }
+        clientSwapId = clientSwapId || generateSwapId("htlc");
+        return {
+            swapId: deriveSwapId(initiator, clientSwapId),
+            clientSwapId,
+            recipient,
+            token,
+            amount,
+            hashlock,
+            hashAlgorithm,
+            timelock: await this._resolveTimelock({ timelock, timelockDuration }),
+            secret
+        };
+    }
+
+    /**
+     * Lock funds for a prepared swap.
+     * @param {Object} swap Result of prepareSwap()
+     * @param {Object} [options] { approve: approve the token first if needed,
+     *   permit: sign an EIP-2612 permit and lock in one transaction (ignored for native
+     *   currency), permitDeadline, overrides }
+     * @returns {Promise<Object>} { swapId, receipt }
+     */
+    async lock(swap, { approve = false, permit = false, permitDeadline, overrides = {} } = {}) {
+        await this._requireSigner();
+        if (permit && !isNativeToken(swap.token)) {
+            this._requireKeccak(swap, "Permit");
+            const signature = await this.signPermit(swap.token, swap.amount, permitDeadline);
+            const tx = await this.contract.lockFundsWithPermit(
+                swap.clientSwapId, swap.recipient, swap.token, swap.amount,
+                swap.hashlock, swap.timelock, signature, overrides
+            );
+            return { swapId: swap.swapId, receipt: await tx.wait() };
+        }
+        if (approve) await this.ensureAllowance(swap.token, swap.amount);
+        const args = [swap.clientSwapId, swap.recipient, swap.token, swap.amount, swap.hashlock, swap.timelock];
+        const tx = this._isKeccak(swap)
+            ? await this.contract.lockFunds(...args, this._lockOverrides(swap, overrides))
+            : await this.contract.lockFundsWithHashAlgorithm(
+                ...args, hashAlgorithmId(swap.hashAlgorithm), this._lockOverrides(swap, overrides)
+            );
+        return { swapId: swap.swapId, receipt: await tx.wait() };
+    }
+
+    /**
+     * Build the parameters for a tranched lock without sending any transaction.
+     * Pass `count` to split `amount` evenly, or `amounts` for explicit tranches.
+     * Pass `hashlocks` (one per tranche) to mirror a counterparty's tranches
+     * instead of generating new secrets.
+     * @returns {Promise<Object>} { swapId, clientSwapId, recipient, token, amount, timelock,
+     *   tranches: [{ index, trancheId, amount, hashlock, secret }] }
+     */
+    async prepareTranchedSwap({
+        recipient, token, amount, count, amounts, hashlocks, secrets, clientSwapId, timelock, timelockDuration
+    }) {
+        const initiator = await this._requireSigner();
+        amounts = planTranches(amount, { count, amounts });
+        if (hashlocks && hashlocks.length !== amounts.length) throw new Error("One hashlock per tranche required");
+        clientSwapId = clientSwapId || generateSwapId("htlc");
+        const swapId = deriveSwapId(initiator, clientSwapId);
+        return {
+            swapId,
+            clientSwapId,
+            recipient,
+            token,
+            amount: amounts.reduce((total, trancheAmount) => total.add(trancheAmount)),
+            timelock: await this._resolveTimelock({ timelock, timelockDuration }),
+            tranches: amounts.map((trancheAmount, index) => {
+                const secret = hashlocks ? undefined : (secrets && secrets[index]) || generateStringSecret();
+                return {
+                    index,
+                    trancheId: deriveTrancheId(swapId, index),
+                    amount: trancheAmount,
+                    hashlock: hashlocks ? hashlocks[index] : hashStringSecret(secret),
+                    secret
+                };
+            })
+        };
+    }
+
+    /**
+     * Lock all tranches of a prepared tranched swap in one transaction.
+     * @param {Object} swap Result of prepareTranchedSwap()
+     * @param {Object} [options] { approve: approve the token total first if needed, overrides }
+     * @returns {Promise<Object>} { swapId, trancheIds, receipt }
+     */
+    async lockTranches(swap, { approve = false, overrides = {} } = {}) {
+        await this._requireSigner();
+        if (approve) await this.ensureAllowance(swap.token, swap.amount);
+        const tx = await this.contract.lockTranches(
+            swap.clientSwapId, swap.recipient, swap.token,
+            swap.tranches.map((tranche) => tranche.amount),
+            swap.tranches.map((tranche) => tranche.hashlock),
+            swap.timelock, this._lockOverrides(swap, overrides)
+        );
+        return {
+            swapId: swap.swapId,
+            trancheIds: swap.tranches.map((tranche) => tranche.trancheId),
+            receipt: await tx.wait()
+        };
+    }
+
+    async claim(swapId, secret, overrides = {}) {
+        await this._requireSigner();
+        const tx = await this.contract.claimFunds(swapId, secret, overrides);
+        return tx.wait();
+    }
+
+    // Claim as the recipient and send the funds to `beneficiary` (e.g. cold storage)
+    async claimTo(swapId, secret, beneficiary, overrides = {}) {
+        await this._requireSigner();
+        const tx = await this.contract.claimFundsTo(swapId, secret, beneficiary, overrides);
+        return tx.wait();
+    }
+
+    // Claim with a bytes32 preimage (sha256 swaps, Lightning preimages); reveals it as a hex string
+    async claimWithPreimage(swapId, preimage, overrides = {}) {
+        await this._requireSigner();
+        const tx = await this.contract.claimFundsWithPreimage(swapId, preimage, overrides);
+        return tx.wait();
+    }
+
+    /**
+     * Claim several swaps through batchClaim; see batchLock() for options and results.
+     * @param {Object[]} claims [{ swapId, secret }]
+     */
+    async batchClaim(claims, { batchSize, overrides = {} } = {}) {
+        await this._requireSigner();
+        return this._sendBatch(
+            claims,
+            (part) => this.contract.batchClaim(part.map((c) => c.swapId), part.map((c) => c.secret), overrides),
+            (claim) => claim.swapId,
+            batchSize
+        );
+    }
+
+    async refund(swapId, overrides = {}) {
+        await this._requireSigner();
+        const tx = await this.contract.refundFunds(swapId, overrides);
+        return tx.wait();
+    }
+
+    // Relayer side: submit a claim signed by the recipient (see signClaim)
+    async claimBySig(swapId, secret, auth, overrides = {}) {
+        await this._requireSigner();
+        const tx = await this.contract.claimFundsBySig(swapId, secret, auth, overrides);
+        return tx.wait();
+    }
+
+    async refundBySig(swapId, auth, overrides = {}) {
+        await this._requireSigner();
+        const tx = await this.contract.refundFundsBySig(swapId, auth, overrides);
+        return tx.wait();
+    }
+
+    // lockFunds parameters of a prepared swap, as taken by batchLock
+    _lockRequest(swap) {
+        return {
+            clientSwapId: swap.clientSwapId,
+            recipient: swap.recipient,
+            token: swap.token,
+            amount: swap.amount,
+            hashlock: swap.hashlock,
+            timelock: swap.timelock
+        };
+    }
+
+    async canRefund(swapId) {
+        return this.contract.canRefund(swapId);
+    }
+
+    /**
+     * Read a swap and derive its status (Empty/Active/Claimed/Refunded/Expired).
+     * `protocolFee` is what a claim sets aside for the treasury out of `amount`.
+     */
+    async getStatus(swapId) {
+        const [swap, hashAlgorithm, protocolFee, now] = await Promise.all([
+            this.contract.getSwap(swapId), this.contract.hashAlgorithms(swapId), this.contract.protocolFeeOf(swapId),
+            this.latestTimestamp()
+        ]);
+        // HTLC marks refunds by clearing isActive
+        const isRefunded = swap.isActive === false && !swap.isClaimed;
+        return {
+            swapId,
+            status: deriveStatus({ ...swap, isRefunded, timelock: swap.timelock.toNumber() }, now),
+            initiator: swap.initiator,
+            recipient: swap.recipient,
+            token: swap.token,
+            amount: swap.amount,
+            protocolFee,
+            hashlock: swap.hashlock,
+            hashAlgorithm: hashAlgorithmName(hashAlgorithm),
+            timelock: swap.timelock.toNumber(),
+            isActive: swap.isActive,
+            isClaimed: swap.isClaimed,
+            revealedSecret: swap.revealedSecret
+        };
+    }
+}
+
+module.exports = { SwapClient };
@@ -0,0 +1,420 @@
+const { EventEmitter } = require("events");
+const { FppSwapClient } = require("./FppSwapClient");
+const { SwapStatus } = require("./swap-status");
+const { generateSecret, hashSecret, generateSwapId } = require("./secrets");
+const { checkTimelocks, planTimelocks } = require("./timelocks");
+
+// Leg lifecycle: pending -> locking -> locked -> confirmed -> claimed | refunded (or failed)
+const LegStatus = Object.freeze({
+    PENDING: "pending",
+    LOCKING: "locking",
+    LOCKED: "locked",
+    CONFIRMED: "confirmed",
+    CLAIMED: "claimed",
+    REFUNDED: "refunded",
+    FAILED: "failed"
+});
+
+// Swap lifecycle: active -> completed | refunded | failed
+const CoordinatorStatus = Object.freeze({
+    ACTIVE: "active",
+    COMPLETED: "completed",
+    REFUNDED: "refunded",
+    FAILED: "failed"
+});
+
+const OPEN_LEG_STATES = [LegStatus.PENDING, LegStatus.LOCKING, LegStatus.LOCKED, LegStatus.CONFIRMED];
+const LOCKED_LEG_STATES = [LegStatus.LOCKED, LegStatus.CONFIRMED];
+
+// The party that locks each leg, and the party that claims it
+const LEGS = {
+    initiator: { locker: "initiator", claimer: "counterparty" },
+    counterparty: { locker: "counterparty", claimer: "initiator" }
+};
+
+/**
+ * Drives both legs of an FPPHTLC swap end to end.
+ *
+ * The coordinator holds the initiator's and the counterparty's signers on every
+ * chain it manages. For each submitted intent it:
+ * 1. Generates both secrets and locks both legs in parallel
+ * 2. Watches SwapInitiated on each FPPHTLC deployment until both legs are confirmed
+ * 3. Claims the counterparty leg, then the initiator leg
+ * 4. Refunds any leg whose timelock lapses before it was claimed
+ *
+ * Leg timelocks are checked against both chains' timing (lib/timelocks.js);
+ * intents that omit them get planned durations.
+ *
+ * Every transition is persisted through the store, so a restarted coordinator
+ * resumes in-flight swaps on its next tick. Lock transactions are recorded
+ * before they are mined, and a lock found on-chain is adopted, never resent. A
+ * lock is only sent again once its transaction can no longer be mined: it
+ * reverted, another transaction took its nonce, or the node dropped it and
+ * `lockTimeout` passed. The state file contains the swap secrets and must be
+ * kept private.
+ *
+ * Emits: "locked", "confirmed", "claimed", "refunded", "completed", "swapError".
+ */
+class SwapCoordinator extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.chains { [network]: { contract, initiator: Signer, counterparty: Signer,
+     *   timing?: { blockTime, finalityBlocks, networkDelay } } }
+     * @param {JsonStateStore} options.store Persistent state store
+     * @param {number} [options.confirmations] Blocks required before a lock counts as confirmed
+     * @param {number} [options.pollInterval] Milliseconds between ticks when running as a daemon
+     * @param {number} [options.safetyFactor] Timelock safety factor (see planTimelocks)
+     * @param {number} [options.lockTimeout] Milliseconds after sending a lock before it is sent again if
+     *   the node no longer knows its transaction
+     */
+    constructor({ chains, store, confirmations = 1, pollInterval = 5000, safetyFactor, lockTimeout = 10 * 60 * 1000 }) {
+        super();
+        this.chains = chains;
+        this.safetyFactor = safetyFactor;
+        this.store = store;
+        this.confirmations = confirmations;
+        this.pollInterval = pollInterval;
+        this.lockTimeout = lockTimeout;
+        this.state = store.load();
+        if (!this.state.swaps) this.state.swaps = {};
+        this._timer = null;
+        this._ticking = false;
+        this._inFlight = new Set();
+    }
+
+    _client(network, party) {
+        const chain = this.chains[network];
+        if (!chain) throw new Error(`Unknown network ${network}`);
+        return new FppSwapClient(chain.contract, chain[party]);
+    }
+
+    _persist(swap) {
+        if (swap) swap.updatedAt = new Date().toISOString();
+        this.store.save(this.state);
+    }
+
+    getSwap(id) {
+        return this.state.swaps[id];
+    }
+
+    listSwaps() {
+        return Object.values(this.state.swaps);
+    }
+
+    // Both legs' durations in seconds: planned when the intent has none, otherwise checked
+    _timelockDurations(initiatorLeg, counterpartyLeg) {
+        const params = {
+            initiatorNetwork: initiatorLeg.network,
+            counterpartyNetwork: counterpartyLeg.network,
+            safetyFactor: this.safetyFactor,
+            timing: Object.fromEntries(Object.entries(this.chains).map(([network, chain]) => [network, chain.timing]))
+        };
+        const given = [initiatorLeg, counterpartyLeg].filter((leg) => leg.timelockDuration !== undefined).length;
+        if (given === 0) {
+            const plan = planTimelocks(params);
+            return { initiator: plan.initiatorDuration, counterparty: plan.counterpartyDuration };
+        }
+        if (given === 1) throw new Error("timelockDuration required on both legs or neither");
+
+        const durations = { initiator: Number(initiatorLeg.timelockDuration), counterparty: Number(counterpartyLeg.timelockDuration) };
+        if (durations.initiator <= durations.counterparty) {
+            throw new Error("Initiator timelock must be longer than counterparty timelock");
+        }
+        const reasons = checkTimelocks({ ...params, initiatorDuration: durations.initiator, counterpartyDuration: durations.counterparty });
+        if (reasons.length > 0) throw new Error(`Unsafe timelocks: ${reasons.join("; ")}`);
+        return durations;
+    }
+
+    /**
+     * Accept a swap intent and lock both legs in parallel.
+     * @param {Object} intent
+     * @param {string} [intent.id] Caller-chosen identifier (generated if omitted)
+     * @param {Object} intent.initiatorLeg { network, token, amount, timelockDuration } locked by the initiator
+     * @param {Object} intent.counterpartyLeg { network, token, amount, timelockDuration } locked by the counterparty;
+     *   omit timelockDuration on both legs to use planned durations
+     * @returns {Promise<Object>} The persisted swap record
+     */
+    async submit(intent) {
+        const { initiatorLeg, counterpartyLeg } = intent;
+        if (!initiatorLeg || !counterpartyLeg) throw new Error("initiatorLeg and counterpartyLeg required");
+        const durations = this._timelockDurations(initiatorLeg, counterpartyLeg);
+        const id = intent.id || generateSwapId("coordinator");
+        if (this.state.swaps[id]) throw new Error(`Swap ${id} already exists`);
+
+        const secrets = { initiator: generateSecret(), counterparty: generateSecret() };
+        const hashes = { initiator: hashSecret(secrets.initiator), counterparty: hashSecret(secrets.counterparty) };
+
+        const swap = {
+            id,
+            status: CoordinatorStatus.ACTIVE,
+            secrets,
+            legs: {},
+            createdAt: new Date().toISOString()
+        };
+
+        for (const [legName, leg] of [["initiator", initiatorLeg], ["counterparty", counterpartyLeg]]) {
+            const { locker, claimer } = LEGS[legName];
+            const client = this._client(leg.network, locker);
+            const recipient = await this.chains[leg.network][claimer].getAddress();
+            const startBlock = await client.provider.getBlockNumber();
+            const prepared = await client.prepareSwap({
+                recipient,
+                token: leg.token,
+                amount: leg.amount,
+                secret: secrets[locker],
+                counterpartyHash: hashes[claimer],
+                timelockDuration: durations[legName],
+                network: leg.network
+            });
+            swap.legs[legName] = {
+                network: leg.network,
+                swapId: prepared.swapId,
+                clientSwapId: prepared.clientSwapId,
+                recipient,
+                token: leg.token,
+                amount: leg.amount.toString(),
+                combinedHash: prepared.combinedHash,
+                timelock: prepared.timelock,
+                startBlock,
+                status: LegStatus.PENDING
+            };
+        }
+
+        this.state.swaps[id] = swap;
+        this._persist(swap);
+        await this._lockPendingLegs(swap);
+        return swap;
+    }
+
+    async _lockPendingLegs(swap) {
+        const pending = Object.entries(swap.legs).filter(([, leg]) => leg.status === LegStatus.PENDING);
+        await Promise.all(pending.map(async ([legName, leg]) => {
+            const client = this._client(leg.network, LEGS[legName].locker);
+            const key = `${swap.id}:${legName}`;
+            this._inFlight.add(key);
+            leg.status = LegStatus.LOCKING;
+            this._persist(swap);
+            try {
+                // Record the hash before waiting, so a restart looks for this transaction instead of relocking
+                const { receipt } = await client.lock(leg, {
+                    approve: true,
+                    onSubmitted: (tx) => {
+                        Object.assign(leg, { lockTx: tx.hash, lockNonce: tx.nonce, lockSentAt: Date.now() });
+                        this._persist(swap);
+                    }
+                });
+                leg.lockTx = receipt.transactionHash;
+            } catch (error) {
+                // A lock sent before a restart may have been mined meanwhile; _watchLock adopts it
+                if (await this._lockExists(leg).catch(() => false)) {
+                    delete leg.lockTx;
+                } else {
+                    leg.status = LegStatus.FAILED;
+                    leg.error = error.message;
+                    this.emit("swapError", { swap, leg: legName, error });
+                }
+            } finally {
+                this._inFlight.delete(key);
+            }
+            this._persist(swap);
+        }));
+    }
+
+    // Whether a leg's swap is on-chain. Only the leg's locker can create it, as
+    // the swapId is derived from the locker's address
+    async _lockExists(leg) {
+        const { contract } = this.chains[leg.network];
+        return (await new FppSwapClient(contract).getStatus(leg.swapId)).status !== SwapStatus.EMPTY;
+    }
+
+    // Look for the SwapInitiated event of a leg and count its confirmations
+    async _watchLock(swap, legName, leg) {
+        const { contract } = this.chains[leg.network];
+        if (!leg.lockBlock) {
+            const events = await contract.queryFilter(contract.filters.SwapInitiated(leg.swapId), leg.startBlock);
+            if (events.length === 0) {
+                if (leg.status === LegStatus.LOCKING && !this._inFlight.has(`${swap.id}:${legName}`)) {
+                    await this._resumeLock(swap, legName, leg);
+                }
+                return;
+            }
+            leg.lockBlock = events[0].blockNumber;
+            leg.lockTx = events[0].transactionHash;
+            leg.status = LegStatus.LOCKED;
+            this._persist(swap);
+            this.emit("locked", { swap, leg: legName });
+        }
+        const latestBlock = await contract.provider.getBlockNumber();
+        if (leg.status === LegStatus.LOCKED && latestBlock - leg.lockBlock + 1 >= this.confirmations) {
+            leg.status = LegStatus.CONFIRMED;
+            this._persist(swap);
+            this.emit("confirmed", { swap, leg: legName });
+        }
+    }
+
+    // A leg left in LOCKING by an interrupted run, whose SwapInitiated event was not found
+    async _resumeLock(swap, legName, leg) {
+        const { provider } = this.chains[leg.network].contract;
+        if (await this._lockExists(leg)) {
+            // Mined, but the event is out of reach (e.g. a log range limit): count confirmations from now
+            leg.lockBlock = await provider.getBlockNumber();
+            leg.status = LegStatus.LOCKED;
+            this._persist(swap);
+            this.emit("locked", { swap, leg: legName });
+            return;
+        }
+        if (leg.lockTx) {
+            // Read the nonce first: if it is used and the receipt still missing, another transaction took it
+            const locker = await this.chains[leg.network][LEGS[legName].locker].getAddress();
+            const nonceUsed = leg.lockNonce !== undefined && (await provider.getTransactionCount(locker)) > leg.lockNonce;
+            const receipt = await provider.getTransactionReceipt(leg.lockTx);
+            if (receipt && receipt.status !== 0) return;
+            if (!receipt && !nonceUsed) {
+                // Still pending, or dropped too recently to rule out a node that has not seen it yet
+                const timedOut = Date.now() - (leg.lockSentAt || 0) > this.lockTimeout;
+                if (!timedOut || await provider.getTransaction(leg.lockTx)) return;
+            }
+            // Reverted, replaced or dropped: send the lock again
+            delete leg.lockTx;
+            delete leg.lockNonce;
+            delete leg.lockSentAt;
+        }
+        // Interrupted before the lock was sent: retry it on the next tick
+        leg.status = LegStatus.PENDING;
+        this._persist(swap);
+    }
+
+    // Sync a locked leg with the chain; returns the on-chain status
+    async _reconcile(swap, legName, leg) {
+        const client = this._client(leg.network, LEGS[legName].locker);
+        const onChain = await client.getStatus(leg.swapId);
+        if (onChain.status === SwapStatus.CLAIMED && leg.status !== LegStatus.CLAIMED) {
+            leg.status = LegStatus.CLAIMED;
+            this._persist(swap);
+        } else if (onChain.status === SwapStatus.REFUNDED && leg.status !== LegStatus.REFUNDED) {
+            leg.status = LegStatus.REFUNDED;
+            this._persist(swap);
+        }
+        return onChain.status;
+    }
+
+    async _claimLeg(swap, legName, leg) {
+        const { locker, claimer } = LEGS[legName];
+        const client = this._client(leg.network, claimer);
+        try {
+            const receipt = await client.claim(leg.swapId, swap.secrets[locker], swap.secrets[claimer]);
+            leg.status = LegStatus.CLAIMED;
+            leg.claimTx = receipt.transactionHash;
+            this._persist(swap);
+            this.emit("claimed", { swap, leg: legName });
+        } catch (error) {
+            leg.error = error.message;
+            this._persist(swap);
+            this.emit("swapError", { swap, leg: legName, error });
+        }
+    }
+
+    async _refundLeg(swap, legName, leg) {
+        const client = this._client(leg.network, LEGS[legName].locker);
+        try {
+            const receipt = await client.refund(leg.swapId);
+            leg.status = LegStatus.REFUNDED;
+            leg.refundTx = receipt.transactionHash;
+            this._persist(swap);
+            this.emit("refunded", { swap, leg: legName });
+        } catch (error) {
+            leg.error = error.message;
+            this._persist(swap);
+            this.emit("swapError", { swap, leg: legName, error });
+        }
+    }
+
+    _finalize(swap) {
+        const legs = Object.values(swap.legs);
+        if (legs.some((leg) => OPEN_LEG_STATES.includes(leg.status))) return;
+        if (legs.every((leg) => leg.status === LegStatus.CLAIMED)) {
+            swap.status = CoordinatorStatus.COMPLETED;
+        } else if (legs.some((leg) => leg.status === LegStatus.REFUNDED)) {
+            swap.status = CoordinatorStatus.REFUNDED;
+        } else {
+            swap.status = CoordinatorStatus.FAILED;
+        }
+        this._persist(swap);
+        this.emit("completed", { swap });
+    }
+
+    /**
+     * Advance one swap by a single step. Safe to call repeatedly.
+     */
+    async advance(swap) {
+        if (swap.status !== CoordinatorStatus.ACTIVE) return swap;
+        await this._lockPendingLegs(swap);
+
+        const statuses = {};
+        for (const [legName, leg] of Object.entries(swap.legs)) {
+            if (leg.status === LegStatus.LOCKING || LOCKED_LEG_STATES.includes(leg.status)) {
+                await this._watchLock(swap, legName, leg);
+            }
+            if (LOCKED_LEG_STATES.includes(leg.status)) {
+                statuses[legName] = await this._reconcile(swap, legName, leg);
+            }
+        }
+
+        // Refund every leg whose timelock lapsed before it was claimed
+        for (const [legName, leg] of Object.entries(swap.legs)) {
+            if (LOCKED_LEG_STATES.includes(leg.status) && statuses[legName] === SwapStatus.EXPIRED) {
+                await this._refundLeg(swap, legName, leg);
+            }
+        }
+
+        // Claim once both legs are confirmed; the shorter-timelock counterparty leg goes first
+        const bothConfirmed = Object.values(swap.legs)
+            .every((leg) => leg.status === LegStatus.CONFIRMED || leg.status === LegStatus.CLAIMED);
+        if (bothConfirmed) {
+            for (const legName of ["counterparty", "initiator"]) {
+                const leg = swap.legs[legName];
+                if (leg.status === LegStatus.CONFIRMED && statuses[legName] === SwapStatus.ACTIVE) {
+                    await this._claimLeg(swap, legName, leg);
+                }
+            }
+        }
+
+        this._finalize(swap);
+        return swap;
+    }
+
+    /**
+     * Advance every in-flight swap once.
+     */
+    async tick() {
+        if (this._ticking) return;
+        this._ticking = true;
+        try {
+            for (const swap of this.listSwaps()) {
+                try {
+                    await this.advance(swap);
+                } catch (error) {
+                    this.emit("swapError", { swap, error });
+                }
+            }
+        } finally {
+            this._ticking = false;
+        }
+    }
+
+    start() {
+        if (this._timer) return;
+        const loop = async () => {
+            await this.tick();
+            if (this._timer) this._timer = setTimeout(loop, this.pollInterval);
+        };
+        this._timer = setTimeout(loop, 0);
+    }
+
+    stop() {
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = null;
+    }
+}
+
+module.exports = { SwapCoordinator, LegStatus, CoordinatorStatus };
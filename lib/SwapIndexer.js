@@ -0,0 +1,269 @@
+const { EventEmitter } = require("events");
+const { SwapStatus, deriveStatus } = require("./swap-status");
+
+const PROTOCOLS = ["htlc", "fpphtlc"];
+const SWAP_EVENTS = ["SwapInitiated", "SwapClaimed", "SwapClaimedTo", "SwapRefunded", "RecipientTransferred"];
+
+function swapKey(network, protocol, swapId) {
+    return `${network}:${protocol}:${swapId.toLowerCase()}`;
+}
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Swap history indexer for HTLC and FPPHTLC.
+ *
+ * Replays SwapInitiated, SwapClaimed and SwapRefunded logs of every
+ * configured network into one swap record per lock, persisted through the
+ * store together with a cursor per network (last indexed block number, hash
+ * and timestamp). A restarted indexer resumes after its cursor.
+ * RecipientTransferred moves a swap to its new recipient (earlier ones are
+ * kept in recipientTransfers) and SwapClaimedTo records the beneficiary.
+ * A new lock under the swapId of a refunded swap (possible on HTLC
+ * deployments that predate the one-lock-per-swapId rule) replaces its record;
+ * the refunded one is kept in `previous`.
+ *
+ * Reorgs: every sync first checks that the cursor block is still canonical.
+ * If its hash changed, everything indexed above cursor - reorgDepth is rolled
+ * back and those blocks are indexed again. Reorgs deeper than reorgDepth are
+ * not detected; raise `confirmations` on chains where they happen.
+ *
+ * Emits: "synced", "reorg".
+ */
+class SwapIndexer extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.networks { [network]: { htlc?, fpphtlc?, fromBlock? } }
+     * @param {JsonStateStore} options.store Persistent state store
+     * @param {number} [options.blockRange] Maximum block span per getLogs request
+     * @param {number} [options.confirmations] Blocks to stay behind the chain head
+     * @param {number} [options.reorgDepth] Blocks re-indexed after a detected reorg
+     */
+    constructor({ networks, store, blockRange = 5000, confirmations = 0, reorgDepth = 12 }) {
+        super();
+        this.networks = networks;
+        this.store = store;
+        this.blockRange = blockRange;
+        this.confirmations = confirmations;
+        this.reorgDepth = reorgDepth;
+        this.state = store.load();
+        if (!this.state.cursors) this.state.cursors = {};
+        if (!this.state.swaps) this.state.swaps = {};
+    }
+
+    _provider(network) {
+        const config = this.networks[network];
+        return (config.htlc || config.fpphtlc).provider;
+    }
+
+    /**
+     * Index new swap events on one network, up to `confirmations` blocks behind the head.
+     * @returns {Promise<number>} Number of events applied
+     */
+    async sync(network) {
+        const config = this.networks[network];
+        const provider = this._provider(network);
+        await this._checkReorg(network);
+
+        const head = (await provider.getBlockNumber()) - this.confirmations;
+        const cursor = this.state.cursors[network];
+        let fromBlock = cursor ? cursor.blockNumber + 1 : (config.fromBlock || 0);
+        let applied = 0;
+
+        while (fromBlock <= head) {
+            const toBlock = Math.min(fromBlock + this.blockRange - 1, head);
+            const events = [];
+            for (const protocol of PROTOCOLS) {
+                if (!config[protocol]) continue;
+                const logs = await config[protocol].queryFilter("*", fromBlock, toBlock);
+                for (const event of logs) {
+                    if (SWAP_EVENTS.includes(event.event)) events.push({ protocol, event });
+                }
+            }
+            events.sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.logIndex - b.event.logIndex);
+
+            const timestamps = {};
+            for (const { protocol, event } of events) {
+                if (timestamps[event.blockNumber] === undefined) {
+                    timestamps[event.blockNumber] = (await provider.getBlock(event.blockNumber)).timestamp;
+                }
+                if (this._apply(network, protocol, event, timestamps[event.blockNumber])) applied++;
+            }
+
+            const block = await provider.getBlock(toBlock);
+            this.state.cursors[network] = { blockNumber: toBlock, blockHash: block.hash, timestamp: block.timestamp };
+            this.store.save(this.state);
+            fromBlock = toBlock + 1;
+        }
+
+        this.emit("synced", { network, applied, blockNumber: this.state.cursors[network]?.blockNumber });
+        return applied;
+    }
+
+    // Roll back and re-index the last reorgDepth blocks if the cursor block was replaced
+    async _checkReorg(network) {
+        const cursor = this.state.cursors[network];
+        if (!cursor) return;
+        const provider = this._provider(network);
+        const block = await provider.getBlock(cursor.blockNumber);
+        if (block && block.hash === cursor.blockHash) return;
+
+        const rollbackTo = Math.max(cursor.blockNumber - this.reorgDepth, (this.networks[network].fromBlock || 0) - 1);
+        for (const [key, indexed] of Object.entries(this.state.swaps)) {
+            if (indexed.network !== network) continue;
+            // A relock that is rolled back brings back the swap it replaced
+            let swap = indexed;
+            while (swap && swap.blockNumber > rollbackTo) swap = swap.previous;
+            if (!swap) {
+                delete this.state.swaps[key];
+                continue;
+            }
+            this.state.swaps[key] = swap;
+            // Records indexed before transfers were tracked have no recipientTransfers
+            const transfers = swap.recipientTransfers || [];
+            while (transfers.length > 0 && transfers[transfers.length - 1].blockNumber > rollbackTo) {
+                swap.recipient = transfers.pop().previousRecipient;
+            }
+            if (swap.claimedBlock > rollbackTo) {
+                Object.assign(swap, {
+                    isClaimed: false, claimedAt: null, claimedBlock: null, claimTxHash: null, beneficiary: null
+                });
+                if (swap.protocol === "htlc") swap.revealedSecret = null;
+            }
+            if (swap.refundedBlock > rollbackTo) {
+                Object.assign(swap, { isRefunded: false, refundedAt: null, refundedBlock: null, refundTxHash: null });
+            }
+        }
+
+        if (rollbackTo < 0) {
+            delete this.state.cursors[network];
+        } else {
+            const ancestor = await provider.getBlock(rollbackTo);
+            this.state.cursors[network] = { blockNumber: rollbackTo, blockHash: ancestor.hash, timestamp: ancestor.timestamp };
+        }
+        this.store.save(this.state);
+        this.emit("reorg", { network, blockNumber: cursor.blockNumber, rollbackTo });
+    }
+
+    // Apply one log to its swap record; replaying a log is a no-op
+    _apply(network, protocol, event, timestamp) {
+        const { args } = event;
+        const key = swapKey(network, protocol, args.swapId);
+        const swap = this.state.swaps[key];
+
+        if (event.event === "SwapInitiated") {
+            // Only a refunded swapId can be locked again
+            if (swap && !(swap.isRefunded && swap.txHash !== event.transactionHash)) return false;
+            this.state.swaps[key] = {
+                network,
+                protocol,
+                contract: event.address,
+                swapId: args.swapId,
+                initiator: args.initiator,
+                recipient: args.recipient,
+                token: args.token,
+                amount: args.amount.toString(),
+                ...(protocol === "htlc"
+                    ? { hashlock: args.hashlock }
+                    : { combinedHash: args.combinedHash, networkLabel: args.network }),
+                timelock: args.timelock.toNumber(),
+                createdAt: timestamp,
+                blockNumber: event.blockNumber,
+                logIndex: event.logIndex,
+                txHash: event.transactionHash,
+                recipientTransfers: [],
+                isClaimed: false,
+                isRefunded: false,
+                ...(swap && { previous: swap })
+            };
+            return true;
+        }
+
+        // Locks from before fromBlock are not tracked, and a relocked swap ignores
+        // replayed logs of the lock it replaced
+        if (!swap) return false;
+        if (event.blockNumber < swap.blockNumber ||
+            (event.blockNumber === swap.blockNumber && event.logIndex < swap.logIndex)) return false;
+        if (event.event === "SwapClaimed") {
+            if (swap.claimedBlock === event.blockNumber) return false;
+            Object.assign(swap, {
+                isClaimed: true, claimedAt: timestamp, claimedBlock: event.blockNumber, claimTxHash: event.transactionHash
+            });
+            if (protocol === "htlc") swap.revealedSecret = args.secret;
+        } else if (event.event === "SwapClaimedTo") {
+            if (swap.beneficiary === args.beneficiary) return false;
+            swap.beneficiary = args.beneficiary;
+        } else if (event.event === "RecipientTransferred") {
+            const transfers = swap.recipientTransfers || [];
+            if (transfers.some((transfer) => transfer.txHash === event.transactionHash)) return false;
+            swap.recipientTransfers = [...transfers, {
+                previousRecipient: args.previousRecipient, blockNumber: event.blockNumber, txHash: event.transactionHash
+            }];
+            swap.recipient = args.newRecipient;
+        } else {
+            if (swap.refundedBlock === event.blockNumber) return false;
+            Object.assign(swap, {
+                isRefunded: true, refundedAt: timestamp, refundedBlock: event.blockNumber, refundTxHash: event.transactionHash
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Sync every configured network once.
+     * @returns {Promise<Object>} { [network]: events applied }
+     */
+    async run() {
+        const applied = {};
+        for (const network of Object.keys(this.networks)) {
+            applied[network] = await this.sync(network);
+        }
+        return applied;
+    }
+
+    // Status as of the network's last indexed block, so Expired follows chain time
+    _withStatus(swap) {
+        const now = this.state.cursors[swap.network]?.timestamp || 0;
+        return { ...swap, status: deriveStatus(swap, now) };
+    }
+
+    getSwap(network, protocol, swapId) {
+        const swap = this.state.swaps[swapKey(network, protocol, swapId)];
+        return swap ? this._withStatus(swap) : null;
+    }
+
+    /**
+     * List indexed swaps, oldest lock first.
+     * @param {Object} [filter]
+     * @param {string} [filter.participant] Initiator or recipient address
+     * @param {string} [filter.initiator]
+     * @param {string} [filter.recipient]
+     * @param {string} [filter.token]
+     * @param {string} [filter.network]
+     * @param {string} [filter.protocol] "htlc" or "fpphtlc"
+     * @param {string|string[]} [filter.status] SwapStatus value(s)
+     * @param {number} [filter.from] Earliest lock time (Unix seconds, inclusive)
+     * @param {number} [filter.to] Latest lock time (Unix seconds, inclusive)
+     * @returns {Object[]} Swap records with a derived `status`
+     */
+    query({ participant, initiator, recipient, token, network, protocol, status, from, to } = {}) {
+        const statuses = status && [].concat(status);
+        return Object.values(this.state.swaps)
+            .filter((swap) => !network || swap.network === network)
+            .filter((swap) => !protocol || swap.protocol === protocol)
+            .filter((swap) => !participant || sameAddress(swap.initiator, participant) || sameAddress(swap.recipient, participant))
+            .filter((swap) => !initiator || sameAddress(swap.initiator, initiator))
+            .filter((swap) => !recipient || sameAddress(swap.recipient, recipient))
+            .filter((swap) => !token || sameAddress(swap.token, token))
+            .filter((swap) => from === undefined || swap.createdAt >= from)
+            .filter((swap) => to === undefined || swap.createdAt <= to)
+            .map((swap) => this._withStatus(swap))
+            .filter((swap) => !statuses || statuses.includes(swap.status))
+            .sort((a, b) => a.createdAt - b.createdAt || a.blockNumber - b.blockNumber);
+    }
+}
+
+// Statuses of swaps that still hold funds
+const OPEN_STATUSES = [SwapStatus.ACTIVE, SwapStatus.EXPIRED];
+
+module.exports = { SwapIndexer, OPEN_STATUSES };
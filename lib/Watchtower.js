@@ -0,0 +1,193 @@
+const { EventEmitter } = require("events");
+const { SwapClient } = require("./SwapClient");
+const { FppSwapClient } = require("./FppSwapClient");
+const { SwapStatus } = require("./swap-status");
+const { OPEN_STATUSES } = require("./SwapIndexer");
+
+const PROTOCOLS = {
+    htlc: SwapClient,
+    fpphtlc: FppSwapClient
+};
+
+/**
+ * Refund watchtower for HTLC and FPPHTLC locks.
+ *
+ * Indexes SwapInitiated events whose initiator is one of the watched signers,
+ * tracks each lock's timelock and refunds it as soon as it becomes refundable.
+ * Claimed and refunded swaps drop out of tracking, and so do swaps a reorg
+ * removed from the chain. A relock of a refunded swapId replaces the tracked
+ * lock. Progress (last indexed
+ * block and tracked swaps) is persisted through the store. With an `indexer`
+ * the locks come from its shared swap history instead of separate getLogs calls.
+ *
+ * Emits: "indexed", "refunded", "refundError".
+ */
+class Watchtower extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.networks { [network]: { htlc?, fpphtlc?, signers: Signer[], fromBlock? } }
+     * @param {JsonStateStore} options.store Persistent state store
+     * @param {boolean} [options.dryRun] Report refundable swaps without sending transactions
+     * @param {number} [options.blockRange] Maximum block span per getLogs request
+     * @param {SwapIndexer} [options.indexer] Source of locks, synced on every index()
+     */
+    constructor({ networks, store, dryRun = false, blockRange = 5000, indexer = null }) {
+        super();
+        this.networks = networks;
+        this.indexer = indexer;
+        this.store = store;
+        this.dryRun = dryRun;
+        this.blockRange = blockRange;
+        this.state = store.load();
+        if (!this.state.cursors) this.state.cursors = {};
+        if (!this.state.swaps) this.state.swaps = {};
+    }
+
+    async _signersByAddress(network) {
+        const signers = {};
+        for (const signer of this.networks[network].signers) {
+            signers[(await signer.getAddress()).toLowerCase()] = signer;
+        }
+        return signers;
+    }
+
+    /**
+     * Index new SwapInitiated events for the watched addresses on one network.
+     * @returns {Promise<number>} Number of newly tracked swaps
+     */
+    async index(network) {
+        const config = this.networks[network];
+        const addresses = Object.keys(await this._signersByAddress(network));
+        let added = 0;
+
+        if (this.indexer) {
+            await this.indexer.sync(network);
+            // Drop locks the indexer rolled back or replaced since they were tracked
+            for (const [key, tracked] of Object.entries(this.state.swaps)) {
+                if (tracked.network !== network) continue;
+                const swap = this.indexer.getSwap(network, tracked.protocol, tracked.swapId);
+                if (!swap || swap.blockNumber !== tracked.blockNumber) delete this.state.swaps[key];
+            }
+            for (const swap of this.indexer.query({ network, status: OPEN_STATUSES })) {
+                const key = `${network}:${swap.protocol}:${swap.swapId}`;
+                if (this.state.swaps[key] || !addresses.includes(swap.initiator.toLowerCase())) continue;
+                const { protocol, swapId, initiator, recipient, token, amount, timelock, blockNumber } = swap;
+                this.state.swaps[key] = { network, protocol, swapId, initiator, recipient, token, amount, timelock, blockNumber };
+                added++;
+            }
+            this.store.save(this.state);
+            this.emit("indexed", { network, added });
+            return added;
+        }
+
+        for (const protocol of Object.keys(PROTOCOLS)) {
+            const contract = config[protocol];
+            if (!contract) continue;
+
+            const cursorKey = `${network}:${protocol}`;
+            const latestBlock = await contract.provider.getBlockNumber();
+            let fromBlock = this.state.cursors[cursorKey] !== undefined
+                ? this.state.cursors[cursorKey] + 1
+                : (config.fromBlock || 0);
+
+            while (fromBlock <= latestBlock) {
+                const toBlock = Math.min(fromBlock + this.blockRange - 1, latestBlock);
+                const filter = contract.filters.SwapInitiated(null, addresses);
+                const events = await contract.queryFilter(filter, fromBlock, toBlock);
+                for (const event of events) {
+                    const key = `${network}:${protocol}:${event.args.swapId}`;
+                    if (this.state.swaps[key]?.blockNumber >= event.blockNumber) continue;
+                    this.state.swaps[key] = {
+                        network,
+                        protocol,
+                        swapId: event.args.swapId,
+                        initiator: event.args.initiator,
+                        recipient: event.args.recipient,
+                        token: event.args.token,
+                        amount: event.args.amount.toString(),
+                        timelock: event.args.timelock.toNumber(),
+                        blockNumber: event.blockNumber
+                    };
+                    added++;
+                }
+                this.state.cursors[cursorKey] = toBlock;
+                this.store.save(this.state);
+                fromBlock = toBlock + 1;
+            }
+        }
+
+        this.emit("indexed", { network, added });
+        return added;
+    }
+
+    /**
+     * Refund every tracked swap on one network whose timelock has lapsed.
+     * @returns {Promise<Object[]>} Report entries for swaps acted upon
+     */
+    async scan(network) {
+        const config = this.networks[network];
+        const signers = await this._signersByAddress(network);
+        const entries = [];
+        const tracked = Object.entries(this.state.swaps).filter(([, swap]) => swap.network === network);
+        if (tracked.length === 0) return entries;
+
+        const provider = (config.htlc || config.fpphtlc).provider;
+        const latestBlock = await provider.getBlock("latest");
+
+        for (const [key, swap] of tracked) {
+            // Nothing can be refunded before the timelock passes
+            if (latestBlock.timestamp <= swap.timelock) continue;
+
+            const signer = signers[swap.initiator.toLowerCase()];
+            const client = new PROTOCOLS[swap.protocol](config[swap.protocol], signer);
+            const { status } = await client.getStatus(swap.swapId);
+
+            // Empty: the lock was reorganised away
+            if (status === SwapStatus.CLAIMED || status === SwapStatus.REFUNDED || status === SwapStatus.EMPTY) {
+                delete this.state.swaps[key];
+                this.store.save(this.state);
+                continue;
+            }
+            if (!(await client.canRefund(swap.swapId))) continue;
+
+            const entry = { ...swap, action: this.dryRun ? "would-refund" : "refunded" };
+            if (!this.dryRun) {
+                try {
+                    const receipt = await client.refund(swap.swapId);
+                    entry.txHash = receipt.transactionHash;
+                    entry.gasUsed = receipt.gasUsed.toNumber();
+                    delete this.state.swaps[key];
+                    this.store.save(this.state);
+                    this.emit("refunded", entry);
+                } catch (error) {
+                    entry.action = "failed";
+                    entry.error = error.message;
+                    this.emit("refundError", entry);
+                }
+            }
+            entries.push(entry);
+        }
+        return entries;
+    }
+
+    /**
+     * Index and scan every configured network once.
+     * @returns {Promise<Object>} JSON-serialisable report
+     */
+    async run() {
+        const report = {
+            startedAt: new Date().toISOString(),
+            dryRun: this.dryRun,
+            refunds: []
+        };
+        for (const network of Object.keys(this.networks)) {
+            await this.index(network);
+            report.refunds.push(...await this.scan(network));
+        }
+        report.tracked = Object.keys(this.state.swaps).length;
+        report.finishedAt = new Date().toISOString();
+        return report;
+    }
+}
+
+module.exports = { Watchtower };
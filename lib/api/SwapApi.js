@@ -0,0 +1,215 @@
+const { ethers } = require("ethers");
+const { SwapClient } = require("../SwapClient");
+const { FppSwapClient } = require("../FppSwapClient");
+const { NATIVE_TOKEN } = require("../BaseSwapClient");
+const { SwapStatus } = require("../swap-status");
+const { HashAlgorithm } = require("../secrets");
+
+const PROTOCOLS = {
+    htlc: SwapClient,
+    fpphtlc: FppSwapClient
+};
+
+// Error carrying the HTTP status the server answers with
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// BigNumbers become decimal strings so responses survive JSON round trips
+function serialize(value) {
+    if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+    if (Array.isArray(value)) return value.map(serialize);
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serialize(item)]));
+    }
+    return value;
+}
+
+function parseAmount(amount) {
+    try {
+        const value = ethers.BigNumber.from(amount);
+        if (value.gt(0)) return value;
+    } catch (error) {
+        // Reported below
+    }
+    throw new ApiError(400, "amount must be a positive integer in the token's smallest unit");
+}
+
+function requireAddress(value, name) {
+    if (!value || !ethers.utils.isAddress(value)) throw new ApiError(400, `Invalid ${name}`);
+    return ethers.utils.getAddress(value);
+}
+
+/**
+ * Swap operations for callers that cannot run Hardhat scripts, on top of
+ * SwapClient/FppSwapClient with one configured signer per network. Served
+ * over HTTP by createApiServer().
+ *
+ * Every method takes a single params object and returns JSON-serialisable
+ * results; invalid requests throw ApiError with an HTTP status.
+ */
+class SwapApi {
+    /**
+     * @param {Object} options
+     * @param {Object} options.networks { [network]: { htlc?, fpphtlc?, signer } }
+     * @param {SwapIndexer} [options.indexer] Swap history for listSwaps()
+     * @param {number} [options.indexInterval] Minimum ms between the index syncs listSwaps() starts
+     */
+    constructor({ networks, indexer = null, indexInterval = 10000 }) {
+        this.networks = networks;
+        this.indexer = indexer;
+        this.indexInterval = indexInterval;
+        this._indexing = null;
+        this._indexedAt = 0;
+    }
+
+    _client(network, protocol) {
+        const config = this.networks[network];
+        if (!config) throw new ApiError(404, `Unknown network ${network}`);
+        if (!PROTOCOLS[protocol] || !config[protocol]) throw new ApiError(404, `Unsupported protocol ${protocol} on ${network}`);
+        return new PROTOCOLS[protocol](config[protocol], config.signer);
+    }
+
+    /**
+     * Signer and contract addresses per network.
+     */
+    async info() {
+        const networks = {};
+        for (const [network, config] of Object.entries(this.networks)) {
+            networks[network] = {
+                signer: await config.signer.getAddress(),
+                htlc: config.htlc ? config.htlc.address : null,
+                fpphtlc: config.fpphtlc ? config.fpphtlc.address : null
+            };
+        }
+        return { networks };
+    }
+
+    /**
+     * Prepare a swap for the configured signer and, with `lock`, lock it.
+     * HTLC intents take an optional counterparty `hashlock`; FPPHTLC intents
+     * need the counterparty's `counterpartyHash`. `hashAlgorithm` selects
+     * "keccak256" (default) or "sha256" hashlocks. The response holds the
+     * generated secret, which createApiServer only serves to callers with its token.
+     * @returns {Promise<Object>} Prepared swap plus { network, protocol, initiator, locked, txHash }
+     */
+    async createIntent({
+        network, protocol, recipient, token = NATIVE_TOKEN, amount, hashlock, counterpartyHash,
+        hashAlgorithm = HashAlgorithm.KECCAK256, clientSwapId, timelock, timelockDuration, lock = false
+    }) {
+        const client = this._client(network, protocol);
+        if (!Object.values(HashAlgorithm).includes(hashAlgorithm)) {
+            throw new ApiError(400, `Unsupported hash algorithm ${hashAlgorithm}`);
+        }
+        const params = {
+            recipient: requireAddress(recipient, "recipient"),
+            token: requireAddress(token, "token"),
+            amount: parseAmount(amount),
+            hashAlgorithm,
+            clientSwapId,
+            timelock,
+            timelockDuration
+        };
+        if (timelock === undefined && timelockDuration === undefined) {
+            throw new ApiError(400, "timelock or timelockDuration required");
+        }
+
+        let swap;
+        if (protocol === "htlc") {
+            swap = await client.prepareSwap({ ...params, hashlock });
+        } else {
+            if (!counterpartyHash) throw new ApiError(400, "counterpartyHash required");
+            swap = await client.prepareSwap({ ...params, counterpartyHash, network });
+        }
+
+        const intent = { network, protocol, initiator: await client.signer.getAddress(), ...swap, locked: false, txHash: null };
+        if (lock) {
+            const { receipt } = await client.lock(swap, { approve: true });
+            Object.assign(intent, { locked: true, txHash: receipt.transactionHash });
+        }
+        return serialize(intent);
+    }
+
+    /**
+     * Current on-chain state of a swap, read through the contract's getSwap.
+     */
+    async getSwap({ network, protocol, swapId }) {
+        const swap = await this._client(network, protocol).getStatus(swapId);
+        if (swap.status === SwapStatus.EMPTY) throw new ApiError(404, "Swap not found");
+        return serialize({ network, protocol, ...swap });
+    }
+
+    /**
+     * Indexed swaps where `address` is the initiator or recipient; the other
+     * fields filter like SwapIndexer.query(). The index is synced first unless
+     * it was synced less than indexInterval ago.
+     */
+    async listSwaps({ address, ...filter }) {
+        if (!this.indexer) throw new ApiError(501, "Swap listing needs an indexer");
+        const participant = requireAddress(address, "address");
+        await this._syncIndex();
+        return { swaps: this.indexer.query({ ...filter, participant }) };
+    }
+
+    /**
+     * Claim a swap payable to the configured signer: `secret` (or a bytes32
+     * `preimage`) for HTLC, `initiatorSecret` and `recipientSecret` for
+     * FPPHTLC. The claim is simulated first so a failing request costs no gas.
+     */
+    async claim({ network, protocol, swapId, secret, preimage, initiatorSecret, recipientSecret }) {
+        const client = this._client(network, protocol);
+        let receipt;
+        if (protocol === "htlc" && preimage !== undefined) {
+            await this._simulate(client, "claimFundsWithPreimage", [swapId, preimage]);
+            receipt = await client.claimWithPreimage(swapId, preimage);
+        } else {
+            const args = protocol === "htlc" ? [swapId, secret] : [swapId, initiatorSecret, recipientSecret];
+            await this._simulate(client, "claimFunds", args);
+            receipt = await client.claim(...args);
+        }
+        return this._result(network, protocol, "claim", swapId, receipt);
+    }
+
+    /**
+     * Refund an expired swap the configured signer initiated.
+     */
+    async refund({ network, protocol, swapId }) {
+        const client = this._client(network, protocol);
+        await this._simulate(client, protocol === "htlc" ? "refundFunds" : "refund", [swapId]);
+        const receipt = await client.refund(swapId);
+        return this._result(network, protocol, "refund", swapId, receipt);
+    }
+
+    // One sync at a time and at most one per indexInterval, however many
+    // requests come in; the others wait for it or read the index as it is
+    _syncIndex() {
+        if (!this._indexing && Date.now() - this._indexedAt >= this.indexInterval) {
+            this._indexing = this.indexer.run()
+                .then(() => {
+                    this._indexedAt = Date.now();
+                })
+                .finally(() => {
+                    this._indexing = null;
+                });
+        }
+        return this._indexing;
+    }
+
+    async _simulate(client, method, args) {
+        try {
+            await client.contract.callStatic[method](...args);
+        } catch (error) {
+            throw new ApiError(400, error.reason || error.message);
+        }
+    }
+
+    async _result(network, protocol, action, swapId, receipt) {
+        const { status } = await this._client(network, protocol).getStatus(swapId);
+        return { network, protocol, action, swapId, status, txHash: receipt.transactionHash };
+    }
+}
+
+module.exports = { SwapApi, ApiError, serialize };
@@ -0,0 +1,8 @@
+const { SwapApi, ApiError } = require("./SwapApi");
+const { createApiServer } = require("./server");
+
+module.exports = {
+    SwapApi,
+    ApiError,
+    createApiServer
+};
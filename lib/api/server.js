@@ -0,0 +1,165 @@
+const http = require("http");
+const crypto = require("crypto");
+const openapi = require("./openapi.json");
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+const SWAP_PATH = /^\/swaps\/([A-Za-z0-9_-]+)\/(htlc|fpphtlc)\/(0x[0-9a-fA-F]{64})(?:\/(claim|refund))?$/;
+
+// SwapApi methods that sign with the server's key or return secrets
+const AUTHORIZED_METHODS = ["createIntent", "claim", "refund"];
+
+// Query string filters of GET /swaps
+const LIST_FILTERS = ["address", "token", "network", "protocol", "status", "from", "to"];
+
+// JSON-RPC method name -> SwapApi method
+const RPC_METHODS = {
+    swap_info: "info",
+    swap_createIntent: "createIntent",
+    swap_getSwap: "getSwap",
+    swap_listSwaps: "listSwaps",
+    swap_claim: "claim",
+    swap_refund: "refund"
+};
+
+function listFilter(searchParams) {
+    const filter = {};
+    for (const key of LIST_FILTERS) {
+        const value = searchParams.get(key);
+        if (value === null) continue;
+        if (key === "status") filter.status = value.split(",");
+        else filter[key] = ["from", "to"].includes(key) ? Number(value) : value;
+    }
+    return filter;
+}
+
+/**
+ * HTTP front end for a SwapApi (REST and JSON-RPC 2.0).
+ *
+ *   GET  /info                                         signer and contracts per network
+ *   GET  /openapi.json                                 OpenAPI description of the REST routes
+ *   POST /swaps                                        create a swap intent (see SwapApi.createIntent)
+ *   GET  /swaps?address=0x..                           list indexed swaps of an address
+ *   GET  /swaps/:network/:protocol/:swapId             on-chain swap status
+ *   POST /swaps/:network/:protocol/:swapId/claim       claim with { secret }, { preimage } or { initiatorSecret, recipientSecret }
+ *   POST /swaps/:network/:protocol/:swapId/refund      refund an expired swap
+ *   POST /rpc                                          the same operations as swap_* JSON-RPC methods
+ *
+ * Errors return { error } with the ApiError status, or 400 for failures
+ * such as reverts.
+ *
+ * The server is for local processes, not web pages: requests with an Origin
+ * header get 403 and POST bodies must be application/json (415), so a browser
+ * cannot send one without a CORS preflight this server never answers. Creating
+ * intents, claims and refunds also need `Authorization: Bearer <token>` (401).
+ *
+ * @param {SwapApi} api
+ * @param {Object} options
+ * @param {string} options.token Bearer token for the operations that sign or return secrets
+ * @returns {http.Server} Call listen() on the returned server
+ */
+function createApiServer(api, { token } = {}) {
+    if (!token) throw new Error("API token required");
+    const expected = Buffer.from(`Bearer ${token}`);
+
+    const authorized = (req) => {
+        const given = Buffer.from(req.headers.authorization || "");
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    };
+
+    const sendJson = (res, status, body) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+    };
+
+    const respond = (res, operation) => {
+        operation
+            .then((result) => sendJson(res, 200, result))
+            .catch((error) => sendJson(res, error.status || 400, { error: error.message }));
+    };
+
+    const readJson = (req, res, handle) => {
+        if (!/^application\/json\s*(;|$)/i.test(req.headers["content-type"] || "")) {
+            return sendJson(res, 415, { error: "Content-Type must be application/json" });
+        }
+        let body = "";
+        req.on("data", (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) req.destroy();
+        });
+        req.on("end", () => {
+            let parsed;
+            try {
+                parsed = body ? JSON.parse(body) : {};
+            } catch (error) {
+                return handle(error);
+            }
+            handle(null, parsed);
+        });
+    };
+
+    const handleRpc = async (req, request) => {
+        const id = request && request.id !== undefined ? request.id : null;
+        if (!request || request.jsonrpc !== "2.0" || typeof request.method !== "string") {
+            return { jsonrpc: "2.0", id, error: { code: -32600, message: "Invalid request" } };
+        }
+        const method = RPC_METHODS[request.method];
+        if (!method) return { jsonrpc: "2.0", id, error: { code: -32601, message: "Method not found" } };
+        if (AUTHORIZED_METHODS.includes(method) && !authorized(req)) {
+            return { jsonrpc: "2.0", id, error: { code: -32001, message: "Unauthorized", data: { status: 401 } } };
+        }
+        try {
+            return { jsonrpc: "2.0", id, result: await api[method](request.params || {}) };
+        } catch (error) {
+            return { jsonrpc: "2.0", id, error: { code: -32000, message: error.message, data: { status: error.status || 400 } } };
+        }
+    };
+
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, "http://api");
+        const { pathname } = url;
+
+        if (req.headers.origin !== undefined) return sendJson(res, 403, { error: "Cross-origin requests are not allowed" });
+
+        if (pathname === "/info" || pathname === "/openapi.json") {
+            if (req.method !== "GET") return sendJson(res, 405, { error: "Method not allowed" });
+            if (pathname === "/openapi.json") return sendJson(res, 200, openapi);
+            return respond(res, api.info());
+        }
+
+        if (pathname === "/rpc") {
+            if (req.method !== "POST") return sendJson(res, 405, { error: "Method not allowed" });
+            return readJson(req, res, (error, request) => {
+                if (error) return sendJson(res, 200, { jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error" } });
+                handleRpc(req, request).then((response) => sendJson(res, 200, response));
+            });
+        }
+
+        if (pathname === "/swaps") {
+            if (req.method === "GET") return respond(res, api.listSwaps(listFilter(url.searchParams)));
+            if (req.method !== "POST") return sendJson(res, 405, { error: "Method not allowed" });
+            if (!authorized(req)) return sendJson(res, 401, { error: "Unauthorized" });
+            return readJson(req, res, (error, params) => {
+                if (error) return sendJson(res, 400, { error: "Invalid JSON" });
+                respond(res, api.createIntent(params));
+            });
+        }
+
+        const match = pathname.match(SWAP_PATH);
+        if (!match) return sendJson(res, 404, { error: "Not found" });
+        const [, network, protocol, swapId, action] = match;
+
+        if (!action) {
+            if (req.method !== "GET") return sendJson(res, 405, { error: "Method not allowed" });
+            return respond(res, api.getSwap({ network, protocol, swapId }));
+        }
+        if (req.method !== "POST") return sendJson(res, 405, { error: "Method not allowed" });
+        if (!authorized(req)) return sendJson(res, 401, { error: "Unauthorized" });
+        readJson(req, res, (error, params) => {
+            if (error) return sendJson(res, 400, { error: "Invalid JSON" });
+            respond(res, api[action]({ ...params, network, protocol, swapId }));
+        });
+    });
+}
+
+module.exports = { createApiServer };
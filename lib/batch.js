@@ -0,0 +1,61 @@
+const { ethers } = require("ethers");
+
+/**
+ * Helpers for the contracts' batchLock/batchClaim/batchRefund entry points.
+ *
+ * A batch transaction succeeds even when some of its items revert. Those items
+ * emit BatchItemFailed(index, reason) with their revert data, which is how the
+ * clients report a per-item outcome from the receipt.
+ */
+
+// Same bound as the contracts' MAX_BATCH_SIZE
+const MAX_BATCH_SIZE = 32;
+
+// Selectors of Solidity's Error(string) and Panic(uint256) reverts
+const ERROR_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+// Split `items` into consecutive chunks of at most `size`
+function chunk(items, size = MAX_BATCH_SIZE) {
+    if (!Number.isInteger(size) || size < 1 || size > MAX_BATCH_SIZE) {
+        throw new Error(`Batch size must be between 1 and ${MAX_BATCH_SIZE}`);
+    }
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+}
+
+// Human-readable reason from revert data, e.g. "Swap already exists"
+function decodeRevertReason(data) {
+    if (!data || data === "0x") return "Reverted without reason";
+    const selector = data.slice(0, 10);
+    if (selector === ERROR_SELECTOR) {
+        return ethers.utils.defaultAbiCoder.decode(["string"], `0x${data.slice(10)}`)[0];
+    }
+    if (selector === PANIC_SELECTOR) {
+        const [code] = ethers.utils.defaultAbiCoder.decode(["uint256"], `0x${data.slice(10)}`);
+        return `Panic(0x${code.toNumber().toString(16)})`;
+    }
+    return data;
+}
+
+/**
+ * Per-item outcome of a batch transaction.
+ * @param {Object} receipt Receipt of the batch transaction (parsed by the contract)
+ * @param {number} count Number of items in the batch
+ * @returns {Object[]} [{ index, success, error }] in item order; `error` is null on success
+ */
+function batchOutcomes(receipt, count) {
+    const failures = new Map(
+        (receipt.events || [])
+            .filter((event) => event.event === "BatchItemFailed")
+            .map((event) => [event.args.index.toNumber(), decodeRevertReason(event.args.reason)])
+    );
+    return Array.from({ length: count }, (_, index) => ({
+        index,
+        success: !failures.has(index),
+        error: failures.get(index) || null
+    }));
+}
+
+module.exports = { MAX_BATCH_SIZE, chunk, decodeRevertReason, batchOutcomes };
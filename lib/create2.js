@@ -0,0 +1,135 @@
+const { ethers } = require("ethers");
+
+/**
+ * Deterministic deployment through the keyless CREATE2 factory (Arachnid's
+ * deterministic-deployment-proxy). The factory is at the same address on every
+ * chain that accepts its pre-EIP-155 deployment transaction, so a contract
+ * deployed through it with the same init code and salt gets the same address
+ * everywhere.
+ *
+ * The factory is called with `salt ++ initCode` and creates the contract with
+ * CREATE2, so msg.sender in the constructor is the factory, not the deployer.
+ */
+
+const CREATE2_FACTORY = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+
+// Signed once for any chain ID (no EIP-155), gas price 100 gwei, gas limit 100000
+const CREATE2_FACTORY_DEPLOYMENT =
+    "0xf8a58085174876e800830186a08080b853604580600e600039806000f350fe7fffffffffffffffffffffffffffffff" +
+    "ffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b80825250505060" +
+    "14600cf31ba02222222222222222222222222222222222222222222222222222222222222222a0222222222222222222222" +
+    "2222222222222222222222222222222222222222222";
+
+const CREATE2_SALT = process.env.CREATE2_SALT || ethers.utils.id("htlc-crosschain-protocol");
+
+/**
+ * Address a contract gets when deployed through the factory.
+ * @param {string} initCode Creation bytecode with encoded constructor arguments
+ * @param {string} [salt] bytes32, defaults to CREATE2_SALT
+ * @returns {string} Checksummed address
+ */
+function create2Address(initCode, salt = CREATE2_SALT) {
+    return ethers.utils.getCreate2Address(CREATE2_FACTORY, salt, ethers.utils.keccak256(initCode));
+}
+
+/**
+ * Deploy the factory if the chain does not have it yet, funding its one-off
+ * deployer from `signer`. Nodes that reject transactions without replay
+ * protection cannot take it.
+ * @param {ethers.Signer} signer Pays for the factory deployment
+ * @returns {Promise<boolean>} Whether the factory was deployed now
+ */
+async function ensureCreate2Factory(signer) {
+    const { provider } = signer;
+    if ((await provider.getCode(CREATE2_FACTORY)) !== "0x") return false;
+
+    const { from, gasPrice, gasLimit } = ethers.utils.parseTransaction(CREATE2_FACTORY_DEPLOYMENT);
+    const cost = gasPrice.mul(gasLimit);
+    const balance = await provider.getBalance(from);
+    if (balance.lt(cost)) {
+        await (await signer.sendTransaction({ to: from, value: cost.sub(balance) })).wait();
+    }
+    await (await provider.sendTransaction(CREATE2_FACTORY_DEPLOYMENT)).wait();
+
+    if ((await provider.getCode(CREATE2_FACTORY)) === "0x") {
+        throw new Error(`CREATE2 factory deployment to ${CREATE2_FACTORY} failed`);
+    }
+    return true;
+}
+
+/**
+ * Deploy `initCode` through the factory, or skip it if its address already
+ * holds code.
+ * @param {ethers.Signer} signer Sends the factory call
+ * @param {string} initCode Creation bytecode with encoded constructor arguments
+ * @param {Object} [options] { salt, overrides } (transaction overrides such as gasLimit)
+ * @returns {Promise<Object>} { address, deployed, transaction } (no transaction when skipped)
+ */
+async function deployDeterministic(signer, initCode, { salt = CREATE2_SALT, overrides = {} } = {}) {
+    const address = create2Address(initCode, salt);
+    if ((await signer.provider.getCode(address)) !== "0x") return { address, deployed: false };
+
+    const transaction = await signer.sendTransaction({
+        to: CREATE2_FACTORY,
+        data: ethers.utils.hexConcat([salt, initCode]),
+        ...overrides
+    });
+    await transaction.wait();
+
+    // The factory does not revert when creation fails, it returns no address
+    if ((await signer.provider.getCode(address)) === "0x") {
+        throw new Error(`CREATE2 deployment to ${address} failed`);
+    }
+    return { address, deployed: true, transaction };
+}
+
+/**
+ * Zero the immutable values in runtime bytecode, which differ between chains
+ * (EIP-712 domain separators embed the chain ID).
+ * @param {string} code Runtime bytecode
+ * @param {Object} [immutableReferences] Compiler output { [id]: [{ start, length }] }
+ * @returns {string} Bytecode with the immutables zeroed
+ */
+function maskImmutables(code, immutableReferences = {}) {
+    const bytes = ethers.utils.arrayify(code);
+    for (const { start, length } of Object.values(immutableReferences).flat()) {
+        bytes.fill(0, start, start + length);
+    }
+    return ethers.utils.hexlify(bytes);
+}
+
+/**
+ * Compare the code at each contract's address on every network with its
+ * compiled runtime bytecode, ignoring immutables.
+ * @param {Object} providers { [network]: provider }
+ * @param {Object} contracts { [name]: { address, deployedBytecode, immutableReferences } }
+ * @returns {Promise<Object>} { [name]: { address, match, networks: { [network]: "match" | "missing" | "mismatch" } } }
+ */
+async function checkBytecodeParity(providers, contracts) {
+    const results = {};
+    for (const [name, { address, deployedBytecode, immutableReferences }] of Object.entries(contracts)) {
+        const expected = maskImmutables(deployedBytecode, immutableReferences);
+        const networks = {};
+        for (const [network, provider] of Object.entries(providers)) {
+            const code = await provider.getCode(address);
+            if (code === "0x") {
+                networks[network] = "missing";
+            } else {
+                networks[network] = maskImmutables(code, immutableReferences) === expected ? "match" : "mismatch";
+            }
+        }
+        results[name] = { address, match: Object.values(networks).every((result) => result === "match"), networks };
+    }
+    return results;
+}
+
+module.exports = {
+    CREATE2_FACTORY,
+    CREATE2_FACTORY_DEPLOYMENT,
+    CREATE2_SALT,
+    create2Address,
+    ensureCreate2Factory,
+    deployDeterministic,
+    maskImmutables,
+    checkBytecodeParity
+};
@@ -0,0 +1,54 @@
+const { NATIVE_TOKEN, isNativeToken } = require("./BaseSwapClient");
+const { SwapClient } = require("./SwapClient");
+const { FppSwapClient } = require("./FppSwapClient");
+const { SwapStatus, deriveStatus, statusFromState } = require("./swap-status");
+const { SwapCoordinator, LegStatus, CoordinatorStatus } = require("./SwapCoordinator");
+const { JsonStateStore } = require("./JsonStateStore");
+const { DeploymentManifest } = require("./DeploymentManifest");
+const { Watchtower } = require("./Watchtower");
+const { SwapIndexer } = require("./SwapIndexer");
+const { CounterpartyVerifier, CounterpartyVerificationError } = require("./CounterpartyVerifier");
+const { Relayer, createRelayerServer } = require("./relayer");
+const { SwapApi, ApiError, createApiServer } = require("./api");
+const metaTx = require("./meta-tx");
+const secretExchange = require("./secret-exchange");
+const secrets = require("./secrets");
+const tranches = require("./tranches");
+const batch = require("./batch");
+const timelocks = require("./timelocks");
+const lightning = require("./lightning");
+const networks = require("./networks");
+const create2 = require("./create2");
+
+module.exports = {
+    SwapClient,
+    FppSwapClient,
+    NATIVE_TOKEN,
+    isNativeToken,
+    SwapStatus,
+    deriveStatus,
+    statusFromState,
+    SwapCoordinator,
+    LegStatus,
+    CoordinatorStatus,
+    JsonStateStore,
+    DeploymentManifest,
+    Watchtower,
+    SwapIndexer,
+    CounterpartyVerifier,
+    CounterpartyVerificationError,
+    Relayer,
+    createRelayerServer,
+    SwapApi,
+    ApiError,
+    createApiServer,
+    secretExchange,
+    ...metaTx,
+    ...secrets,
+    ...tranches,
+    ...batch,
+    ...timelocks,
+    ...lightning,
+    ...networks,
+    ...create2
+};
@@ -0,0 +1,99 @@
+const { ethers } = require("ethers");
+
+/**
+ * BOLT-11 (Lightning invoice) helpers for swapping against Lightning.
+ *
+ * An invoice's payment hash is sha256 of a 32-byte preimage, so it can be
+ * used as the hashlock of an HTLC locked with the "sha256" algorithm (or as a
+ * party hash of an FPPHTLC sha256 swap). Paying the invoice reveals the
+ * preimage, which claims the lock.
+ *
+ * Invoices are bech32 without the 90-character limit. Only the checksum is
+ * verified here, not the node signature.
+ */
+
+const CHARSET = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+// 5-bit words: 7 of timestamp before the tagged fields, 104 of signature after them
+const TIMESTAMP_WORDS = 7;
+const SIGNATURE_WORDS = 104;
+
+// Tagged field `p`: 52 words holding the 256-bit payment hash
+const PAYMENT_HASH_TAG = 1;
+const PAYMENT_HASH_WORDS = 52;
+
+function polymod(values) {
+    let checksum = 1;
+    for (const value of values) {
+        const top = checksum >>> 25;
+        checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+        GENERATOR.forEach((generator, i) => {
+            if ((top >>> i) & 1) checksum ^= generator;
+        });
+    }
+    return checksum;
+}
+
+function expandPrefix(prefix) {
+    return [...[...prefix].map((c) => c.charCodeAt(0) >>> 5), 0, ...[...prefix].map((c) => c.charCodeAt(0) & 31)];
+}
+
+// Split an invoice into its human-readable prefix and data words, checking the checksum
+function decodeBech32(invoice) {
+    const lower = invoice.toLowerCase();
+    if (lower !== invoice && invoice.toUpperCase() !== invoice) throw new Error("Invoice has mixed case");
+
+    const separator = lower.lastIndexOf("1");
+    if (separator < 1 || lower.length - separator - 1 < 6) throw new Error("Invalid invoice");
+    const prefix = lower.slice(0, separator);
+    const words = [...lower.slice(separator + 1)].map((c) => {
+        const word = CHARSET.indexOf(c);
+        if (word === -1) throw new Error(`Invalid invoice character ${c}`);
+        return word;
+    });
+    if (polymod([...expandPrefix(prefix), ...words]) !== 1) throw new Error("Invalid invoice checksum");
+    return { prefix, words: words.slice(0, -6) };
+}
+
+// Regroup 5-bit words into bytes, dropping trailing padding bits
+function wordsToBytes(words) {
+    const bytes = [];
+    let buffer = 0;
+    let bits = 0;
+    for (const word of words) {
+        buffer = (buffer << 5) | word;
+        bits += 5;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes.push((buffer >>> bits) & 0xff);
+        }
+    }
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Payment hash of a BOLT-11 invoice, as a bytes32 hex string.
+ * @param {string} invoice Encoded invoice (optionally prefixed with "lightning:")
+ * @returns {string}
+ */
+function paymentHashFromInvoice(invoice) {
+    const { prefix, words } = decodeBech32(invoice.replace(/^lightning:/i, ""));
+    if (!prefix.startsWith("ln")) throw new Error("Not a Lightning invoice");
+
+    let i = TIMESTAMP_WORDS;
+    const end = words.length - SIGNATURE_WORDS;
+    while (i + 3 <= end) {
+        const tag = words[i];
+        const length = words[i + 1] * 32 + words[i + 2];
+        const data = words.slice(i + 3, i + 3 + length);
+        // Readers skip `p` fields of the wrong length (BOLT-11)
+        if (tag === PAYMENT_HASH_TAG && length === PAYMENT_HASH_WORDS) {
+            return ethers.utils.hexlify(wordsToBytes(data).slice(0, 32));
+        }
+        i += 3 + length;
+    }
+    throw new Error("Invoice has no payment hash");
+}
+
+module.exports = { paymentHashFromInvoice };
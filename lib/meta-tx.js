@@ -0,0 +1,109 @@
+const { ethers } = require("ethers");
+
+/**
+ * EIP-712 relay authorizations for HTLC.claimFundsBySig / refundFundsBySig and
+ * FPPHTLC.claimFundsBySig / refundBySig.
+ *
+ * The recipient (Claim) or initiator (Refund) signs; any relayer can submit.
+ * Funds always go to the swap's recipient/initiator, minus `fee`, which the
+ * contract pays to the submitting relayer. `relayer` = AddressZero lets anyone
+ * submit; otherwise only that address can.
+ */
+const RELAY_TYPES = {
+    Claim: [
+        { name: "swapId", type: "bytes32" },
+        { name: "relayer", type: "address" },
+        { name: "fee", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ],
+    Refund: [
+        { name: "swapId", type: "bytes32" },
+        { name: "relayer", type: "address" },
+        { name: "fee", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+// Signed by a swap's current recipient to hand the swap to `newRecipient` (transferRecipient)
+const TRANSFER_RECIPIENT_TYPES = {
+    TransferRecipient: [
+        { name: "swapId", type: "bytes32" },
+        { name: "newRecipient", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+// Seconds a relay authorization stays valid by default
+const DEFAULT_RELAY_DURATION = 3600;
+
+// Read the EIP-712 domain from the swap contract (EIP-5267)
+async function relayDomain(contract) {
+    const domain = await contract.eip712Domain();
+    return {
+        name: domain.name,
+        version: domain.version,
+        chainId: domain.chainId,
+        verifyingContract: domain.verifyingContract
+    };
+}
+
+/**
+ * Sign a Claim or Refund authorization.
+ * @param {ethers.Signer} signer Swap recipient (Claim) or initiator (Refund)
+ * @param {ethers.Contract} contract HTLC or FPPHTLC instance
+ * @param {string} kind "Claim" or "Refund"
+ * @param {Object} params { swapId, relayer, fee, deadline }
+ * @returns {Promise<Object>} { relayer, fee, deadline, signature } as taken by the *BySig functions
+ */
+async function signRelayAuthorization(signer, contract, kind, { swapId, relayer = ethers.constants.AddressZero, fee = 0, deadline }) {
+    if (!RELAY_TYPES[kind]) throw new Error(`Unknown relay authorization ${kind}`);
+    if (deadline === undefined) {
+        const block = await contract.provider.getBlock("latest");
+        deadline = block.timestamp + DEFAULT_RELAY_DURATION;
+    }
+    const auth = { relayer, fee: ethers.BigNumber.from(fee).toString(), deadline: Number(deadline) };
+    const signature = await signer._signTypedData(await relayDomain(contract), { [kind]: RELAY_TYPES[kind] }, { swapId, ...auth });
+    return { ...auth, signature };
+}
+
+/**
+ * Sign a TransferRecipient message for a swap payable to `signer`. The nonce
+ * is read from recipientNonces(swapId), so each signature is good for one transfer.
+ * @param {Object} params { swapId, newRecipient, deadline }
+ * @returns {Promise<Object>} { swapId, newRecipient, nonce, deadline, signature }
+ */
+async function signRecipientTransfer(signer, contract, { swapId, newRecipient, deadline }) {
+    if (deadline === undefined) {
+        const block = await contract.provider.getBlock("latest");
+        deadline = block.timestamp + DEFAULT_RELAY_DURATION;
+    }
+    const message = {
+        swapId,
+        newRecipient,
+        nonce: (await contract.recipientNonces(swapId)).toString(),
+        deadline: Number(deadline)
+    };
+    const signature = await signer._signTypedData(await relayDomain(contract), TRANSFER_RECIPIENT_TYPES, message);
+    return { ...message, signature };
+}
+
+// Recover the signer of an authorization, e.g. to reject bad requests before submitting
+async function recoverRelayAuthorization(contract, kind, swapId, auth) {
+    return ethers.utils.verifyTypedData(
+        await relayDomain(contract),
+        { [kind]: RELAY_TYPES[kind] },
+        { swapId, relayer: auth.relayer, fee: auth.fee, deadline: auth.deadline },
+        auth.signature
+    );
+}
+
+module.exports = {
+    RELAY_TYPES,
+    TRANSFER_RECIPIENT_TYPES,
+    DEFAULT_RELAY_DURATION,
+    relayDomain,
+    signRelayAuthorization,
+    recoverRelayAuthorization,
+    signRecipientTransfer
+};
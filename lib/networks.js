@@ -0,0 +1,163 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Network registry: config/networks.json describes every chain the scripts
+ * work with, keyed by Hardhat network name. Adding a network only takes a new
+ * entry there.
+ *
+ *   name, nativeCurrency, faucet   Shown in logs and reports
+ *   chainId                        Chain ID of the live network
+ *   rpcUrlEnv                      Variable holding the RPC URL; networks without it are skipped
+ *   envPrefix                      Prefix of the per-network variables: GAS_PRICE_<prefix>,
+ *                                  LOCAL_<prefix>_PORT, LOCAL_<prefix>_BLOCK_TIME and the
+ *                                  address overrides <prefix>_HTLC, <prefix>_TOKEN_A, ...
+ *   addressEnvPrefix               Optional prefix of the address overrides when it differs
+ *                                  from envPrefix (bscTestnet keeps BSC_TESTNET_HTLC, ...)
+ *   blockTime, confirmations,      Seconds per block, blocks until a transaction is final and
+ *   networkDelay                   seconds for a transaction to reach the network (lib/timelocks.js)
+ *   gas                            { type: "legacy", gasPrice } or
+ *                                  { type: "eip1559", maxFeePerGas, maxPriorityFeePerGas } in wei
+ *   explorer                       { apiKeyEnv, apiUrl, browserUrl } for contract verification;
+ *                                  the URLs are only needed for chains hardhat-verify does not know
+ *   local                          { chainId, port } of the stand-in in scripts/local-chains.js
+ *   addresses                      Deployed contracts, written by scripts/deploy.js
+ */
+
+const NETWORKS_FILE = process.env.NETWORKS_FILE || path.join(__dirname, "../config/networks.json");
+
+// Contracts deployed to every network, each overridable through <addressEnvPrefix>_<NAME>
+const CONTRACTS = ["HTLC", "FPPHTLC", "TokenA", "TokenB"];
+
+// HTLC -> HTLC, TokenA -> TOKEN_A
+function contractEnvName(contract) {
+    return contract.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase();
+}
+
+/**
+ * Registry entries as stored, without environment lookups.
+ * @param {string} [file] Defaults to NETWORKS_FILE (config/networks.json)
+ * @returns {Object} { [network]: entry }
+ */
+function readRegistry(file = NETWORKS_FILE) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Registry entries resolved against the environment: `rpcUrl` is read from
+ * `rpcUrlEnv` and `addresses` combines the registry, `addressesFile` (e.g.
+ * the local chains' addresses) and per-contract variables, later ones winning.
+ * @param {Object} [options]
+ * @param {string} [options.file] Registry file
+ * @param {string} [options.addressesFile] { [network]: addresses } JSON file, defaults to ADDRESSES_FILE
+ * @param {Object} [options.env] Defaults to process.env
+ * @returns {Object} { [network]: { ...entry, key, rpcUrl, addresses } }
+ */
+function loadNetworks({ file = NETWORKS_FILE, addressesFile, env = process.env } = {}) {
+    const addressesPath = addressesFile || env.ADDRESSES_FILE;
+    const deployed = addressesPath ? JSON.parse(fs.readFileSync(addressesPath, "utf8")) : {};
+
+    return Object.fromEntries(Object.entries(readRegistry(file)).map(([key, network]) => {
+        const addresses = { ...network.addresses, ...deployed[key] };
+        const prefix = network.addressEnvPrefix || network.envPrefix;
+        for (const contract of CONTRACTS) {
+            const override = env[`${prefix}_${contractEnvName(contract)}`];
+            if (override) addresses[contract] = override;
+        }
+        return [key, { ...network, key, rpcUrl: env[network.rpcUrlEnv], addresses }];
+    }));
+}
+
+/**
+ * Transaction fee fields for a network's gas policy, in wei. Networks without
+ * a policy use the node's estimate ({}).
+ * @param {Object} network Registry entry
+ * @param {Object} [env] Defaults to process.env (GAS_PRICE_<prefix>, MAX_FEE_PER_GAS, MAX_PRIORITY_FEE_PER_GAS)
+ * @returns {Object} { gasPrice } or { maxFeePerGas, maxPriorityFeePerGas }
+ */
+function gasSettings(network, env = process.env) {
+    const { gas } = network;
+    if (!gas) return {};
+    if (gas.type === "legacy") {
+        return { gasPrice: env[`GAS_PRICE_${network.envPrefix}`] || gas.gasPrice };
+    }
+    if (gas.type === "eip1559") {
+        return {
+            maxFeePerGas: env.MAX_FEE_PER_GAS || gas.maxFeePerGas,
+            maxPriorityFeePerGas: env.MAX_PRIORITY_FEE_PER_GAS || gas.maxPriorityFeePerGas
+        };
+    }
+    throw new Error(`Unknown gas policy ${gas.type} for ${network.name}`);
+}
+
+// Private keys may be set with or without 0x
+function addHexPrefix(key) {
+    if (!key) return key;
+    return key.startsWith("0x") ? key : `0x${key}`;
+}
+
+/**
+ * Provider for a registry entry and a wallet on it for each private key.
+ * @param {Object} network Entry from loadNetworks()
+ * @param {string[]} [privateKeys] Hex keys, with or without 0x
+ * @returns {Object} { provider, signers }
+ */
+function connectNetwork(network, privateKeys = []) {
+    const provider = new ethers.providers.JsonRpcProvider(network.rpcUrl);
+    const signers = privateKeys.map((key) => new ethers.Wallet(addHexPrefix(key), provider));
+    return { provider, signers };
+}
+
+/**
+ * Deployed contracts and wallets on every network with an RPC URL and the
+ * contracts' addresses; other networks are skipped with a warning. Contracts
+ * are connected to the first signer, or to the provider when there is none.
+ * @param {Object} registry Result of loadNetworks()
+ * @param {Object} options
+ * @param {Object} options.factories { [contract]: ContractFactory }, e.g. { HTLC, FPPHTLC }
+ * @param {string[]} [options.privateKeys] Keys of the signers on every network
+ * @returns {Object} { [network]: { provider, signers, signer, htlc?, fpphtlc? } }, contracts keyed in lower case
+ */
+function buildNetworks(registry, { factories, privateKeys = [] }) {
+    const networks = {};
+    for (const [key, network] of Object.entries(registry)) {
+        const { rpcUrl, rpcUrlEnv, addresses } = network;
+        if (!rpcUrl || Object.keys(factories).some((contract) => !addresses[contract])) {
+            console.log(`⚠️ Skipping ${key}: ${rpcUrlEnv} or deployed addresses missing`);
+            continue;
+        }
+        const { provider, signers } = connectNetwork(network, privateKeys);
+        const runner = signers[0] || provider;
+        networks[key] = { provider, signers, signer: signers[0] };
+        for (const [contract, factory] of Object.entries(factories)) {
+            networks[key][contract.toLowerCase()] = factory.attach(addresses[contract]).connect(runner);
+        }
+    }
+    return networks;
+}
+
+/**
+ * Record a network's deployed contracts in the registry file.
+ * @param {string} key Network key
+ * @param {Object} addresses { HTLC, FPPHTLC, TokenA, TokenB }
+ * @param {string} [file] Registry file
+ */
+function saveNetworkAddresses(key, addresses, file = NETWORKS_FILE) {
+    const registry = readRegistry(file);
+    if (!registry[key]) throw new Error(`Network ${key} is not in ${path.basename(file)}`);
+    registry[key].addresses = addresses;
+    fs.writeFileSync(file, `${JSON.stringify(registry, null, 4)}\n`);
+}
+
+module.exports = {
+    NETWORKS_FILE,
+    CONTRACTS,
+    readRegistry,
+    loadNetworks,
+    gasSettings,
+    addHexPrefix,
+    connectNetwork,
+    buildNetworks,
+    saveNetworkAddresses
+};
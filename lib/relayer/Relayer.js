@@ -0,0 +1,131 @@
+const { EventEmitter } = require("events");
+const { ethers } = require("ethers");
+const { SwapClient } = require("../SwapClient");
+const { FppSwapClient } = require("../FppSwapClient");
+const { recoverRelayAuthorization } = require("../meta-tx");
+
+const PROTOCOLS = {
+    htlc: SwapClient,
+    fpphtlc: FppSwapClient
+};
+
+const ACTIONS = {
+    claim: "Claim",
+    refund: "Refund"
+};
+
+/**
+ * Submits signed claims and refunds for parties that have no gas on the
+ * destination chain.
+ *
+ * A request looks like:
+ *   { network, protocol: "htlc" | "fpphtlc", action: "claim" | "refund", swapId,
+ *     secret (htlc claim) | initiatorSecret + recipientSecret (fpphtlc claim),
+ *     auth: { relayer, fee, deadline, signature } }
+ *
+ * Requests are checked off-chain (token, fee, relayer, signer) and simulated
+ * before anything is sent, so a bad request never costs the relayer gas. Only
+ * swaps of tokens listed in a network's `fees` are relayed, each with its own
+ * minimum fee, since the fee is paid in the swapped token.
+ *
+ * Events: relayed, relayError
+ */
+class Relayer extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.networks { [network]: { htlc?, fpphtlc?, signer, fees } }, `fees` mapping
+     *   each accepted token address (NATIVE_TOKEN for native swaps) to its smallest fee, in that token's base units
+     */
+    constructor({ networks }) {
+        super();
+        this.networks = networks;
+        this.fees = {};
+        for (const [network, { fees = {} }] of Object.entries(networks)) {
+            this.fees[network] = Object.fromEntries(Object.entries(fees).map(([token, minFee]) =>
+                [ethers.utils.getAddress(token), ethers.BigNumber.from(minFee)]));
+        }
+    }
+
+    _client(network, protocol) {
+        const config = this.networks[network];
+        if (!config) throw new Error(`Unknown network ${network}`);
+        if (!PROTOCOLS[protocol] || !config[protocol]) throw new Error(`Unsupported protocol ${protocol} on ${network}`);
+        return new PROTOCOLS[protocol](config[protocol], config.signer);
+    }
+
+    /**
+     * Relayer addresses, accepted tokens and their minimum fees, for clients
+     * building authorizations.
+     */
+    async info() {
+        const networks = {};
+        for (const [network, config] of Object.entries(this.networks)) {
+            networks[network] = {
+                relayer: await config.signer.getAddress(),
+                htlc: config.htlc ? config.htlc.address : null,
+                fpphtlc: config.fpphtlc ? config.fpphtlc.address : null,
+                fees: Object.fromEntries(
+                    Object.entries(this.fees[network]).map(([token, minFee]) => [token, minFee.toString()])
+                )
+            };
+        }
+        return { networks };
+    }
+
+    async _check(client, request) {
+        const { action, swapId, auth } = request;
+        const kind = ACTIONS[action];
+        if (!kind) throw new Error(`Unknown action ${action}`);
+        if (!auth || !auth.signature) throw new Error("Missing authorization");
+
+        const relayer = await client.signer.getAddress();
+        if (auth.relayer !== ethers.constants.AddressZero && auth.relayer.toLowerCase() !== relayer.toLowerCase()) {
+            throw new Error("Authorization is for a different relayer");
+        }
+
+        const swap = await client.getStatus(swapId);
+        const minFee = this.fees[request.network][ethers.utils.getAddress(swap.token)];
+        if (!minFee) throw new Error(`Token ${swap.token} not accepted`);
+        if (ethers.BigNumber.from(auth.fee).lt(minFee)) throw new Error(`Fee below minimum ${minFee}`);
+
+        const expected = action === "claim" ? swap.recipient : swap.initiator;
+        const signer = await recoverRelayAuthorization(client.contract, kind, swapId, auth);
+        if (signer.toLowerCase() !== expected.toLowerCase()) throw new Error("Invalid signature");
+        return swap;
+    }
+
+    _send(client, request, callStatic = false) {
+        const { protocol, action, swapId, auth } = request;
+        const contract = callStatic ? client.contract.callStatic : client.contract;
+        if (action === "refund") {
+            return protocol === "htlc" ? contract.refundFundsBySig(swapId, auth) : contract.refundBySig(swapId, auth);
+        }
+        return protocol === "htlc"
+            ? contract.claimFundsBySig(swapId, request.secret, auth)
+            : contract.claimFundsBySig(swapId, request.initiatorSecret, request.recipientSecret, auth);
+    }
+
+    /**
+     * Validate, simulate and submit a signed request.
+     * @returns {Promise<Object>} { network, protocol, action, swapId, fee, txHash }
+     */
+    async relay(request) {
+        const { network, protocol, action, swapId } = request;
+        try {
+            const client = this._client(network, protocol);
+            await this._check(client, request);
+            await this._send(client, request, true);
+
+            const receipt = await (await this._send(client, request)).wait();
+            const entry = { network, protocol, action, swapId, fee: request.auth.fee.toString(), txHash: receipt.transactionHash };
+            this.emit("relayed", entry);
+            return entry;
+        } catch (error) {
+            const message = error.reason || error.message;
+            this.emit("relayError", { network, protocol, action, swapId, error: message });
+            throw new Error(message);
+        }
+    }
+}
+
+module.exports = { Relayer };
@@ -0,0 +1,7 @@
+const { Relayer } = require("./Relayer");
+const { createRelayerServer } = require("./server");
+
+module.exports = {
+    Relayer,
+    createRelayerServer
+};
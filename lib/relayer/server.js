@@ -0,0 +1,57 @@
+const http = require("http");
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+/**
+ * HTTP front end for a Relayer.
+ *
+ *   GET  /info    relayer addresses, accepted tokens and minimum fees per network
+ *   POST /relay   submit a signed claim or refund (see Relayer.relay)
+ *
+ * Rejected or failing requests return 400 with { error }.
+ *
+ * @param {Relayer} relayer
+ * @returns {http.Server} Call listen() on the returned server
+ */
+function createRelayerServer(relayer) {
+    const sendJson = (res, status, body) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+    };
+
+    return http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, "http://relayer");
+
+        if (pathname === "/info") {
+            if (req.method !== "GET") return sendJson(res, 405, { error: "Method not allowed" });
+            relayer.info()
+                .then((info) => sendJson(res, 200, info))
+                .catch((error) => sendJson(res, 500, { error: error.message }));
+            return;
+        }
+
+        if (pathname !== "/relay") return sendJson(res, 404, { error: "Not found" });
+        if (req.method !== "POST") return sendJson(res, 405, { error: "Method not allowed" });
+
+        let body = "";
+        req.on("data", (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) req.destroy();
+        });
+        req.on("end", async () => {
+            let request;
+            try {
+                request = JSON.parse(body);
+            } catch (error) {
+                return sendJson(res, 400, { error: "Invalid JSON" });
+            }
+            try {
+                sendJson(res, 200, await relayer.relay(request));
+            } catch (error) {
+                sendJson(res, 400, { error: error.message });
+            }
+        });
+    });
+}
+
+module.exports = { createRelayerServer };
@@ -0,0 +1,188 @@
+const { MessageType, sessionId, createMessage, verifyMessage } = require("./messages");
+const { hashSecret, combineHashes } = require("../secrets");
+const { SwapStatus } = require("../swap-status");
+
+/**
+ * Off-chain secret exchange for one party of an FPPHTLC swap.
+ *
+ * FPPHTLC.claimFunds needs both secrets, and they only appear on-chain (in
+ * SecretsRevealed) once someone claims, so the parties trade them over a
+ * transport in two phases:
+ *
+ * 1. exchangeCommitments(): both parties send a signed commitment carrying
+ *    their secret hash. Each side can then build combinedHash and lock.
+ * 2. revealSecrets(): once both locks exist, each side checks both on-chain
+ *    locks against the committed hashes before revealing anything. The
+ *    counterparty (shorter timelock) reveals first; the initiator reveals only
+ *    after receiving a secret that matches the counterparty's commitment.
+ *
+ * Every message is signed, bound to the swapId pair and carries the sender's
+ * clientSwapId, proving it made one of the two locks; messages from anyone
+ * other than the expected counterparty address are ignored.
+ */
+class SecretExchange {
+    /**
+     * @param {Object} options
+     * @param {ethers.Signer} options.signer This party's signer
+     * @param {Transport} options.transport Message transport
+     * @param {string} options.role "initiator" or "counterparty"
+     * @param {Object} options.swapIds { initiator, counterparty } on-chain swapIds of both locks
+     *   (deriveSwapId(locker, clientSwapId), so both are known before anyone locks)
+     * @param {string} options.clientSwapId Client id of this party's own lock (swapIds[role])
+     * @param {string} options.secret This party's bytes32 secret
+     * @param {string} options.counterparty Counterparty address
+     * @param {FppSwapClient} [options.ownLeg] Client for the chain holding this party's lock
+     * @param {FppSwapClient} [options.counterpartyLeg] Client for the chain holding the counterparty's lock
+     * @param {number} [options.timeout] Milliseconds to wait for each message
+     */
+    constructor({
+        signer, transport, role, swapIds, clientSwapId, secret, counterparty, ownLeg, counterpartyLeg, timeout = 60000
+    }) {
+        if (!["initiator", "counterparty"].includes(role)) throw new Error(`Invalid role ${role}`);
+        this.signer = signer;
+        this.transport = transport;
+        this.role = role;
+        this.otherRole = role === "initiator" ? "counterparty" : "initiator";
+        this.swapIds = swapIds;
+        this.sessionId = sessionId(swapIds);
+        this.clientSwapId = clientSwapId;
+        this.secret = secret;
+        this.secretHash = hashSecret(secret);
+        this.counterparty = counterparty;
+        this.ownLeg = ownLeg;
+        this.counterpartyLeg = counterpartyLeg;
+        this.timeout = timeout;
+        this.counterpartyHash = null;
+        this.counterpartySecret = null;
+        this.verified = false;
+    }
+
+    _isFromCounterparty(type) {
+        return (message) => {
+            if (message.type !== type) return false;
+            try {
+                return verifyMessage(message, { type, sender: this.counterparty, swapIds: this.swapIds });
+            } catch (error) {
+                return false;
+            }
+        };
+    }
+
+    async _send(type, payload) {
+        await this.transport.send(await createMessage(this.signer, type, this.swapIds, payload, this.clientSwapId));
+    }
+
+    /**
+     * Phase 1: publish this party's hash and wait for the counterparty's.
+     * @returns {Promise<string>} Counterparty secret hash
+     */
+    async exchangeCommitments() {
+        await this._send(MessageType.COMMITMENT, this.secretHash);
+        const message = await this.transport.receive(
+            this.sessionId, this._isFromCounterparty(MessageType.COMMITMENT), { timeout: this.timeout }
+        );
+        this.counterpartyHash = message.payload;
+        return this.counterpartyHash;
+    }
+
+    /**
+     * Check both on-chain locks against the committed hashes.
+     * @returns {Promise<string[]>} Reasons the locks are unsafe (empty when safe)
+     */
+    async checkLocks() {
+        if (!this.counterpartyHash) throw new Error("Commitments not exchanged");
+        if (!this.ownLeg || !this.counterpartyLeg) throw new Error("ownLeg and counterpartyLeg clients required");
+
+        const reasons = [];
+        const me = await this.signer.getAddress();
+        const [own, theirs] = await Promise.all([
+            this.ownLeg.getStatus(this.swapIds[this.role]),
+            this.counterpartyLeg.getStatus(this.swapIds[this.otherRole])
+        ]);
+
+        if (own.status !== SwapStatus.ACTIVE) reasons.push(`Own lock is ${own.status}`);
+        if (own.combinedHash !== combineHashes(this.secretHash, this.counterpartyHash)) {
+            reasons.push("Own lock combinedHash does not match the exchanged hashes");
+        }
+        if (theirs.status !== SwapStatus.ACTIVE) reasons.push(`Counterparty lock is ${theirs.status}`);
+        if (theirs.recipient.toLowerCase() !== me.toLowerCase()) reasons.push("Counterparty lock is not payable to us");
+        if (theirs.combinedHash !== combineHashes(this.counterpartyHash, this.secretHash)) {
+            reasons.push("Counterparty lock combinedHash does not match the exchanged hashes");
+        }
+        return reasons;
+    }
+
+    async _reveal() {
+        if (!this.verified) throw new Error("Locks not verified; refusing to reveal secret");
+        await this._send(MessageType.REVEAL, this.secret);
+    }
+
+    async _awaitReveal() {
+        const message = await this.transport.receive(this.sessionId, (candidate) => {
+            return this._isFromCounterparty(MessageType.REVEAL)(candidate) &&
+                hashSecret(candidate.payload) === this.counterpartyHash;
+        }, { timeout: this.timeout });
+        this.counterpartySecret = message.payload;
+        return this.counterpartySecret;
+    }
+
+    /**
+     * Phase 2: verify both locks, then trade secrets in the safe order.
+     * @returns {Promise<Object>} { initiatorSecret, counterpartySecret } ready for claimFunds
+     */
+    async revealSecrets() {
+        const reasons = await this.checkLocks();
+        if (reasons.length > 0) throw new Error(`Refusing to reveal secret: ${reasons.join("; ")}`);
+        this.verified = true;
+
+        if (this.role === "counterparty") {
+            await this._reveal();
+            await this._awaitReveal();
+        } else {
+            await this._awaitReveal();
+            await this._reveal();
+        }
+
+        return this.role === "initiator"
+            ? { initiatorSecret: this.secret, counterpartySecret: this.counterpartySecret }
+            : { initiatorSecret: this.counterpartySecret, counterpartySecret: this.secret };
+    }
+}
+
+/**
+ * Recover the secrets of a mined FPPHTLC claim from its SecretsRevealed log. A
+ * party whose counterparty claimed without revealing off-chain can still claim.
+ * Works for every claim entry point (claimFunds, claimFundsTo, claimFundsBySig,
+ * claimFundsMultiParty, batchClaim) and for claims made through other contracts.
+ * @param {ethers.Contract} contract FPPHTLC
+ * @param {string} txHash Claim transaction
+ * @param {string} [swapId] Swap to pick when the transaction claimed several
+ * @returns {Promise<Object>} { swapId, secrets, initiatorSecret, recipientSecret }
+ */
+async function extractClaimSecrets(contract, txHash, swapId) {
+    const receipt = await contract.provider.getTransactionReceipt(txHash);
+    if (!receipt) throw new Error(`Transaction ${txHash} not mined`);
+
+    const revealed = receipt.logs
+        .filter((log) => log.address.toLowerCase() === contract.address.toLowerCase())
+        .map((log) => {
+            try {
+                return contract.interface.parseLog(log);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter((event) => event && event.name === "SecretsRevealed")
+        .find((event) => !swapId || event.args.swapId === swapId);
+    if (!revealed) throw new Error(`No claim${swapId ? ` of ${swapId}` : ""} in ${txHash}`);
+
+    const secrets = [...revealed.args.secrets];
+    return {
+        swapId: revealed.args.swapId,
+        secrets,
+        initiatorSecret: secrets[0],
+        recipientSecret: secrets[1]
+    };
+}
+
+module.exports = { SecretExchange, extractClaimSecrets };
@@ -0,0 +1,15 @@
+const messages = require("./messages");
+const { Transport, MemoryTransport, HttpTransport, WebSocketTransport } = require("./transports");
+const { createRelayServer } = require("./relay-server");
+const { SecretExchange, extractClaimSecrets } = require("./SecretExchange");
+
+module.exports = {
+    ...messages,
+    Transport,
+    MemoryTransport,
+    HttpTransport,
+    WebSocketTransport,
+    createRelayServer,
+    SecretExchange,
+    extractClaimSecrets
+};
@@ -0,0 +1,96 @@
+const { ethers } = require("ethers");
+const { deriveSwapId } = require("../secrets");
+
+/**
+ * Signed message format for exchanging FPPHTLC secrets off-chain.
+ *
+ * Every message is bound to the pair of swapIds it belongs to (the lock made
+ * by the initiator and the lock made by the counterparty) and signed by the
+ * sender with EIP-191 personal_sign over:
+ *
+ *   keccak256(abi.encode(
+ *       "FPPHTLC-SECRET-EXCHANGE", version, type,
+ *       initiatorSwapId, counterpartySwapId, sender, clientSwapId, payload, timestamp))
+ *
+ * clientSwapId is the sender's own lock id: deriveSwapId(sender, clientSwapId)
+ * must be one of the two swapIds, so only the two lockers can post to a session.
+ *
+ * Types:
+ * - commitment: payload is the sender's secret hash
+ * - reveal:     payload is the sender's bytes32 secret
+ */
+const DOMAIN = "FPPHTLC-SECRET-EXCHANGE";
+const VERSION = 2;
+
+const MessageType = Object.freeze({
+    COMMITMENT: "commitment",
+    REVEAL: "reveal"
+});
+
+// Channel identifier shared by both parties of a swap
+function sessionId({ initiator, counterparty }) {
+    return ethers.utils.keccak256(
+        ethers.utils.defaultAbiCoder.encode(["bytes32", "bytes32"], [initiator, counterparty])
+    );
+}
+
+function messageDigest({ version, type, swapIds, sender, clientSwapId, payload, timestamp }) {
+    return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+        ["string", "uint8", "string", "bytes32", "bytes32", "address", "bytes32", "bytes32", "uint256"],
+        [DOMAIN, version, type, swapIds.initiator, swapIds.counterparty, sender, clientSwapId, payload, timestamp]
+    ));
+}
+
+/**
+ * Build and sign a message.
+ * @param {ethers.Signer} signer Sender
+ * @param {string} type MessageType
+ * @param {Object} swapIds { initiator, counterparty }
+ * @param {string} payload bytes32 hash or secret
+ * @param {string} clientSwapId Client id of the sender's own lock in `swapIds`
+ */
+async function createMessage(signer, type, swapIds, payload, clientSwapId) {
+    if (!Object.values(MessageType).includes(type)) throw new Error(`Unknown message type ${type}`);
+    const message = {
+        version: VERSION,
+        type,
+        sessionId: sessionId(swapIds),
+        swapIds: { initiator: swapIds.initiator, counterparty: swapIds.counterparty },
+        sender: await signer.getAddress(),
+        clientSwapId,
+        payload: ethers.utils.hexZeroPad(payload, 32),
+        timestamp: Math.floor(Date.now() / 1000)
+    };
+    message.signature = await signer.signMessage(ethers.utils.arrayify(messageDigest(message)));
+    return message;
+}
+
+/**
+ * Check a message's structure and signature. Throws with the reason on failure.
+ * @param {Object} message
+ * @param {Object} [expected] { swapIds, sender, type } to match against
+ */
+function verifyMessage(message, expected = {}) {
+    if (!message || message.version !== VERSION) throw new Error("Unsupported message version");
+    if (!Object.values(MessageType).includes(message.type)) throw new Error("Unknown message type");
+    if (message.sessionId !== sessionId(message.swapIds)) throw new Error("Session does not match swapIds");
+    if (!ethers.utils.isHexString(message.clientSwapId, 32)) throw new Error("Invalid clientSwapId");
+
+    const signer = ethers.utils.verifyMessage(ethers.utils.arrayify(messageDigest(message)), message.signature);
+    if (signer.toLowerCase() !== message.sender.toLowerCase()) throw new Error("Invalid signature");
+    const senderSwapId = deriveSwapId(message.sender, message.clientSwapId).toLowerCase();
+    if (![message.swapIds.initiator, message.swapIds.counterparty].some((id) => id.toLowerCase() === senderSwapId)) {
+        throw new Error("Sender is not a party to the swap");
+    }
+
+    if (expected.type && message.type !== expected.type) throw new Error("Unexpected message type");
+    if (expected.sender && message.sender.toLowerCase() !== expected.sender.toLowerCase()) {
+        throw new Error("Unexpected sender");
+    }
+    if (expected.swapIds && message.sessionId !== sessionId(expected.swapIds)) {
+        throw new Error("Message bound to a different swap");
+    }
+    return true;
+}
+
+module.exports = { MessageType, VERSION, sessionId, messageDigest, createMessage, verifyMessage };
@@ -0,0 +1,191 @@
+const http = require("http");
+const { WebSocketServer } = require("ws");
+const { verifyMessage } = require("./messages");
+
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_MESSAGES_PER_SESSION = 32;
+const MAX_SESSIONS = 10000;
+const MAX_WAIT = 30000;
+const SESSION_TTL = 60 * 60 * 1000;
+
+/**
+ * Reference relay for secret-exchange messages, over HTTP and WebSocket.
+ *
+ *   POST /sessions/:sessionId/messages          store a signed message
+ *   GET  /sessions/:sessionId/messages?after=N&wait=MS
+ *        messages from index N on; holds the request up to MS milliseconds
+ *        when none are available yet (long polling)
+ *   WS   /sessions/:sessionId/socket?after=N
+ *        pushes { type: "message", index, message } for every message from
+ *        index N on, stored ones first and then as they arrive. A signed
+ *        message sent on the socket is stored like a POST and answered with
+ *        { type: "stored", index } or { type: "error", error }
+ *
+ * The relay rejects messages with invalid signatures and messages from
+ * anyone but the two lockers of the session's swapIds (see verifyMessage), so
+ * outsiders cannot fill a session. It is otherwise untrusted: it only ever
+ * sees secret hashes and secrets that are about to be revealed on-chain
+ * anyway. Messages are kept in memory and dropped once a session has been
+ * idle for `sessionTtl`. Anyone can lock a swap pair to open sessions, so at
+ * most `maxSessions` are kept and the least recently used is dropped first.
+ *
+ * @param {Object} [options] { sessionTtl: ms of inactivity before a session is dropped, maxSessions }
+ * @returns {http.Server} Call listen() on the returned server
+ */
+function createRelayServer({ sessionTtl = SESSION_TTL, maxSessions = MAX_SESSIONS } = {}) {
+    // Ordered from least to most recently used
+    const sessions = new Map();
+    const waiters = new Map();
+    const subscribers = new Map();
+
+    // Sessions with someone polling or subscribed stay alive; the rest expire
+    const expireSessions = () => {
+        const cutoff = Date.now() - sessionTtl;
+        for (const [id, session] of sessions) {
+            if (session.updatedAt < cutoff && !waiters.has(id) && !subscribers.has(id)) sessions.delete(id);
+        }
+    };
+    const messagesOf = (sessionId) => sessions.get(sessionId)?.messages || [];
+
+    const notify = (sessionId, index, message) => {
+        for (const waiter of waiters.get(sessionId) || []) waiter();
+        waiters.delete(sessionId);
+        for (const socket of subscribers.get(sessionId) || []) {
+            socket.send(JSON.stringify({ type: "message", index, message }));
+        }
+    };
+
+    // Verify and store a message; returns { index } or { status, error }
+    const store = (sessionId, message) => {
+        try {
+            verifyMessage(message);
+        } catch (error) {
+            return { status: 400, error: error.message };
+        }
+        if (message.sessionId.toLowerCase() !== sessionId) return { status: 400, error: "Session mismatch" };
+        const messages = messagesOf(sessionId);
+        if (messages.length >= MAX_MESSAGES_PER_SESSION) return { status: 429, error: "Session full" };
+
+        messages.push(message);
+        sessions.delete(sessionId);
+        sessions.set(sessionId, { messages, updatedAt: Date.now() });
+        if (sessions.size > maxSessions) sessions.delete(sessions.keys().next().value);
+        notify(sessionId, messages.length - 1, message);
+        return { index: messages.length - 1 };
+    };
+
+    // Optional non-negative integer query parameter, 0 when absent and null when malformed
+    const integerParam = (url, name) => {
+        const value = url.searchParams.get(name);
+        if (value === null) return 0;
+        return /^\d+$/.test(value) ? parseInt(value) : null;
+    };
+
+    const sendJson = (res, status, body) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+    };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, "http://relay");
+        const match = url.pathname.match(/^\/sessions\/(0x[0-9a-fA-F]{64})\/messages$/);
+        if (!match) return sendJson(res, 404, { error: "Not found" });
+        const sessionId = match[1].toLowerCase();
+        expireSessions();
+
+        if (req.method === "POST") {
+            let body = "";
+            req.on("data", (chunk) => {
+                body += chunk;
+                if (body.length > MAX_BODY_BYTES) req.destroy();
+            });
+            req.on("end", () => {
+                let message;
+                try {
+                    message = JSON.parse(body);
+                } catch (error) {
+                    return sendJson(res, 400, { error: error.message });
+                }
+                const { index, status, error } = store(sessionId, message);
+                if (error) return sendJson(res, status, { error });
+                sendJson(res, 201, { index });
+            });
+            return;
+        }
+
+        if (req.method === "GET") {
+            const after = integerParam(url, "after");
+            if (after === null) return sendJson(res, 400, { error: "after must be a non-negative integer" });
+            const requestedWait = integerParam(url, "wait");
+            if (requestedWait === null) return sendJson(res, 400, { error: "wait must be a non-negative integer" });
+            const wait = Math.min(requestedWait, MAX_WAIT);
+            const respond = () => {
+                const messages = messagesOf(sessionId).slice(after);
+                sendJson(res, 200, { messages, next: after + messages.length });
+            };
+            if (messagesOf(sessionId).length > after || wait <= 0) return respond();
+
+            const timer = setTimeout(() => {
+                const pending = (waiters.get(sessionId) || []).filter((waiter) => waiter !== onMessage);
+                if (pending.length > 0) waiters.set(sessionId, pending);
+                else waiters.delete(sessionId);
+                respond();
+            }, wait);
+            const onMessage = () => {
+                clearTimeout(timer);
+                respond();
+            };
+            waiters.set(sessionId, [...(waiters.get(sessionId) || []), onMessage]);
+            return;
+        }
+
+        sendJson(res, 405, { error: "Method not allowed" });
+    });
+
+    const sockets = new WebSocketServer({ noServer: true, maxPayload: MAX_BODY_BYTES });
+
+    const subscribe = (socket, sessionId, after) => {
+        expireSessions();
+        if (!subscribers.has(sessionId)) subscribers.set(sessionId, new Set());
+        subscribers.get(sessionId).add(socket);
+        messagesOf(sessionId).slice(after).forEach((message, i) => {
+            socket.send(JSON.stringify({ type: "message", index: after + i, message }));
+        });
+
+        socket.on("message", (data) => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                return socket.send(JSON.stringify({ type: "error", error: error.message }));
+            }
+            const { index, error } = store(sessionId, message);
+            socket.send(JSON.stringify(error ? { type: "error", error } : { type: "stored", index }));
+        });
+        socket.on("close", () => {
+            const sessionSubscribers = subscribers.get(sessionId);
+            sessionSubscribers.delete(socket);
+            if (sessionSubscribers.size === 0) subscribers.delete(sessionId);
+        });
+    };
+
+    server.on("upgrade", (req, socket, head) => {
+        const url = new URL(req.url, "http://relay");
+        const match = url.pathname.match(/^\/sessions\/(0x[0-9a-fA-F]{64})\/socket$/);
+        const after = integerParam(url, "after");
+        const status = !match ? 404 : after === null ? 400 : 0;
+        if (status) return socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n\r\n`);
+        sockets.handleUpgrade(req, socket, head, (ws) => subscribe(ws, match[1].toLowerCase(), after));
+    });
+
+    // Upgraded connections would otherwise keep close() waiting
+    const close = server.close.bind(server);
+    server.close = (callback) => {
+        for (const socket of sockets.clients) socket.terminate();
+        return close(callback);
+    };
+
+    return server;
+}
+
+module.exports = { createRelayServer };
@@ -0,0 +1,187 @@
+const WebSocket = require("ws");
+
+/**
+ * Transports carry signed secret-exchange messages between parties.
+ *
+ * A transport only needs two methods:
+ * - send(message): deliver a message to everyone on message.sessionId
+ * - receive(sessionId, predicate, { timeout }): resolve with the first
+ *   message on the session for which predicate(message) is true
+ *
+ * Transports are untrusted: SecretExchange verifies every message it receives.
+ */
+class Transport {
+    async send() {
+        throw new Error("send() not implemented");
+    }
+
+    async receive() {
+        throw new Error("receive() not implemented");
+    }
+}
+
+/**
+ * In-process transport, useful when both parties share a process (tests, demos).
+ */
+class MemoryTransport extends Transport {
+    constructor() {
+        super();
+        this.sessions = new Map();
+        this.waiters = new Set();
+    }
+
+    async send(message) {
+        if (!this.sessions.has(message.sessionId)) this.sessions.set(message.sessionId, []);
+        this.sessions.get(message.sessionId).push(message);
+        for (const waiter of [...this.waiters]) waiter();
+    }
+
+    receive(sessionId, predicate = () => true, { timeout = 30000 } = {}) {
+        return new Promise((resolve, reject) => {
+            const check = () => {
+                const match = (this.sessions.get(sessionId) || []).find(predicate);
+                if (!match) return false;
+                cleanup();
+                resolve(match);
+                return true;
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error("Timed out waiting for message"));
+            }, timeout);
+            const cleanup = () => {
+                clearTimeout(timer);
+                this.waiters.delete(check);
+            };
+            this.waiters.add(check);
+            check();
+        });
+    }
+}
+
+/**
+ * Client for the reference HTTP relay (see relay-server.js). Uses long polling.
+ */
+class HttpTransport extends Transport {
+    /**
+     * @param {string} baseUrl Relay URL, e.g. http://127.0.0.1:8600
+     * @param {Object} [options] { pollWait: ms the relay may hold a poll open }
+     */
+    constructor(baseUrl, { pollWait = 5000 } = {}) {
+        super();
+        this.baseUrl = baseUrl.replace(/\/$/, "");
+        this.pollWait = pollWait;
+    }
+
+    async send(message) {
+        const response = await fetch(`${this.baseUrl}/sessions/${message.sessionId}/messages`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(message)
+        });
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(`Relay rejected message: ${body.error || response.status}`);
+        }
+    }
+
+    async receive(sessionId, predicate = () => true, { timeout = 30000 } = {}) {
+        const deadline = Date.now() + timeout;
+        let after = 0;
+        while (Date.now() < deadline) {
+            const wait = Math.max(0, Math.min(this.pollWait, deadline - Date.now()));
+            const response = await fetch(`${this.baseUrl}/sessions/${sessionId}/messages?after=${after}&wait=${wait}`);
+            if (!response.ok) throw new Error(`Relay error: ${response.status}`);
+            const { messages, next } = await response.json();
+            const match = messages.find(predicate);
+            if (match) return match;
+            after = next;
+        }
+        throw new Error("Timed out waiting for message");
+    }
+}
+
+/**
+ * Client for the reference relay's WebSocket endpoint (see relay-server.js).
+ * Messages are pushed as they arrive instead of polled for. One socket is kept
+ * per session; call close() when done.
+ */
+class WebSocketTransport extends Transport {
+    /**
+     * @param {string} baseUrl Relay URL, e.g. ws://127.0.0.1:8600 (http:// URLs are converted)
+     */
+    constructor(baseUrl) {
+        super();
+        this.baseUrl = baseUrl.replace(/\/$/, "").replace(/^http/, "ws");
+        this.sessions = new Map();
+    }
+
+    // The session's socket, opened on first use. The relay replays the session's
+    // stored messages on connect, so a reopened socket misses nothing
+    _session(sessionId) {
+        sessionId = sessionId.toLowerCase();
+        if (this.sessions.has(sessionId)) return this.sessions.get(sessionId);
+
+        const socket = new WebSocket(`${this.baseUrl}/sessions/${sessionId}/socket`);
+        const session = { socket, messages: [], listeners: new Set(), acks: [] };
+        session.opened = new Promise((resolve, reject) => {
+            socket.once("open", resolve);
+            socket.on("error", reject);
+        });
+        socket.on("message", (data) => {
+            const frame = JSON.parse(data);
+            if (frame.type === "message") {
+                session.messages.push(frame.message);
+                for (const listener of [...session.listeners]) listener();
+            } else {
+                session.acks.shift()?.(frame);
+            }
+        });
+        socket.on("close", () => {
+            for (const ack of session.acks.splice(0)) ack({ type: "error", error: "Connection closed" });
+            if (this.sessions.get(sessionId) === session) this.sessions.delete(sessionId);
+        });
+        this.sessions.set(sessionId, session);
+        return session;
+    }
+
+    async send(message) {
+        const session = this._session(message.sessionId);
+        await session.opened;
+        const frame = await new Promise((resolve) => {
+            session.acks.push(resolve);
+            session.socket.send(JSON.stringify(message));
+        });
+        if (frame.type === "error") throw new Error(`Relay rejected message: ${frame.error}`);
+    }
+
+    async receive(sessionId, predicate = () => true, { timeout = 30000 } = {}) {
+        const session = this._session(sessionId);
+        await session.opened;
+        return new Promise((resolve, reject) => {
+            const check = () => {
+                const match = session.messages.find(predicate);
+                if (!match) return;
+                cleanup();
+                resolve(match);
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error("Timed out waiting for message"));
+            }, timeout);
+            const cleanup = () => {
+                clearTimeout(timer);
+                session.listeners.delete(check);
+            };
+            session.listeners.add(check);
+            check();
+        });
+    }
+
+    close() {
+        for (const { socket } of this.sessions.values()) socket.close();
+        this.sessions.clear();
+    }
+}
+
+module.exports = { Transport, MemoryTransport, HttpTransport, WebSocketTransport };
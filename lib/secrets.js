@@ -0,0 +1,152 @@
+const { ethers } = require("ethers");
+
+/**
+ * Secret and hash helpers shared by the HTLC and FPPHTLC clients.
+ *
+ * HTLC hashes a UTF-8 string secret: keccak256(abi.encodePacked(string)).
+ * FPPHTLC hashes bytes32 secrets and combines the two party hashes as
+ * keccak256(abi.encodePacked(initiatorHash, recipientHash)).
+ *
+ * Multi-party (ring) swaps commit to N party hashes the same way. Leg i of a
+ * ring, locked by party i for party i + 1, commits to the hashes rotated to
+ * start at party i: [h_i, h_i+1, ..., h_i-1]. For two parties this is exactly
+ * the initiator/recipient order above.
+ *
+ * Every hash helper takes an optional algorithm, "keccak256" (default) or
+ * "sha256", matching the contracts' per-swap HashAlgorithm. SHA-256 of a
+ * bytes32 secret is a Bitcoin/Lightning payment hash, so a Lightning
+ * preimage can serve as the secret directly.
+ */
+
+const HashAlgorithm = {
+    KECCAK256: "keccak256",
+    SHA256: "sha256"
+};
+
+// Position of each algorithm in the contracts' HashAlgorithm enum
+const HASH_ALGORITHM_IDS = [HashAlgorithm.KECCAK256, HashAlgorithm.SHA256];
+
+// Enum value passed to lockFundsWithHashAlgorithm
+function hashAlgorithmId(algorithm = HashAlgorithm.KECCAK256) {
+    const id = HASH_ALGORITHM_IDS.indexOf(algorithm);
+    if (id === -1) throw new Error(`Unsupported hash algorithm ${algorithm}`);
+    return id;
+}
+
+// Algorithm name for an enum value read from hashAlgorithms(swapId)
+function hashAlgorithmName(id) {
+    const algorithm = HASH_ALGORITHM_IDS[Number(id)];
+    if (!algorithm) throw new Error(`Unknown hash algorithm id ${id}`);
+    return algorithm;
+}
+
+// Non-string algorithms fall back to keccak256, so secrets.map(hashSecret) keeps working
+function hashBytes(data, algorithm) {
+    if (typeof algorithm !== "string") algorithm = HashAlgorithm.KECCAK256;
+    hashAlgorithmId(algorithm);
+    return algorithm === HashAlgorithm.SHA256 ? ethers.utils.sha256(data) : ethers.utils.keccak256(data);
+}
+
+// Generate a random bytes32 secret (FPPHTLC)
+function generateSecret() {
+    return ethers.utils.hexlify(ethers.utils.randomBytes(32));
+}
+
+// Generate a random string secret (HTLC)
+function generateStringSecret(prefix = "secret") {
+    return `${prefix}_${ethers.utils.hexlify(ethers.utils.randomBytes(16)).slice(2)}`;
+}
+
+// Hash of a bytes32 secret, as computed by FPPHTLC.claimFunds and HTLC.claimFundsWithPreimage
+function hashSecret(secret, algorithm) {
+    return hashBytes(ethers.utils.arrayify(secret), algorithm);
+}
+
+// Hash of a string secret, as computed by HTLC.claimFunds
+function hashStringSecret(secret, algorithm) {
+    return hashBytes(ethers.utils.toUtf8Bytes(secret), algorithm);
+}
+
+/**
+ * Random bytes32 secret and its hashlock. A "sha256" pair is a Lightning
+ * preimage and payment hash.
+ * @returns {Object} { secret, hashlock, hashAlgorithm }
+ */
+function generateHashlock(algorithm = HashAlgorithm.KECCAK256) {
+    const secret = generateSecret();
+    return { secret, hashlock: hashSecret(secret, algorithm), hashAlgorithm: algorithm };
+}
+
+// Off-chain equivalent of FPPHTLC.generateCombinedHash (and its sha256 variant)
+function combineHashes(initiatorHash, recipientHash, algorithm) {
+    if (ethers.BigNumber.from(initiatorHash).isZero()) throw new Error("Invalid initiator hash");
+    if (ethers.BigNumber.from(recipientHash).isZero()) throw new Error("Invalid recipient hash");
+    return hashBytes(
+        ethers.utils.solidityPack(["bytes32", "bytes32"], [initiatorHash, recipientHash]),
+        algorithm
+    );
+}
+
+// FPPHTLC.MAX_PARTIES: claimFundsMultiParty rejects larger rings, so their legs could only be refunded
+const MAX_PARTIES = 8;
+
+// Off-chain equivalent of FPPHTLC.generateMultiPartyHash (and its sha256 variant). Also
+// rejects duplicate hashes, which the contract accepts: a party reusing another's hash
+// needs no secret of its own, and whoever knows that secret can claim alone
+function combinePartyHashes(partyHashes, algorithm) {
+    if (partyHashes.length < 2 || partyHashes.length > MAX_PARTIES) {
+        throw new Error(`Between 2 and ${MAX_PARTIES} party hashes required`);
+    }
+    const seen = new Set();
+    partyHashes.forEach((hash, i) => {
+        if (ethers.BigNumber.from(hash).isZero()) throw new Error(`Invalid party hash at index ${i}`);
+        const key = ethers.utils.hexlify(hash).toLowerCase();
+        if (seen.has(key)) throw new Error(`Duplicate party hash at index ${i}`);
+        seen.add(key);
+    });
+    return hashBytes(ethers.utils.concat(partyHashes), algorithm);
+}
+
+// Leg `leg`'s commitment order: hashes or secrets rotated to start at party `leg`
+function ringOrder(items, leg) {
+    const offset = ((leg % items.length) + items.length) % items.length;
+    return [...items.slice(offset), ...items.slice(0, offset)];
+}
+
+// Commitment for every leg of a ring, given the party hashes in ring order
+function ringCommitments(partyHashes, algorithm) {
+    return partyHashes.map((_, leg) => combinePartyHashes(ringOrder(partyHashes, leg), algorithm));
+}
+
+// Client-side swap ID passed to lockFunds: unique per call, optionally tagged with a label
+function generateSwapId(label = "swap") {
+    return ethers.utils.keccak256(ethers.utils.solidityPack(
+        ["string", "bytes32", "uint256"],
+        [label, ethers.utils.randomBytes(32), Date.now()]
+    ));
+}
+
+// Off-chain equivalent of computeSwapId: the id a lock is stored under on-chain
+function deriveSwapId(initiator, clientSwapId) {
+    return ethers.utils.keccak256(
+        ethers.utils.defaultAbiCoder.encode(["address", "bytes32"], [initiator, clientSwapId])
+    );
+}
+
+module.exports = {
+    HashAlgorithm,
+    MAX_PARTIES,
+    hashAlgorithmId,
+    hashAlgorithmName,
+    generateSecret,
+    generateStringSecret,
+    generateHashlock,
+    hashSecret,
+    hashStringSecret,
+    combineHashes,
+    combinePartyHashes,
+    ringOrder,
+    ringCommitments,
+    generateSwapId,
+    deriveSwapId
+};
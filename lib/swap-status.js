@@ -0,0 +1,38 @@
+/**
+ * Derived swap states shared by the HTLC and FPPHTLC clients.
+ */
+const SwapStatus = Object.freeze({
+    EMPTY: "Empty",
+    ACTIVE: "Active",
+    CLAIMED: "Claimed",
+    REFUNDED: "Refunded",
+    EXPIRED: "Expired"
+});
+
+// Derive a status from the raw flags returned by getSwap.
+// `now` is the latest block timestamp of the chain the swap lives on.
+function deriveStatus({ initiator, isClaimed, isRefunded, timelock }, now) {
+    if (!initiator || /^0x0{40}$/i.test(initiator)) return SwapStatus.EMPTY;
+    if (isClaimed) return SwapStatus.CLAIMED;
+    if (isRefunded) return SwapStatus.REFUNDED;
+    if (now > Number(timelock)) return SwapStatus.EXPIRED;
+    return SwapStatus.ACTIVE;
+}
+
+// FPPHTLC.SwapState enum values, in declaration order
+const SWAP_STATES = [
+    SwapStatus.EMPTY,
+    SwapStatus.ACTIVE,
+    SwapStatus.CLAIMED,
+    SwapStatus.REFUNDED,
+    SwapStatus.EXPIRED
+];
+
+// Decode the SwapState returned by FPPHTLC.getSwap / getSwapState.
+function statusFromState(state) {
+    const status = SWAP_STATES[Number(state)];
+    if (!status) throw new Error(`Unknown swap state ${state}`);
+    return status;
+}
+
+module.exports = { SwapStatus, deriveStatus, statusFromState };
@@ -0,0 +1,123 @@
+/**
+ * Timelock planning for two-leg swaps.
+ *
+ * The initiator locks with the longer timelock and claims the counterparty's
+ * lock first, which reveals the secret. Both timelocks are derived from each
+ * chain's timing, scaled by a safety factor:
+ *
+ *   counterparty duration >= factor * (finality(initiator chain)     initiator's lock settles
+ *                                      + finality(counterparty chain)  counterparty's lock settles
+ *                                      + claim latency(counterparty chain))  initiator's claim lands
+ *
+ *   gap (initiator - counterparty timelock) >= factor * (finality(counterparty chain)  claim settles
+ *                                                       + claim latency(initiator chain))  counterparty's claim lands
+ *                                              + clock drift between the chains
+ *
+ *   claim window (time the counterparty's lock must still have when the initiator claims it)
+ *     >= factor * claim latency(counterparty chain)   initiator's claim lands
+ *        + clock drift
+ */
+
+const { readRegistry } = require("./networks");
+
+// Seconds per block, blocks until a transaction is considered final, and
+// seconds for a transaction to reach the network, from config/networks.json
+const NETWORK_TIMING = Object.fromEntries(Object.entries(readRegistry()).map(
+    ([network, { blockTime, confirmations, networkDelay }]) => [network, { blockTime, finalityBlocks: confirmations, networkDelay }]
+));
+
+// Used for networks without a registry entry (Ethereum-like)
+const DEFAULT_TIMING = { blockTime: 12, finalityBlocks: 12, networkDelay: 5 };
+
+const DEFAULT_SAFETY_FACTOR = 2;
+
+// Allowance for block timestamps of the two chains running apart, in seconds
+const DEFAULT_CLOCK_DRIFT = 60;
+
+function networkTiming(network, timing = {}) {
+    return { ...DEFAULT_TIMING, ...NETWORK_TIMING[network], ...timing[network] };
+}
+
+// Seconds until a transaction sent now is final
+function finalityTime({ blockTime, finalityBlocks }) {
+    return blockTime * finalityBlocks;
+}
+
+// Seconds until a claim sent now is included in a block
+function claimLatency({ blockTime, networkDelay }) {
+    return networkDelay + blockTime;
+}
+
+/**
+ * Minimum counterparty duration, timelock gap and claim window for a pair of networks.
+ * @param {Object} params
+ * @param {string} params.initiatorNetwork Network of the initiator's (longer) lock
+ * @param {string} params.counterpartyNetwork Network of the counterparty's (shorter) lock
+ * @param {number} [params.safetyFactor] Multiplier on the expected latencies (>= 1)
+ * @param {number} [params.clockDrift] Seconds added to the gap for timestamp drift
+ * @param {Object} [params.timing] { [network]: { blockTime, finalityBlocks, networkDelay } } overrides
+ * @returns {Object} { minCounterpartyDuration, minGap, minClaimWindow } in seconds
+ */
+function timelockRequirements({
+    initiatorNetwork, counterpartyNetwork, safetyFactor = DEFAULT_SAFETY_FACTOR, clockDrift = DEFAULT_CLOCK_DRIFT, timing = {}
+}) {
+    if (!(safetyFactor >= 1)) throw new Error("Safety factor must be at least 1");
+    const initiator = networkTiming(initiatorNetwork, timing);
+    const counterparty = networkTiming(counterpartyNetwork, timing);
+    return {
+        minCounterpartyDuration: Math.ceil(safetyFactor * (
+            finalityTime(initiator) + finalityTime(counterparty) + claimLatency(counterparty)
+        )),
+        minGap: Math.ceil(safetyFactor * (finalityTime(counterparty) + claimLatency(initiator)) + clockDrift),
+        minClaimWindow: Math.ceil(safetyFactor * claimLatency(counterparty) + clockDrift)
+    };
+}
+
+/**
+ * Reasons a pair of lock durations is unsafe (empty when safe).
+ * @param {Object} params timelockRequirements() params plus
+ *   { initiatorDuration, counterpartyDuration } in seconds from now
+ * @returns {string[]}
+ */
+function checkTimelocks({ initiatorDuration, counterpartyDuration, ...params }) {
+    const { minCounterpartyDuration, minGap } = timelockRequirements(params);
+    const reasons = [];
+    if (counterpartyDuration < minCounterpartyDuration) {
+        reasons.push(`Counterparty timelock of ${counterpartyDuration}s is below the ${minCounterpartyDuration}s minimum`);
+    }
+    const gap = initiatorDuration - counterpartyDuration;
+    if (gap < minGap) {
+        reasons.push(`Timelocks are ${gap}s apart, below the ${minGap}s minimum`);
+    }
+    return reasons;
+}
+
+/**
+ * Plan both legs' timelocks. `duration` and `gap` default to the minimums;
+ * values below them throw with every reason.
+ * @param {Object} params timelockRequirements() params plus
+ * @param {number} [params.duration] Counterparty lock duration in seconds
+ * @param {number} [params.gap] Seconds the initiator's lock outlives the counterparty's
+ * @param {number} [params.now] Unix timestamp the durations start from (defaults to the local clock)
+ * @returns {Object} { initiatorTimelock, counterpartyTimelock, initiatorDuration, counterpartyDuration,
+ *   gap, minCounterpartyDuration, minGap, minClaimWindow }
+ */
+function planTimelocks({ duration, gap, now = Math.floor(Date.now() / 1000), ...params }) {
+    const requirements = timelockRequirements(params);
+    const counterpartyDuration = duration === undefined ? requirements.minCounterpartyDuration : Number(duration);
+    const initiatorDuration = counterpartyDuration + (gap === undefined ? requirements.minGap : Number(gap));
+
+    const reasons = checkTimelocks({ ...params, initiatorDuration, counterpartyDuration });
+    if (reasons.length > 0) throw new Error(`Unsafe timelocks: ${reasons.join("; ")}`);
+
+    return {
+        initiatorTimelock: now + initiatorDuration,
+        counterpartyTimelock: now + counterpartyDuration,
+        initiatorDuration,
+        counterpartyDuration,
+        gap: initiatorDuration - counterpartyDuration,
+        ...requirements
+    };
+}
+
+module.exports = { NETWORK_TIMING, networkTiming, timelockRequirements, checkTimelocks, planTimelocks };
@@ -0,0 +1,67 @@
+const { ethers } = require("ethers");
+const { SwapStatus } = require("./swap-status");
+
+/**
+ * Tranche helpers shared by the HTLC and FPPHTLC clients.
+ *
+ * lockTranches splits one lock into independent swaps with their own amount
+ * and hash, stored under keccak256(abi.encode(swapId, index)). The recipient
+ * can claim any subset of them; the rest are refunded after the timelock.
+ */
+
+// Same bound as the contracts' MAX_TRANCHES
+const MAX_TRANCHES = 16;
+
+/**
+ * Split `total` into tranche amounts.
+ * @param {BigNumberish} total Amount of the whole swap
+ * @param {Object} options Either `count` (equal split, the last tranche takes the
+ *   remainder) or explicit `amounts` that must add up to `total`
+ * @returns {ethers.BigNumber[]}
+ */
+function planTranches(total, { count, amounts } = {}) {
+    total = ethers.BigNumber.from(total);
+    if (amounts) {
+        amounts = amounts.map((amount) => ethers.BigNumber.from(amount));
+        const sum = amounts.reduce((acc, amount) => acc.add(amount), ethers.constants.Zero);
+        if (!sum.eq(total)) throw new Error(`Tranche amounts add up to ${sum}, expected ${total}`);
+    } else {
+        count = Number(count);
+        if (!Number.isInteger(count) || count < 1) throw new Error("Tranche count or amounts required");
+        const share = total.div(count);
+        amounts = Array.from({ length: count }, (_, i) =>
+            i === count - 1 ? total.sub(share.mul(count - 1)) : share
+        );
+    }
+    if (amounts.length < 1 || amounts.length > MAX_TRANCHES) {
+        throw new Error(`Between 1 and ${MAX_TRANCHES} tranches allowed`);
+    }
+    if (amounts.some((amount) => amount.lte(0))) throw new Error("Every tranche needs a positive amount");
+    return amounts;
+}
+
+// Off-chain equivalent of computeTrancheId: the swapId tranche `index` is stored under
+function deriveTrancheId(swapId, index) {
+    return ethers.utils.keccak256(
+        ethers.utils.defaultAbiCoder.encode(["bytes32", "uint256"], [swapId, index])
+    );
+}
+
+/**
+ * Totals over tranche statuses (as returned by getStatus). Expired tranches
+ * count as open: they hold funds until refunded.
+ * @returns {Object} { totalAmount, claimedAmount, refundedAmount, openAmount }
+ */
+function summarizeTranches(tranches) {
+    const sum = (statuses) => tranches
+        .filter((tranche) => statuses.includes(tranche.status))
+        .reduce((acc, tranche) => acc.add(tranche.amount), ethers.constants.Zero);
+    return {
+        totalAmount: sum(Object.values(SwapStatus)),
+        claimedAmount: sum([SwapStatus.CLAIMED]),
+        refundedAmount: sum([SwapStatus.REFUNDED]),
+        openAmount: sum([SwapStatus.ACTIVE, SwapStatus.EXPIRED])
+    };
+}
+
+module.exports = { MAX_TRANCHES, planTranches, deriveTrancheId, summarizeTranches };
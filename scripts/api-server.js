@@ -0,0 +1,71 @@
+const { ethers } = require("hardhat");
+const { SwapApi, createApiServer, loadNetworks, buildNetworks } = require("../lib");
+const { createIndexer } = require("./indexer");
+
+// Load environment variables
+require('dotenv').config();
+
+// Configuration
+const CONFIG = {
+    PORT: parseInt(process.env.API_PORT || "8800"),
+    HOST: process.env.API_HOST || "127.0.0.1",
+    // Signer that locks, claims and refunds; defaults to Alice
+    PRIVATE_KEY: process.env.PRIVATE_KEY_API || process.env.PRIVATE_KEY_ALICE,
+    // Minimum time between the index syncs GET /swaps starts
+    INDEX_INTERVAL: parseInt(process.env.API_INDEX_INTERVAL || "10000"),
+    // Bearer token for creating intents, claims and refunds
+    TOKEN: process.env.API_TOKEN
+};
+
+// Validate required environment variables
+if (!CONFIG.PRIVATE_KEY) throw new Error("PRIVATE_KEY_API or PRIVATE_KEY_ALICE not set");
+if (!CONFIG.TOKEN) throw new Error("API_TOKEN not set");
+
+// Contracts on every network with deployed contracts, connected to the API's signer
+async function buildApiNetworks(registry) {
+    const factories = {
+        HTLC: await ethers.getContractFactory("HTLC"),
+        FPPHTLC: await ethers.getContractFactory("FPPHTLC")
+    };
+    const networks = buildNetworks(registry, { factories, privateKeys: [CONFIG.PRIVATE_KEY] });
+    for (const [network, { signer }] of Object.entries(networks)) {
+        console.log(`🔑 ${network}: signing as ${signer.address}`);
+    }
+    return networks;
+}
+
+async function main() {
+    console.log("🧩 Starting swap API server");
+
+    const registry = loadNetworks();
+    const api = new SwapApi({
+        networks: await buildApiNetworks(registry),
+        indexer: await createIndexer(registry),
+        indexInterval: CONFIG.INDEX_INTERVAL
+    });
+
+    const server = createApiServer(api, { token: CONFIG.TOKEN });
+    server.listen(CONFIG.PORT, CONFIG.HOST, () => {
+        console.log(`🌐 Swap API listening on http://${CONFIG.HOST}:${CONFIG.PORT} (spec at /openapi.json)`);
+    });
+
+    await new Promise((resolve) => {
+        const shutdown = () => {
+            console.log("\n👋 Stopping swap API server");
+            server.close(resolve);
+        };
+        process.on("SIGINT", shutdown);
+        process.on("SIGTERM", shutdown);
+    });
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Swap API server failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { buildApiNetworks, CONFIG };
@@ -1,36 +1,24 @@
 const { ethers } = require("hardhat");
-const addresses = require("../config/addresses.json");
+const { loadNetworks, connectNetwork } = require("../lib");
 require("dotenv").config();
 
-// Add 0x prefix to private keys if needed
-const addHexPrefix = (key) => {
-    if (!key) return null;
-    return key.startsWith('0x') ? key : `0x${key}`;
-};
-
-async function checkBalancesOnNetwork(networkName, rpcUrl, contractAddresses) {
+async function checkBalancesOnNetwork(network) {
+    const { name: networkName, nativeCurrency, addresses: contractAddresses } = network;
     console.log(`\n💰 Checking balances on ${networkName}...`);
     
-    // Create provider for the specific network
-    const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
-    
-    // Create wallet instances for Alice and Bob on this network
-    const alicePrivateKey = addHexPrefix(process.env.PRIVATE_KEY_ALICE);
-    const bobPrivateKey = addHexPrefix(process.env.PRIVATE_KEY_BOB);
-    
-    const alice = new ethers.Wallet(alicePrivateKey, provider);
-    const bob = new ethers.Wallet(bobPrivateKey, provider);
+    // Provider and Alice's and Bob's wallets on this network
+    const { provider, signers: [alice, bob] } = connectNetwork(network, [process.env.PRIVATE_KEY_ALICE, process.env.PRIVATE_KEY_BOB]);
 
     console.log(`Alice address: ${alice.address}`);
     console.log(`Bob address: ${bob.address}`);
 
-    // Check ETH balances
+    // Check native balances
     const aliceEthBalance = await alice.getBalance();
     const bobEthBalance = await bob.getBalance();
     
-    console.log(`\n📊 ETH Balances on ${networkName}:`);
-    console.log(`  Alice ETH: ${ethers.utils.formatEther(aliceEthBalance)} ETH`);
-    console.log(`  Bob ETH: ${ethers.utils.formatEther(bobEthBalance)} ETH`);
+    console.log(`\n📊 ${nativeCurrency} Balances on ${networkName}:`);
+    console.log(`  Alice ${nativeCurrency}: ${ethers.utils.formatEther(aliceEthBalance)} ${nativeCurrency}`);
+    console.log(`  Bob ${nativeCurrency}: ${ethers.utils.formatEther(bobEthBalance)} ${nativeCurrency}`);
 
     // Get token contracts using standard ERC20 ABI
     const standardERC20ABI = [
@@ -116,38 +104,26 @@ async function main() {
     // Validate required environment variables
     if (!process.env.PRIVATE_KEY_ALICE) throw new Error("PRIVATE_KEY_ALICE not set");
     if (!process.env.PRIVATE_KEY_BOB) throw new Error("PRIVATE_KEY_BOB not set");
-    if (!process.env.SEPOLIA_RPC_URL) throw new Error("SEPOLIA_RPC_URL not set");
-    if (!process.env.BSC_TESTNET_RPC_URL) throw new Error("BSC_TESTNET_RPC_URL not set");
 
-    // Sepolia network configuration
-    const sepoliaAddresses = {
-        TokenA: process.env.SEPOLIA_TOKEN_A || addresses.sepolia.TokenA,
-        TokenB: process.env.SEPOLIA_TOKEN_B || addresses.sepolia.TokenB,
-        HTLC: process.env.SEPOLIA_HTLC || addresses.sepolia.HTLC,
-        FPPHTLC: process.env.SEPOLIA_FPPHTLC || addresses.sepolia.FPPHTLC
-    };
-
-    // BSC Testnet network configuration
-    const bscAddresses = {
-        TokenA: process.env.BSC_TESTNET_TOKEN_A || addresses.bscTestnet.TokenA,
-        TokenB: process.env.BSC_TESTNET_TOKEN_B || addresses.bscTestnet.TokenB,
-        HTLC: process.env.BSC_TESTNET_HTLC || addresses.bscTestnet.HTLC,
-        FPPHTLC: process.env.BSC_TESTNET_FPPHTLC || addresses.bscTestnet.FPPHTLC
-    };
+    // Every registry network with an RPC URL and deployed tokens
+    const networks = Object.values(loadNetworks()).filter((network) => {
+        if (network.rpcUrl && network.addresses.TokenA && network.addresses.TokenB) return true;
+        console.log(`⚠️ Skipping ${network.name}: ${network.rpcUrlEnv} or deployed addresses missing`);
+        return false;
+    });
+    if (networks.length === 0) throw new Error("No network in config/networks.json has an RPC URL and deployed addresses");
 
     try {
-        // Check balances on Sepolia
-        await checkBalancesOnNetwork("Sepolia", process.env.SEPOLIA_RPC_URL, sepoliaAddresses);
-        
-        // Check balances on BSC Testnet
-        await checkBalancesOnNetwork("BSC Testnet", process.env.BSC_TESTNET_RPC_URL, bscAddresses);
+        for (const network of networks) {
+            await checkBalancesOnNetwork(network);
+        }
         
         console.log("\n📋 Summary:");
-        console.log("✅ ETH balances checked successfully");
+        console.log("✅ Native balances checked successfully");
         console.log("⚠️ Token balances may have errors due to contract deployment or ABI issues");
         console.log("💡 If token balances fail, check:");
         console.log("   1. Contract deployment status");
-        console.log("   2. Contract addresses in config/addresses.json");
+        console.log("   2. Contract addresses in config/networks.json");
         console.log("   3. Network connectivity");
         console.log("   4. ABI compatibility");
         
@@ -0,0 +1,82 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadNetworks, addHexPrefix, checkBytecodeParity, CREATE2_SALT } = require("../lib");
+const { prepareDeployments, CONFIG } = require("./deploy");
+require("dotenv").config();
+
+/**
+ * Deterministic address and compiled runtime bytecode of every contract
+ * scripts/deploy.js deploys, as checkBytecodeParity expects them.
+ * @param {string} [salt] Defaults to CREATE2_SALT
+ * @param {string} [feeAdmin] Fee admin the swap contracts were deployed with, defaults to FEE_ADMIN
+ * @returns {Promise<Object>} { [name]: { address, deployedBytecode, immutableReferences } }
+ */
+async function expectedContracts(salt = CREATE2_SALT, feeAdmin = CONFIG.FEE_ADMIN) {
+    const contracts = {};
+    for (const [name, { contract, address }] of Object.entries(await prepareDeployments(salt, feeAdmin))) {
+        const { sourceName, contractName, deployedBytecode } = await hre.artifacts.readArtifact(contract);
+        const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+        const { immutableReferences } = buildInfo.output.contracts[sourceName][contractName].evm.deployedBytecode;
+        contracts[name] = { address, deployedBytecode, immutableReferences };
+    }
+    return contracts;
+}
+
+async function main() {
+    console.log("🔍 Checking bytecode parity across networks...");
+    console.log(`   CREATE2 salt: ${CREATE2_SALT}`);
+
+    // scripts/deploy.js makes its deployer (Alice) the fee admin unless FEE_ADMIN is set
+    if (!CONFIG.FEE_ADMIN && !process.env.PRIVATE_KEY_ALICE) throw new Error("Set FEE_ADMIN or PRIVATE_KEY_ALICE");
+    const feeAdmin = CONFIG.FEE_ADMIN || ethers.utils.computeAddress(addHexPrefix(process.env.PRIVATE_KEY_ALICE));
+    console.log(`   Fee admin: ${feeAdmin}`);
+
+    // Every registry network with an RPC URL
+    const networks = Object.values(loadNetworks()).filter((network) => {
+        if (network.rpcUrl) return true;
+        console.log(`⚠️ Skipping ${network.name}: ${network.rpcUrlEnv} not set`);
+        return false;
+    });
+    if (networks.length === 0) throw new Error("No network in config/networks.json has an RPC URL");
+
+    const contracts = await expectedContracts(CREATE2_SALT, feeAdmin);
+    const providers = Object.fromEntries(networks.map((network) =>
+        [network.name, new ethers.providers.JsonRpcProvider(network.rpcUrl)]));
+    const results = await checkBytecodeParity(providers, contracts);
+
+    let allMatch = true;
+    for (const [name, { address, match, networks: perNetwork }] of Object.entries(results)) {
+        console.log(`\n${match ? "✅" : "❌"} ${name} at ${address}`);
+        for (const [network, result] of Object.entries(perNetwork)) {
+            const icon = result === "match" ? "✅" : "❌";
+            console.log(`   ${icon} ${network}: ${result}`);
+        }
+        allMatch = allMatch && match;
+    }
+
+    // Registry addresses from an older, non-deterministic deployment point elsewhere
+    for (const network of networks) {
+        for (const [name, { address }] of Object.entries(contracts)) {
+            const recorded = network.addresses[name];
+            if (recorded && ethers.utils.getAddress(recorded) !== address) {
+                console.log(`⚠️ ${network.name} records ${name} at ${recorded}, expected ${address}`);
+            }
+        }
+    }
+
+    if (!allMatch) {
+        throw new Error("Contracts are missing or differ on some networks, redeploy them with scripts/deploy.js");
+    }
+    console.log(`\n🎉 Bytecode matches on ${networks.map((network) => network.name).join(", ")}`);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Parity check failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { expectedContracts };
@@ -2,87 +2,112 @@ const { ethers } = require("hardhat");
 const { performance } = require('perf_hooks');
 const fs = require('fs');
 const path = require('path');
-
-// Load contract addresses
-const addresses = require("../config/addresses.json");
+const {
+    SwapClient, FppSwapClient, CounterpartyVerifier, NATIVE_TOKEN, hashSecret, combineHashes, generateSwapId, ringOrder,
+    planTimelocks, loadNetworks, connectNetwork
+} = require("../lib");
 
 // Load environment variables
 require('dotenv').config();
 
+// Networks and their deployed contracts (config/networks.json, or ADDRESSES_FILE)
+const NETWORKS = loadNetworks();
+
 // Configuration
 const CONFIG = {
     TEST_ITERATIONS: parseInt(process.env.TEST_ITERATIONS || "30"),
     TIMELOCK_DURATION: parseInt(process.env.TIMELOCK_DURATION || "3600"),
+    // Multiplier on finality and claim latency when planning timelocks (lib/timelocks.js)
+    TIMELOCK_SAFETY_FACTOR: parseFloat(process.env.TIMELOCK_SAFETY_FACTOR || "2"),
     AMOUNT_TOKEN: ethers.utils.parseEther(process.env.AMOUNT_TOKEN || "0.001"),
-    APPROVAL_AMOUNT: ethers.utils.parseEther(process.env.APPROVAL_AMOUNT || "10.0")
+    APPROVAL_AMOUNT: ethers.utils.parseEther(process.env.APPROVAL_AMOUNT || "10.0"),
+    // Registry networks of Alice's (initiator) and Bob's (counterparty) legs; default to the first two
+    INITIATOR_NETWORK: process.env.INITIATOR_NETWORK || Object.keys(NETWORKS)[0],
+    COUNTERPARTY_NETWORK: process.env.COUNTERPARTY_NETWORK || Object.keys(NETWORKS)[1],
+    // Native initiator-chain coin -> counterparty-chain TokenB swaps, run after the cross-chain tests
+    NATIVE_TESTS: process.env.NATIVE_TESTS !== "false",
+    // Lock with EIP-2612 permits instead of up-front approvals (tokens must support permit)
+    USE_PERMIT: process.env.USE_PERMIT === "true",
+    AMOUNT_NATIVE: ethers.utils.parseEther(process.env.AMOUNT_NATIVE || "0.0001"),
+    // Three-party FPPHTLC ring (Alice -> Bob -> Carol -> Alice); needs PRIVATE_KEY_CAROL
+    RING_TESTS: !!process.env.PRIVATE_KEY_CAROL && process.env.RING_TESTS !== "false",
+    // Per-swap gas of BATCH_SIZE swaps locked and claimed one by one vs through batchLock/batchClaim
+    BATCH_TESTS: process.env.BATCH_TESTS !== "false",
+    BATCH_SIZE: parseInt(process.env.BATCH_SIZE || "5"),
+    // Blocks the counterparty's lock needs before the cross-chain tests claim from it
+    VERIFY_CONFIRMATIONS: parseInt(process.env.VERIFY_CONFIRMATIONS || "1")
 };
 
-// Contract Addresses
-const CONTRACT_ADDRESSES = {
-    sepolia: {
-        HTLC: process.env.SEPOLIA_HTLC || addresses.sepolia.HTLC,
-        FPPHTLC: process.env.SEPOLIA_FPPHTLC || addresses.sepolia.FPPHTLC,
-        TokenA: process.env.SEPOLIA_TOKEN_A || addresses.sepolia.TokenA,
-        TokenB: process.env.SEPOLIA_TOKEN_B || addresses.sepolia.TokenB
-    },
-    bscTestnet: {
-        HTLC: process.env.BSC_TESTNET_HTLC || addresses.bscTestnet.HTLC,
-        FPPHTLC: process.env.BSC_TESTNET_FPPHTLC || addresses.bscTestnet.FPPHTLC,
-        TokenA: process.env.BSC_TESTNET_TOKEN_A || addresses.bscTestnet.TokenA,
-        TokenB: process.env.BSC_TESTNET_TOKEN_B || addresses.bscTestnet.TokenB
-    }
-};
+// Alice locks first on the home (initiator) network, Bob on the remote (counterparty) one
+const HOME = NETWORKS[CONFIG.INITIATOR_NETWORK];
+const REMOTE = NETWORKS[CONFIG.COUNTERPARTY_NETWORK];
 
-// 1. 区块时间差异
-const blockTimes = {
-    ethereum: 12,    // 12秒/区块
-    bsc: 3,          // 3秒/区块
-    polygon: 2       // 2秒/区块
-};
+// Validate required environment variables
+if (!process.env.PRIVATE_KEY_ALICE) throw new Error("PRIVATE_KEY_ALICE not set");
+if (!process.env.PRIVATE_KEY_BOB) throw new Error("PRIVATE_KEY_BOB not set");
+for (const [key, network] of [[CONFIG.INITIATOR_NETWORK, HOME], [CONFIG.COUNTERPARTY_NETWORK, REMOTE]]) {
+    if (!network) throw new Error(`Network ${key} is not in config/networks.json`);
+    if (!network.rpcUrl) throw new Error(`${network.rpcUrlEnv} not set`);
+}
 
-// 2. 确认时间差异
-const confirmationTimes = {
-    ethereum: 12 * 12,  // 144秒 (12个区块)
-    bsc: 3 * 20,        // 60秒 (20个区块)
-    polygon: 2 * 256    // 512秒 (256个区块)
-};
+const LOCK_OPTIONS = { permit: CONFIG.USE_PERMIT };
+const VERIFY_OPTIONS = { confirmations: CONFIG.VERIFY_CONFIRMATIONS };
 
-// 3. 网络延迟差异
-const networkDelays = {
-    ethereum: 5,     // 5秒
-    bsc: 2,          // 2秒
-    polygon: 3       // 3秒
-};
+// Both legs' timelocks: the counterparty's lock runs TIMELOCK_DURATION and the
+// initiator's outlives it by the gap the planner derives from the two networks
+function planSwapTimelocks(initiatorNetwork, counterpartyNetwork) {
+    return planTimelocks({
+        initiatorNetwork, counterpartyNetwork,
+        duration: CONFIG.TIMELOCK_DURATION, safetyFactor: CONFIG.TIMELOCK_SAFETY_FACTOR
+    });
+}
 
+// CounterpartyVerifier margins matching planSwapTimelocks()
+function verifyMargins(initiatorNetwork, counterpartyNetwork) {
+    return { initiatorNetwork, counterpartyNetwork, safetyFactor: CONFIG.TIMELOCK_SAFETY_FACTOR };
+}
 
-// Validate required environment variables
-if (!process.env.PRIVATE_KEY_ALICE) throw new Error("PRIVATE_KEY_ALICE not set");
-if (!process.env.PRIVATE_KEY_BOB) throw new Error("PRIVATE_KEY_BOB not set");
-if (!process.env.SEPOLIA_RPC_URL) throw new Error("SEPOLIA_RPC_URL not set");
-if (!process.env.BSC_TESTNET_RPC_URL) throw new Error("BSC_TESTNET_RPC_URL not set");
+// Same event on HTLC and FPPHTLC
+const PROTOCOL_FEE_PAID = ethers.utils.id("ProtocolFeePaid(bytes32,address,uint256)");
 
-const addHexPrefix = (key) => key?.startsWith('0x') ? key : `0x${key}`;
+// Protocol fee the receipts' claims paid to the treasury, in token units (18 decimals).
+// Kept apart from gas, which the sender pays on top of the swap amounts
+function protocolFeePaid(receipts) {
+    const fee = receipts.flatMap((receipt) => receipt.logs)
+        .filter((log) => log.topics[0] === PROTOCOL_FEE_PAID)
+        .reduce((sum, log) => sum.add(ethers.BigNumber.from(log.data)), ethers.constants.Zero);
+    return parseFloat(ethers.utils.formatEther(fee));
+}
 
 class CrossNetworkTestResults {
     constructor() {
         this.summary = {
-            sepolia: { htlc: this.createProtocolStats(), fpphtlc: this.createProtocolStats() },
-            bscTestnet: { htlc: this.createProtocolStats(), fpphtlc: this.createProtocolStats() },
+            [HOME.key]: { htlc: this.createProtocolStats(), fpphtlc: this.createProtocolStats() },
+            [REMOTE.key]: { htlc: this.createProtocolStats(), fpphtlc: this.createProtocolStats() },
             crossChain: { htlc: this.createProtocolStats(), fpphtlc: this.createProtocolStats() },
+            native: { htlc: this.createProtocolStats(), fpphtlc: this.createProtocolStats() },
+            ring: { htlc: this.createProtocolStats(), fpphtlc: this.createProtocolStats() },
+            individual: { htlc: this.createProtocolStats(), fpphtlc: this.createProtocolStats() },
+            batched: { htlc: this.createProtocolStats(), fpphtlc: this.createProtocolStats() },
             errors: []
         };
         // 详细记录每次测试的结果
         this.detailedResults = {
-            sepolia: { htlc: [], fpphtlc: [] },
-            bscTestnet: { htlc: [], fpphtlc: [] },
-            crossChain: { htlc: [], fpphtlc: [] }
+            [HOME.key]: { htlc: [], fpphtlc: [] },
+            [REMOTE.key]: { htlc: [], fpphtlc: [] },
+            crossChain: { htlc: [], fpphtlc: [] },
+            native: { htlc: [], fpphtlc: [] },
+            ring: { htlc: [], fpphtlc: [] },
+            individual: { htlc: [], fpphtlc: [] },
+            batched: { htlc: [], fpphtlc: [] }
         };
     }
 
     createProtocolStats() {
         return {
             times: [], avgLockTime: 0, avgClaimTime: 0, avgTotalTime: 0,
-            avgGasUsed: 0, totalGasUsed: 0, successfulTests: 0, failedTests: 0,
+            avgGasUsed: 0, totalGasUsed: 0, avgProtocolFee: 0, totalProtocolFee: 0,
+            successfulTests: 0, failedTests: 0,
             minLockTime: Infinity, maxLockTime: 0,
             minClaimTime: Infinity, maxClaimTime: 0,
             minTotalTime: Infinity, maxTotalTime: 0,
@@ -102,6 +127,7 @@ class CrossNetworkTestResults {
             claimTime: data.claimTime || 0, 
             totalTime, 
             gasUsed: data.gasUsed,
+            protocolFee: data.protocolFee || 0,
             timestamp: new Date().toISOString()
         };
         
@@ -118,6 +144,8 @@ class CrossNetworkTestResults {
         targetProtocol.avgTotalTime = targetProtocol.times.reduce((sum, t) => sum + t.totalTime, 0) / targetProtocol.successfulTests;
         targetProtocol.avgGasUsed = targetProtocol.times.reduce((sum, t) => sum + t.gasUsed, 0) / targetProtocol.successfulTests;
         targetProtocol.totalGasUsed += data.gasUsed;
+        targetProtocol.totalProtocolFee += testResult.protocolFee;
+        targetProtocol.avgProtocolFee = targetProtocol.totalProtocolFee / targetProtocol.successfulTests;
 
         // Update min/max values
         targetProtocol.minLockTime = Math.min(targetProtocol.minLockTime, data.lockTime);
@@ -135,6 +163,7 @@ class CrossNetworkTestResults {
         console.log(`   🔓 Claim Time: ${((data.claimTime || 0) / 1000).toFixed(3)}s`);
         console.log(`   ⏱️ Total Time: ${(totalTime / 1000).toFixed(3)}s`);
         console.log(`   ⛽ Gas Used: ${data.gasUsed.toLocaleString()}`);
+        console.log(`   🏦 Protocol Fee: ${testResult.protocolFee}`);
         console.log(`   📍 Network: ${network}`);
         
         // 显示当前统计汇总
@@ -155,19 +184,20 @@ class CrossNetworkTestResults {
     }
 }
 
-async function getContracts(network) {
-    const networkAddresses = CONTRACT_ADDRESSES[network];
-    if (!networkAddresses) throw new Error(`No contract addresses found for network ${network}`);
+async function getContracts(network, provider) {
+    const networkAddresses = NETWORKS[network].addresses;
+    if (!networkAddresses.HTLC) throw new Error(`No contract addresses found for network ${network}`);
     
     const HTLC = await ethers.getContractFactory("HTLC");
     const FPPHTLC = await ethers.getContractFactory("FPPHTLC");
     const ERC20Mock = await ethers.getContractFactory("contracts/mocks/ERC20Mock.sol:ERC20Mock");
 
+    // Bind read-only calls (balance checks) to the network's own provider
     return {
-        htlc: HTLC.attach(networkAddresses.HTLC),
-        fpphtlc: FPPHTLC.attach(networkAddresses.FPPHTLC),
-        tokenA: ERC20Mock.attach(networkAddresses.TokenA),
-        tokenB: ERC20Mock.attach(networkAddresses.TokenB)
+        htlc: HTLC.attach(networkAddresses.HTLC).connect(provider),
+        fpphtlc: FPPHTLC.attach(networkAddresses.FPPHTLC).connect(provider),
+        tokenA: ERC20Mock.attach(networkAddresses.TokenA).connect(provider),
+        tokenB: ERC20Mock.attach(networkAddresses.TokenB).connect(provider)
     };
 }
 
@@ -198,96 +228,96 @@ async function approveTokens(contracts, alice, bob) {
 }
 
 // Add balance checking and funding function
-async function ensureSufficientBalances(sepoliaAlice, sepoliaBob, bscAlice, bscBob, sepoliaContracts, bscContracts) {
+async function ensureSufficientBalances(homeAlice, homeBob, remoteAlice, remoteBob, homeContracts, remoteContracts) {
     console.log("\n💰 Checking and ensuring sufficient balances...");
     
-    const requiredEth = ethers.utils.parseEther("0.01"); // Reduced from 0.1 to 0.01 ETH for testing
+    const requiredEth = ethers.utils.parseEther("0.01"); // Reduced from 0.1 to 0.01 of the native coin for testing
     const requiredTokens = CONFIG.APPROVAL_AMOUNT;
     
     try {
-        // Check Sepolia balances
-        const sepoliaAliceEth = await sepoliaAlice.getBalance();
-        const sepoliaBobEth = await sepoliaBob.getBalance();
+        // Check home network balances
+        const homeAliceEth = await homeAlice.getBalance();
+        const homeBobEth = await homeBob.getBalance();
         
-        console.log(`Sepolia Alice ETH: ${ethers.utils.formatEther(sepoliaAliceEth)} ETH`);
-        console.log(`Sepolia Bob ETH: ${ethers.utils.formatEther(sepoliaBobEth)} ETH`);
+        console.log(`${HOME.name} Alice ${HOME.nativeCurrency}: ${ethers.utils.formatEther(homeAliceEth)} ${HOME.nativeCurrency}`);
+        console.log(`${HOME.name} Bob ${HOME.nativeCurrency}: ${ethers.utils.formatEther(homeBobEth)} ${HOME.nativeCurrency}`);
         
-        // Check BSC balances
-        const bscAliceEth = await bscAlice.getBalance();
-        const bscBobEth = await bscBob.getBalance();
+        // Check remote network balances
+        const remoteAliceEth = await remoteAlice.getBalance();
+        const remoteBobEth = await remoteBob.getBalance();
         
-        console.log(`BSC Alice ETH: ${ethers.utils.formatEther(bscAliceEth)} ETH`);
-        console.log(`BSC Bob ETH: ${ethers.utils.formatEther(bscBobEth)} ETH`);
+        console.log(`${REMOTE.name} Alice ${REMOTE.nativeCurrency}: ${ethers.utils.formatEther(remoteAliceEth)} ${REMOTE.nativeCurrency}`);
+        console.log(`${REMOTE.name} Bob ${REMOTE.nativeCurrency}: ${ethers.utils.formatEther(remoteBobEth)} ${REMOTE.nativeCurrency}`);
         
         // Try to check token balances, but don't fail if contracts are not accessible
-        let sepoliaAliceToken, sepoliaBobToken, bscAliceToken, bscBobToken;
+        let homeAliceToken, homeBobToken, remoteAliceToken, remoteBobToken;
         let tokensAvailable = true;
         
         try {
-             console.log('Token A： ' + sepoliaContracts.tokenA.address);
-             console.log('Token B： ' + sepoliaContracts.tokenB.address);
+             console.log('Token A： ' + homeContracts.tokenA.address);
+             console.log('Token B： ' + homeContracts.tokenB.address);
  
              // 使用更明确的gas设置来避免兼容性问题
-             sepoliaAliceToken = await sepoliaContracts.tokenA.balanceOf(sepoliaAlice.address, { gasLimit: 100000 });
-             sepoliaBobToken = await sepoliaContracts.tokenB.balanceOf(sepoliaBob.address, { gasLimit: 100000 });
-             console.log(`Sepolia Alice TokenA: ${ethers.utils.formatEther(sepoliaAliceToken)} tokens`);
-             console.log(`Sepolia Bob TokenB: ${ethers.utils.formatEther(sepoliaBobToken)} tokens`);
+             homeAliceToken = await homeContracts.tokenA.balanceOf(homeAlice.address, { gasLimit: 100000 });
+             homeBobToken = await homeContracts.tokenB.balanceOf(homeBob.address, { gasLimit: 100000 });
+             console.log(`${HOME.name} Alice TokenA: ${ethers.utils.formatEther(homeAliceToken)} tokens`);
+             console.log(`${HOME.name} Bob TokenB: ${ethers.utils.formatEther(homeBobToken)} tokens`);
          } catch (error) {
-             console.log("⚠️ Could not check Sepolia token balances due to ethers.js compatibility issue");
+             console.log(`⚠️ Could not check ${HOME.name} token balances due to ethers.js compatibility issue`);
             // console.log("   Error:", error.message);
              console.log("   This is likely due to Node.js v23.11.0 and ethers.js v5.8.0 compatibility");
-             sepoliaAliceToken = ethers.constants.Zero;
-             sepoliaBobToken = ethers.constants.Zero;
+             homeAliceToken = ethers.constants.Zero;
+             homeBobToken = ethers.constants.Zero;
              tokensAvailable = false;
          }
         
         try {
-             console.log('Token A： ' + bscContracts.tokenA.address);
-             console.log('Token B： ' + bscContracts.tokenB.address);
+             console.log('Token A： ' + remoteContracts.tokenA.address);
+             console.log('Token B： ' + remoteContracts.tokenB.address);
  
              // 使用更明确的gas设置来避免兼容性问题
-             bscAliceToken = await bscContracts.tokenA.balanceOf(bscAlice.address, { gasLimit: 100000 });
-             bscBobToken = await bscContracts.tokenB.balanceOf(bscBob.address, { gasLimit: 100000 });
-             console.log(`BSC Alice TokenA: ${ethers.utils.formatEther(bscAliceToken)} tokens`);
-             console.log(`BSC Bob TokenB: ${ethers.utils.formatEther(bscBobToken)} tokens`);
+             remoteAliceToken = await remoteContracts.tokenA.balanceOf(remoteAlice.address, { gasLimit: 100000 });
+             remoteBobToken = await remoteContracts.tokenB.balanceOf(remoteBob.address, { gasLimit: 100000 });
+             console.log(`${REMOTE.name} Alice TokenA: ${ethers.utils.formatEther(remoteAliceToken)} tokens`);
+             console.log(`${REMOTE.name} Bob TokenB: ${ethers.utils.formatEther(remoteBobToken)} tokens`);
          } catch (error) {
-             console.log("⚠️ Could not check BSC token balances due to ethers.js compatibility issue");
+             console.log(`⚠️ Could not check ${REMOTE.name} token balances due to ethers.js compatibility issue`);
              //console.log("   Error:", error.message);
              console.log("   This is likely due to Node.js v23.11.0 and ethers.js v5.8.0 compatibility");
-             bscAliceToken = ethers.constants.Zero;
-             bscBobToken = ethers.constants.Zero;
+             remoteAliceToken = ethers.constants.Zero;
+             remoteBobToken = ethers.constants.Zero;
              tokensAvailable = false;
          }
         
-        // Check if ETH balances are sufficient
+        // Check if native balances are sufficient
         const insufficientBalances = [];
         
-        if (sepoliaAliceEth.lt(requiredEth)) {
-            insufficientBalances.push(`Sepolia Alice ETH: ${ethers.utils.formatEther(sepoliaAliceEth)} < ${ethers.utils.formatEther(requiredEth)}`);
+        if (homeAliceEth.lt(requiredEth)) {
+            insufficientBalances.push(`${HOME.name} Alice ${HOME.nativeCurrency}: ${ethers.utils.formatEther(homeAliceEth)} < ${ethers.utils.formatEther(requiredEth)}`);
         }
-        if (sepoliaBobEth.lt(requiredEth)) {
-            insufficientBalances.push(`Sepolia Bob ETH: ${ethers.utils.formatEther(sepoliaBobEth)} < ${ethers.utils.formatEther(requiredEth)}`);
+        if (homeBobEth.lt(requiredEth)) {
+            insufficientBalances.push(`${HOME.name} Bob ${HOME.nativeCurrency}: ${ethers.utils.formatEther(homeBobEth)} < ${ethers.utils.formatEther(requiredEth)}`);
         }
-        if (bscAliceEth.lt(requiredEth)) {
-            insufficientBalances.push(`BSC Alice ETH: ${ethers.utils.formatEther(bscAliceEth)} < ${ethers.utils.formatEther(requiredEth)}`);
+        if (remoteAliceEth.lt(requiredEth)) {
+            insufficientBalances.push(`${REMOTE.name} Alice ${REMOTE.nativeCurrency}: ${ethers.utils.formatEther(remoteAliceEth)} < ${ethers.utils.formatEther(requiredEth)}`);
         }
-        if (bscBobEth.lt(requiredEth)) {
-            insufficientBalances.push(`BSC Bob ETH: ${ethers.utils.formatEther(bscBobEth)} < ${ethers.utils.formatEther(requiredEth)}`);
+        if (remoteBobEth.lt(requiredEth)) {
+            insufficientBalances.push(`${REMOTE.name} Bob ${REMOTE.nativeCurrency}: ${ethers.utils.formatEther(remoteBobEth)} < ${ethers.utils.formatEther(requiredEth)}`);
         }
         
         // Only check token balances if tokens are available
         if (tokensAvailable) {
-            if (sepoliaAliceToken.lt(requiredTokens)) {
-                insufficientBalances.push(`Sepolia Alice TokenA: ${ethers.utils.formatEther(sepoliaAliceToken)} < ${ethers.utils.formatEther(requiredTokens)}`);
+            if (homeAliceToken.lt(requiredTokens)) {
+                insufficientBalances.push(`${HOME.name} Alice TokenA: ${ethers.utils.formatEther(homeAliceToken)} < ${ethers.utils.formatEther(requiredTokens)}`);
             }
-            if (sepoliaBobToken.lt(requiredTokens)) {
-                insufficientBalances.push(`Sepolia Bob TokenB: ${ethers.utils.formatEther(sepoliaBobToken)} < ${ethers.utils.formatEther(requiredTokens)}`);
+            if (homeBobToken.lt(requiredTokens)) {
+                insufficientBalances.push(`${HOME.name} Bob TokenB: ${ethers.utils.formatEther(homeBobToken)} < ${ethers.utils.formatEther(requiredTokens)}`);
             }
-            if (bscAliceToken.lt(requiredTokens)) {
-                insufficientBalances.push(`BSC Alice TokenA: ${ethers.utils.formatEther(bscAliceToken)} < ${ethers.utils.formatEther(requiredTokens)}`);
+            if (remoteAliceToken.lt(requiredTokens)) {
+                insufficientBalances.push(`${REMOTE.name} Alice TokenA: ${ethers.utils.formatEther(remoteAliceToken)} < ${ethers.utils.formatEther(requiredTokens)}`);
             }
-            if (bscBobToken.lt(requiredTokens)) {
-                insufficientBalances.push(`BSC Bob TokenB: ${ethers.utils.formatEther(bscBobToken)} < ${ethers.utils.formatEther(requiredTokens)}`);
+            if (remoteBobToken.lt(requiredTokens)) {
+                insufficientBalances.push(`${REMOTE.name} Bob TokenB: ${ethers.utils.formatEther(remoteBobToken)} < ${ethers.utils.formatEther(requiredTokens)}`);
             }
         }
         
@@ -305,8 +335,9 @@ async function ensureSufficientBalances(sepoliaAlice, sepoliaBob, bscAlice, bscB
             console.log("   npx hardhat run scripts/fund-accounts.js");
             console.log("   npx hardhat run scripts/distribute-tokens.js");
             console.log("\n   Or use faucets:");
-            console.log("   - Sepolia: https://sepoliafaucet.com/");
-            console.log("   - BSC Testnet: https://testnet.binance.org/faucet-smart");
+            for (const network of [HOME, REMOTE].filter((network) => network.faucet)) {
+                console.log(`   - ${network.name}: ${network.faucet}`);
+            }
             
             // For testing purposes, allow the test to continue with warnings
             console.log("\n⚠️ Continuing with test despite insufficient balances...");
@@ -324,51 +355,48 @@ async function ensureSufficientBalances(sepoliaAlice, sepoliaBob, bscAlice, bscB
 
 async function testHTLCOnNetwork(network, contracts, alice, bob, iteration) {
     const { htlc, tokenA, tokenB } = contracts;
-    const result = { lockTime: 0, claimTime: 0, gasUsed: 0 };
+    const result = { lockTime: 0, claimTime: 0, gasUsed: 0, protocolFee: 0 };
+    const aliceClient = new SwapClient(htlc, alice);
+    const bobClient = new SwapClient(htlc, bob);
 
     // ✅ 标准HTLC：只有Alice生成一个secret和hashlock
-    const aliceSecret = `alice_secret_${network}_${iteration}_${Date.now()}`;
-    const aliceHashlock = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(aliceSecret));
-    const timelock = Math.floor(Date.now() / 1000) + CONFIG.TIMELOCK_DURATION;
-
-    const aliceSwapId = ethers.utils.keccak256(ethers.utils.solidityPack(
-        ["string", "uint256", "uint256"], [`${network}_alice_test`, iteration, Date.now()]
-    ));
-    const bobSwapId = ethers.utils.keccak256(ethers.utils.solidityPack(
-        ["string", "uint256", "uint256"], [`${network}_bob_test`, iteration, Date.now()]
-    ));
+    const { initiatorTimelock, counterpartyTimelock } = planSwapTimelocks(network, network);
+    const aliceSwap = await aliceClient.prepareSwap({
+        recipient: bob.address, token: tokenA.address, amount: CONFIG.AMOUNT_TOKEN,
+        secret: `alice_secret_${network}_${iteration}_${Date.now()}`,
+        clientSwapId: generateSwapId(`${network}_alice_test`),
+        timelock: initiatorTimelock
+    });
+    const bobSwap = await bobClient.prepareSwap({
+        recipient: alice.address, token: tokenB.address, amount: CONFIG.AMOUNT_TOKEN,
+        hashlock: aliceSwap.hashlock, // 相同的hashlock
+        clientSwapId: generateSwapId(`${network}_bob_test`),
+        timelock: counterpartyTimelock
+    });
 
     console.log(`🚀 Starting standard HTLC on ${network}...`);
     const lockStartTime = performance.now();
 
     // ✅ Step 1: Alice锁定TokenA给Bob，使用Alice的hashlock
-    const aliceLockTx = await htlc.connect(alice).lockFunds(
-        aliceSwapId, bob.address, tokenA.address, CONFIG.AMOUNT_TOKEN, 
-        aliceHashlock, timelock + 3000 // 使用相同的timelock
-    );
-    const aliceLockReceipt = await aliceLockTx.wait();
+    const { receipt: aliceLockReceipt } = await aliceClient.lock(aliceSwap, LOCK_OPTIONS);
 
     // ✅ Step 2: Bob锁定TokenB给Alice，使用相同的hashlock
-    const bobLockTx = await htlc.connect(bob).lockFunds(
-        bobSwapId, alice.address, tokenB.address, CONFIG.AMOUNT_TOKEN, 
-        aliceHashlock, timelock  // 相同的hashlock
-    );
-    const bobLockReceipt = await bobLockTx.wait();
+    const { receipt: bobLockReceipt } = await bobClient.lock(bobSwap, LOCK_OPTIONS);
 
     result.lockTime = performance.now() - lockStartTime;
     const claimStartTime = performance.now();
 
     // ✅ Step 3: Alice用她的secret认领Bob的TokenB
-    const aliceClaimTx = await htlc.connect(alice).claimFunds(bobSwapId, aliceSecret);
-    const aliceClaimReceipt = await aliceClaimTx.wait();
+    const aliceClaimReceipt = await aliceClient.claim(bobSwap.swapId, aliceSwap.secret);
 
     // ✅ Step 4: Bob看到Alice的secret，用同样的secret认领Alice的TokenA
-    const bobClaimTx = await htlc.connect(bob).claimFunds(aliceSwapId, aliceSecret);
-    const bobClaimReceipt = await bobClaimTx.wait();
+    const { revealedSecret } = await bobClient.getStatus(bobSwap.swapId);
+    const bobClaimReceipt = await bobClient.claim(aliceSwap.swapId, revealedSecret);
 
     result.claimTime = performance.now() - claimStartTime;
     result.gasUsed = aliceLockReceipt.gasUsed.add(bobLockReceipt.gasUsed)
         .add(aliceClaimReceipt.gasUsed).add(bobClaimReceipt.gasUsed).toNumber();
+    result.protocolFee = protocolFeePaid([aliceClaimReceipt, bobClaimReceipt]);
 
     console.log(`✅ Standard HTLC completed: ${(result.lockTime / 1000).toFixed(2)}s lock`);
     return result;
@@ -376,198 +404,368 @@ async function testHTLCOnNetwork(network, contracts, alice, bob, iteration) {
 
 async function testFPPHTLCOnNetwork(network, contracts, alice, bob, iteration) {
     const { fpphtlc, tokenA, tokenB } = contracts;
-    const result = { lockTime: 0, claimTime: 0, gasUsed: 0 };
+    const result = { lockTime: 0, claimTime: 0, gasUsed: 0, protocolFee: 0 };
+    const aliceClient = new FppSwapClient(fpphtlc, alice);
+    const bobClient = new FppSwapClient(fpphtlc, bob);
 
     const secretA = ethers.utils.formatBytes32String(`secret_${iteration}_A`);
     const secretB = ethers.utils.formatBytes32String(`secret_${iteration}_B`);
-    const hashA = ethers.utils.keccak256(ethers.utils.arrayify(secretA));
-    const hashB = ethers.utils.keccak256(ethers.utils.arrayify(secretB));
-    const timelock = Math.floor(Date.now() / 1000) + CONFIG.TIMELOCK_DURATION;
+    const { initiatorTimelock, counterpartyTimelock } = planSwapTimelocks(network, network);
 
     // Off-chain combined hash computation
-    const combinedHashAlice = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(['bytes32', 'bytes32'], [hashA, hashB]));
-    const combinedHashBob = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(['bytes32', 'bytes32'], [hashB, hashA]));
-
-    const swapId = ethers.utils.keccak256(ethers.utils.solidityPack(["string", "uint256", "uint256"], [`${network}_test`, iteration, Date.now()]));
-    const bobSwapId = ethers.utils.keccak256(ethers.utils.solidityPack(["bytes32", "string", "uint256"], [swapId, "_bob", Date.now()]));
+    const aliceSwap = await aliceClient.prepareSwap({
+        recipient: bob.address, token: tokenA.address, amount: CONFIG.AMOUNT_TOKEN,
+        secret: secretA, counterpartyHash: hashSecret(secretB),
+        clientSwapId: generateSwapId(`${network}_test`), timelock: initiatorTimelock, network
+    });
+    const bobSwap = await bobClient.prepareSwap({
+        recipient: alice.address, token: tokenB.address, amount: CONFIG.AMOUNT_TOKEN,
+        secret: secretB, counterpartyHash: aliceSwap.secretHash,
+        clientSwapId: generateSwapId(`${network}_test_bob`), timelock: counterpartyTimelock, network
+    });
 
     console.log(`🚀 Starting FPPHTLC parallel locking on ${network}...`);
     const lockStartTime = performance.now();
 
     // Parallel locking
-    const [aliceLockTx, bobLockTx] = await Promise.all([
-        fpphtlc.connect(alice).lockFunds(bob.address, tokenA.address, CONFIG.AMOUNT_TOKEN, combinedHashAlice, timelock + 3000, network, swapId),
-        fpphtlc.connect(bob).lockFunds(alice.address, tokenB.address, CONFIG.AMOUNT_TOKEN, combinedHashBob, timelock, network, bobSwapId)
+    const [{ receipt: aliceLockReceipt }, { receipt: bobLockReceipt }] = await Promise.all([
+        aliceClient.lock(aliceSwap, LOCK_OPTIONS),
+        bobClient.lock(bobSwap, LOCK_OPTIONS)
     ]);
-
-    const [aliceLockReceipt, bobLockReceipt] = await Promise.all([aliceLockTx.wait(), bobLockTx.wait()]);
     result.lockTime = performance.now() - lockStartTime;
 
 
     const claimStartTime = performance.now();
     // Sequential claiming
-    const aliceClaimTx = await fpphtlc.connect(bob).claimFunds(swapId, secretA, secretB);
-    const aliceClaimReceipt = await aliceClaimTx.wait();
-
-    const bobClaimTx = await fpphtlc.connect(alice).claimFunds(bobSwapId, secretB, secretA);
-    const bobClaimReceipt = await bobClaimTx.wait();
+    const aliceClaimReceipt = await bobClient.claim(aliceSwap.swapId, secretA, secretB);
+    const bobClaimReceipt = await aliceClient.claim(bobSwap.swapId, secretB, secretA);
 
     result.claimTime = performance.now() - claimStartTime;
     result.gasUsed = aliceLockReceipt.gasUsed.add(bobLockReceipt.gasUsed).add(bobClaimReceipt.gasUsed).add(aliceClaimReceipt.gasUsed).toNumber();
+    result.protocolFee = protocolFeePaid([aliceClaimReceipt, bobClaimReceipt]);
 
     console.log(`✅ FPPHTLC test completed: ${(result.lockTime / 1000).toFixed(2)}s lock, ${result.gasUsed.toLocaleString()} gas`);
     return result;
 }
 
-async function testRealisticCrossChainHTLC(sepoliaContracts, bscContracts, sepoliaAlice, sepoliaBob, bscAlice, bscBob, iteration) {
-    const { htlc: sepoliaHTLC, tokenA: sepoliaTokenA } = sepoliaContracts;
-    const { htlc: bscHTLC, tokenB: bscTokenB } = bscContracts;
-
-    const result = { lockTime: 0, claimTime: 0, gasUsed: 0 };
-    const aliceSecret = `alice_secret_${iteration}_${Date.now()}`;
-    const aliceHashlock = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(aliceSecret));
-    const timelock = Math.floor(Date.now() / 1000) + CONFIG.TIMELOCK_DURATION;
-
-    const aliceSwapId = ethers.utils.keccak256(ethers.utils.solidityPack(["string", "uint256", "uint256"], [`cross_alice`, iteration, Date.now()]));
-    const bobSwapId = ethers.utils.keccak256(ethers.utils.solidityPack(["string", "uint256", "uint256"], [`cross_bob`, iteration, Date.now()]));
+// With { native: true } Alice locks the home network's native coin instead of TokenA
+async function testRealisticCrossChainHTLC(homeContracts, remoteContracts, homeAlice, homeBob, remoteAlice, remoteBob, iteration, { native = false } = {}) {
+    const { htlc: homeHTLC, tokenA: homeTokenA } = homeContracts;
+    const { htlc: remoteHTLC, tokenB: remoteTokenB } = remoteContracts;
+    const homeAliceClient = new SwapClient(homeHTLC, homeAlice);
+    const homeBobClient = new SwapClient(homeHTLC, homeBob);
+    const remoteAliceClient = new SwapClient(remoteHTLC, remoteAlice);
+    const remoteBobClient = new SwapClient(remoteHTLC, remoteBob);
+
+    const result = { lockTime: 0, claimTime: 0, gasUsed: 0, protocolFee: 0 };
+    const timelocks = planSwapTimelocks(HOME.key, REMOTE.key);
+
+    const aliceSwap = await homeAliceClient.prepareSwap({
+        recipient: homeBob.address,
+        token: native ? NATIVE_TOKEN : homeTokenA.address,
+        amount: native ? CONFIG.AMOUNT_NATIVE : CONFIG.AMOUNT_TOKEN,
+        secret: `alice_secret_${iteration}_${Date.now()}`,
+        clientSwapId: generateSwapId("cross_alice"), timelock: timelocks.initiatorTimelock
+    });
+    const bobSwap = await remoteBobClient.prepareSwap({
+        recipient: remoteAlice.address, token: remoteTokenB.address, amount: CONFIG.AMOUNT_TOKEN,
+        hashlock: aliceSwap.hashlock,
+        clientSwapId: generateSwapId("cross_bob"), timelock: timelocks.counterpartyTimelock
+    });
 
     console.log("🚀 Starting cross-chain HTLC sequential locking...");
     const lockStartTime = performance.now();
 
     // Sequential cross-chain locking
-    const aliceLockTx = await sepoliaHTLC.connect(sepoliaAlice).lockFunds(aliceSwapId, sepoliaBob.address, sepoliaTokenA.address, CONFIG.AMOUNT_TOKEN, aliceHashlock, timelock + 3000);
-    const aliceLockReceipt = await aliceLockTx.wait();
-
-    const bobLockTx = await bscHTLC.connect(bscBob).lockFunds(bobSwapId, bscAlice.address, bscTokenB.address, CONFIG.AMOUNT_TOKEN, aliceHashlock, timelock);
-    const bobLockReceipt = await bobLockTx.wait();
+    const { receipt: aliceLockReceipt } = await homeAliceClient.lock(aliceSwap, LOCK_OPTIONS);
+    const { receipt: bobLockReceipt } = await remoteBobClient.lock(bobSwap, LOCK_OPTIONS);
 
     result.lockTime = performance.now() - lockStartTime;
 
+    // Alice's claim reveals her secret, so she checks Bob's remote lock against the agreed terms first
+    await new CounterpartyVerifier(remoteAliceClient, { ...VERIFY_OPTIONS, ...verifyMargins(HOME.key, REMOTE.key) }).verify(bobSwap.swapId, {
+        initiator: remoteBob.address, recipient: remoteAlice.address, token: remoteTokenB.address,
+        amount: CONFIG.AMOUNT_TOKEN, hashlock: aliceSwap.hashlock, ownTimelock: aliceSwap.timelock
+    }, { fromBlock: bobLockReceipt.blockNumber });
+
     // Sequential cross-chain claiming
     const claimStartTime = performance.now();
-    const aliceClaimTx = await bscHTLC.connect(bscAlice).claimFunds(bobSwapId, aliceSecret);
-    const aliceClaimReceipt = await aliceClaimTx.wait();
-
-    const bobClaimTx = await sepoliaHTLC.connect(sepoliaBob).claimFunds(aliceSwapId, aliceSecret);
-    const bobClaimReceipt = await bobClaimTx.wait();
+    const aliceClaimReceipt = await remoteAliceClient.claim(bobSwap.swapId, aliceSwap.secret);
+    const bobClaimReceipt = await homeBobClient.claim(aliceSwap.swapId, aliceSwap.secret);
 
     result.claimTime = performance.now() - claimStartTime;
     result.gasUsed = aliceLockReceipt.gasUsed.add(bobLockReceipt.gasUsed).add(aliceClaimReceipt.gasUsed).add(bobClaimReceipt.gasUsed).toNumber();
+    result.protocolFee = protocolFeePaid([aliceClaimReceipt, bobClaimReceipt]);
 
     console.log(`✅ Cross-chain HTLC test completed: ${(result.lockTime / 1000).toFixed(2)}s lock, ${result.gasUsed.toLocaleString()} gas`);
     return result;
 }
 
-async function testRealisticCrossChainFPPHTLC(sepoliaContracts, bscContracts, sepoliaAlice, sepoliaBob, bscAlice, bscBob, iteration) {
-    const { fpphtlc: sepoliaFPPHTLC, tokenA: sepoliaTokenA } = sepoliaContracts;
-    const { fpphtlc: bscFPPHTLC, tokenB: bscTokenB } = bscContracts;
+// With { native: true } Alice locks the home network's native coin instead of TokenA
+async function testRealisticCrossChainFPPHTLC(homeContracts, remoteContracts, homeAlice, homeBob, remoteAlice, remoteBob, iteration, { native = false } = {}) {
+    const { fpphtlc: homeFPPHTLC, tokenA: homeTokenA } = homeContracts;
+    const { fpphtlc: remoteFPPHTLC, tokenB: remoteTokenB } = remoteContracts;
+    const homeAliceClient = new FppSwapClient(homeFPPHTLC, homeAlice);
+    const homeBobClient = new FppSwapClient(homeFPPHTLC, homeBob);
+    const remoteAliceClient = new FppSwapClient(remoteFPPHTLC, remoteAlice);
+    const remoteBobClient = new FppSwapClient(remoteFPPHTLC, remoteBob);
 
-    const result = { lockTime: 0, claimTime: 0, gasUsed: 0 };
+    const result = { lockTime: 0, claimTime: 0, gasUsed: 0, protocolFee: 0 };
     const aliceSecret = ethers.utils.formatBytes32String(`alice_secret_${iteration}`);
     const bobSecret = ethers.utils.formatBytes32String(`bob_secret_${iteration}`);
-    const aliceHash = ethers.utils.keccak256(ethers.utils.arrayify(aliceSecret));
-    const bobHash = ethers.utils.keccak256(ethers.utils.arrayify(bobSecret));
-    const timelock = Math.floor(Date.now() / 1000) + CONFIG.TIMELOCK_DURATION;
+    const timelocks = planSwapTimelocks(HOME.key, REMOTE.key);
 
     // Off-chain combined hash computation
-    const combinedHashAlice = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(['bytes32', 'bytes32'], [aliceHash, bobHash]));
-    const combinedHashBob = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(['bytes32', 'bytes32'], [bobHash, aliceHash]));
-
-    const aliceSwapId = ethers.utils.keccak256(ethers.utils.solidityPack(["string", "uint256", "uint256"], [`cross_fpp_alice`, iteration, Date.now()]));
-    const bobSwapId = ethers.utils.keccak256(ethers.utils.solidityPack(["string", "uint256", "uint256"], [`cross_fpp_bob`, iteration, Date.now()]));
+    const aliceSwap = await homeAliceClient.prepareSwap({
+        recipient: homeBob.address,
+        token: native ? NATIVE_TOKEN : homeTokenA.address,
+        amount: native ? CONFIG.AMOUNT_NATIVE : CONFIG.AMOUNT_TOKEN,
+        secret: aliceSecret, counterpartyHash: hashSecret(bobSecret),
+        clientSwapId: generateSwapId("cross_fpp_alice"), timelock: timelocks.initiatorTimelock, network: HOME.key
+    });
+    const bobSwap = await remoteBobClient.prepareSwap({
+        recipient: remoteAlice.address, token: remoteTokenB.address, amount: CONFIG.AMOUNT_TOKEN,
+        secret: bobSecret, counterpartyHash: aliceSwap.secretHash,
+        clientSwapId: generateSwapId("cross_fpp_bob"), timelock: timelocks.counterpartyTimelock, network: REMOTE.key
+    });
 
     console.log("🚀 Starting cross-chain FPPHTLC parallel locking...");
     const lockStartTime = performance.now();
 
     // Parallel cross-chain locking
-    const [aliceLockTx, bobLockTx] = await Promise.all([
-        sepoliaFPPHTLC.connect(sepoliaAlice).lockFunds(sepoliaBob.address, sepoliaTokenA.address, CONFIG.AMOUNT_TOKEN, combinedHashAlice, timelock + 30000, "sepolia", aliceSwapId),
-        bscFPPHTLC.connect(bscBob).lockFunds(bscAlice.address, bscTokenB.address, CONFIG.AMOUNT_TOKEN, combinedHashBob, timelock, "bscTestnet", bobSwapId)
+    const [{ receipt: aliceLockReceipt }, { receipt: bobLockReceipt }] = await Promise.all([
+        homeAliceClient.lock(aliceSwap, LOCK_OPTIONS),
+        remoteBobClient.lock(bobSwap, LOCK_OPTIONS)
     ]);
-
-    const [aliceLockReceipt, bobLockReceipt] = await Promise.all([aliceLockTx.wait(), bobLockTx.wait()]);
     result.lockTime = performance.now() - lockStartTime;
 
+    // Alice's claim puts both secrets on-chain, so she checks Bob's remote lock first
+    await new CounterpartyVerifier(remoteAliceClient, { ...VERIFY_OPTIONS, ...verifyMargins(HOME.key, REMOTE.key) }).verify(bobSwap.swapId, {
+        initiator: remoteBob.address, recipient: remoteAlice.address, token: remoteTokenB.address, amount: CONFIG.AMOUNT_TOKEN,
+        combinedHash: combineHashes(hashSecret(bobSecret), aliceSwap.secretHash), network: REMOTE.key,
+        ownTimelock: aliceSwap.timelock
+    }, { fromBlock: bobLockReceipt.blockNumber });
+
     // Sequential cross-chain claiming
     const claimStartTime = performance.now();
-    const aliceClaimTx = await bscFPPHTLC.connect(bscAlice).claimFunds(bobSwapId, bobSecret, aliceSecret);
-    const aliceClaimReceipt = await aliceClaimTx.wait();
-
-    const bobClaimTx = await sepoliaFPPHTLC.connect(sepoliaBob).claimFunds(aliceSwapId, aliceSecret, bobSecret);
-    const bobClaimReceipt = await bobClaimTx.wait();
+    const aliceClaimReceipt = await remoteAliceClient.claim(bobSwap.swapId, bobSecret, aliceSecret);
+    const bobClaimReceipt = await homeBobClient.claim(aliceSwap.swapId, aliceSecret, bobSecret);
 
     result.claimTime = performance.now() - claimStartTime;
     result.gasUsed = aliceLockReceipt.gasUsed.add(bobLockReceipt.gasUsed).add(aliceClaimReceipt.gasUsed).add(bobClaimReceipt.gasUsed).toNumber();
+    result.protocolFee = protocolFeePaid([aliceClaimReceipt, bobClaimReceipt]);
 
     console.log(`✅ Cross-chain FPPHTLC test completed: ${(result.lockTime / 1000).toFixed(2)}s lock, ${result.gasUsed.toLocaleString()} gas`);
     return result;
 }
 
+// Three-party ring: Alice -> Bob on the home network, Bob -> Carol on the remote one, Carol -> Alice
+// on the home network again (the harness drives two networks, so the closing leg goes back)
+async function testRingSwapFPPHTLC(homeContracts, remoteContracts, homeParties, remoteParties, iteration) {
+    const [homeAlice, homeBob, homeCarol] = homeParties;
+    const [, remoteBob, remoteCarol] = remoteParties;
+    const result = { lockTime: 0, claimTime: 0, gasUsed: 0, protocolFee: 0 };
+
+    // Leg i is locked by party i for party i + 1 and commits to all three hashes from party i on
+    const legs = [
+        { locker: homeAlice, claimer: homeBob, contracts: homeContracts, token: homeContracts.tokenA, network: HOME.key },
+        { locker: remoteBob, claimer: remoteCarol, contracts: remoteContracts, token: remoteContracts.tokenB, network: REMOTE.key },
+        { locker: homeCarol, claimer: homeAlice, contracts: homeContracts, token: homeContracts.tokenB, network: HOME.key }
+    ];
+    const secrets = ["alice", "bob", "carol"].map((name) => ethers.utils.formatBytes32String(`${name}_ring_${iteration}`));
+    const hashes = secrets.map(hashSecret);
+    const timelock = Math.floor(Date.now() / 1000) + CONFIG.TIMELOCK_DURATION;
+
+    const swaps = await Promise.all(legs.map((leg, i) => new FppSwapClient(leg.contracts.fpphtlc, leg.locker).prepareSwap({
+        recipient: leg.claimer.address, token: leg.token.address, amount: CONFIG.AMOUNT_TOKEN,
+        secret: secrets[i], partyHashes: ringOrder(hashes, i).slice(1),
+        clientSwapId: generateSwapId(`ring_leg_${i}`), timelock, network: leg.network
+    })));
+
+    console.log("🚀 Starting three-party FPPHTLC ring locking...");
+    const lockStartTime = performance.now();
+
+    // All legs lock in parallel; nobody can claim until every secret is shared
+    const lockReceipts = await Promise.all(legs.map(async (leg, i) => {
+        const client = new FppSwapClient(leg.contracts.fpphtlc, leg.locker);
+        const { receipt } = await client.lock(swaps[i], { ...LOCK_OPTIONS, approve: !CONFIG.USE_PERMIT });
+        return receipt;
+    }));
+    result.lockTime = performance.now() - lockStartTime;
+
+    const claimStartTime = performance.now();
+    const claimReceipts = [];
+    for (const [i, leg] of legs.entries()) {
+        const client = new FppSwapClient(leg.contracts.fpphtlc, leg.claimer);
+        claimReceipts.push(await client.claimMultiParty(swaps[i].swapId, ringOrder(secrets, i)));
+    }
+
+    result.claimTime = performance.now() - claimStartTime;
+    result.gasUsed = [...lockReceipts, ...claimReceipts].reduce((sum, receipt) => sum.add(receipt.gasUsed), ethers.constants.Zero).toNumber();
+    result.protocolFee = protocolFeePaid(claimReceipts);
+
+    console.log(`✅ Ring FPPHTLC test completed: ${(result.lockTime / 1000).toFixed(2)}s lock, ${result.gasUsed.toLocaleString()} gas`);
+    return result;
+}
+
+// BATCH_SIZE Alice -> Bob swaps on one network, locked and claimed either one
+// transaction per swap or through the batch entry points. gasUsed is per swap
+async function testBatchGasOnNetwork(network, contracts, alice, bob, iteration, protocol, { batched = false } = {}) {
+    const isFpp = protocol === "FPPHTLC";
+    const contract = isFpp ? contracts.fpphtlc : contracts.htlc;
+    const Client = isFpp ? FppSwapClient : SwapClient;
+    const aliceClient = new Client(contract, alice);
+    const bobClient = new Client(contract, bob);
+    const result = { lockTime: 0, claimTime: 0, gasUsed: 0, protocolFee: 0 };
+
+    const bobSecret = ethers.utils.formatBytes32String(`bob_batch_${iteration}`);
+    const timelock = Math.floor(Date.now() / 1000) + CONFIG.TIMELOCK_DURATION;
+    const swaps = [];
+    for (let i = 0; i < CONFIG.BATCH_SIZE; i++) {
+        const params = {
+            recipient: bob.address, token: contracts.tokenA.address, amount: CONFIG.AMOUNT_TOKEN,
+            clientSwapId: generateSwapId(`${network}_batch_${i}`), timelock
+        };
+        swaps.push(await aliceClient.prepareSwap(isFpp ? { ...params, counterpartyHash: hashSecret(bobSecret), network } : params));
+    }
+    const claims = swaps.map((swap) => isFpp
+        ? { swapId: swap.swapId, initiatorSecret: swap.secret, recipientSecret: bobSecret }
+        : { swapId: swap.swapId, secret: swap.secret });
+
+    console.log(`🚀 Starting ${batched ? "batched" : "individual"} ${protocol} x${CONFIG.BATCH_SIZE} on ${network}...`);
+    const receipts = [];
+    const lockStartTime = performance.now();
+    if (batched) {
+        // Permits do not batch, so approve up front when the other tests use them
+        const outcomes = await aliceClient.batchLock(swaps, { approve: CONFIG.USE_PERMIT });
+        const failed = outcomes.find((outcome) => !outcome.success);
+        if (failed) throw new Error(`batchLock item ${failed.swapId} failed: ${failed.error}`);
+        receipts.push(...new Set(outcomes.map((outcome) => outcome.receipt)));
+    } else {
+        for (const swap of swaps) receipts.push((await aliceClient.lock(swap, LOCK_OPTIONS)).receipt);
+    }
+    result.lockTime = performance.now() - lockStartTime;
+
+    const claimStartTime = performance.now();
+    if (batched) {
+        const outcomes = await bobClient.batchClaim(claims);
+        const failed = outcomes.find((outcome) => !outcome.success);
+        if (failed) throw new Error(`batchClaim item ${failed.swapId} failed: ${failed.error}`);
+        receipts.push(...new Set(outcomes.map((outcome) => outcome.receipt)));
+    } else {
+        for (const claim of claims) {
+            receipts.push(isFpp
+                ? await bobClient.claim(claim.swapId, claim.initiatorSecret, claim.recipientSecret)
+                : await bobClient.claim(claim.swapId, claim.secret));
+        }
+    }
+    result.claimTime = performance.now() - claimStartTime;
+
+    const totalGas = receipts.reduce((sum, receipt) => sum.add(receipt.gasUsed), ethers.constants.Zero);
+    result.gasUsed = Math.round(totalGas.toNumber() / CONFIG.BATCH_SIZE);
+    result.protocolFee = protocolFeePaid(receipts) / CONFIG.BATCH_SIZE;
+
+    console.log(`✅ ${batched ? "Batched" : "Individual"} ${protocol} completed: ${result.gasUsed.toLocaleString()} gas per swap`);
+    return result;
+}
+
 async function runCrossNetworkTest() {
     console.log("🌐 Starting Cross-Network Test: HTLC vs FPPHTLC");
     console.log("=".repeat(60));
 
+    // Fail fast when TIMELOCK_DURATION is below what the planner accepts
+    const timelockPlan = planSwapTimelocks(HOME.key, REMOTE.key);
+    console.log(`⏱️ Timelocks: counterparty ${timelockPlan.counterpartyDuration}s, initiator ${timelockPlan.initiatorDuration}s (min ${timelockPlan.minCounterpartyDuration}s, gap ${timelockPlan.gap}s)`);
+
     const htlcResults = new CrossNetworkTestResults();
     const fpphtlcResults = new CrossNetworkTestResults();
 
     // Setup accounts and providers
-    const alicePrivateKey = addHexPrefix(process.env.PRIVATE_KEY_ALICE);
-    const bobPrivateKey = addHexPrefix(process.env.PRIVATE_KEY_BOB);
-
-    const sepoliaProvider = new ethers.providers.JsonRpcProvider(process.env.SEPOLIA_RPC_URL);
-    const sepoliaAlice = new ethers.Wallet(alicePrivateKey, sepoliaProvider);
-    const sepoliaBob = new ethers.Wallet(bobPrivateKey, sepoliaProvider);
-    const sepoliaContracts = await getContracts("sepolia");
-
-    const bscProvider = new ethers.providers.JsonRpcProvider(process.env.BSC_TESTNET_RPC_URL);
-    const bscAlice = new ethers.Wallet(alicePrivateKey, bscProvider);
-    const bscBob = new ethers.Wallet(bobPrivateKey, bscProvider);
-    const bscContracts = await getContracts("bscTestnet");
-
-    // Approve tokens
-    console.log("\n🔓 Setting up token approvals");
-    try {
-        await approveTokens(sepoliaContracts, sepoliaAlice, sepoliaBob);
-        await approveTokens(bscContracts, bscAlice, bscBob);
-        console.log("✅ Token approvals completed");
-    } catch (error) {
-        console.error("❌ Token approvals failed:", error.message);
+    // Carol only takes part in the ring tests
+    const privateKeys = [process.env.PRIVATE_KEY_ALICE, process.env.PRIVATE_KEY_BOB];
+    if (CONFIG.RING_TESTS) privateKeys.push(process.env.PRIVATE_KEY_CAROL);
+
+    const { provider: homeProvider, signers: homeParties } = connectNetwork(HOME, privateKeys);
+    const [homeAlice, homeBob] = homeParties;
+    const homeContracts = await getContracts(HOME.key, homeProvider);
+
+    const { provider: remoteProvider, signers: remoteParties } = connectNetwork(REMOTE, privateKeys);
+    const [remoteAlice, remoteBob] = remoteParties;
+    const remoteContracts = await getContracts(REMOTE.key, remoteProvider);
+
+    // Approve tokens (each lock carries its own permit when USE_PERMIT is set)
+    if (CONFIG.USE_PERMIT) {
+        console.log("\n✍️ Using EIP-2612 permits, skipping token approvals");
+    } else {
+        console.log("\n🔓 Setting up token approvals");
+        try {
+            await approveTokens(homeContracts, homeAlice, homeBob);
+            await approveTokens(remoteContracts, remoteAlice, remoteBob);
+            console.log("✅ Token approvals completed");
+        } catch (error) {
+            console.error("❌ Token approvals failed:", error.message);
+        }
     }
 
-    await ensureSufficientBalances(sepoliaAlice, sepoliaBob, bscAlice, bscBob, sepoliaContracts, bscContracts);
+    await ensureSufficientBalances(homeAlice, homeBob, remoteAlice, remoteBob, homeContracts, remoteContracts);
     // Run tests
-    for (let testType of ['single-chain', 'cross-chain']) {
+    const testTypes = ['single-chain', 'cross-chain'];
+    if (CONFIG.NATIVE_TESTS) testTypes.push('native');
+    if (CONFIG.RING_TESTS) testTypes.push('ring');
+    if (CONFIG.BATCH_TESTS) testTypes.push('batch');
+    for (let testType of testTypes) {
         console.log(`\n🧪 Running ${testType} tests`);
         
         for (let i = 0; i < CONFIG.TEST_ITERATIONS; i++) {
             try {
                 if (testType === 'single-chain') {
                     // Single-chain HTLC tests
-                    const sepoliaHTLCResult = await testHTLCOnNetwork("sepolia", sepoliaContracts, sepoliaAlice, sepoliaBob, i);
-                    htlcResults.addIteration("sepolia", sepoliaHTLCResult, "HTLC", i, testType);
+                    const homeHTLCResult = await testHTLCOnNetwork(HOME.key, homeContracts, homeAlice, homeBob, i);
+                    htlcResults.addIteration(HOME.key, homeHTLCResult, "HTLC", i, testType);
 
-                    const bscHTLCResult = await testHTLCOnNetwork("bscTestnet", bscContracts, bscAlice, bscBob, i);
-                    htlcResults.addIteration("bscTestnet", bscHTLCResult, "HTLC", i, testType);
+                    const remoteHTLCResult = await testHTLCOnNetwork(REMOTE.key, remoteContracts, remoteAlice, remoteBob, i);
+                    htlcResults.addIteration(REMOTE.key, remoteHTLCResult, "HTLC", i, testType);
 
                     // Single-chain FPPHTLC tests
-                    const sepoliaFPPResult = await testFPPHTLCOnNetwork("sepolia", sepoliaContracts, sepoliaAlice, sepoliaBob, i);
-                    fpphtlcResults.addIteration("sepolia", sepoliaFPPResult, "FPPHTLC", i, testType);
-
-                    const bscFPPResult = await testFPPHTLCOnNetwork("bscTestnet", bscContracts, bscAlice, bscBob, i);
-                    fpphtlcResults.addIteration("bscTestnet", bscFPPResult, "FPPHTLC", i, testType);
+                    const homeFPPResult = await testFPPHTLCOnNetwork(HOME.key, homeContracts, homeAlice, homeBob, i);
+                    fpphtlcResults.addIteration(HOME.key, homeFPPResult, "FPPHTLC", i, testType);
+
+                    const remoteFPPResult = await testFPPHTLCOnNetwork(REMOTE.key, remoteContracts, remoteAlice, remoteBob, i);
+                    fpphtlcResults.addIteration(REMOTE.key, remoteFPPResult, "FPPHTLC", i, testType);
+                } else if (testType === 'ring') {
+                    // Alice -> Bob -> Carol -> Alice, FPPHTLC only
+                    const ringResult = await testRingSwapFPPHTLC(homeContracts, remoteContracts, homeParties, remoteParties, i);
+                    fpphtlcResults.addIteration("ring", ringResult, "FPPHTLC", i, testType);
+                } else if (testType === 'batch') {
+                    // Same swaps on the home network, one transaction each vs batched
+                    for (const [protocol, results] of [["HTLC", htlcResults], ["FPPHTLC", fpphtlcResults]]) {
+                        const individualResult = await testBatchGasOnNetwork(HOME.key, homeContracts, homeAlice, homeBob, i, protocol);
+                        results.addIteration("individual", individualResult, protocol, i, testType);
+
+                        const batchedResult = await testBatchGasOnNetwork(HOME.key, homeContracts, homeAlice, homeBob, i, protocol, { batched: true });
+                        results.addIteration("batched", batchedResult, protocol, i, testType);
+                    }
+                } else if (testType === 'native') {
+                    // Native home coin <-> remote TokenB
+                    const nativeHTLCResult = await testRealisticCrossChainHTLC(homeContracts, remoteContracts, homeAlice, homeBob, remoteAlice, remoteBob, i, { native: true });
+                    htlcResults.addIteration("native", nativeHTLCResult, "HTLC", i, testType);
+
+                    const nativeFPPResult = await testRealisticCrossChainFPPHTLC(homeContracts, remoteContracts, homeAlice, homeBob, remoteAlice, remoteBob, i, { native: true });
+                    fpphtlcResults.addIteration("native", nativeFPPResult, "FPPHTLC", i, testType);
                 } else {
                     // Cross-chain tests
-                    const crossHTLCResult = await testRealisticCrossChainHTLC(sepoliaContracts, bscContracts, sepoliaAlice, sepoliaBob, bscAlice, bscBob, i);
+                    const crossHTLCResult = await testRealisticCrossChainHTLC(homeContracts, remoteContracts, homeAlice, homeBob, remoteAlice, remoteBob, i);
                     htlcResults.addIteration("cross-chain", crossHTLCResult, "HTLC", i, testType);
 
-                    const crossFPPResult = await testRealisticCrossChainFPPHTLC(sepoliaContracts, bscContracts, sepoliaAlice, sepoliaBob, bscAlice, bscBob, i);
+                    const crossFPPResult = await testRealisticCrossChainFPPHTLC(homeContracts, remoteContracts, homeAlice, homeBob, remoteAlice, remoteBob, i);
                     fpphtlcResults.addIteration("cross-chain", crossFPPResult, "FPPHTLC", i, testType);
                 }
                 console.log(`  ✅ ${testType} Test ${i + 1}/${CONFIG.TEST_ITERATIONS} completed`);
             } catch (error) {
                 console.log(`  ❌ ${testType} Test ${i + 1} failed:`, error.message);
-                htlcResults.addError(testType === 'cross-chain' ? 'cross-chain' : 'both', error, "HTLC", i, testType);
-                fpphtlcResults.addError(testType === 'cross-chain' ? 'cross-chain' : 'both', error, "FPPHTLC", i, testType);
+                const errorNetwork = testType === 'single-chain' ? 'both' : testType;
+                htlcResults.addError(errorNetwork, error, "HTLC", i, testType);
+                fpphtlcResults.addError(errorNetwork, error, "FPPHTLC", i, testType);
             }
         }
     }
@@ -594,6 +792,7 @@ async function runCrossNetworkTest() {
             console.log(`   ⏱️ Total Time: ${(htlcStats.avgTotalTime / 1000).toFixed(3)}s avg (${(htlcStats.minTotalTime / 1000).toFixed(3)}s - ${(htlcStats.maxTotalTime / 1000).toFixed(3)}s)`);
             console.log(`   ⛽ Gas Used: ${Math.round(htlcStats.avgGasUsed).toLocaleString()} avg (${htlcStats.minGasUsed.toLocaleString()} - ${htlcStats.maxGasUsed.toLocaleString()})`);
             console.log(`   💰 Total Gas: ${htlcStats.totalGasUsed.toLocaleString()}`);
+            console.log(`   🏦 Protocol Fee: ${htlcStats.avgProtocolFee} avg (${htlcStats.totalProtocolFee} total)`);
         }
         
         if (fppStats?.successfulTests > 0) {
@@ -604,6 +803,7 @@ async function runCrossNetworkTest() {
             console.log(`   ⏱️ Total Time: ${(fppStats.avgTotalTime / 1000).toFixed(3)}s avg (${(fppStats.minTotalTime / 1000).toFixed(3)}s - ${(fppStats.maxTotalTime / 1000).toFixed(3)}s)`);
             console.log(`   ⛽ Gas Used: ${Math.round(fppStats.avgGasUsed).toLocaleString()} avg (${fppStats.minGasUsed.toLocaleString()} - ${fppStats.maxGasUsed.toLocaleString()})`);
             console.log(`   💰 Total Gas: ${fppStats.totalGasUsed.toLocaleString()}`);
+            console.log(`   🏦 Protocol Fee: ${fppStats.avgProtocolFee} avg (${fppStats.totalProtocolFee} total)`);
         }
     }
     
@@ -637,8 +837,13 @@ function generateEnhancedReport(htlcResults, fpphtlcResults) {
     report.push("");
     report.push(`**Generated:** ${new Date().toISOString()}`);
     report.push(`**Test Iterations:** ${CONFIG.TEST_ITERATIONS}`);
-    report.push(`**Timelock Duration:** ${CONFIG.TIMELOCK_DURATION} seconds`);
+    const timelockPlan = planSwapTimelocks(HOME.key, REMOTE.key);
+    report.push(`**Timelock Duration:** ${CONFIG.TIMELOCK_DURATION} seconds (initiator +${timelockPlan.gap}s cross-chain, safety factor ${CONFIG.TIMELOCK_SAFETY_FACTOR})`);
     report.push(`**Token Amount:** ${ethers.utils.formatEther(CONFIG.AMOUNT_TOKEN)} tokens`);
+    if (CONFIG.NATIVE_TESTS) report.push(`**Native Amount:** ${ethers.utils.formatEther(CONFIG.AMOUNT_NATIVE)} ${HOME.nativeCurrency} (${HOME.name})`);
+    if (CONFIG.RING_TESTS) report.push(`**Ring Swap:** Alice -> Bob (${HOME.name}) -> Carol (${REMOTE.name}) -> Alice (${HOME.name}), FPPHTLC`);
+    if (CONFIG.BATCH_TESTS) report.push(`**Batch Size:** ${CONFIG.BATCH_SIZE} swaps per batch (${HOME.name}, gas reported per swap)`);
+    report.push("**Protocol Fee:** paid to the treasury out of the claimed amounts, in token units; not part of the gas figures");
     report.push("");
     
     // 详细测试结果
@@ -662,11 +867,11 @@ function generateEnhancedReport(htlcResults, fpphtlcResults) {
         if (htlcNetworkData && htlcNetworkData.htlc.length > 0) {
             report.push("#### HTLC Test Results");
             report.push("");
-            report.push("| Test # | Lock Time (s) | Claim Time (s) | Total Time (s) | Gas Used | Timestamp |");
-            report.push("|--------|---------------|----------------|----------------|----------|-----------|");
+            report.push("| Test # | Lock Time (s) | Claim Time (s) | Total Time (s) | Gas Used | Protocol Fee | Timestamp |");
+            report.push("|--------|---------------|----------------|----------------|----------|--------------|-----------|");
             
             htlcNetworkData.htlc.forEach((result, index) => {
-                report.push(`| ${result.iteration + 1} | ${(result.lockTime / 1000).toFixed(3)} | ${(result.claimTime / 1000).toFixed(3)} | ${(result.totalTime / 1000).toFixed(3)} | ${result.gasUsed.toLocaleString()} | ${result.timestamp} |`);
+                report.push(`| ${result.iteration + 1} | ${(result.lockTime / 1000).toFixed(3)} | ${(result.claimTime / 1000).toFixed(3)} | ${(result.totalTime / 1000).toFixed(3)} | ${result.gasUsed.toLocaleString()} | ${result.protocolFee} | ${result.timestamp} |`);
             });
             report.push("");
         }
@@ -676,11 +881,11 @@ function generateEnhancedReport(htlcResults, fpphtlcResults) {
         if (fppNetworkData && fppNetworkData.fpphtlc.length > 0) {
             report.push("#### FPPHTLC Test Results");
             report.push("");
-            report.push("| Test # | Lock Time (s) | Claim Time (s) | Total Time (s) | Gas Used | Timestamp |");
-            report.push("|--------|---------------|----------------|----------------|----------|-----------|");
+            report.push("| Test # | Lock Time (s) | Claim Time (s) | Total Time (s) | Gas Used | Protocol Fee | Timestamp |");
+            report.push("|--------|---------------|----------------|----------------|----------|--------------|-----------|");
             
             fppNetworkData.fpphtlc.forEach((result, index) => {
-                report.push(`| ${result.iteration + 1} | ${(result.lockTime / 1000).toFixed(3)} | ${(result.claimTime / 1000).toFixed(3)} | ${(result.totalTime / 1000).toFixed(3)} | ${result.gasUsed.toLocaleString()} | ${result.timestamp} |`);
+                report.push(`| ${result.iteration + 1} | ${(result.lockTime / 1000).toFixed(3)} | ${(result.claimTime / 1000).toFixed(3)} | ${(result.totalTime / 1000).toFixed(3)} | ${result.gasUsed.toLocaleString()} | ${result.protocolFee} | ${result.timestamp} |`);
             });
             report.push("");
         }
@@ -718,6 +923,8 @@ function generateEnhancedReport(htlcResults, fpphtlcResults) {
             report.push(`| Min Gas Used | ${htlcStats.minGasUsed.toLocaleString()} |`);
             report.push(`| Max Gas Used | ${htlcStats.maxGasUsed.toLocaleString()} |`);
             report.push(`| Total Gas Used | ${htlcStats.totalGasUsed.toLocaleString()} |`);
+            report.push(`| Average Protocol Fee | ${htlcStats.avgProtocolFee} |`);
+            report.push(`| Total Protocol Fee | ${htlcStats.totalProtocolFee} |`);
             report.push("");
         }
         
@@ -740,6 +947,8 @@ function generateEnhancedReport(htlcResults, fpphtlcResults) {
             report.push(`| Min Gas Used | ${fppStats.minGasUsed.toLocaleString()} |`);
             report.push(`| Max Gas Used | ${fppStats.maxGasUsed.toLocaleString()} |`);
             report.push(`| Total Gas Used | ${fppStats.totalGasUsed.toLocaleString()} |`);
+            report.push(`| Average Protocol Fee | ${fppStats.avgProtocolFee} |`);
+            report.push(`| Total Protocol Fee | ${fppStats.totalProtocolFee} |`);
             report.push("");
         }
     }
@@ -747,8 +956,8 @@ function generateEnhancedReport(htlcResults, fpphtlcResults) {
     // 性能对比表
     report.push("## 🔄 Performance Comparison");
     report.push("");
-    report.push("| Network | Protocol | Avg Lock Time (s) | Avg Claim Time (s) | Avg Total Time (s) | Avg Gas Used |");
-    report.push("|---------|----------|-------------------|-------------------|-------------------|--------------|");
+    report.push("| Network | Protocol | Avg Lock Time (s) | Avg Claim Time (s) | Avg Total Time (s) | Avg Gas Used | Avg Protocol Fee |");
+    report.push("|---------|----------|-------------------|-------------------|-------------------|--------------|------------------|");
     
     for (const [networkName, networkData] of Object.entries(htlcResults.summary)) {
         if (networkName === 'errors') continue;
@@ -757,15 +966,31 @@ function generateEnhancedReport(htlcResults, fpphtlcResults) {
         const fppStats = fpphtlcResults.summary[networkName]?.fpphtlc;
         
         if (htlcStats.successfulTests > 0) {
-            report.push(`| ${networkName} | HTLC | ${(htlcStats.avgLockTime / 1000).toFixed(3)} | ${(htlcStats.avgClaimTime / 1000).toFixed(3)} | ${(htlcStats.avgTotalTime / 1000).toFixed(3)} | ${Math.round(htlcStats.avgGasUsed).toLocaleString()} |`);
+            report.push(`| ${networkName} | HTLC | ${(htlcStats.avgLockTime / 1000).toFixed(3)} | ${(htlcStats.avgClaimTime / 1000).toFixed(3)} | ${(htlcStats.avgTotalTime / 1000).toFixed(3)} | ${Math.round(htlcStats.avgGasUsed).toLocaleString()} | ${htlcStats.avgProtocolFee} |`);
         }
         
         if (fppStats?.successfulTests > 0) {
-            report.push(`| ${networkName} | FPPHTLC | ${(fppStats.avgLockTime / 1000).toFixed(3)} | ${(fppStats.avgClaimTime / 1000).toFixed(3)} | ${(fppStats.avgTotalTime / 1000).toFixed(3)} | ${Math.round(fppStats.avgGasUsed).toLocaleString()} |`);
+            report.push(`| ${networkName} | FPPHTLC | ${(fppStats.avgLockTime / 1000).toFixed(3)} | ${(fppStats.avgClaimTime / 1000).toFixed(3)} | ${(fppStats.avgTotalTime / 1000).toFixed(3)} | ${Math.round(fppStats.avgGasUsed).toLocaleString()} | ${fppStats.avgProtocolFee} |`);
         }
     }
     report.push("");
     
+    // Batched vs individual gas per swap
+    if (CONFIG.BATCH_TESTS) {
+        report.push("## 📦 Batched vs Individual Gas (per swap)");
+        report.push("");
+        report.push("| Protocol | Individual Avg Gas | Batched Avg Gas | Saving |");
+        report.push("|----------|--------------------|-----------------|--------|");
+        for (const [protocol, results, key] of [["HTLC", htlcResults, "htlc"], ["FPPHTLC", fpphtlcResults, "fpphtlc"]]) {
+            const individual = results.summary.individual[key];
+            const batched = results.summary.batched[key];
+            if (individual.successfulTests === 0 || batched.successfulTests === 0) continue;
+            const saving = (1 - batched.avgGasUsed / individual.avgGasUsed) * 100;
+            report.push(`| ${protocol} | ${Math.round(individual.avgGasUsed).toLocaleString()} | ${Math.round(batched.avgGasUsed).toLocaleString()} | ${saving.toFixed(1)}% |`);
+        }
+        report.push("");
+    }
+    
     // 错误记录
     if (htlcResults.summary.errors.length > 0) {
         report.push("## ❌ Error Log");
@@ -1,8 +1,163 @@
-const { ethers } = require("hardhat");
-const fs = require("fs");
+const hre = require("hardhat");
+const { ethers } = hre;
 const path = require("path");
+const {
+    loadNetworks, gasSettings, saveNetworkAddresses, CREATE2_FACTORY, CREATE2_SALT, create2Address, ensureCreate2Factory,
+    deployDeterministic, DeploymentManifest
+} = require("../lib");
 require("dotenv").config();
 
+// Configuration
+const CONFIG = {
+    // One manifest per registry network, e.g. deployments/sepolia.json
+    DEPLOYMENTS_DIR: process.env.DEPLOYMENTS_DIR || path.join(__dirname, "../deployments"),
+    VERIFY_CONFIRMATIONS: parseInt(process.env.VERIFY_CONFIRMATIONS || "5"),
+    POLL_INTERVAL: parseInt(process.env.DEPLOY_POLL_INTERVAL || "5000"),
+    // Account managing the protocol fee and treasury of HTLC and FPPHTLC; defaults to the deployer
+    FEE_ADMIN: process.env.FEE_ADMIN
+};
+
+const TOKEN_CONTRACT = "contracts/mocks/ERC20Mock.sol:ERC20Mock";
+
+// Contracts deployed to every network, by registry address key, with their
+// constructor arguments. Tokens start without supply, which would go to the
+// CREATE2 factory, and are minted to the deployer afterwards, so their
+// addresses do not depend on INITIAL_SUPPLY. The fee admin is part of the
+// swap contracts' init code, so it has to match across networks too
+const DEPLOYMENTS = {
+    HTLC: { contract: "HTLC", args: ({ feeAdmin }) => [feeAdmin] },
+    FPPHTLC: { contract: "FPPHTLC", args: ({ feeAdmin }) => [feeAdmin] },
+    TokenA: { contract: TOKEN_CONTRACT, args: () => ["TokenA", "TKA", 0] },
+    TokenB: { contract: TOKEN_CONTRACT, args: () => ["TokenB", "TKB", 0] }
+};
+
+/**
+ * Init code and deterministic address of every contract in DEPLOYMENTS.
+ * @param {string} [salt] Defaults to CREATE2_SALT
+ * @param {string} [feeAdmin] Fee admin of HTLC and FPPHTLC, defaults to FEE_ADMIN
+ * @returns {Promise<Object>} { [name]: { contract, args, initCode, address } }
+ */
+async function prepareDeployments(salt = CREATE2_SALT, feeAdmin = CONFIG.FEE_ADMIN) {
+    if (!feeAdmin) throw new Error("No fee admin given and FEE_ADMIN not set");
+    const prepared = {};
+    for (const [name, { contract, args: argsFor }] of Object.entries(DEPLOYMENTS)) {
+        const args = argsFor({ feeAdmin });
+        const factory = await ethers.getContractFactory(contract);
+        const initCode = factory.getDeployTransaction(...args).data;
+        prepared[name] = { contract, args, initCode, address: create2Address(initCode, salt) };
+    }
+    return prepared;
+}
+
+// Steps to repeat when a contract has to be deployed again
+function dependentSteps(name) {
+    return [
+        `deploy:${name}`, `mint:${name}`, `verify:${name}`, "registry",
+        ...(DEPLOYMENTS[name].contract === TOKEN_CONTRACT ? ["distribute"] : [])
+    ];
+}
+
+/**
+ * Deploy every contract in DEPLOYMENTS through the CREATE2 factory (which must
+ * exist, see ensureCreate2Factory), skipping those whose address already holds
+ * code. Tokens deployed now get `initialSupply` minted to the deployer.
+ *
+ * With a manifest, each deployment and mint is a step recorded there. A
+ * contract whose init code changed, or whose code is gone (a restarted chain),
+ * is deployed again together with the steps that depend on it.
+ * @param {ethers.Signer} deployer
+ * @param {Object} [options] { salt, feeAdmin, initialSupply, overrides, manifest }; feeAdmin
+ *   defaults to FEE_ADMIN, then to the deployer
+ * @returns {Promise<Object>} { addresses, transactions } (transactions only for the contracts deployed now)
+ */
+async function deployContracts(deployer, { salt = CREATE2_SALT, feeAdmin, initialSupply, overrides = {}, manifest } = {}) {
+    const run = (step, fn) => (manifest ? manifest.step(step, fn) : fn());
+    const addresses = {};
+    const transactions = {};
+
+    feeAdmin = feeAdmin || CONFIG.FEE_ADMIN || await deployer.getAddress();
+    for (const [name, { contract, args, initCode, address }] of Object.entries(await prepareDeployments(salt, feeAdmin))) {
+        addresses[name] = address;
+        const recorded = manifest?.contracts[name];
+        if (recorded && (recorded.address !== address || (await deployer.provider.getCode(address)) === "0x")) {
+            manifest.reset(...dependentSteps(name));
+        }
+
+        await run(`deploy:${name}`, async () => {
+            const { deployed, transaction } = await deployDeterministic(deployer, initCode, { salt, overrides });
+            const receipt = deployed ? await transaction.wait() : null;
+            if (deployed) transactions[name] = transaction;
+            manifest?.recordContract(name, {
+                contract,
+                address,
+                constructorArgs: args,
+                bytecodeHash: ethers.utils.keccak256(initCode),
+                // Null when the contract was already on chain
+                transactionHash: receipt ? receipt.transactionHash : null,
+                blockNumber: receipt ? receipt.blockNumber : null,
+                verification: { status: "pending" }
+            });
+        });
+
+        // Only tokens this deployment created get the supply
+        const createdHere = transactions[name] || manifest?.contracts[name]?.transactionHash;
+        if (contract === TOKEN_CONTRACT && initialSupply && createdHere) {
+            await run(`mint:${name}`, async () => {
+                const token = await ethers.getContractAt(TOKEN_CONTRACT, address, deployer);
+                await (await token.mint(await deployer.getAddress(), initialSupply, overrides)).wait();
+            });
+        }
+    }
+    return { addresses, transactions };
+}
+
+// Wait until `blockNumber` has `confirmations` blocks on top of it
+async function waitForConfirmations(provider, blockNumber, confirmations) {
+    while ((await provider.getBlockNumber()) < blockNumber + confirmations) {
+        await new Promise((resolve) => setTimeout(resolve, CONFIG.POLL_INTERVAL));
+    }
+}
+
+/**
+ * Verify the manifest's contracts on the network's explorer, one step each.
+ * Every contract is tried before failing, so a rerun only retries the failed ones.
+ * @param {DeploymentManifest} manifest
+ */
+async function verifyContracts(manifest) {
+    const pending = Object.keys(manifest.contracts).filter((name) => !manifest.isDone(`verify:${name}`));
+    if (pending.length === 0) return;
+
+    const lastBlock = Math.max(0, ...pending.map((name) => manifest.contracts[name].blockNumber || 0));
+    console.log(`\nWaiting for ${CONFIG.VERIFY_CONFIRMATIONS} confirmations of block ${lastBlock} before verification...`);
+    await waitForConfirmations(ethers.provider, lastBlock, CONFIG.VERIFY_CONFIRMATIONS);
+
+    console.log("\nVerifying contracts...");
+    const failed = [];
+    for (const name of pending) {
+        const { address, constructorArgs } = manifest.contracts[name];
+        try {
+            await manifest.step(`verify:${name}`, async () => {
+                try {
+                    await hre.run("verify:verify", { address, constructorArguments: constructorArgs });
+                } catch (error) {
+                    if (!/already verified/i.test(error.message)) {
+                        manifest.recordContract(name, { verification: { status: "failed", error: error.message } });
+                        throw error;
+                    }
+                }
+                manifest.recordContract(name, { verification: { status: "verified" } });
+            });
+            console.log(`${name} verified`);
+        } catch (error) {
+            console.log(`Error verifying ${name}:`, error.message);
+            failed.push(name);
+        }
+    }
+    if (failed.length > 0) {
+        throw new Error(`Verification failed for ${failed.join(", ")}, rerun the deployment to retry`);
+    }
+}
+
 async function main() {
     // Get network
     const network = hre.network.name;
@@ -11,130 +166,81 @@ async function main() {
     // Get deployer
     const [deployer] = await ethers.getSigners();
     console.log(`Deploying contracts with account: ${deployer.address}`);
+    const feeAdmin = CONFIG.FEE_ADMIN || deployer.address;
+    console.log(`Fee admin: ${feeAdmin}`);
 
-    // Get gas settings from environment or use defaults
-    const gasPrice = await ethers.provider.getGasPrice();
-    const gasLimit = ethers.BigNumber.from(process.env.GAS_LIMIT || "3000000");
+    // Registry entry for this network; networks outside the registry (hardhat, localhost)
+    // deploy with the node's gas price and keep no record of the addresses or the steps
+    const registryNetwork = loadNetworks()[network];
+
+    // Gas settings from the network's gas policy, or the node's gas price. The
+    // gas limit is estimated per transaction unless DEPLOY_GAS_LIMIT is set
+    const gasFees = registryNetwork ? gasSettings(registryNetwork) : {};
 
     const overrides = {
-        gasPrice: gasPrice,
-        gasLimit: gasLimit
+        ...(Object.keys(gasFees).length > 0 ? gasFees : { gasPrice: await ethers.provider.getGasPrice() }),
+        ...(process.env.DEPLOY_GAS_LIMIT && { gasLimit: ethers.BigNumber.from(process.env.DEPLOY_GAS_LIMIT) })
     };
 
-    // Deploy HTLC
-    console.log("\nDeploying HTLC...");
-    const HTLC = await ethers.getContractFactory("HTLC");
-    const htlc = await HTLC.deploy(overrides);
-    await htlc.deployed();
-    console.log("HTLC deployed to:", htlc.address);
-
-    // Deploy FPPHTLC
-    console.log("\nDeploying FPPHTLC...");
-    const FPPHTLC = await ethers.getContractFactory("FPPHTLC");
-    const fpphtlc = await FPPHTLC.deploy(overrides);
-    await fpphtlc.deployed();
-    console.log("FPPHTLC deployed to:", fpphtlc.address);
-
-    // Deploy TokenA
-    console.log("\nDeploying TokenA...");
-    const initialSupply = ethers.utils.parseEther(process.env.INITIAL_SUPPLY || "1000");
-    const ERC20Mock = await ethers.getContractFactory("contracts/mocks/ERC20Mock.sol:ERC20Mock");
-    const tokenA = await ERC20Mock.deploy("TokenA", "TKA", initialSupply, overrides);
-    await tokenA.deployed();
-    console.log("TokenA deployed to:", tokenA.address);
-
-    // Deploy TokenB
-    console.log("\nDeploying TokenB...");
-    const tokenB = await ERC20Mock.deploy("TokenB", "TKB", initialSupply, overrides);
-    await tokenB.deployed();
-    console.log("TokenB deployed to:", tokenB.address);
-
-    // Update addresses.json
-    const addressesPath = path.join(__dirname, "../config/addresses.json");
-    let addresses = {};
-    if (fs.existsSync(addressesPath)) {
-        addresses = JSON.parse(fs.readFileSync(addressesPath));
+    // Steps finished by an earlier run are skipped
+    let manifest;
+    if (registryNetwork) {
+        const { chainId } = await ethers.provider.getNetwork();
+        const manifestFile = path.join(CONFIG.DEPLOYMENTS_DIR, `${network}.json`);
+        manifest = new DeploymentManifest(manifestFile, { network, chainId, factory: CREATE2_FACTORY, salt: CREATE2_SALT });
+        const done = Object.keys(manifest.steps).filter((step) => manifest.isDone(step));
+        console.log(`📄 Manifest: ${path.relative(process.cwd(), manifestFile)} (${done.length} steps already done)`);
+    } else {
+        console.log(`⚠️ ${network} is not in config/networks.json, no manifest or addresses are saved`);
     }
+    const run = (step, fn) => (manifest ? manifest.step(step, fn) : fn());
 
-    addresses[network === 'bnbt' ? 'bscTestnet' : network] = {
-        HTLC: htlc.address,
-        FPPHTLC: fpphtlc.address,
-        TokenA: tokenA.address,
-        TokenB: tokenB.address
-    };
-
-    fs.writeFileSync(addressesPath, JSON.stringify(addresses, null, 4));
-    console.log("\nAddresses updated in config/addresses.json");
+    // Deploy through the CREATE2 factory, so every network gets the same addresses
+    console.log(`\nDeploying through the CREATE2 factory at ${CREATE2_FACTORY} (salt ${CREATE2_SALT})...`);
+    if (await ensureCreate2Factory(deployer)) {
+        console.log("CREATE2 factory deployed");
+    }
 
-    // Verify contracts if on a network that supports verification
-    if (network === 'sepolia' || network === 'bscTestnet') {
-        console.log("\nWaiting for block confirmations before verification...");
-        await htlc.deployTransaction.wait(5);
-        await fpphtlc.deployTransaction.wait(5);
-        await tokenA.deployTransaction.wait(5);
-        await tokenB.deployTransaction.wait(5);
-
-        console.log("\nVerifying contracts...");
-        try {
-            await hre.run("verify:verify", {
-                address: htlc.address,
-                constructorArguments: []
-            });
-            console.log("HTLC verified");
-        } catch (error) {
-            console.log("Error verifying HTLC:", error.message);
-        }
+    const initialSupply = ethers.utils.parseEther(process.env.INITIAL_SUPPLY || "1000");
+    const { addresses: deployedAddresses, transactions } = await deployContracts(deployer, {
+        feeAdmin, initialSupply, overrides, manifest
+    });
+    for (const [name, address] of Object.entries(deployedAddresses)) {
+        console.log(transactions[name]
+            ? `${name} deployed to: ${address}`
+            : `${name} already deployed at ${address}, skipped`);
+    }
 
-        try {
-            await hre.run("verify:verify", {
-                address: fpphtlc.address,
-                constructorArguments: []
-            });
-            console.log("FPPHTLC verified");
-        } catch (error) {
-            console.log("Error verifying FPPHTLC:", error.message);
+    // Record the addresses in config/networks.json
+    if (registryNetwork) {
+        if (await manifest.step("registry", async () => saveNetworkAddresses(network, deployedAddresses))) {
+            console.log("\nAddresses updated in config/networks.json");
         }
+    }
 
-        try {
-            await hre.run("verify:verify", {
-                address: tokenA.address,
-                constructorArguments: ["TokenA", "TKA", initialSupply]
-            });
-            console.log("TokenA verified");
-        } catch (error) {
-            console.log("Error verifying TokenA:", error.message);
-        }
+    // Distribute tokens to Alice and Bob
+    await run("distribute", async () => {
+        console.log("\n💰 Distributing tokens...");
+        const { distributeTokens } = require("./distribute-tokens");
+        await distributeTokens(deployedAddresses);
+    });
 
-        try {
-            await hre.run("verify:verify", {
-                address: tokenB.address,
-                constructorArguments: ["TokenB", "TKB", initialSupply]
-            });
-            console.log("TokenB verified");
-        } catch (error) {
-            console.log("Error verifying TokenB:", error.message);
-        }
+    // Verify contracts if on a network that supports verification
+    if (registryNetwork?.explorer) {
+        await verifyContracts(manifest);
     }
 
     console.log("\nDeployment complete!");
-    
-    // Automatically distribute tokens after deployment
-    console.log("\n💰 Automatically distributing tokens...");
-    try {
-        // Import and run token distribution
-        const { distributeTokens } = require("./distribute-tokens");
-        await distributeTokens();
-        console.log("✅ Token distribution completed automatically!");
-    } catch (error) {
-        console.log("⚠️ Automatic token distribution failed, but deployment was successful.");
-        console.log("   You can run token distribution manually with: npx hardhat run scripts/distribute-tokens.js --network <network>");
-        console.log("   Error:", error.message);
-    }
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    }); 
\ No newline at end of file
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            console.error("❌ Deployment stopped, rerun it to resume from the failed step");
+            process.exit(1);
+        });
+}
+
+module.exports = { DEPLOYMENTS, CONFIG, prepareDeployments, deployContracts }; 
\ No newline at end of file
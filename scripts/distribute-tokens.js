@@ -1,9 +1,10 @@
 const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { loadNetworks } = require("../lib");
 require("dotenv").config();
 
-async function distributeTokens() {
+// `deployedAddresses` lets scripts/deploy.js pass addresses it could not record
+// (networks outside config/networks.json, such as the in-process hardhat network)
+async function distributeTokens(deployedAddresses) {
     // Get network
     const network = hre.network.name;
     console.log(`Distributing tokens on ${network}...`);
@@ -13,20 +14,11 @@ async function distributeTokens() {
     console.log(`Alice: ${alice.address}`);
     console.log(`Bob: ${bob.address}`);
 
-    // Load contract addresses
-    const addressesPath = path.join(__dirname, "../config/addresses.json");
-    if (!fs.existsSync(addressesPath)) {
-        console.error("❌ addresses.json not found. Please deploy contracts first.");
-        return;
-    }
-
-    const addresses = JSON.parse(fs.readFileSync(addressesPath));
-    const networkKey = network === 'bnbt' ? 'bscTestnet' : network;
-    const networkAddresses = addresses[networkKey];
+    // Load contract addresses from config/networks.json
+    const networkAddresses = deployedAddresses || loadNetworks()[network]?.addresses;
 
-    if (!networkAddresses) {
-        console.error(`❌ No addresses found for network ${networkKey}`);
-        return;
+    if (!networkAddresses?.TokenA || !networkAddresses?.TokenB) {
+        throw new Error(`No addresses found for network ${network}. Please deploy contracts first.`);
     }
 
     console.log(`\n📋 Contract addresses:`);
@@ -148,8 +140,7 @@ async function distributeTokens() {
 
     } catch (error) {
         console.error(`❌ Token distribution failed: ${error.message}`);
-        console.error(`Stack: ${error.stack}`);
-        process.exit(1);
+        throw error;
     }
 }
 
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { loadNetworks } = require("../lib");
 require("dotenv").config();
 
 async function main() {
@@ -9,11 +10,9 @@ async function main() {
     console.log(`Alice: ${alice.address}`);
     console.log(`Bob: ${bob.address}`);
 
-    // Load addresses
-    const addresses = require("../config/addresses.json");
-    // const networkAddresses = addresses.sepolia;
-    const networkAddresses = addresses.bscTestnet;
-
+    // Load addresses of the network the script runs on (--network)
+    const networkAddresses = loadNetworks()[hre.network.name]?.addresses;
+    if (!networkAddresses?.TokenB) throw new Error(`No TokenB address for network ${hre.network.name}`);
 
     // Get token contract
     const ERC20Mock = await ethers.getContractFactory("contracts/mocks/ERC20Mock.sol:ERC20Mock");
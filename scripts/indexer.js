@@ -0,0 +1,117 @@
+const { ethers } = require("hardhat");
+const path = require("path");
+const { SwapIndexer, JsonStateStore, loadNetworks } = require("../lib");
+
+// Load environment variables
+require('dotenv').config();
+
+// Configuration
+const CONFIG = {
+    STATE_FILE: process.env.INDEXER_STATE_FILE || path.join(__dirname, "../data/swap-index.json"),
+    INTERVAL: parseInt(process.env.INDEXER_INTERVAL || "0"),         // 0 = sync once
+    LOOKBACK_BLOCKS: parseInt(process.env.INDEXER_LOOKBACK_BLOCKS || "50000"),
+    BLOCK_RANGE: parseInt(process.env.INDEXER_BLOCK_RANGE || "5000"),
+    CONFIRMATIONS: parseInt(process.env.INDEXER_CONFIRMATIONS || "0"),
+    REORG_DEPTH: parseInt(process.env.INDEXER_REORG_DEPTH || "12")
+};
+
+// Query filters accepted on the command line, e.g. --participant 0x.. --status Active
+const QUERY_OPTIONS = ["participant", "initiator", "recipient", "token", "network", "protocol", "status", "from", "to"];
+
+async function buildIndexerNetworks(registry) {
+    const HTLC = await ethers.getContractFactory("HTLC");
+    const FPPHTLC = await ethers.getContractFactory("FPPHTLC");
+    const networks = {};
+
+    for (const [network, { rpcUrl, rpcUrlEnv, addresses }] of Object.entries(registry)) {
+        if (!rpcUrl || !addresses.HTLC) {
+            console.log(`⚠️ Skipping ${network}: ${rpcUrlEnv} or deployed addresses missing`);
+            continue;
+        }
+        const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+        const latestBlock = await provider.getBlockNumber();
+        networks[network] = {
+            htlc: HTLC.attach(addresses.HTLC).connect(provider),
+            fpphtlc: FPPHTLC.attach(addresses.FPPHTLC).connect(provider),
+            // Only used on the first sync; afterwards the stored cursor decides
+            fromBlock: Math.max(0, latestBlock - CONFIG.LOOKBACK_BLOCKS)
+        };
+    }
+    return networks;
+}
+
+/**
+ * Indexer over the deployed contracts, backed by the shared swap index file.
+ * Other long-running scripts (e.g. the watchtower) take their swaps from it.
+ */
+async function createIndexer(registry, stateFile = CONFIG.STATE_FILE) {
+    const indexer = new SwapIndexer({
+        networks: await buildIndexerNetworks(registry),
+        store: new JsonStateStore(stateFile, { cursors: {}, swaps: {} }),
+        blockRange: CONFIG.BLOCK_RANGE,
+        confirmations: CONFIG.CONFIRMATIONS,
+        reorgDepth: CONFIG.REORG_DEPTH
+    });
+    indexer.on("synced", ({ network, applied, blockNumber }) => console.log(`🔍 ${network}: ${applied} event(s) indexed up to block ${blockNumber}`));
+    indexer.on("reorg", ({ network, blockNumber, rollbackTo }) => console.log(`🔀 ${network}: block ${blockNumber} was reorganised, re-indexing from ${rollbackTo + 1}`));
+    return indexer;
+}
+
+function parseQuery(args) {
+    const filter = {};
+    for (let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, "");
+        if (!QUERY_OPTIONS.includes(key)) throw new Error(`Unknown query option ${args[i]}`);
+        filter[key] = ["from", "to"].includes(key) ? Number(args[i + 1]) : args[i + 1];
+    }
+    if (filter.status) filter.status = filter.status.split(",");
+    return filter;
+}
+
+function printSwaps(swaps) {
+    for (const swap of swaps) {
+        console.log(`${new Date(swap.createdAt * 1000).toISOString()} ${swap.network} ${swap.protocol} ${swap.swapId}`);
+        console.log(`   ${swap.status}: ${swap.initiator} -> ${swap.recipient}, ${ethers.utils.formatEther(swap.amount)} of ${swap.token}`);
+    }
+    console.log(`📊 ${swaps.length} swap(s)`);
+}
+
+// `sync` (default) indexes new blocks; `query [--option value ...]` syncs once and lists matching swaps
+async function main() {
+    const [command = "sync", ...args] = process.argv.slice(2);
+    const registry = loadNetworks();
+    const indexer = await createIndexer(registry);
+
+    if (command === "query") {
+        const filter = parseQuery(args);
+        await indexer.run();
+        printSwaps(indexer.query(filter));
+        return;
+    }
+    if (command !== "sync") throw new Error(`Unknown command ${command}`);
+
+    console.log("🗂️ Starting swap indexer");
+    await indexer.run();
+    if (CONFIG.INTERVAL <= 0) return;
+
+    console.log(`⏱️ Polling every ${CONFIG.INTERVAL}ms`);
+    while (true) {
+        await new Promise((resolve) => setTimeout(resolve, CONFIG.INTERVAL));
+        try {
+            await indexer.run();
+        } catch (error) {
+            console.log(`⚠️ Indexer round failed: ${error.message}`);
+        }
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Indexer failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { createIndexer, buildIndexerNetworks, CONFIG };
@@ -0,0 +1,198 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { spawn } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { createProvider } = require("hardhat/internal/core/providers/construction");
+const { JsonRpcServer } = require("hardhat/internal/hardhat-network/jsonrpc/server");
+const { readRegistry, ensureCreate2Factory } = require("../lib");
+const { deployContracts } = require("./deploy");
+
+// Load environment variables
+require('dotenv').config();
+
+// Configuration
+const CONFIG = {
+    HOST: process.env.LOCAL_CHAINS_HOST || "127.0.0.1",
+    // Mine each transaction immediately on top of the interval blocks. Set to
+    // "false" to wait for the next block like on a live chain (much slower)
+    AUTOMINE: process.env.LOCAL_AUTOMINE !== "false",
+    INITIAL_SUPPLY: ethers.utils.parseEther(process.env.INITIAL_SUPPLY || "1000000"),
+    // Protocol fee (basis points) both swap contracts charge on claim; off by default
+    PROTOCOL_FEE_BPS: parseInt(process.env.LOCAL_PROTOCOL_FEE_BPS || "0"),
+    ADDRESSES_FILE: path.join(__dirname, "../config/addresses.local.json")
+};
+
+const REGISTRY = readRegistry();
+
+// Local stand-ins for the registry networks that define one, keyed the same way
+const LOCAL_CHAINS = Object.fromEntries(Object.entries(REGISTRY)
+    .filter(([, network]) => network.local)
+    .map(([name, { envPrefix, blockTime, local }]) => [name, {
+        chainId: local.chainId,
+        port: parseInt(process.env[`LOCAL_${envPrefix}_PORT`] || local.port),
+        blockTime: parseInt(process.env[`LOCAL_${envPrefix}_BLOCK_TIME`] || blockTime)
+    }]));
+
+// Hardhat's well-known development accounts: index 0 is Alice, 1 is Bob, 2 is Carol
+// and 3 the treasury collecting protocol fees
+function localAccountKeys() {
+    const { mnemonic, path: hdPath } = hre.config.networks.hardhat.accounts;
+    return [0, 1, 2, 3].map((index) => ethers.Wallet.fromMnemonic(mnemonic, `${hdPath}/${index}`).privateKey);
+}
+
+async function startChain(name, { chainId, port, blockTime }, { host = CONFIG.HOST, automine = CONFIG.AUTOMINE } = {}) {
+    const hardhatNetwork = {
+        ...hre.config.networks.hardhat,
+        chainId,
+        mining: { ...hre.config.networks.hardhat.mining, auto: automine, interval: blockTime * 1000 }
+    };
+    const config = { ...hre.config, networks: { ...hre.config.networks, hardhat: hardhatNetwork } };
+    const provider = await createProvider(config, "hardhat", hre.artifacts);
+
+    const server = new JsonRpcServer({ hostname: host, port, provider });
+    const { port: actualPort } = await server.listen();
+
+    const web3Provider = new ethers.providers.Web3Provider(provider);
+    const [alice, bob, carol, treasury] = localAccountKeys().map((key) => new ethers.Wallet(key, web3Provider));
+
+    // Same CREATE2 deployment as scripts/deploy.js, so every local chain has the same addresses
+    await ensureCreate2Factory(alice);
+    const { addresses } = await deployContracts(alice, { feeAdmin: alice.address, initialSupply: CONFIG.INITIAL_SUPPLY });
+
+    // Alice is the fee admin
+    if (CONFIG.PROTOCOL_FEE_BPS > 0) {
+        for (const [contractName, address] of [["HTLC", addresses.HTLC], ["FPPHTLC", addresses.FPPHTLC]]) {
+            const contract = await ethers.getContractAt(contractName, address, alice);
+            await (await contract.setTreasury(treasury.address)).wait();
+            await (await contract.setProtocolFee(CONFIG.PROTOCOL_FEE_BPS)).wait();
+        }
+    }
+
+    const ERC20Mock = await ethers.getContractFactory("contracts/mocks/ERC20Mock.sol:ERC20Mock", alice);
+    const tokenA = ERC20Mock.attach(addresses.TokenA);
+    const tokenB = ERC20Mock.attach(addresses.TokenB);
+
+    // Every party holds both tokens, as after scripts/distribute-tokens.js
+    // (Bob gets half, Carol a quarter; Carol only joins ring swaps)
+    for (const token of [tokenA, tokenB]) {
+        await (await token.transfer(bob.address, CONFIG.INITIAL_SUPPLY.div(2))).wait();
+        await (await token.transfer(carol.address, CONFIG.INITIAL_SUPPLY.div(4))).wait();
+    }
+
+    // Standing approvals, like the testnet accounts the Mocha suite was written against
+    for (const signer of [alice, bob, carol]) {
+        for (const token of [tokenA, tokenB]) {
+            for (const spender of [addresses.HTLC, addresses.FPPHTLC]) {
+                await (await token.connect(signer).approve(spender, ethers.constants.MaxUint256)).wait();
+            }
+        }
+    }
+
+    console.log(`⛓️ ${name}: chain ${chainId} on http://${host}:${actualPort}, ${blockTime}s blocks`);
+
+    return {
+        name,
+        chainId,
+        rpcUrl: `http://${host}:${actualPort}`,
+        provider,
+        addresses,
+        close: async () => {
+            // Interval mining keeps a timer alive, stop it before closing the server
+            await provider.request({ method: "evm_setIntervalMining", params: [0] });
+            await server.close();
+        }
+    };
+}
+
+/**
+ * Start one in-process Hardhat chain per entry in `chains`, each with its own
+ * chain ID, block interval and JSON-RPC server, and deploy HTLC, FPPHTLC,
+ * TokenA and TokenB to it through the CREATE2 factory (the same addresses on
+ * every chain).
+ *
+ * The returned `env` holds the variables the live-network scripts and tests
+ * read (each registry network's RPC URL variable, Alice, Bob and Carol's keys,
+ * ADDRESSES_FILE), pointing at the local chains instead.
+ *
+ * @param {Object} [chains] Defaults to LOCAL_CHAINS; pass port 0 for a free port
+ * @param {Object} [options] { host, automine, addressesFile }
+ * @returns {Promise<Object>} { chains, addresses, env, close }
+ */
+async function startLocalChains(chains = LOCAL_CHAINS, { addressesFile = CONFIG.ADDRESSES_FILE, ...options } = {}) {
+    await hre.run("compile", { quiet: true });
+
+    const started = {};
+    try {
+        for (const [name, chain] of Object.entries(chains)) {
+            started[name] = await startChain(name, chain, options);
+        }
+    } catch (error) {
+        await Promise.all(Object.values(started).map((chain) => chain.close()));
+        throw error;
+    }
+
+    const addresses = Object.fromEntries(Object.entries(started).map(([name, chain]) => [name, chain.addresses]));
+    fs.mkdirSync(path.dirname(addressesFile), { recursive: true });
+    fs.writeFileSync(addressesFile, JSON.stringify(addresses, null, 4));
+
+    const [alicePrivateKey, bobPrivateKey, carolPrivateKey] = localAccountKeys();
+    const env = {
+        PRIVATE_KEY_ALICE: alicePrivateKey,
+        PRIVATE_KEY_BOB: bobPrivateKey,
+        PRIVATE_KEY_CAROL: carolPrivateKey,
+        ADDRESSES_FILE: addressesFile
+    };
+    for (const [name, chain] of Object.entries(started)) {
+        if (REGISTRY[name]) env[REGISTRY[name].rpcUrlEnv] = chain.rpcUrl;
+    }
+
+    return {
+        chains: started,
+        addresses,
+        env,
+        close: () => Promise.all(Object.values(started).map((chain) => chain.close()))
+    };
+}
+
+// Run `command` against the local chains, or keep them up until interrupted
+async function main() {
+    console.log(`🧪 Starting local chains: ${Object.keys(LOCAL_CHAINS).join(", ")}`);
+    const local = await startLocalChains();
+    console.log(`📄 Addresses written to ${path.relative(process.cwd(), CONFIG.ADDRESSES_FILE)}`);
+
+    const [command, ...args] = process.argv.slice(2);
+    let exitCode = 0;
+
+    if (command) {
+        console.log(`▶️ Running: ${[command, ...args].join(" ")}\n`);
+        exitCode = await new Promise((resolve, reject) => {
+            const child = spawn(command, args, { stdio: "inherit", env: { ...process.env, ...local.env } });
+            child.on("error", reject);
+            child.on("exit", (code) => resolve(code ?? 1));
+        });
+    } else {
+        console.log("\nExport these to use the local chains from another shell:");
+        for (const [key, value] of Object.entries(local.env)) console.log(`   export ${key}=${value}`);
+        console.log("\n⏳ Chains running, press Ctrl+C to stop");
+        await new Promise((resolve) => {
+            process.on("SIGINT", resolve);
+            process.on("SIGTERM", resolve);
+        });
+    }
+
+    console.log("\n👋 Stopping local chains");
+    await local.close();
+    return exitCode;
+}
+
+if (require.main === module) {
+    main()
+        .then((code) => process.exit(code))
+        .catch((error) => {
+            console.error("❌ Local chains failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { startLocalChains, LOCAL_CHAINS, CONFIG };
@@ -0,0 +1,155 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const path = require("path");
+const { loadNetworks, gasSettings, NATIVE_TOKEN } = require("../lib");
+require("dotenv").config();
+
+// Configuration
+const CONFIG = {
+    // Allowlist and lock limits to apply, see README "Token Limits"
+    TOKEN_LIMITS_FILE: process.env.TOKEN_LIMITS_FILE || path.join(__dirname, "../config/token-limits.json"),
+    // Print the changes without sending transactions
+    DRY_RUN: process.env.TOKEN_LIMITS_DRY_RUN === "true"
+};
+
+const SWAP_CONTRACTS = ["HTLC", "FPPHTLC"];
+const DECIMALS_ABI = ["function decimals() view returns (uint8)"];
+
+/**
+ * Settings of one network from a token limits file: the shared `allowlist`
+ * and `tokens`, with the network's entry under `networks` on top. Tokens are
+ * keyed by registry address name (TokenA), address, or "native".
+ * @param {Object} file Parsed token limits file
+ * @param {string} network Registry network key
+ * @param {Object} addresses The network's registry addresses
+ * @returns {Object} { allowlist, tokens: { [label]: { address, allowed, minAmount, maxAmount, maxLocked } } }
+ */
+function resolveTokenLimits(file, network, addresses) {
+    const overrides = file.networks?.[network] || {};
+    const allowlist = overrides.allowlist ?? file.allowlist;
+    const entries = { ...file.tokens, ...overrides.tokens };
+
+    const tokens = {};
+    for (const [label, entry] of Object.entries(entries)) {
+        let address;
+        if (label === "native") address = NATIVE_TOKEN;
+        else if (addresses[label]) address = addresses[label];
+        else if (ethers.utils.isAddress(label)) address = label;
+        else throw new Error(`Unknown token ${label} on ${network}`);
+
+        // An entry describes the token completely: omitted limits are unlimited
+        tokens[label] = {
+            address: ethers.utils.getAddress(address),
+            allowed: entry.allowed ?? true,
+            minAmount: entry.minAmount || "0",
+            maxAmount: entry.maxAmount || "0",
+            maxLocked: entry.maxLocked || "0"
+        };
+    }
+    return { allowlist, tokens };
+}
+
+/**
+ * Transactions that bring a swap contract in line with resolved settings.
+ * Amounts are decimal token units; settings that already match are left out.
+ * @param {ethers.Contract} contract HTLC or FPPHTLC
+ * @param {Object} settings Result of resolveTokenLimits()
+ * @returns {Promise<Object[]>} [{ method, args, description }]
+ */
+async function planTokenLimits(contract, { allowlist, tokens }) {
+    const changes = [];
+    if (allowlist !== undefined && (await contract.allowlistEnabled()) !== allowlist) {
+        changes.push({
+            method: "setAllowlistEnabled", args: [allowlist],
+            description: `${allowlist ? "enable" : "disable"} allowlist mode`
+        });
+    }
+
+    for (const [label, token] of Object.entries(tokens)) {
+        const decimals = token.address === NATIVE_TOKEN
+            ? 18
+            : await new ethers.Contract(token.address, DECIMALS_ABI, contract.provider).decimals();
+        const [minAmount, maxAmount, maxLocked] = [token.minAmount, token.maxAmount, token.maxLocked]
+            .map((amount) => ethers.utils.parseUnits(amount, decimals));
+        const current = await contract.tokenLimits(token.address);
+
+        if (current.allowed !== token.allowed) {
+            changes.push({
+                method: "setTokenAllowed", args: [token.address, token.allowed],
+                description: `${token.allowed ? "allow" : "disallow"} ${label}`
+            });
+        }
+        if (!current.minAmount.eq(minAmount) || !current.maxAmount.eq(maxAmount) || !current.maxLocked.eq(maxLocked)) {
+            changes.push({
+                method: "setTokenLimits", args: [token.address, minAmount, maxAmount, maxLocked],
+                description: `${label} limits: min ${token.minAmount}, max ${token.maxAmount}, cap ${token.maxLocked} (0 = unlimited)`
+            });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Send planned changes one by one, as the contract's token admin.
+ * @param {ethers.Contract} contract Connected to the token admin
+ * @param {Object[]} changes Result of planTokenLimits()
+ * @param {Object} [overrides] Transaction overrides such as gas prices
+ * @returns {Promise<Object[]>} Receipts, in order
+ */
+async function applyTokenLimits(contract, changes, overrides = {}) {
+    const tokenAdmin = await contract.tokenAdmin();
+    const sender = await contract.signer.getAddress();
+    if (changes.length > 0 && tokenAdmin !== sender) {
+        throw new Error(`${sender} is not the token admin of ${contract.address} (${tokenAdmin})`);
+    }
+
+    const receipts = [];
+    for (const { method, args } of changes) {
+        receipts.push(await (await contract[method](...args, overrides)).wait());
+    }
+    return receipts;
+}
+
+async function main() {
+    const network = hre.network.name;
+    const registryNetwork = loadNetworks()[network];
+    if (!registryNetwork) throw new Error(`Network ${network} is not in config/networks.json`);
+    if (!fs.existsSync(CONFIG.TOKEN_LIMITS_FILE)) throw new Error(`${CONFIG.TOKEN_LIMITS_FILE} not found`);
+
+    console.log(`🪙 Updating token limits on ${network}${CONFIG.DRY_RUN ? " (dry run)" : ""}...`);
+    console.log(`   File: ${path.relative(process.cwd(), CONFIG.TOKEN_LIMITS_FILE)}`);
+
+    const settings = resolveTokenLimits(
+        JSON.parse(fs.readFileSync(CONFIG.TOKEN_LIMITS_FILE, "utf8")), network, registryNetwork.addresses
+    );
+    const [admin] = await ethers.getSigners();
+    const overrides = gasSettings(registryNetwork);
+
+    for (const name of SWAP_CONTRACTS) {
+        const address = registryNetwork.addresses[name];
+        if (!address) throw new Error(`No ${name} address for ${network}. Please deploy contracts first.`);
+        const contract = await ethers.getContractAt(name, address, admin);
+
+        const changes = await planTokenLimits(contract, settings);
+        console.log(`\n📋 ${name} at ${address}: ${changes.length} change(s)`);
+        changes.forEach(({ description }) => console.log(`   • ${description}`));
+        if (CONFIG.DRY_RUN || changes.length === 0) continue;
+
+        const receipts = await applyTokenLimits(contract, changes, overrides);
+        receipts.forEach(({ transactionHash }) => console.log(`   ✅ ${transactionHash}`));
+    }
+
+    console.log(`\n🎉 Token limits ${CONFIG.DRY_RUN ? "checked" : "up to date"} on ${network}`);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Token limit update failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { resolveTokenLimits, planTokenLimits, applyTokenLimits, CONFIG };
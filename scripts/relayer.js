@@ -0,0 +1,99 @@
+const { ethers } = require("hardhat");
+const { Relayer, createRelayerServer, loadNetworks, buildNetworks, NATIVE_TOKEN } = require("../lib");
+
+// Load environment variables
+require('dotenv').config();
+
+// Configuration
+const CONFIG = {
+    PORT: parseInt(process.env.RELAYER_PORT || "8700"),
+    HOST: process.env.RELAYER_HOST || "127.0.0.1",
+    // Accepted tokens and their minimum fee per request, in each token's units,
+    // e.g. "TokenA:0.0001,native:0.00002"
+    FEES: process.env.RELAYER_FEES || ""
+};
+
+const DECIMALS_ABI = ["function decimals() view returns (uint8)"];
+
+// Validate required environment variables
+if (!process.env.PRIVATE_KEY_RELAYER) throw new Error("PRIVATE_KEY_RELAYER not set");
+
+/**
+ * Minimum fees of one network from a RELAYER_FEES list. Tokens are named by
+ * registry address name (TokenA), address, or "native"; names the network has
+ * no address for are left out, so its swaps of them are not relayed.
+ * @param {string} spec Comma-separated token:fee pairs, fees in token units
+ * @param {Object} addresses The network's registry addresses
+ * @param {ethers.providers.Provider} provider Reads each token's decimals
+ * @returns {Promise<Object>} { [tokenAddress]: minFee in base units }
+ */
+async function resolveRelayerFees(spec, addresses, provider) {
+    const fees = {};
+    for (const pair of spec.split(",").map((entry) => entry.trim()).filter(Boolean)) {
+        const [label, fee] = pair.split(":").map((part) => part.trim());
+        if (!fee) throw new Error(`Invalid RELAYER_FEES entry ${pair}`);
+
+        let address;
+        if (label === "native") address = NATIVE_TOKEN;
+        else if (addresses[label]) address = addresses[label];
+        else if (ethers.utils.isAddress(label)) address = label;
+        else continue;
+
+        const decimals = address === NATIVE_TOKEN ? 18 : await new ethers.Contract(address, DECIMALS_ABI, provider).decimals();
+        fees[ethers.utils.getAddress(address)] = ethers.utils.parseUnits(fee, decimals);
+    }
+    return fees;
+}
+
+// Contracts on every network with deployed contracts, connected to the relayer's wallet,
+// with the tokens it relays there
+async function buildRelayerNetworks(registry) {
+    const factories = {
+        HTLC: await ethers.getContractFactory("HTLC"),
+        FPPHTLC: await ethers.getContractFactory("FPPHTLC")
+    };
+    const networks = buildNetworks(registry, { factories, privateKeys: [process.env.PRIVATE_KEY_RELAYER] });
+    for (const [network, config] of Object.entries(networks)) {
+        const { signer } = config;
+        const balance = await signer.getBalance();
+        console.log(`⛽ ${network}: relayer ${signer.address} has ${ethers.utils.formatEther(balance)} native balance`);
+        config.fees = await resolveRelayerFees(CONFIG.FEES, registry[network].addresses, signer.provider);
+        if (Object.keys(config.fees).length === 0) console.log(`⚠️ ${network}: no accepted tokens, nothing will be relayed`);
+    }
+    return networks;
+}
+
+async function main() {
+    console.log("🛰️ Starting meta-transaction relayer");
+
+    const registry = loadNetworks();
+    const relayer = new Relayer({ networks: await buildRelayerNetworks(registry) });
+
+    relayer.on("relayed", (entry) => console.log(`✅ Relayed ${entry.protocol} ${entry.action} ${entry.swapId} on ${entry.network}: ${entry.txHash}`));
+    relayer.on("relayError", (entry) => console.log(`❌ Rejected ${entry.protocol} ${entry.action} ${entry.swapId} on ${entry.network}: ${entry.error}`));
+
+    const server = createRelayerServer(relayer);
+    server.listen(CONFIG.PORT, CONFIG.HOST, () => {
+        console.log(`🌐 Relayer listening on http://${CONFIG.HOST}:${CONFIG.PORT}`);
+    });
+
+    await new Promise((resolve) => {
+        const shutdown = () => {
+            console.log("\n👋 Stopping relayer");
+            server.close(resolve);
+        };
+        process.on("SIGINT", shutdown);
+        process.on("SIGTERM", shutdown);
+    });
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Relayer failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { buildRelayerNetworks, resolveRelayerFees };
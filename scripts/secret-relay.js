@@ -0,0 +1,23 @@
+const { createRelayServer } = require("../lib/secret-exchange");
+
+// Load environment variables
+require('dotenv').config();
+
+const PORT = parseInt(process.env.SECRET_RELAY_PORT || "8600");
+const HOST = process.env.SECRET_RELAY_HOST || "127.0.0.1";
+// Idle sessions are dropped after this many milliseconds (default: 1 hour)
+const SESSION_TTL = parseInt(process.env.SECRET_RELAY_SESSION_TTL || "3600000");
+// Sessions kept at once; the least recently used is dropped beyond this
+const MAX_SESSIONS = parseInt(process.env.SECRET_RELAY_MAX_SESSIONS || "10000");
+
+const server = createRelayServer({ sessionTtl: SESSION_TTL, maxSessions: MAX_SESSIONS });
+server.listen(PORT, HOST, () => {
+    console.log(`🔐 Secret exchange relay listening on http://${HOST}:${PORT} (WebSocket: ws://${HOST}:${PORT})`);
+});
+
+const shutdown = () => {
+    console.log("\n👋 Stopping secret exchange relay");
+    server.close(() => process.exit(0));
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
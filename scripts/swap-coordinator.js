@@ -0,0 +1,103 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { SwapCoordinator, JsonStateStore, loadNetworks, buildNetworks } = require("../lib");
+
+// Load environment variables
+require('dotenv').config();
+
+// Configuration
+const CONFIG = {
+    STATE_FILE: process.env.COORDINATOR_STATE_FILE || path.join(__dirname, "../data/coordinator-state.json"),
+    INTENTS_FILE: process.env.COORDINATOR_INTENTS_FILE,
+    POLL_INTERVAL: parseInt(process.env.COORDINATOR_POLL_INTERVAL || "5000"),
+    CONFIRMATIONS: parseInt(process.env.COORDINATOR_CONFIRMATIONS || "1"),
+    // Milliseconds before a lock the node has dropped is sent again
+    LOCK_TIMEOUT: parseInt(process.env.COORDINATOR_LOCK_TIMEOUT || "600000")
+};
+
+// Validate required environment variables
+if (!process.env.PRIVATE_KEY_ALICE) throw new Error("PRIVATE_KEY_ALICE not set");
+if (!process.env.PRIVATE_KEY_BOB) throw new Error("PRIVATE_KEY_BOB not set");
+
+async function buildChains(registry) {
+    const networks = buildNetworks(registry, {
+        factories: { FPPHTLC: await ethers.getContractFactory("FPPHTLC") },
+        privateKeys: [process.env.PRIVATE_KEY_ALICE, process.env.PRIVATE_KEY_BOB]
+    });
+    return Object.fromEntries(Object.entries(networks).map(([network, { fpphtlc, signers: [initiator, counterparty] }]) =>
+        [network, { contract: fpphtlc, initiator, counterparty }]));
+}
+
+// Intents file format:
+// [{ "id": "swap-1",
+//    "initiatorLeg": { "network": "sepolia", "token": "TokenA", "amount": "0.001", "timelockDuration": 7200 },
+//    "counterpartyLeg": { "network": "bscTestnet", "token": "TokenB", "amount": "0.001", "timelockDuration": 3600 } }]
+function loadIntents(registry) {
+    if (!CONFIG.INTENTS_FILE) return [];
+    const intents = JSON.parse(fs.readFileSync(CONFIG.INTENTS_FILE, "utf8"));
+    const resolveLeg = (leg) => ({
+        ...leg,
+        token: ethers.utils.isAddress(leg.token) ? leg.token : registry[leg.network].addresses[leg.token],
+        amount: ethers.utils.parseEther(String(leg.amount))
+    });
+    return intents.map((intent) => ({
+        ...intent,
+        initiatorLeg: resolveLeg(intent.initiatorLeg),
+        counterpartyLeg: resolveLeg(intent.counterpartyLeg)
+    }));
+}
+
+async function main() {
+    console.log("🤝 Starting FPPHTLC swap coordinator");
+    console.log(`   State file: ${CONFIG.STATE_FILE}`);
+
+    const registry = loadNetworks();
+    const chains = await buildChains(registry);
+    if (Object.keys(chains).length < 2) throw new Error("At least two networks are required");
+
+    const coordinator = new SwapCoordinator({
+        chains,
+        store: new JsonStateStore(CONFIG.STATE_FILE, { swaps: {} }),
+        confirmations: CONFIG.CONFIRMATIONS,
+        pollInterval: CONFIG.POLL_INTERVAL,
+        lockTimeout: CONFIG.LOCK_TIMEOUT
+    });
+
+    coordinator.on("locked", ({ swap, leg }) => console.log(`🔒 ${swap.id}: ${leg} leg locked`));
+    coordinator.on("confirmed", ({ swap, leg }) => console.log(`✅ ${swap.id}: ${leg} leg confirmed`));
+    coordinator.on("claimed", ({ swap, leg }) => console.log(`🔓 ${swap.id}: ${leg} leg claimed`));
+    coordinator.on("refunded", ({ swap, leg }) => console.log(`↩️ ${swap.id}: ${leg} leg refunded`));
+    coordinator.on("completed", ({ swap }) => console.log(`🏁 ${swap.id}: ${swap.status}`));
+    coordinator.on("swapError", ({ swap, leg, error }) => console.log(`❌ ${swap.id}${leg ? ` (${leg})` : ""}: ${error.message}`));
+
+    const inFlight = coordinator.listSwaps().filter((swap) => swap.status === "active");
+    if (inFlight.length > 0) console.log(`🔁 Resuming ${inFlight.length} in-flight swap(s)`);
+
+    for (const intent of loadIntents(registry)) {
+        if (intent.id && coordinator.getSwap(intent.id)) continue;
+        console.log(`📥 Submitting swap intent ${intent.id || "(generated id)"}`);
+        const swap = await coordinator.submit(intent);
+        console.log(`   Initiator swapId: ${swap.legs.initiator.swapId}`);
+        console.log(`   Counterparty swapId: ${swap.legs.counterparty.swapId}`);
+    }
+
+    coordinator.start();
+
+    const shutdown = () => {
+        console.log("\n👋 Stopping coordinator, state is persisted");
+        coordinator.stop();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("❌ Coordinator failed:", error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { buildChains, loadIntents };
@@ -0,0 +1,85 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { Watchtower, JsonStateStore, loadNetworks, buildNetworks } = require("../lib");
+const { createIndexer } = require("./indexer");
+
+// Load environment variables
+require('dotenv').config();
+
+// Configuration
+const CONFIG = {
+    DRY_RUN: process.env.WATCHTOWER_DRY_RUN === "true",
+    STATE_FILE: process.env.WATCHTOWER_STATE_FILE || path.join(__dirname, "../data/watchtower-state.json"),
+    REPORT_FILE: process.env.WATCHTOWER_REPORT_FILE || path.join(__dirname, "../reports/watchtower-report.json"),
+    INTERVAL: parseInt(process.env.WATCHTOWER_INTERVAL || "0")        // 0 = run once
+};
+
+// Validate required environment variables
+if (!process.env.PRIVATE_KEY_ALICE) throw new Error("PRIVATE_KEY_ALICE not set");
+if (!process.env.PRIVATE_KEY_BOB) throw new Error("PRIVATE_KEY_BOB not set");
+
+// Contracts and both parties' wallets on every network with deployed contracts
+async function buildWatchedNetworks(registry) {
+    const factories = {
+        HTLC: await ethers.getContractFactory("HTLC"),
+        FPPHTLC: await ethers.getContractFactory("FPPHTLC")
+    };
+    return buildNetworks(registry, {
+        factories, privateKeys: [process.env.PRIVATE_KEY_ALICE, process.env.PRIVATE_KEY_BOB]
+    });
+}
+
+function writeReport(report) {
+    fs.mkdirSync(path.dirname(CONFIG.REPORT_FILE), { recursive: true });
+    fs.writeFileSync(CONFIG.REPORT_FILE, JSON.stringify(report, null, 4));
+    console.log(`📄 Report saved to: ${CONFIG.REPORT_FILE}`);
+}
+
+async function runOnce(watchtower) {
+    const report = await watchtower.run();
+    console.log(`📊 ${report.refunds.length} refundable swap(s), ${report.tracked} still tracked`);
+    writeReport(report);
+    return report;
+}
+
+async function main() {
+    console.log(`🗼 Starting refund watchtower${CONFIG.DRY_RUN ? " (dry run)" : ""}`);
+
+    const registry = loadNetworks();
+    const watchtower = new Watchtower({
+        networks: await buildWatchedNetworks(registry),
+        store: new JsonStateStore(CONFIG.STATE_FILE, { cursors: {}, swaps: {} }),
+        dryRun: CONFIG.DRY_RUN,
+        // Locks come from the shared swap index (INDEXER_STATE_FILE)
+        indexer: await createIndexer(registry)
+    });
+
+    watchtower.on("indexed", ({ network, added }) => console.log(`🔍 ${network}: ${added} new swap(s) indexed`));
+    watchtower.on("refunded", (entry) => console.log(`↩️ Refunded ${entry.protocol} ${entry.swapId} on ${entry.network}: ${entry.txHash}`));
+    watchtower.on("refundError", (entry) => console.log(`❌ Refund failed for ${entry.swapId} on ${entry.network}: ${entry.error}`));
+
+    await runOnce(watchtower);
+    if (CONFIG.INTERVAL <= 0) return;
+
+    console.log(`⏱️ Polling every ${CONFIG.INTERVAL}ms`);
+    while (true) {
+        await new Promise((resolve) => setTimeout(resolve, CONFIG.INTERVAL));
+        try {
+            await runOnce(watchtower);
+        } catch (error) {
+            console.log(`⚠️ Watchtower round failed: ${error.message}`);
+        }
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Watchtower failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { buildWatchedNetworks };
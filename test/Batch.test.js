@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { SwapClient, FppSwapClient, SwapStatus, NATIVE_TOKEN, hashSecret, decodeRevertReason } = require("../lib");
+const { loadSwapFixture } = require("./fixtures");
+
+describe("Batch operations", function () {
+    const AMOUNT = ethers.utils.parseEther("1");
+    const TIMELOCK_DURATION = 3600;
+
+    let alice;
+    let bob;
+    let htlc;
+    let fpphtlc;
+    let token;
+
+    beforeEach(async function () {
+        ({ htlc, fpphtlc, tokenA: token } = await loadSwapFixture());
+        [alice, bob] = await ethers.getSigners();
+    });
+
+    async function prepareHTLCSwaps(client, count) {
+        const swaps = [];
+        for (let i = 0; i < count; i++) {
+            swaps.push(await client.prepareSwap({
+                recipient: bob.address, token: token.address, amount: AMOUNT, timelockDuration: TIMELOCK_DURATION
+            }));
+        }
+        return swaps;
+    }
+
+    it("should lock, claim and refund HTLC swaps in batches and report failed items", async function () {
+        const aliceClient = new SwapClient(htlc, alice);
+        const bobClient = new SwapClient(htlc, bob);
+        const swaps = await prepareHTLCSwaps(aliceClient, 3);
+
+        // The duplicate of swaps[0] fails on its own; the rest still lock
+        const locked = await aliceClient.batchLock([...swaps, swaps[0]], { approve: true });
+        expect(locked.map((o) => o.success)).to.deep.equal([true, true, true, false]);
+        expect(locked[3]).to.include({ swapId: swaps[0].swapId, error: "Swap already exists" });
+        expect(await token.balanceOf(htlc.address)).to.equal(AMOUNT.mul(3));
+
+        const claimed = await bobClient.batchClaim([
+            { swapId: swaps[0].swapId, secret: swaps[0].secret },
+            { swapId: swaps[1].swapId, secret: swaps[0].secret }
+        ]);
+        expect(claimed.map((o) => o.error)).to.deep.equal([null, "Invalid secret"]);
+        expect(await token.balanceOf(bob.address)).to.equal(AMOUNT);
+
+        await time.increaseTo(swaps[2].timelock + 1);
+        const refunded = await aliceClient.batchRefund(swaps.map((swap) => swap.swapId));
+        expect(refunded.map((o) => o.error)).to.deep.equal(["Already claimed", null, null]);
+        expect((await aliceClient.getStatus(swaps[1].swapId)).status).to.equal(SwapStatus.REFUNDED);
+        expect(await token.balanceOf(htlc.address)).to.equal(0);
+    });
+
+    it("should keep msg.sender per item and split large batches", async function () {
+        const aliceClient = new SwapClient(htlc, alice);
+        const swaps = await prepareHTLCSwaps(aliceClient, 5);
+        const outcomes = await aliceClient.batchLock(swaps, { approve: true, batchSize: 2 });
+
+        expect(outcomes.every((o) => o.success)).to.equal(true);
+        expect(new Set(outcomes.map((o) => o.receipt.transactionHash)).size).to.equal(3);
+        for (const swap of swaps) {
+            expect((await aliceClient.getStatus(swap.swapId)).initiator).to.equal(alice.address);
+        }
+
+        // Alice is not the recipient, so her batched claims fail like direct ones
+        const claims = await aliceClient.batchClaim(swaps.slice(0, 2).map((s) => ({ swapId: s.swapId, secret: s.secret })));
+        expect(claims.map((o) => o.error)).to.deep.equal(["Only recipient can claim", "Only recipient can claim"]);
+    });
+
+    it("should batch FPPHTLC swaps and reject native value", async function () {
+        const bobSecret = ethers.utils.formatBytes32String("bob");
+        const aliceClient = new FppSwapClient(fpphtlc, alice);
+        const bobClient = new FppSwapClient(fpphtlc, bob);
+        const swaps = [];
+        for (let i = 0; i < 3; i++) {
+            swaps.push(await aliceClient.prepareSwap({
+                recipient: bob.address, token: token.address, amount: AMOUNT,
+                counterpartyHash: hashSecret(bobSecret), timelockDuration: TIMELOCK_DURATION
+            }));
+        }
+        expect((await aliceClient.batchLock(swaps, { approve: true })).every((o) => o.success)).to.equal(true);
+
+        const claimed = await bobClient.batchClaim(swaps.slice(0, 2).map((swap) => ({
+            swapId: swap.swapId, initiatorSecret: swap.secret, recipientSecret: bobSecret
+        })));
+        expect(claimed.every((o) => o.success)).to.equal(true);
+        expect(await token.balanceOf(bob.address)).to.equal(AMOUNT.mul(2));
+
+        await time.increaseTo(swaps[2].timelock + 1);
+        const [refunded] = await aliceClient.batchRefund([swaps[2].swapId]);
+        expect(refunded.success).to.equal(true);
+
+        const nativeSwap = await aliceClient.prepareSwap({
+            recipient: bob.address, token: NATIVE_TOKEN, amount: AMOUNT,
+            counterpartyHash: hashSecret(bobSecret), timelockDuration: TIMELOCK_DURATION
+        });
+        let error;
+        try {
+            await aliceClient.batchLock([nativeSwap]);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.contain("Native swaps cannot be batch locked");
+
+        const [, results] = await fpphtlc.callStatic.batchLock([aliceClient._lockRequest(nativeSwap)]);
+        expect(decodeRevertReason(results[0])).to.equal("Incorrect native amount");
+    });
+
+    it("should bound batch sizes and match argument lengths", async function () {
+        const swapId = ethers.constants.HashZero;
+        await expect(htlc.batchRefund([])).to.be.revertedWith("Invalid batch size");
+        await expect(htlc.batchRefund(Array(33).fill(swapId))).to.be.revertedWith("Invalid batch size");
+        await expect(htlc.batchClaim([swapId], [])).to.be.revertedWith("Length mismatch");
+        await expect(fpphtlc.batchRefund([])).to.be.revertedWith("Invalid batch size");
+        await expect(fpphtlc.batchClaim([swapId], [swapId], [])).to.be.revertedWith("Length mismatch");
+    });
+
+    it("should use less gas per swap than individual calls", async function () {
+        const aliceClient = new SwapClient(htlc, alice);
+        await token.approve(htlc.address, ethers.constants.MaxUint256);
+
+        let individualGas = ethers.constants.Zero;
+        for (const swap of await prepareHTLCSwaps(aliceClient, 5)) {
+            const { receipt } = await aliceClient.lock(swap);
+            individualGas = individualGas.add(receipt.gasUsed);
+        }
+        const [{ receipt }] = await aliceClient.batchLock(await prepareHTLCSwaps(aliceClient, 5));
+
+        expect(receipt.gasUsed.lt(individualGas)).to.equal(true);
+    });
+});
@@ -0,0 +1,312 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    NATIVE_TOKEN, hashSecret, hashStringSecret, combineHashes, deriveSwapId, generateSwapId, signRelayAuthorization
+} = require("../lib");
+const { loadSwapFixture } = require("./fixtures");
+
+describe("Contract revert paths", function () {
+    const AMOUNT = ethers.utils.parseEther("1");
+    const SUPPLY = ethers.utils.parseEther("1000");
+    const TIMELOCK_DURATION = 3600;
+    const NO_PERMIT = { deadline: 0, v: 0, r: ethers.constants.HashZero, s: ethers.constants.HashZero };
+
+    let alice;
+    let bob;
+    let mallory;
+    let htlc;
+    let fpphtlc;
+    let token;
+    let ERC20Mock;
+    let FalseReturnToken;
+    let FeeOnTransferToken;
+
+    beforeEach(async function () {
+        ({ htlc, fpphtlc, tokenA: token } = await loadSwapFixture());
+        [alice, bob, mallory] = await ethers.getSigners();
+
+        ERC20Mock = await ethers.getContractFactory("contracts/mocks/ERC20Mock.sol:ERC20Mock");
+        FalseReturnToken = await ethers.getContractFactory("FalseReturnToken");
+        FeeOnTransferToken = await ethers.getContractFactory("FeeOnTransferToken");
+
+        await token.approve(htlc.address, ethers.constants.MaxUint256);
+        await token.approve(fpphtlc.address, ethers.constants.MaxUint256);
+    });
+
+    async function deadline(offset = TIMELOCK_DURATION) {
+        return (await time.latest()) + offset;
+    }
+
+    describe("HTLC", function () {
+        const SECRET = "htlc_secret";
+        const HASHLOCK = hashStringSecret(SECRET);
+
+        // Lock from `from` (Alice by default) and return the swap's on-chain id and timelock
+        async function lock({ from = alice, recipient = bob.address, tokenAddress = token.address, value, clientSwapId } = {}) {
+            clientSwapId = clientSwapId || generateSwapId("htlc");
+            const timelock = await deadline();
+            await htlc.connect(from).lockFunds(clientSwapId, recipient, tokenAddress, AMOUNT, HASHLOCK, timelock, { value: value || 0 });
+            return { swapId: deriveSwapId(from.address, clientSwapId), clientSwapId, timelock };
+        }
+
+        it("should reject invalid lock parameters", async function () {
+            const id = generateSwapId("htlc");
+            const timelock = await deadline();
+
+            await expect(htlc.lockFunds(id, ethers.constants.AddressZero, token.address, AMOUNT, HASHLOCK, timelock))
+                .to.be.revertedWith("Invalid recipient");
+            await expect(htlc.lockFunds(id, bob.address, token.address, 0, HASHLOCK, timelock))
+                .to.be.revertedWith("Amount must be positive");
+            await expect(htlc.lockFunds(id, bob.address, token.address, AMOUNT, HASHLOCK, await time.latest()))
+                .to.be.revertedWith("Timelock must be in future");
+            await expect(htlc.lockFunds(id, bob.address, token.address, AMOUNT, ethers.constants.HashZero, timelock))
+                .to.be.revertedWith("Invalid hashlock");
+        });
+
+        it("should reject a duplicate swapId from the same initiator", async function () {
+            const { clientSwapId } = await lock();
+            await expect(lock({ clientSwapId })).to.be.revertedWith("Swap already exists");
+        });
+
+        it("should require msg.value to match native locks only", async function () {
+            const id = generateSwapId("htlc");
+            const timelock = await deadline();
+
+            await expect(htlc.lockFunds(id, bob.address, NATIVE_TOKEN, AMOUNT, HASHLOCK, timelock, { value: AMOUNT.sub(1) }))
+                .to.be.revertedWith("Incorrect native amount");
+            await expect(htlc.lockFunds(id, bob.address, token.address, AMOUNT, HASHLOCK, timelock, { value: 1 }))
+                .to.be.revertedWith("Native value not accepted");
+            await expect(htlc.lockFundsWithPermit(id, bob.address, NATIVE_TOKEN, AMOUNT, HASHLOCK, timelock, NO_PERMIT))
+                .to.be.revertedWith("Permit requires ERC20");
+        });
+
+        it("should fail locks without allowance or when transferFrom returns false", async function () {
+            await expect(lock({ from: bob })).to.be.revertedWith("ERC20: insufficient allowance");
+
+            const falseToken = await FalseReturnToken.deploy(SUPPLY);
+            await falseToken.approve(htlc.address, AMOUNT);
+            await falseToken.setFailTransfers(true);
+            await expect(lock({ tokenAddress: falseToken.address })).to.be.revertedWith("Transfer failed");
+        });
+
+        it("should only let the recipient claim with the right secret before expiry", async function () {
+            const { swapId, timelock } = await lock();
+
+            await expect(htlc.connect(bob).claimFunds(ethers.constants.HashZero, SECRET)).to.be.revertedWith("Swap not active");
+            await expect(htlc.connect(mallory).claimFunds(swapId, SECRET)).to.be.revertedWith("Only recipient can claim");
+            await expect(htlc.connect(bob).claimFunds(swapId, "wrong_secret")).to.be.revertedWith("Invalid secret");
+            await expect(htlc.getRevealedSecret(swapId)).to.be.revertedWith("Swap not claimed");
+
+            await time.increaseTo(timelock + 1);
+            await expect(htlc.connect(bob).claimFunds(swapId, SECRET)).to.be.revertedWith("Timelock expired");
+        });
+
+        it("should reject claims and refunds of settled swaps", async function () {
+            const claimed = await lock();
+            await htlc.connect(bob).claimFunds(claimed.swapId, SECRET);
+            await expect(htlc.connect(bob).claimFunds(claimed.swapId, SECRET)).to.be.revertedWith("Already claimed");
+
+            const refunded = await lock();
+            await time.increaseTo(refunded.timelock + 1);
+            await expect(htlc.refundFunds(claimed.swapId)).to.be.revertedWith("Already claimed");
+            await htlc.refundFunds(refunded.swapId);
+            await expect(htlc.refundFunds(refunded.swapId)).to.be.revertedWith("Swap not active");
+            await expect(htlc.connect(bob).claimFunds(refunded.swapId, SECRET)).to.be.revertedWith("Swap not active");
+        });
+
+        it("should only let the initiator refund after expiry", async function () {
+            const { swapId, timelock } = await lock();
+
+            await expect(htlc.refundFunds(ethers.constants.HashZero)).to.be.revertedWith("Swap not active");
+            await expect(htlc.refundFunds(swapId)).to.be.revertedWith("Timelock not expired");
+
+            await time.increaseTo(timelock + 1);
+            await expect(htlc.connect(bob).refundFunds(swapId)).to.be.revertedWith("Only initiator can refund");
+        });
+
+        it("should reject relayed refunds with bad authorizations", async function () {
+            const { swapId, timelock } = await lock();
+            await time.increaseTo(timelock + 1);
+            const sign = (signer, params) => signRelayAuthorization(signer, htlc, "Refund", { swapId, ...params });
+
+            const expired = await sign(alice, { deadline: (await time.latest()) - 1 });
+            await expect(htlc.connect(mallory).refundFundsBySig(swapId, expired)).to.be.revertedWith("Signature expired");
+            const forBob = await sign(alice, { relayer: bob.address });
+            await expect(htlc.connect(mallory).refundFundsBySig(swapId, forBob)).to.be.revertedWith("Invalid relayer");
+            const greedy = await sign(alice, { fee: AMOUNT.add(1) });
+            await expect(htlc.connect(mallory).refundFundsBySig(swapId, greedy)).to.be.revertedWith("Fee exceeds amount");
+            const foreign = await sign(mallory, {});
+            await expect(htlc.connect(mallory).refundFundsBySig(swapId, foreign)).to.be.revertedWith("Only initiator can refund");
+        });
+
+        it("should revert and keep the swap open when a payout fails", async function () {
+            const falseToken = await FalseReturnToken.deploy(SUPPLY);
+            await falseToken.approve(htlc.address, AMOUNT);
+            const { swapId } = await lock({ tokenAddress: falseToken.address });
+            await falseToken.setFailTransfers(true);
+            await expect(htlc.connect(bob).claimFunds(swapId, SECRET)).to.be.revertedWith("Transfer failed");
+            expect((await htlc.getSwap(swapId)).isClaimed).to.be.false;
+
+            // A contract initiator without receive() cannot take a native refund
+            const rejecter = await (await ethers.getContractFactory("EtherRejecter")).deploy();
+            const clientSwapId = generateSwapId("rejecter");
+            const timelock = await deadline();
+            const lockData = htlc.interface.encodeFunctionData("lockFunds", [
+                clientSwapId, bob.address, NATIVE_TOKEN, AMOUNT, HASHLOCK, timelock
+            ]);
+            await rejecter.execute(htlc.address, lockData, { value: AMOUNT });
+
+            await time.increaseTo(timelock + 1);
+            const refundData = htlc.interface.encodeFunctionData("refundFunds", [deriveSwapId(rejecter.address, clientSwapId)]);
+            await expect(rejecter.execute(htlc.address, refundData)).to.be.revertedWith("Transfer failed");
+        });
+    });
+
+    describe("FPPHTLC", function () {
+        const ALICE_SECRET = ethers.utils.formatBytes32String("alice");
+        const BOB_SECRET = ethers.utils.formatBytes32String("bob");
+        const COMBINED_HASH = combineHashes(hashSecret(ALICE_SECRET), hashSecret(BOB_SECRET));
+
+        async function lock({ from = alice, recipient = bob.address, tokenAddress = token.address, value, clientSwapId } = {}) {
+            clientSwapId = clientSwapId || generateSwapId("fpphtlc");
+            const timelock = await deadline();
+            await fpphtlc.connect(from).lockFunds(
+                recipient, tokenAddress, AMOUNT, COMBINED_HASH, timelock, "local", clientSwapId, { value: value || 0 }
+            );
+            return { swapId: deriveSwapId(from.address, clientSwapId), clientSwapId, timelock };
+        }
+
+        it("should reject zero hashes when combining", async function () {
+            await expect(fpphtlc.generateCombinedHash(ethers.constants.HashZero, hashSecret(BOB_SECRET)))
+                .to.be.revertedWith("Invalid initiator hash");
+            await expect(fpphtlc.generateCombinedHash(hashSecret(ALICE_SECRET), ethers.constants.HashZero))
+                .to.be.revertedWith("Invalid recipient hash");
+        });
+
+        it("should reject invalid lock parameters and duplicate swapIds", async function () {
+            const id = generateSwapId("fpphtlc");
+            const timelock = await deadline();
+
+            await expect(fpphtlc.lockFunds(ethers.constants.AddressZero, token.address, AMOUNT, COMBINED_HASH, timelock, "local", id))
+                .to.be.revertedWith("Invalid recipient");
+            await expect(fpphtlc.lockFunds(bob.address, token.address, 0, COMBINED_HASH, timelock, "local", id))
+                .to.be.revertedWith("Invalid amount");
+            await expect(fpphtlc.lockFunds(bob.address, token.address, AMOUNT, COMBINED_HASH, await time.latest(), "local", id))
+                .to.be.revertedWith("Invalid timelock");
+
+            const { clientSwapId } = await lock();
+            await expect(lock({ clientSwapId })).to.be.revertedWith("Swap already exists");
+        });
+
+        it("should require msg.value to match native locks only", async function () {
+            const id = generateSwapId("fpphtlc");
+            const timelock = await deadline();
+
+            await expect(fpphtlc.lockFunds(bob.address, NATIVE_TOKEN, AMOUNT, COMBINED_HASH, timelock, "local", id, { value: AMOUNT.add(1) }))
+                .to.be.revertedWith("Incorrect native amount");
+            await expect(fpphtlc.lockFunds(bob.address, token.address, AMOUNT, COMBINED_HASH, timelock, "local", id, { value: 1 }))
+                .to.be.revertedWith("Native value not accepted");
+            await expect(fpphtlc.lockFundsWithPermit(bob.address, NATIVE_TOKEN, AMOUNT, COMBINED_HASH, timelock, "local", id, NO_PERMIT))
+                .to.be.revertedWith("Permit requires ERC20");
+        });
+
+        it("should fail locks without allowance or when transferFrom returns false", async function () {
+            await expect(lock({ from: bob })).to.be.revertedWith("Insufficient allowance");
+
+            const falseToken = await FalseReturnToken.deploy(SUPPLY);
+            await falseToken.approve(fpphtlc.address, AMOUNT);
+            await falseToken.setFailTransfers(true);
+            await expect(lock({ tokenAddress: falseToken.address })).to.be.revertedWith("Transfer failed");
+        });
+
+        it("should reject fee-on-transfer tokens on lock and payout", async function () {
+            const feeToken = await FeeOnTransferToken.deploy(SUPPLY, 100);
+            await feeToken.approve(fpphtlc.address, ethers.constants.MaxUint256);
+            await expect(lock({ tokenAddress: feeToken.address })).to.be.revertedWith("Transfer amount mismatch");
+
+            // Fee switched on after the lock: the recipient would be short-changed on claim
+            await feeToken.setFeeBps(0);
+            const { swapId } = await lock({ tokenAddress: feeToken.address });
+            await feeToken.setFeeBps(100);
+            await expect(fpphtlc.connect(bob).claimFunds(swapId, ALICE_SECRET, BOB_SECRET))
+                .to.be.revertedWith("Transfer amount mismatch");
+            expect(await fpphtlc.canClaim(swapId, ALICE_SECRET, BOB_SECRET)).to.be.true;
+        });
+
+        it("should only let the recipient claim with both secrets before expiry", async function () {
+            const { swapId, timelock } = await lock();
+
+            await expect(fpphtlc.connect(bob).claimFunds(ethers.constants.HashZero, ALICE_SECRET, BOB_SECRET))
+                .to.be.revertedWith("Swap not active");
+            await expect(fpphtlc.connect(mallory).claimFunds(swapId, ALICE_SECRET, BOB_SECRET)).to.be.revertedWith("Not recipient");
+            await expect(fpphtlc.connect(bob).claimFunds(swapId, BOB_SECRET, ALICE_SECRET)).to.be.revertedWith("Invalid secrets");
+            await expect(fpphtlc.connect(bob).claimFunds(swapId, ALICE_SECRET, ethers.constants.HashZero))
+                .to.be.revertedWith("Invalid secrets");
+
+            await time.increaseTo(timelock + 1);
+            await expect(fpphtlc.connect(bob).claimFunds(swapId, ALICE_SECRET, BOB_SECRET)).to.be.revertedWith("Timelock expired");
+        });
+
+        it("should reject claims and refunds of settled swaps", async function () {
+            const claimed = await lock();
+            await fpphtlc.connect(bob).claimFunds(claimed.swapId, ALICE_SECRET, BOB_SECRET);
+            await expect(fpphtlc.connect(bob).claimFunds(claimed.swapId, ALICE_SECRET, BOB_SECRET)).to.be.revertedWith("Already claimed");
+
+            const refunded = await lock();
+            await time.increaseTo(refunded.timelock + 1);
+            await expect(fpphtlc.refund(claimed.swapId)).to.be.revertedWith("Already claimed");
+            await fpphtlc.refund(refunded.swapId);
+            await expect(fpphtlc.refund(refunded.swapId)).to.be.revertedWith("Already refunded");
+            await expect(fpphtlc.connect(bob).claimFunds(refunded.swapId, ALICE_SECRET, BOB_SECRET)).to.be.revertedWith("Already refunded");
+        });
+
+        it("should only let the initiator refund after expiry", async function () {
+            const { swapId, timelock } = await lock();
+
+            await expect(fpphtlc.refund(ethers.constants.HashZero)).to.be.revertedWith("Swap not active");
+            await expect(fpphtlc.refund(swapId)).to.be.revertedWith("Timelock not expired");
+
+            await time.increaseTo(timelock + 1);
+            await expect(fpphtlc.connect(bob).refund(swapId)).to.be.revertedWith("Not initiator");
+        });
+
+        it("should reject relayed claims and refunds with bad authorizations", async function () {
+            const { swapId, timelock } = await lock();
+            const sign = (signer, kind, params) => signRelayAuthorization(signer, fpphtlc, kind, { swapId, ...params });
+            const claimBySig = (auth) => fpphtlc.connect(mallory).claimFundsBySig(swapId, ALICE_SECRET, BOB_SECRET, auth);
+
+            await expect(claimBySig(await sign(bob, "Claim", { deadline: (await time.latest()) - 1 })))
+                .to.be.revertedWith("Signature expired");
+            await expect(claimBySig(await sign(bob, "Claim", { relayer: alice.address }))).to.be.revertedWith("Invalid relayer");
+            await expect(claimBySig(await sign(bob, "Claim", { fee: AMOUNT.add(1) }))).to.be.revertedWith("Fee exceeds amount");
+            await expect(claimBySig(await sign(mallory, "Claim", {}))).to.be.revertedWith("Not recipient");
+            // A Claim signature is not a Refund signature
+            const claimAuth = await sign(alice, "Claim", {});
+
+            await time.increaseTo(timelock + 1);
+            await expect(fpphtlc.connect(mallory).refundBySig(swapId, claimAuth)).to.be.revertedWith("Not initiator");
+        });
+
+        it("should revert and keep the swap open when a payout fails", async function () {
+            const falseToken = await FalseReturnToken.deploy(SUPPLY);
+            await falseToken.approve(fpphtlc.address, AMOUNT);
+            const { swapId } = await lock({ tokenAddress: falseToken.address });
+            await falseToken.setFailTransfers(true);
+            await expect(fpphtlc.connect(bob).claimFunds(swapId, ALICE_SECRET, BOB_SECRET)).to.be.revertedWith("Transfer failed");
+            expect((await fpphtlc.getSwap(swapId)).isClaimed).to.be.false;
+
+            const rejecter = await (await ethers.getContractFactory("EtherRejecter")).deploy();
+            const clientSwapId = generateSwapId("rejecter");
+            const timelock = await deadline();
+            const lockData = fpphtlc.interface.encodeFunctionData("lockFunds", [
+                bob.address, NATIVE_TOKEN, AMOUNT, COMBINED_HASH, timelock, "local", clientSwapId
+            ]);
+            await rejecter.execute(fpphtlc.address, lockData, { value: AMOUNT });
+
+            await time.increaseTo(timelock + 1);
+            const refundData = fpphtlc.interface.encodeFunctionData("refund", [deriveSwapId(rejecter.address, clientSwapId)]);
+            await expect(rejecter.execute(fpphtlc.address, refundData)).to.be.revertedWith("Transfer failed");
+        });
+    });
+});
@@ -0,0 +1,163 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const {
+    CounterpartyVerifier, CounterpartyVerificationError, SwapClient, FppSwapClient, hashSecret, combineHashes,
+    timelockRequirements
+} = require("../lib");
+const { loadSwapFixture } = require("./fixtures");
+
+describe("CounterpartyVerifier", function () {
+    const AMOUNT = ethers.utils.parseEther("1");
+    const HOUR = 3600;
+
+    let alice;
+    let bob;
+    let carol;
+    let htlc;
+    let fpphtlc;
+    let tokenA;
+    let tokenB;
+
+    beforeEach(async function () {
+        ({ htlc, fpphtlc, tokenA, tokenB } = await loadSwapFixture());
+        [alice, bob, carol] = await ethers.getSigners();
+
+        await tokenB.transfer(bob.address, ethers.utils.parseEther("100"));
+    });
+
+    // Alice's HTLC terms, and Bob's lock of TokenB to her under her hashlock
+    async function htlcSwaps(bobTerms = {}) {
+        const aliceSwap = await new SwapClient(htlc, alice).prepareSwap({
+            recipient: bob.address, token: tokenA.address, amount: AMOUNT, timelockDuration: 2 * HOUR
+        });
+        const bobClient = new SwapClient(htlc, bob);
+        const bobSwap = await bobClient.prepareSwap({
+            recipient: alice.address, token: tokenB.address, amount: AMOUNT,
+            hashlock: aliceSwap.hashlock, timelockDuration: HOUR, ...bobTerms
+        });
+        await bobClient.lock(bobSwap, { approve: true });
+        const expected = {
+            initiator: bob.address, recipient: alice.address, token: tokenB.address, amount: AMOUNT,
+            hashlock: aliceSwap.hashlock, ownTimelock: aliceSwap.timelock
+        };
+        return { aliceSwap, bobSwap, expected };
+    }
+
+    async function verifyError(verifier, swapId, expected) {
+        try {
+            await verifier.verify(swapId, expected);
+        } catch (error) {
+            expect(error).to.be.instanceOf(CounterpartyVerificationError);
+            return error;
+        }
+        throw new Error("Expected verification to fail");
+    }
+
+    it("should accept a lock matching the agreed terms", async function () {
+        const { bobSwap, expected } = await htlcSwaps();
+        const verifier = new CounterpartyVerifier(new SwapClient(htlc, alice));
+
+        const swap = await verifier.verify(bobSwap.swapId, expected);
+        expect(swap.swapId).to.equal(bobSwap.swapId);
+        expect((await verifier.check(bobSwap.swapId, expected)).reasons).to.deep.equal([]);
+    });
+
+    it("should list every mismatching field", async function () {
+        const { bobSwap, expected } = await htlcSwaps({
+            recipient: carol.address, amount: AMOUNT.div(2), hashlock: ethers.utils.id("other"), timelockDuration: 2 * HOUR
+        });
+        const verifier = new CounterpartyVerifier(new SwapClient(htlc, alice));
+
+        const error = await verifyError(verifier, bobSwap.swapId, { ...expected, token: tokenA.address });
+        expect(error.swapId).to.equal(bobSwap.swapId);
+        expect(error.reasons).to.deep.equal([
+            `Recipient is ${carol.address}, expected ${alice.address}`,
+            `Token is ${tokenB.address}, expected ${tokenA.address}`,
+            `Amount is ${AMOUNT.div(2)}, expected ${AMOUNT}`,
+            "Hashlock does not match our secret",
+            "Lock does not expire before our own lock"
+        ]);
+        expect(error.message).to.contain("Hashlock does not match our secret; Lock does not expire");
+    });
+
+    it("should enforce the timelock safety margins", async function () {
+        const { bobSwap, expected } = await htlcSwaps({ timelockDuration: 2 * HOUR - 600 });
+        const client = new SwapClient(htlc, alice);
+
+        // The margins default to what planTimelocks() requires for the two networks
+        const networks = { initiatorNetwork: "sepolia", counterpartyNetwork: "sepolia", safetyFactor: 4 };
+        const { minGap, minClaimWindow } = timelockRequirements(networks);
+        const planned = new CounterpartyVerifier(client, networks);
+        expect(planned).to.include({ minTimelockGap: minGap, minTimeRemaining: minClaimWindow });
+        const tight = await verifyError(planned, bobSwap.swapId, expected);
+        expect(tight.reasons).to.deep.equal([`Timelocks are ${expected.ownTimelock - bobSwap.timelock}s apart, below the ${minGap}s safety margin`]);
+        await new CounterpartyVerifier(client).verify(bobSwap.swapId, expected);
+
+        const relaxed = new CounterpartyVerifier(client, { minTimelockGap: 300 });
+        await relaxed.verify(bobSwap.swapId, expected);
+
+        const late = await verifyError(new CounterpartyVerifier(client, { minTimelockGap: 300, minTimeRemaining: 2 * HOUR }), bobSwap.swapId, expected);
+        expect(late.reasons[0]).to.match(/^Lock expires in \d+s, below the 7200s minimum$/);
+    });
+
+    it("should wait for confirmations and give up on missing locks", async function () {
+        const { bobSwap, expected } = await htlcSwaps();
+        const client = new SwapClient(htlc, alice);
+
+        const pending = new CounterpartyVerifier(client, { confirmations: 3, pollInterval: 10 }).verify(bobSwap.swapId, expected);
+        await network.provider.send("hardhat_mine", ["0x2"]);
+        expect((await pending).swapId).to.equal(bobSwap.swapId);
+
+        const impatient = new CounterpartyVerifier(client, { confirmations: 10, pollInterval: 10, timeout: 50 });
+        const unconfirmed = await verifyError(impatient, bobSwap.swapId, expected);
+        expect(unconfirmed.reasons).to.deep.equal(["Lock has 3 of 10 confirmations"]);
+
+        const missing = await verifyError(impatient, ethers.utils.id("missing"), expected);
+        expect(missing.reasons).to.deep.equal(["Lock not found"]);
+    });
+
+    it("should check FPPHTLC combined hashes, network labels and the counterparty's view", async function () {
+        const aliceSecret = ethers.utils.formatBytes32String("alice");
+        const bobSecret = ethers.utils.formatBytes32String("bob");
+        const aliceClient = new FppSwapClient(fpphtlc, alice);
+        const bobClient = new FppSwapClient(fpphtlc, bob);
+
+        const aliceSwap = await aliceClient.prepareSwap({
+            recipient: bob.address, token: tokenA.address, amount: AMOUNT, secret: aliceSecret,
+            counterpartyHash: hashSecret(bobSecret), timelockDuration: 2 * HOUR, network: "sepolia"
+        });
+        const bobSwap = await bobClient.prepareSwap({
+            recipient: alice.address, token: tokenB.address, amount: AMOUNT, secret: bobSecret,
+            counterpartyHash: hashSecret(aliceSecret), timelockDuration: HOUR, network: "bscTestnet"
+        });
+        await aliceClient.lock(aliceSwap, { approve: true });
+        await bobClient.lock(bobSwap, { approve: true });
+
+        // Alice checks Bob's lock before revealing her secret
+        const expected = {
+            recipient: alice.address, token: tokenB.address, amount: AMOUNT, network: "bscTestnet",
+            combinedHash: combineHashes(hashSecret(bobSecret), hashSecret(aliceSecret)), ownTimelock: aliceSwap.timelock
+        };
+        const aliceVerifier = new CounterpartyVerifier(new FppSwapClient(fpphtlc, alice));
+        await aliceVerifier.verify(bobSwap.swapId, expected);
+        const wrong = await verifyError(aliceVerifier, bobSwap.swapId, {
+            ...expected, network: "sepolia", combinedHash: aliceSwap.combinedHash
+        });
+        expect(wrong.reasons).to.deep.equal([
+            "combinedHash does not match the agreed hashes",
+            'Network label is "bscTestnet", expected "sepolia"'
+        ]);
+
+        // Bob, as counterparty, needs Alice's lock to outlast his own
+        const bobVerifier = new CounterpartyVerifier(new FppSwapClient(fpphtlc, bob));
+        await bobVerifier.verify(aliceSwap.swapId, {
+            recipient: bob.address, token: tokenA.address, amount: AMOUNT, combinedHash: aliceSwap.combinedHash,
+            ownTimelock: bobSwap.timelock, role: "counterparty"
+        });
+        const reversed = await verifyError(bobVerifier, aliceSwap.swapId, {
+            recipient: bob.address, token: tokenA.address, amount: AMOUNT,
+            ownTimelock: aliceSwap.timelock + HOUR, role: "counterparty"
+        });
+        expect(reversed.reasons).to.deep.equal(["Lock does not outlast our own lock"]);
+    });
+});
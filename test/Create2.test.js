@@ -0,0 +1,66 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const {
+    CREATE2_FACTORY, ensureCreate2Factory, deployDeterministic, create2Address, maskImmutables,
+    checkBytecodeParity
+} = require("../lib");
+const { prepareDeployments, deployContracts } = require("../scripts/deploy");
+const { expectedContracts } = require("../scripts/check-parity");
+
+describe("CREATE2 deployment", function () {
+    const SUPPLY = ethers.utils.parseEther("1000");
+
+    let deployer;
+    let other;
+
+    beforeEach(async function () {
+        [deployer, other] = await ethers.getSigners();
+        await ensureCreate2Factory(deployer);
+    });
+
+    it("should deploy at deployer-independent addresses and skip deployed ones", async function () {
+        const salt = ethers.utils.id("create2-test");
+        const prepared = await prepareDeployments(salt, deployer.address);
+        const { addresses, transactions } = await deployContracts(other, {
+            salt, feeAdmin: deployer.address, initialSupply: SUPPLY
+        });
+
+        expect(await ensureCreate2Factory(deployer)).to.equal(false);
+        expect(Object.keys(transactions)).to.deep.equal(["HTLC", "FPPHTLC", "TokenA", "TokenB"]);
+        for (const [name, { address }] of Object.entries(prepared)) {
+            expect(addresses[name]).to.equal(address);
+        }
+        const tokenA = await ethers.getContractAt("contracts/mocks/ERC20Mock.sol:ERC20Mock", addresses.TokenA);
+        expect(await tokenA.balanceOf(other.address)).to.equal(SUPPLY);
+        expect(await tokenA.balanceOf(CREATE2_FACTORY)).to.equal(0);
+
+        // A second run finds the code and sends nothing, so no supply is minted twice
+        // (the fee admin defaults to the deployer)
+        const again = await deployContracts(deployer, { salt, initialSupply: SUPPLY });
+        expect(again.addresses).to.deep.equal(addresses);
+        expect(again.transactions).to.deep.equal({});
+        expect(await tokenA.totalSupply()).to.equal(SUPPLY);
+    });
+
+    it("should report missing and mismatching bytecode", async function () {
+        const salt = ethers.utils.id("parity-test");
+        const { HTLC, TokenA } = await expectedContracts(salt, deployer.address);
+        const { initCode } = (await prepareDeployments(salt, deployer.address)).HTLC;
+        expect(HTLC.address).to.equal(create2Address(initCode, salt));
+        expect((await deployDeterministic(deployer, initCode, { salt })).deployed).to.equal(true);
+
+        // The EIP-712 immutables hold the chain ID, so the raw code differs from the artifact
+        const code = await ethers.provider.getCode(HTLC.address);
+        expect(code).to.not.equal(HTLC.deployedBytecode);
+        expect(maskImmutables(code, HTLC.immutableReferences))
+            .to.equal(maskImmutables(HTLC.deployedBytecode, HTLC.immutableReferences));
+
+        let results = await checkBytecodeParity({ local: ethers.provider }, { HTLC, TokenA });
+        expect(results.HTLC).to.deep.equal({ address: HTLC.address, match: true, networks: { local: "match" } });
+        expect(results.TokenA).to.deep.equal({ address: TokenA.address, match: false, networks: { local: "missing" } });
+
+        await network.provider.send("hardhat_setCode", [HTLC.address, `0x00${code.slice(4)}`]);
+        results = await checkBytecodeParity({ local: ethers.provider }, { HTLC });
+        expect(results.HTLC).to.deep.equal({ address: HTLC.address, match: false, networks: { local: "mismatch" } });
+    });
+});
@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DeploymentManifest, CREATE2_FACTORY, ensureCreate2Factory } = require("../lib");
+const { deployContracts, prepareDeployments } = require("../scripts/deploy");
+
+describe("Resumable deployment", function () {
+    const SUPPLY = ethers.utils.parseEther("1000");
+
+    let deployer;
+    let chainId;
+    let manifestFile;
+
+    const openManifest = (salt) =>
+        new DeploymentManifest(manifestFile, { network: "local", chainId, factory: CREATE2_FACTORY, salt });
+
+    beforeEach(async function () {
+        [deployer] = await ethers.getSigners();
+        ({ chainId } = await ethers.provider.getNetwork());
+        manifestFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "deployments-")), "local.json");
+        await ensureCreate2Factory(deployer);
+    });
+
+    it("should record each step and resume after a failure", async function () {
+        const salt = ethers.utils.id("manifest-resume");
+        const prepared = await prepareDeployments(salt, deployer.address);
+
+        let failure;
+        try {
+            await deployContracts(deployer, {
+                salt, initialSupply: SUPPLY, overrides: { gasLimit: 200000 }, manifest: openManifest(salt)
+            });
+        } catch (error) {
+            failure = error;
+        }
+        expect(failure).to.not.equal(undefined);
+        const failed = JSON.parse(fs.readFileSync(manifestFile));
+        expect(failed.steps["deploy:HTLC"]).to.include({ status: "failed", error: failure.message });
+        expect(failed.contracts).to.deep.equal({});
+
+        // A new run picks up from the failed step
+        const manifest = openManifest(salt);
+        const { transactions } = await deployContracts(deployer, { salt, initialSupply: SUPPLY, manifest });
+        expect(Object.keys(transactions)).to.deep.equal(["HTLC", "FPPHTLC", "TokenA", "TokenB"]);
+        expect(Object.keys(manifest.steps).filter((step) => manifest.isDone(step))).to.deep.equal([
+            "deploy:HTLC", "deploy:FPPHTLC", "deploy:TokenA", "mint:TokenA", "deploy:TokenB", "mint:TokenB"
+        ]);
+
+        const receipt = await transactions.TokenA.wait();
+        expect(JSON.parse(fs.readFileSync(manifestFile)).contracts.TokenA).to.deep.equal({
+            contract: "contracts/mocks/ERC20Mock.sol:ERC20Mock",
+            address: prepared.TokenA.address,
+            constructorArgs: ["TokenA", "TKA", 0],
+            bytecodeHash: ethers.utils.keccak256(prepared.TokenA.initCode),
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            verification: { status: "pending" }
+        });
+
+        // Nothing is left to do, so nothing is sent and nothing is minted twice
+        const blockNumber = await ethers.provider.getBlockNumber();
+        const again = await deployContracts(deployer, { salt, initialSupply: SUPPLY, manifest: openManifest(salt) });
+        expect(again.transactions).to.deep.equal({});
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+        const tokenA = await ethers.getContractAt("contracts/mocks/ERC20Mock.sol:ERC20Mock", prepared.TokenA.address);
+        expect(await tokenA.totalSupply()).to.equal(SUPPLY);
+    });
+
+    it("should redeploy contracts that are gone and reject manifests of another chain", async function () {
+        const salt = ethers.utils.id("manifest-redeploy");
+        const manifest = openManifest(salt);
+        const snapshot = await network.provider.send("evm_snapshot");
+        await deployContracts(deployer, { salt, manifest });
+        await manifest.step("registry", async () => {});
+        await manifest.step("verify:HTLC", async () => {});
+
+        // As after restarting a local chain
+        await network.provider.send("evm_revert", [snapshot]);
+        const { transactions } = await deployContracts(deployer, { salt, manifest: openManifest(salt) });
+        expect(Object.keys(transactions)).to.deep.equal(["HTLC", "FPPHTLC", "TokenA", "TokenB"]);
+        const { steps, contracts } = JSON.parse(fs.readFileSync(manifestFile));
+        expect(steps).to.not.have.property("registry");
+        expect(steps).to.not.have.property("verify:HTLC");
+        expect(steps["deploy:HTLC"].status).to.equal("done");
+        expect(contracts.HTLC.transactionHash).to.equal(transactions.HTLC.hash);
+
+        expect(() => new DeploymentManifest(manifestFile, { network: "local", chainId: 1 }))
+            .to.throw(`Manifest ${manifestFile} is for chain ${chainId}, not 1`);
+    });
+});
@@ -1,15 +1,13 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deriveSwapId, loadNetworks } = require("../lib");
 
-// Load deployed contract addresses
-const ADDRESSES = require('../config/addresses.json');
+// Load deployed contract addresses (config/networks.json, or ADDRESSES_FILE)
+const NETWORKS = loadNetworks();
 
 describe("FPPHTLC Cross-Chain Tests", function () {
-    // Network Configuration
-    const DEFAULT_PRIVATE_KEY_ALICE = "You need to fill in your own private key";
-    const DEFAULT_PRIVATE_KEY_BOB = "You need to fill in your own private key";
-    const DEFAULT_SEPOLIA_RPC_URL = "You need to fill in your own RPC URL";
-    const DEFAULT_BSC_TESTNET_RPC_URL = "You need to fill in your own RPC URL";
+    // Set by scripts/local-chains.js (npm run local:test), or export them to run against live testnets
+    const { PRIVATE_KEY_ALICE, PRIVATE_KEY_BOB, SEPOLIA_RPC_URL, BSC_TESTNET_RPC_URL } = process.env;
 
     // Test participants
     let sepoliaAlice;
@@ -34,28 +32,34 @@ describe("FPPHTLC Cross-Chain Tests", function () {
     let timelock;
 
     before(async function () {
+        // Only runs against the local chains or live testnets, not in a plain `npm test`
+        const deployed = [NETWORKS.sepolia, NETWORKS.bscTestnet].every(({ addresses }) => addresses.FPPHTLC);
+        if (!PRIVATE_KEY_ALICE || !PRIVATE_KEY_BOB || !SEPOLIA_RPC_URL || !BSC_TESTNET_RPC_URL || !deployed) {
+            this.skip();
+        }
+
         // Set timeout for tests
         this.timeout(60000); // 60 seconds
 
         // Get providers
-        const sepoliaProvider = new ethers.providers.JsonRpcProvider(DEFAULT_SEPOLIA_RPC_URL);
-        const bscProvider = new ethers.providers.JsonRpcProvider(DEFAULT_BSC_TESTNET_RPC_URL);
+        const sepoliaProvider = new ethers.providers.JsonRpcProvider(SEPOLIA_RPC_URL);
+        const bscProvider = new ethers.providers.JsonRpcProvider(BSC_TESTNET_RPC_URL);
 
         // Create wallets
-        sepoliaAlice = new ethers.Wallet(DEFAULT_PRIVATE_KEY_ALICE, sepoliaProvider);
-        sepoliaBob = new ethers.Wallet(DEFAULT_PRIVATE_KEY_BOB, sepoliaProvider);
-        bscAlice = new ethers.Wallet(DEFAULT_PRIVATE_KEY_ALICE, bscProvider);
-        bscBob = new ethers.Wallet(DEFAULT_PRIVATE_KEY_BOB, bscProvider);
+        sepoliaAlice = new ethers.Wallet(PRIVATE_KEY_ALICE, sepoliaProvider);
+        sepoliaBob = new ethers.Wallet(PRIVATE_KEY_BOB, sepoliaProvider);
+        bscAlice = new ethers.Wallet(PRIVATE_KEY_ALICE, bscProvider);
+        bscBob = new ethers.Wallet(PRIVATE_KEY_BOB, bscProvider);
 
         // Get contract factories
         const FPPHTLC = await ethers.getContractFactory("FPPHTLC");
         const TokenMock = await ethers.getContractFactory("contracts/mocks/ERC20Mock.sol:ERC20Mock");
 
-        // Attach to deployed contracts
-        sepoliaFPPHTLC = FPPHTLC.attach(ADDRESSES.sepolia.FPPHTLC);
-        bscFPPHTLC = FPPHTLC.attach(ADDRESSES.bscTestnet.FPPHTLC);
-        sepoliaTokenA = TokenMock.attach(ADDRESSES.sepolia.TokenA);
-        bscTokenB = TokenMock.attach(ADDRESSES.bscTestnet.TokenB);
+        // Attach to deployed contracts (reads go to each contract's own chain)
+        sepoliaFPPHTLC = FPPHTLC.attach(NETWORKS.sepolia.addresses.FPPHTLC).connect(sepoliaProvider);
+        bscFPPHTLC = FPPHTLC.attach(NETWORKS.bscTestnet.addresses.FPPHTLC).connect(bscProvider);
+        sepoliaTokenA = TokenMock.attach(NETWORKS.sepolia.addresses.TokenA).connect(sepoliaProvider);
+        bscTokenB = TokenMock.attach(NETWORKS.bscTestnet.addresses.TokenB).connect(bscProvider);
 
         // Set timelock
         timelock = Math.floor(Date.now() / 1000) + CONFIG.TIMELOCK_DURATION;
@@ -63,13 +67,13 @@ describe("FPPHTLC Cross-Chain Tests", function () {
         console.log("\nTest Configuration:");
         console.log("===================");
         console.log("Networks:");
-        console.log("- Sepolia RPC:", DEFAULT_SEPOLIA_RPC_URL);
-        console.log("- BSC Testnet RPC:", DEFAULT_BSC_TESTNET_RPC_URL);
+        console.log("- Sepolia RPC:", SEPOLIA_RPC_URL);
+        console.log("- BSC Testnet RPC:", BSC_TESTNET_RPC_URL);
         console.log("\nContracts:");
-        console.log("- Sepolia FPPHTLC:", ADDRESSES.sepolia.FPPHTLC);
-        console.log("- BSC FPPHTLC:", ADDRESSES.bscTestnet.FPPHTLC);
-        console.log("- Sepolia Token A:", ADDRESSES.sepolia.TokenA);
-        console.log("- BSC Token B:", ADDRESSES.bscTestnet.TokenB);
+        console.log("- Sepolia FPPHTLC:", NETWORKS.sepolia.addresses.FPPHTLC);
+        console.log("- BSC FPPHTLC:", NETWORKS.bscTestnet.addresses.FPPHTLC);
+        console.log("- Sepolia Token A:", NETWORKS.sepolia.addresses.TokenA);
+        console.log("- BSC Token B:", NETWORKS.bscTestnet.addresses.TokenB);
         console.log("\nAccounts:");
         console.log("- Alice Sepolia:", sepoliaAlice.address);
         console.log("- Bob Sepolia:", sepoliaBob.address);
@@ -86,6 +90,8 @@ describe("FPPHTLC Cross-Chain Tests", function () {
         let combinedHashBob;
         let swapId;
         let bobSwapId;
+        let aliceLockId;
+        let bobLockId;
 
         beforeEach(async function () {
             // Generate secrets and hashes
@@ -137,6 +143,10 @@ describe("FPPHTLC Cross-Chain Tests", function () {
                     ["cross_chain_swap", Date.now(), "bsc"]
                 )
             );
+
+            // On-chain ids: each client id is namespaced by the account that locks it
+            aliceLockId = deriveSwapId(sepoliaAlice.address, swapId);
+            bobLockId = deriveSwapId(bscBob.address, bobSwapId);
         });
 
         it("should successfully complete cross-chain atomic swap", async function () {
@@ -172,7 +182,7 @@ describe("FPPHTLC Cross-Chain Tests", function () {
                 )
             ).to.emit(sepoliaFPPHTLC, "SwapInitiated")
                 .withArgs(
-                    swapId,
+                    aliceLockId,
                     sepoliaAlice.address,
                     sepoliaBob.address,
                     sepoliaTokenA.address,
@@ -195,7 +205,7 @@ describe("FPPHTLC Cross-Chain Tests", function () {
                 )
             ).to.emit(bscFPPHTLC, "SwapInitiated")
                 .withArgs(
-                    bobSwapId,
+                    bobLockId,
                     bscBob.address,
                     bscAlice.address,
                     bscTokenB.address,
@@ -209,8 +219,8 @@ describe("FPPHTLC Cross-Chain Tests", function () {
             console.log("\nStep 2: Verifying Locks");
             console.log("------------------------");
 
-            const sepoliaSwap = await sepoliaFPPHTLC.getSwap(swapId);
-            const bscSwap = await bscFPPHTLC.getSwap(bobSwapId);
+            const sepoliaSwap = await sepoliaFPPHTLC.getSwap(aliceLockId);
+            const bscSwap = await bscFPPHTLC.getSwap(bobLockId);
 
             expect(sepoliaSwap.isActive).to.be.true;
             expect(bscSwap.isActive).to.be.true;
@@ -222,15 +232,15 @@ describe("FPPHTLC Cross-Chain Tests", function () {
 
             console.log("Bob claiming TokenA on Sepolia...");
             await expect(
-                sepoliaFPPHTLC.connect(sepoliaBob).claimFunds(swapId, secretA, secretB)
+                sepoliaFPPHTLC.connect(sepoliaBob).claimFunds(aliceLockId, secretA, secretB)
             ).to.emit(sepoliaFPPHTLC, "SwapClaimed")
-                .withArgs(swapId, sepoliaBob.address);
+                .withArgs(aliceLockId, sepoliaBob.address);
 
             console.log("Alice claiming TokenB on BSC...");
             await expect(
-                bscFPPHTLC.connect(bscAlice).claimFunds(bobSwapId, secretB, secretA)
+                bscFPPHTLC.connect(bscAlice).claimFunds(bobLockId, secretB, secretA)
             ).to.emit(bscFPPHTLC, "SwapClaimed")
-                .withArgs(bobSwapId, bscAlice.address);
+                .withArgs(bobLockId, bscAlice.address);
 
             // Step 4: Verify final balances
             console.log("\nStep 4: Verifying Final Balances");
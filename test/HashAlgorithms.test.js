@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    SwapClient, FppSwapClient, CounterpartyVerifier, HashAlgorithm, hashSecret, combineHashes, generateHashlock,
+    paymentHashFromInvoice
+} = require("../lib");
+const { loadSwapFixture } = require("./fixtures");
+
+describe("Hash algorithms", function () {
+    const AMOUNT = ethers.utils.parseEther("1");
+    const HOUR = 3600;
+
+    // Example invoice from the BOLT-11 specification and its payment hash
+    const INVOICE = "lnbc1pvjluezpp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqdpl2pkx2ctnv5sxxmmwwd5kgetjyp" +
+        "eh2ursdae8g6twvus8g6rfwvs8qun0dfjkxaq8rkx3yf5tcsyz3d73gafnh3cax9rn449d9p5uxz9ezhhypd0elx87sjle52x86fux2" +
+        "ypatgddc6k63n7erqz25le42c4u4ecky03ylcqca784w";
+    const INVOICE_PAYMENT_HASH = "0x0001020304050607080900010203040506070809000102030405060708090102";
+
+    // SHA-256 of an all-zero 32-byte preimage
+    const ZERO_PREIMAGE = ethers.constants.HashZero;
+    const ZERO_PAYMENT_HASH = "0x66687aadf862bd776c8fc18b8e9f8e20089714856ee233b3902a591d0d5f2925";
+
+    let alice;
+    let bob;
+    let htlc;
+    let fpphtlc;
+    let tokenA;
+    let tokenB;
+
+    beforeEach(async function () {
+        ({ htlc, fpphtlc, tokenA, tokenB } = await loadSwapFixture());
+        [alice, bob] = await ethers.getSigners();
+
+        await tokenB.transfer(bob.address, ethers.utils.parseEther("100"));
+    });
+
+    it("should match BOLT-11 payment hashes", function () {
+        expect(paymentHashFromInvoice(INVOICE)).to.equal(INVOICE_PAYMENT_HASH);
+        expect(paymentHashFromInvoice(`lightning:${INVOICE.toUpperCase()}`)).to.equal(INVOICE_PAYMENT_HASH);
+        expect(() => paymentHashFromInvoice(INVOICE.slice(0, -1) + "q")).to.throw("Invalid invoice checksum");
+
+        expect(hashSecret(ZERO_PREIMAGE, HashAlgorithm.SHA256)).to.equal(ZERO_PAYMENT_HASH);
+        expect(hashSecret(ZERO_PREIMAGE)).to.equal(ethers.utils.keccak256(ZERO_PREIMAGE));
+
+        const { secret, hashlock } = generateHashlock(HashAlgorithm.SHA256);
+        expect(hashlock).to.equal(ethers.utils.sha256(secret));
+        expect(() => hashSecret(secret, "md5")).to.throw("Unsupported hash algorithm md5");
+    });
+
+    it("should lock HTLC swaps under a Lightning payment hash and claim them with the preimage", async function () {
+        const aliceClient = new SwapClient(htlc, alice);
+        const bobClient = new SwapClient(htlc, bob);
+
+        // Locking against an invoice only needs its payment hash
+        const invoiceSwap = await bobClient.prepareSwap({
+            recipient: alice.address, token: tokenB.address, amount: AMOUNT, timelockDuration: HOUR,
+            hashlock: paymentHashFromInvoice(INVOICE), hashAlgorithm: HashAlgorithm.SHA256
+        });
+        await bobClient.lock(invoiceSwap, { approve: true });
+        expect(await bobClient.getStatus(invoiceSwap.swapId)).to.include({
+            hashlock: INVOICE_PAYMENT_HASH, hashAlgorithm: HashAlgorithm.SHA256
+        });
+
+        const aliceSwap = await aliceClient.prepareSwap({
+            recipient: bob.address, token: tokenA.address, amount: AMOUNT, timelockDuration: 2 * HOUR,
+            hashAlgorithm: HashAlgorithm.SHA256
+        });
+        expect(aliceSwap.hashlock).to.equal(ethers.utils.sha256(aliceSwap.secret));
+        const bobSwap = await bobClient.prepareSwap({
+            recipient: alice.address, token: tokenB.address, amount: AMOUNT, timelockDuration: HOUR,
+            hashlock: aliceSwap.hashlock, hashAlgorithm: HashAlgorithm.SHA256
+        });
+        await aliceClient.lock(aliceSwap, { approve: true });
+        await bobClient.lock(bobSwap, { approve: true });
+        let permitError;
+        try {
+            await bobClient.lock(bobSwap, { permit: true });
+        } catch (error) {
+            permitError = error;
+        }
+        expect(permitError.message).to.equal("Permit locks only support keccak256 swaps");
+
+        // The verifier expects keccak256 unless told otherwise, so Alice never claims against an unagreed algorithm
+        const verifier = new CounterpartyVerifier(new SwapClient(htlc, alice), { minTimelockGap: 60 });
+        const expected = {
+            initiator: bob.address, recipient: alice.address, token: tokenB.address, amount: AMOUNT,
+            hashlock: aliceSwap.hashlock, ownTimelock: aliceSwap.timelock
+        };
+        const { reasons } = await verifier.check(bobSwap.swapId, expected);
+        expect(reasons).to.deep.equal(["Hash algorithm is sha256, expected keccak256"]);
+        await verifier.verify(bobSwap.swapId, { ...expected, hashAlgorithm: HashAlgorithm.SHA256 });
+
+        await expect(htlc.connect(alice).claimFunds(bobSwap.swapId, aliceSwap.secret)).to.be.revertedWith("Invalid secret");
+        await aliceClient.claimWithPreimage(bobSwap.swapId, aliceSwap.secret);
+
+        // The preimage is revealed as a hex string, which Bob passes straight back
+        const { revealedSecret } = await bobClient.getStatus(bobSwap.swapId);
+        expect(revealedSecret).to.equal(aliceSwap.secret);
+        await bobClient.claimWithPreimage(aliceSwap.swapId, revealedSecret);
+
+        expect(await tokenA.balanceOf(bob.address)).to.equal(AMOUNT);
+        expect(await tokenB.balanceOf(alice.address)).to.equal(ethers.utils.parseEther("901"));
+    });
+
+    it("should not let a refunded HTLC swapId be locked again under another algorithm", async function () {
+        const aliceClient = new SwapClient(htlc, alice);
+        const { secret, hashlock } = generateHashlock(HashAlgorithm.SHA256);
+        const swap = await aliceClient.prepareSwap({
+            recipient: bob.address, token: tokenA.address, amount: AMOUNT, secret,
+            hashAlgorithm: HashAlgorithm.SHA256, timelockDuration: HOUR
+        });
+        await aliceClient.lock(swap, { approve: true });
+        await time.increase(HOUR + 1);
+        await aliceClient.refund(swap.swapId);
+
+        // Relocking would pair the old sha256 entry with a keccak256 hashlock
+        const relock = await aliceClient.prepareSwap({
+            recipient: bob.address, token: tokenA.address, amount: AMOUNT, hashlock,
+            clientSwapId: swap.clientSwapId, timelockDuration: HOUR
+        });
+        await tokenA.approve(htlc.address, AMOUNT);
+        await expect(aliceClient.lock(relock)).to.be.revertedWith("Swap already exists");
+        expect((await aliceClient.getStatus(swap.swapId)).hashAlgorithm).to.equal(HashAlgorithm.SHA256);
+    });
+
+    it("should hash FPPHTLC secrets and combined hashes with sha256", async function () {
+        const alicePair = generateHashlock(HashAlgorithm.SHA256);
+        const bobPair = generateHashlock(HashAlgorithm.SHA256);
+        const aliceClient = new FppSwapClient(fpphtlc, alice);
+        const bobClient = new FppSwapClient(fpphtlc, bob);
+
+        const aliceSwap = await aliceClient.prepareSwap({
+            recipient: bob.address, token: tokenA.address, amount: AMOUNT, secret: alicePair.secret,
+            counterpartyHash: bobPair.hashlock, hashAlgorithm: HashAlgorithm.SHA256, timelockDuration: 2 * HOUR
+        });
+        expect(aliceSwap.secretHash).to.equal(alicePair.hashlock);
+        expect(aliceSwap.combinedHash).to.equal(ethers.utils.sha256(ethers.utils.concat([alicePair.hashlock, bobPair.hashlock])));
+        expect(aliceSwap.combinedHash).to.equal(combineHashes(alicePair.hashlock, bobPair.hashlock, HashAlgorithm.SHA256));
+        await aliceClient.lock(aliceSwap, { approve: true });
+
+        // Same commitment value, locked as keccak256: sha256 secrets no longer open it
+        const keccakSwap = await aliceClient.prepareSwap({
+            recipient: bob.address, token: tokenA.address, amount: AMOUNT, secret: alicePair.secret,
+            counterpartyHash: bobPair.hashlock, hashAlgorithm: HashAlgorithm.SHA256, timelockDuration: 2 * HOUR
+        });
+        await aliceClient.lock({ ...keccakSwap, hashAlgorithm: HashAlgorithm.KECCAK256 }, { approve: true });
+        expect(await bobClient.verifySecrets(keccakSwap.swapId, alicePair.secret, bobPair.secret)).to.equal(false);
+
+        expect(await bobClient.verifySecrets(aliceSwap.swapId, alicePair.secret, bobPair.secret)).to.equal(true);
+        expect((await bobClient.getStatus(aliceSwap.swapId)).hashAlgorithm).to.equal(HashAlgorithm.SHA256);
+        await bobClient.claim(aliceSwap.swapId, alicePair.secret, bobPair.secret);
+        expect(await tokenA.balanceOf(bob.address)).to.equal(AMOUNT);
+    });
+});
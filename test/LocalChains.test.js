@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startLocalChains } = require("../scripts/local-chains");
+const { expectedContracts } = require("../scripts/check-parity");
+const { SwapClient, checkBytecodeParity } = require("../lib");
+
+describe("Local two-chain environment", function () {
+    const CHAINS = {
+        sepolia: { chainId: 31337, port: 0, blockTime: 12 },
+        bscTestnet: { chainId: 31397, port: 0, blockTime: 3 }
+    };
+
+    let local;
+    let addressesFile;
+
+    before(async function () {
+        addressesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "local-chains-")), "addresses.json");
+        local = await startLocalChains(CHAINS, { addressesFile });
+    });
+
+    after(async function () {
+        if (local) await local.close();
+    });
+
+    it("should serve each chain with its own chain ID and deployed contracts", async function () {
+        expect(JSON.parse(fs.readFileSync(addressesFile))).to.deep.equal(local.addresses);
+
+        for (const [name, { chainId }] of Object.entries(CHAINS)) {
+            const provider = new ethers.providers.JsonRpcProvider(local.chains[name].rpcUrl);
+            expect((await provider.getNetwork()).chainId).to.equal(chainId);
+            for (const address of Object.values(local.addresses[name])) {
+                expect(await provider.getCode(address)).to.not.equal("0x");
+            }
+        }
+        expect(local.addresses.bscTestnet).to.deep.equal(local.addresses.sepolia);
+        expect(local.env.SEPOLIA_RPC_URL).to.equal(local.chains.sepolia.rpcUrl);
+        expect(local.env.BSC_TESTNET_RPC_URL).to.equal(local.chains.bscTestnet.rpcUrl);
+        expect(local.env.ADDRESSES_FILE).to.equal(addressesFile);
+    });
+
+    it("should deploy the same bytecode to both chains", async function () {
+        const providers = Object.fromEntries(Object.keys(CHAINS).map((name) =>
+            [name, new ethers.providers.JsonRpcProvider(local.chains[name].rpcUrl)]));
+        // local-chains.js deploys as Alice, who becomes the fee admin
+        const feeAdmin = ethers.utils.computeAddress(local.env.PRIVATE_KEY_ALICE);
+        const results = await checkBytecodeParity(providers, await expectedContracts(undefined, feeAdmin));
+        for (const [name, { address, match }] of Object.entries(results)) {
+            expect(address).to.equal(local.addresses.sepolia[name]);
+            expect(match).to.equal(true);
+        }
+    });
+
+    it("should let Alice and Bob swap across the two chains with the exported keys", async function () {
+        const connect = (name, key) =>
+            new ethers.Wallet(key, new ethers.providers.JsonRpcProvider(local.chains[name].rpcUrl));
+        const sepoliaAlice = connect("sepolia", local.env.PRIVATE_KEY_ALICE);
+        const sepoliaBob = connect("sepolia", local.env.PRIVATE_KEY_BOB);
+        const bscAlice = connect("bscTestnet", local.env.PRIVATE_KEY_ALICE);
+        const bscBob = connect("bscTestnet", local.env.PRIVATE_KEY_BOB);
+
+        const HTLC = await ethers.getContractFactory("HTLC");
+        const ERC20Mock = await ethers.getContractFactory("contracts/mocks/ERC20Mock.sol:ERC20Mock");
+        const sepoliaHTLC = HTLC.attach(local.addresses.sepolia.HTLC);
+        const bscHTLC = HTLC.attach(local.addresses.bscTestnet.HTLC);
+        const bscTokenB = ERC20Mock.attach(local.addresses.bscTestnet.TokenB).connect(bscAlice);
+        const amount = ethers.utils.parseEther("1");
+
+        const aliceClient = new SwapClient(sepoliaHTLC, sepoliaAlice);
+        const bobClient = new SwapClient(bscHTLC, bscBob);
+        const aliceSwap = await aliceClient.prepareSwap({
+            recipient: sepoliaBob.address, token: local.addresses.sepolia.TokenA, amount, timelockDuration: 7200
+        });
+        const bobSwap = await bobClient.prepareSwap({
+            recipient: bscAlice.address, token: bscTokenB.address, amount,
+            hashlock: aliceSwap.hashlock, timelockDuration: 3600
+        });
+        await aliceClient.lock(aliceSwap);
+        await bobClient.lock(bobSwap);
+
+        const aliceTokenBBefore = await bscTokenB.balanceOf(bscAlice.address);
+        await new SwapClient(bscHTLC, bscAlice).claim(bobSwap.swapId, aliceSwap.secret);
+        await new SwapClient(sepoliaHTLC, sepoliaBob).claim(aliceSwap.swapId, aliceSwap.secret);
+
+        expect(await bscTokenB.balanceOf(bscAlice.address)).to.equal(aliceTokenBBefore.add(amount));
+        expect((await new SwapClient(sepoliaHTLC, sepoliaBob).getStatus(aliceSwap.swapId)).revealedSecret)
+            .to.equal(aliceSwap.secret);
+    });
+});
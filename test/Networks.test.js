@@ -0,0 +1,107 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    loadNetworks, readRegistry, gasSettings, saveNetworkAddresses, addHexPrefix, connectNetwork, buildNetworks, NETWORK_TIMING
+} = require("../lib");
+
+describe("Network registry", function () {
+    const HTLC = "0x1000000000000000000000000000000000000001";
+    const TOKEN_A = "0x2000000000000000000000000000000000000002";
+
+    let registryFile;
+
+    beforeEach(function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "networks-"));
+        registryFile = path.join(dir, "networks.json");
+        fs.writeFileSync(registryFile, JSON.stringify({
+            ...readRegistry(),
+            // A third network is only a registry entry
+            polygonAmoy: {
+                name: "Polygon Amoy", chainId: 80002, rpcUrlEnv: "AMOY_RPC_URL", envPrefix: "AMOY", nativeCurrency: "POL",
+                blockTime: 2, confirmations: 32, networkDelay: 2,
+                gas: { type: "eip1559", maxFeePerGas: "60000000000", maxPriorityFeePerGas: "30000000000" },
+                addresses: { HTLC }
+            }
+        }));
+    });
+
+    it("should resolve RPC URLs and addresses from the environment and the addresses file", function () {
+        const addressesFile = path.join(path.dirname(registryFile), "addresses.json");
+        fs.writeFileSync(addressesFile, JSON.stringify({ sepolia: { HTLC } }));
+
+        const networks = loadNetworks({
+            file: registryFile, addressesFile, env: { AMOY_RPC_URL: "http://amoy", AMOY_TOKEN_A: TOKEN_A }
+        });
+        expect(Object.keys(networks)).to.deep.equal(["sepolia", "bscTestnet", "polygonAmoy"]);
+        expect(networks.polygonAmoy).to.include({ key: "polygonAmoy", rpcUrl: "http://amoy", chainId: 80002 });
+        expect(networks.polygonAmoy.addresses).to.deep.equal({ HTLC, TokenA: TOKEN_A });
+        expect(networks.sepolia.addresses).to.deep.equal({ HTLC });
+        expect(networks.bscTestnet.rpcUrl).to.equal(undefined);
+
+        // BSC Testnet keeps its address variables from before the registry
+        const { bscTestnet } = loadNetworks({
+            file: registryFile, env: { BSC_TESTNET_HTLC: HTLC, BSC_TOKEN_A: TOKEN_A }
+        });
+        expect(bscTestnet.addresses).to.deep.equal({ HTLC });
+        expect(gasSettings(bscTestnet, { GAS_PRICE_BSC: "5000000000" })).to.deep.equal({ gasPrice: "5000000000" });
+    });
+
+    it("should apply each network's gas policy", function () {
+        const { sepolia, polygonAmoy } = loadNetworks({ file: registryFile, env: {} });
+        expect(gasSettings(sepolia, {})).to.deep.equal({ gasPrice: "3000000000" });
+        expect(gasSettings(sepolia, { GAS_PRICE_SEPOLIA: "5000000000" })).to.deep.equal({ gasPrice: "5000000000" });
+        expect(gasSettings(polygonAmoy, {})).to.deep.equal({
+            maxFeePerGas: "60000000000", maxPriorityFeePerGas: "30000000000"
+        });
+        expect(() => gasSettings({ ...sepolia, gas: { type: "priority" } })).to.throw("Unknown gas policy priority for Sepolia");
+    });
+
+    it("should record deployments and feed the timelock planner", function () {
+        saveNetworkAddresses("bscTestnet", { HTLC }, registryFile);
+        expect(readRegistry(registryFile).bscTestnet.addresses).to.deep.equal({ HTLC });
+        expect(() => saveNetworkAddresses("mainnet", { HTLC }, registryFile)).to.throw("Network mainnet is not in networks.json");
+
+        expect(NETWORK_TIMING.bscTestnet).to.deep.equal({ blockTime: 3, finalityBlocks: 20, networkDelay: 2 });
+    });
+
+    it("should connect wallets and contracts on every usable network", async function () {
+        // Hardhat's first two development accounts
+        const keys = [
+            "ac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80",
+            "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d"
+        ];
+        expect(addHexPrefix(keys[0])).to.equal(`0x${keys[0]}`);
+        expect(addHexPrefix(keys[1])).to.equal(keys[1]);
+
+        const { provider, signers } = connectNetwork({ rpcUrl: "http://127.0.0.1:8545" }, keys);
+        expect(provider.connection.url).to.equal("http://127.0.0.1:8545");
+        expect(signers.map((signer) => signer.provider)).to.deep.equal([provider, provider]);
+
+        // Sepolia has no RPC URL and BSC Testnet no FPPHTLC, so only Amoy is built
+        const registry = loadNetworks({
+            file: registryFile,
+            env: { AMOY_RPC_URL: "http://amoy", AMOY_FPPHTLC: TOKEN_A, BSC_TESTNET_RPC_URL: "http://bsc", BSC_TESTNET_HTLC: HTLC }
+        });
+        const factories = {
+            HTLC: await ethers.getContractFactory("HTLC"),
+            FPPHTLC: await ethers.getContractFactory("FPPHTLC")
+        };
+        const networks = buildNetworks(registry, { factories, privateKeys: keys });
+        expect(Object.keys(networks)).to.deep.equal(["polygonAmoy"]);
+
+        const { htlc, fpphtlc, signer, signers: [alice, bob] } = networks.polygonAmoy;
+        expect([htlc.address, fpphtlc.address]).to.deep.equal([HTLC, TOKEN_A]);
+        expect(signer).to.equal(alice);
+        expect(htlc.signer).to.equal(alice);
+        expect(bob.address).to.equal(ethers.utils.computeAddress(keys[1]));
+
+        // Without keys the contracts are read-only
+        const readOnly = buildNetworks(registry, { factories }).polygonAmoy;
+        expect(readOnly.signers).to.deep.equal([]);
+        expect(readOnly.fpphtlc.provider).to.equal(readOnly.provider);
+        expect(readOnly.fpphtlc.signer).to.equal(null);
+    });
+});
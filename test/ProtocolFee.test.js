@@ -0,0 +1,205 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { SwapClient, FppSwapClient, NATIVE_TOKEN, hashSecret } = require("../lib");
+const { loadSwapFixture } = require("./fixtures");
+
+describe("Protocol fee", function () {
+    const AMOUNT = ethers.utils.parseEther("1");
+    const TIMELOCK_DURATION = 3600;
+
+    let alice;
+    let bob;
+    let treasury;
+    let mallory;
+    let htlc;
+    let fpphtlc;
+    let tokenA;
+    let tokenB;
+
+    beforeEach(async function () {
+        ({ htlc, fpphtlc, tokenA, tokenB } = await loadSwapFixture());
+        [alice, bob, treasury, mallory] = await ethers.getSigners();
+
+        for (const contract of [htlc, fpphtlc]) {
+            await contract.setTreasury(treasury.address);
+        }
+    });
+
+    async function lockHTLC(token = tokenA) {
+        const client = new SwapClient(htlc, alice);
+        const swap = await client.prepareSwap({
+            recipient: bob.address, token: token.address, amount: AMOUNT, timelockDuration: TIMELOCK_DURATION
+        });
+        await client.lock(swap, { approve: true });
+        return swap;
+    }
+
+    async function lockFPPHTLC(bobSecret, token = tokenA) {
+        const client = new FppSwapClient(fpphtlc, alice);
+        const swap = await client.prepareSwap({
+            recipient: bob.address, token: token.address, amount: AMOUNT,
+            counterpartyHash: hashSecret(bobSecret), timelockDuration: TIMELOCK_DURATION
+        });
+        await client.lock(swap, { approve: true });
+        return swap;
+    }
+
+    it("should accrue the HTLC fee for the treasury on claim but not on refund", async function () {
+        await expect(htlc.setProtocolFee(30)).to.emit(htlc, "ProtocolFeeUpdated").withArgs(30);
+        const fee = AMOUNT.mul(30).div(10000);
+
+        const claimed = await lockHTLC();
+        const refunded = await lockHTLC();
+        expect((await new SwapClient(htlc).getStatus(claimed.swapId)).protocolFee).to.equal(fee);
+
+        await expect(htlc.connect(bob).claimFunds(claimed.swapId, claimed.secret))
+            .to.emit(htlc, "ProtocolFeePaid").withArgs(claimed.swapId, treasury.address, fee);
+        expect(await tokenA.balanceOf(bob.address)).to.equal(AMOUNT.sub(fee));
+        expect(await tokenA.balanceOf(treasury.address)).to.equal(0);
+        expect(await htlc.accruedFees(tokenA.address)).to.equal(fee);
+
+        await time.increase(TIMELOCK_DURATION + 1);
+        const aliceBefore = await tokenA.balanceOf(alice.address);
+        await expect(htlc.refundFunds(refunded.swapId)).to.not.emit(htlc, "ProtocolFeePaid");
+        expect(await tokenA.balanceOf(alice.address)).to.equal(aliceBefore.add(AMOUNT));
+        expect(await htlc.accruedFees(tokenA.address)).to.equal(fee);
+
+        // Anyone can trigger the withdrawal; the fees still go to the treasury
+        await expect(htlc.connect(mallory).withdrawFees(tokenA.address))
+            .to.emit(htlc, "FeesWithdrawn").withArgs(tokenA.address, treasury.address, fee);
+        expect(await tokenA.balanceOf(treasury.address)).to.equal(fee);
+        expect(await tokenA.balanceOf(htlc.address)).to.equal(0);
+        await expect(htlc.withdrawFees(tokenA.address)).to.be.revertedWith("No fees accrued");
+    });
+
+    it("should apply FPPHTLC per-token overrides and keep the rate a swap was locked with", async function () {
+        await fpphtlc.setProtocolFee(50);
+        await expect(fpphtlc.setTokenFee(tokenB.address, 0))
+            .to.emit(fpphtlc, "TokenFeeUpdated").withArgs(tokenB.address, true, 0);
+        await fpphtlc.setTokenFee(NATIVE_TOKEN, 100);
+        expect(await fpphtlc.protocolFeeFor(tokenA.address)).to.equal(50);
+        expect(await fpphtlc.protocolFeeFor(tokenB.address)).to.equal(0);
+        expect(await fpphtlc.protocolFeeFor(NATIVE_TOKEN)).to.equal(100);
+
+        const bobSecret = ethers.utils.formatBytes32String("bob");
+        const swapA = await lockFPPHTLC(bobSecret);
+        const swapB = await lockFPPHTLC(bobSecret, tokenB);
+
+        // Raising the fee and dropping the override only affect later locks
+        await fpphtlc.setProtocolFee(1000);
+        await expect(fpphtlc.clearTokenFee(tokenB.address))
+            .to.emit(fpphtlc, "TokenFeeUpdated").withArgs(tokenB.address, false, 0);
+        expect(await fpphtlc.protocolFeeFor(tokenB.address)).to.equal(1000);
+
+        const fee = AMOUNT.mul(50).div(10000);
+        await expect(fpphtlc.connect(bob).claimFunds(swapA.swapId, swapA.secret, bobSecret))
+            .to.emit(fpphtlc, "ProtocolFeePaid").withArgs(swapA.swapId, treasury.address, fee);
+        await expect(fpphtlc.connect(bob).claimFunds(swapB.swapId, swapB.secret, bobSecret))
+            .to.not.emit(fpphtlc, "ProtocolFeePaid");
+        expect(await tokenA.balanceOf(bob.address)).to.equal(AMOUNT.sub(fee));
+        expect(await tokenB.balanceOf(bob.address)).to.equal(AMOUNT);
+        expect(await fpphtlc.accruedFees(tokenA.address)).to.equal(fee);
+        expect(await fpphtlc.accruedFees(tokenB.address)).to.equal(0);
+
+        await expect(fpphtlc.withdrawFees(tokenA.address))
+            .to.emit(fpphtlc, "FeesWithdrawn").withArgs(tokenA.address, treasury.address, fee);
+        expect(await tokenA.balanceOf(treasury.address)).to.equal(fee);
+        await expect(fpphtlc.withdrawFees(tokenB.address)).to.be.revertedWith("No fees accrued");
+    });
+
+    it("should charge the rate of the lock, not of an earlier lock under the same swapId", async function () {
+        await htlc.setProtocolFee(500);
+        const refunded = await lockHTLC();
+        expect(await htlc.protocolFeeOf(refunded.swapId)).to.equal(AMOUNT.mul(500).div(10000));
+        await time.increase(TIMELOCK_DURATION + 1);
+        await htlc.refundFunds(refunded.swapId);
+
+        await htlc.setProtocolFee(0);
+        const client = new SwapClient(htlc, alice);
+        const relock = await client.prepareSwap({
+            recipient: bob.address, token: tokenA.address, amount: AMOUNT,
+            clientSwapId: refunded.clientSwapId, timelockDuration: TIMELOCK_DURATION
+        });
+        await tokenA.approve(htlc.address, AMOUNT);
+        await expect(client.lock(relock)).to.be.revertedWith("Swap already exists");
+
+        const swap = await lockHTLC();
+        expect(await htlc.swapFeeBps(swap.swapId)).to.equal(0);
+        await expect(htlc.connect(bob).claimFunds(swap.swapId, swap.secret)).to.not.emit(htlc, "ProtocolFeePaid");
+        expect(await tokenA.balanceOf(bob.address)).to.equal(AMOUNT);
+    });
+
+    it("should take both the relayer and the protocol fee from a relayed claim", async function () {
+        await htlc.setProtocolFee(100);
+        const relayerFee = ethers.utils.parseEther("0.01");
+        const protocolFee = AMOUNT.div(100);
+
+        const swap = await lockHTLC();
+        const auth = await new SwapClient(htlc, bob).signClaim(swap.swapId, { fee: relayerFee });
+        await htlc.connect(mallory).claimFundsBySig(swap.swapId, swap.secret, auth);
+
+        expect(await tokenA.balanceOf(bob.address)).to.equal(AMOUNT.sub(relayerFee).sub(protocolFee));
+        expect(await tokenA.balanceOf(mallory.address)).to.equal(relayerFee);
+        expect(await htlc.accruedFees(tokenA.address)).to.equal(protocolFee);
+    });
+
+    it("should not let a treasury that cannot receive block claims", async function () {
+        const rejecter = await (await ethers.getContractFactory("EtherRejecter")).deploy();
+        const bobSecret = ethers.utils.formatBytes32String("bob");
+
+        for (const contract of [htlc, fpphtlc]) {
+            await contract.setTreasury(rejecter.address);
+            await contract.setProtocolFee(100);
+            const fee = AMOUNT.div(100);
+
+            const client = contract === htlc ? new SwapClient(htlc, alice) : new FppSwapClient(fpphtlc, alice);
+            const swap = await client.prepareSwap({
+                recipient: bob.address, token: NATIVE_TOKEN, amount: AMOUNT, timelockDuration: TIMELOCK_DURATION,
+                ...(contract === fpphtlc && { counterpartyHash: hashSecret(bobSecret) })
+            });
+            await client.lock(swap);
+
+            const claim = contract === htlc
+                ? htlc.connect(bob).claimFunds(swap.swapId, swap.secret)
+                : fpphtlc.connect(bob).claimFunds(swap.swapId, swap.secret, bobSecret);
+            await expect(claim).to.emit(contract, "ProtocolFeePaid").withArgs(swap.swapId, rejecter.address, fee);
+            expect(await ethers.provider.getBalance(contract.address)).to.equal(fee);
+
+            // The fees wait in the contract until the treasury can take them
+            await expect(contract.withdrawFees(NATIVE_TOKEN)).to.be.revertedWith("Transfer failed");
+            expect(await contract.accruedFees(NATIVE_TOKEN)).to.equal(fee);
+            await contract.setTreasury(treasury.address);
+            await expect(() => contract.withdrawFees(NATIVE_TOKEN)).to.changeEtherBalance(treasury, fee);
+            expect(await contract.accruedFees(NATIVE_TOKEN)).to.equal(0);
+        }
+    });
+
+    it("should restrict fee settings to the fee admin", async function () {
+        const HTLC = await ethers.getContractFactory("HTLC");
+        await expect(HTLC.deploy(ethers.constants.AddressZero)).to.be.revertedWith("Invalid fee admin");
+
+        for (const contract of [htlc, fpphtlc]) {
+            await expect(contract.connect(mallory).setProtocolFee(10)).to.be.revertedWith("Only fee admin");
+            await expect(contract.connect(mallory).setTokenFee(tokenA.address, 10)).to.be.revertedWith("Only fee admin");
+            await expect(contract.connect(mallory).clearTokenFee(tokenA.address)).to.be.revertedWith("Only fee admin");
+            await expect(contract.connect(mallory).setTreasury(mallory.address)).to.be.revertedWith("Only fee admin");
+            await expect(contract.connect(mallory).transferFeeAdmin(mallory.address)).to.be.revertedWith("Only fee admin");
+            await expect(contract.setProtocolFee(1001)).to.be.revertedWith("Fee too high");
+            await expect(contract.setTreasury(ethers.constants.AddressZero)).to.be.revertedWith("Invalid treasury");
+
+            await expect(contract.setTreasury(mallory.address))
+                .to.emit(contract, "TreasuryUpdated").withArgs(treasury.address, mallory.address);
+            await expect(contract.transferFeeAdmin(bob.address))
+                .to.emit(contract, "FeeAdminTransferred").withArgs(alice.address, bob.address);
+            await expect(contract.setProtocolFee(10)).to.be.revertedWith("Only fee admin");
+            expect(await contract.feeAdmin()).to.equal(bob.address);
+        }
+
+        // A fee needs somewhere to go
+        const fresh = await HTLC.deploy(alice.address);
+        await expect(fresh.setProtocolFee(10)).to.be.revertedWith("Treasury not set");
+        await expect(fresh.setTokenFee(tokenA.address, 10)).to.be.revertedWith("Treasury not set");
+        await fresh.setTokenFee(tokenA.address, 0);
+    });
+});
@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SwapClient, FppSwapClient, SwapIndexer, JsonStateStore, hashSecret } = require("../lib");
+const { loadSwapFixture } = require("./fixtures");
+
+describe("Beneficiaries and recipient transfers", function () {
+    const AMOUNT = ethers.utils.parseEther("1");
+    const HOUR = 3600;
+
+    let alice;
+    let bob;
+    let carol;
+    let relayerSigner;
+    let htlc;
+    let fpphtlc;
+    let token;
+
+    beforeEach(async function () {
+        ({ htlc, fpphtlc, tokenA: token } = await loadSwapFixture());
+        [alice, bob, carol, relayerSigner] = await ethers.getSigners();
+    });
+
+    async function lockHTLC() {
+        const client = new SwapClient(htlc, alice);
+        const swap = await client.prepareSwap({
+            recipient: bob.address, token: token.address, amount: AMOUNT, timelockDuration: HOUR
+        });
+        await client.lock(swap, { approve: true });
+        return swap;
+    }
+
+    it("should let the HTLC recipient claim into another address", async function () {
+        const swap = await lockHTLC();
+        const bobClient = new SwapClient(htlc, bob);
+
+        await expect(htlc.connect(bob).claimFundsTo(swap.swapId, swap.secret, ethers.constants.AddressZero))
+            .to.be.revertedWith("Invalid beneficiary");
+        await expect(htlc.connect(carol).claimFundsTo(swap.swapId, swap.secret, carol.address))
+            .to.be.revertedWith("Only recipient can claim");
+
+        await expect(htlc.connect(bob).claimFundsTo(swap.swapId, swap.secret, carol.address))
+            .to.emit(htlc, "SwapClaimedTo")
+            .withArgs(swap.swapId, bob.address, carol.address);
+        expect(await token.balanceOf(carol.address)).to.equal(AMOUNT);
+        expect(await token.balanceOf(bob.address)).to.equal(0);
+        expect((await bobClient.getStatus(swap.swapId)).revealedSecret).to.equal(swap.secret);
+    });
+
+    it("should reassign an HTLC swap with the recipient's signature", async function () {
+        const swap = await lockHTLC();
+        const bobClient = new SwapClient(htlc, bob);
+        const relayerClient = new SwapClient(htlc, relayerSigner);
+
+        const forged = await new SwapClient(htlc, carol).signRecipientTransfer(swap.swapId, carol.address);
+        await expect(relayerClient.transferRecipient(forged)).to.be.revertedWith("Invalid signature");
+
+        const transfer = await bobClient.signRecipientTransfer(swap.swapId, carol.address);
+        await expect(relayerClient.contract.transferRecipient(swap.swapId, carol.address, transfer.deadline, transfer.signature))
+            .to.emit(htlc, "RecipientTransferred")
+            .withArgs(swap.swapId, bob.address, carol.address);
+        expect(await htlc.recipientNonces(swap.swapId)).to.equal(1);
+
+        // The signature was for nonce 0, so it cannot move the swap again
+        await expect(relayerClient.transferRecipient(transfer)).to.be.revertedWith("Invalid signature");
+        await expect(bobClient.claim(swap.swapId, swap.secret)).to.be.revertedWith("Only recipient can claim");
+
+        await new SwapClient(htlc, carol).claim(swap.swapId, swap.secret);
+        expect(await token.balanceOf(carol.address)).to.equal(AMOUNT);
+
+        const afterClaim = await new SwapClient(htlc, carol).signRecipientTransfer(swap.swapId, bob.address);
+        await expect(relayerClient.transferRecipient(afterClaim)).to.be.revertedWith("Already claimed");
+    });
+
+    it("should claim FPPHTLC swaps to a beneficiary after a transfer and index both", async function () {
+        const bobSecret = ethers.utils.formatBytes32String("bob");
+        const aliceClient = new FppSwapClient(fpphtlc, alice);
+        const swap = await aliceClient.prepareSwap({
+            recipient: bob.address, token: token.address, amount: AMOUNT,
+            counterpartyHash: hashSecret(bobSecret), timelockDuration: HOUR
+        });
+        await aliceClient.lock(swap, { approve: true });
+
+        const bobClient = new FppSwapClient(fpphtlc, bob);
+        const late = await bobClient.signRecipientTransfer(swap.swapId, carol.address, { deadline: 1 });
+        await expect(bobClient.transferRecipient(late)).to.be.revertedWith("Signature expired");
+        await bobClient.transferRecipient(await bobClient.signRecipientTransfer(swap.swapId, carol.address));
+
+        const carolClient = new FppSwapClient(fpphtlc, carol);
+        expect((await carolClient.getStatus(swap.swapId)).recipient).to.equal(carol.address);
+        await carolClient.claimTo(swap.swapId, swap.secret, bobSecret, relayerSigner.address);
+
+        const stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "state.json");
+        const indexer = new SwapIndexer({ networks: { local: { fpphtlc } }, store: new JsonStateStore(stateFile, {}) });
+        await indexer.run();
+        const indexed = indexer.getSwap("local", "fpphtlc", swap.swapId);
+        expect(indexed).to.include({ recipient: carol.address, beneficiary: relayerSigner.address, isClaimed: true });
+        expect(indexed.recipientTransfers.map((transfer) => transfer.previousRecipient)).to.deep.equal([bob.address]);
+    });
+});
@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { Relayer, createRelayerServer, SwapClient, FppSwapClient, SwapStatus, NATIVE_TOKEN, hashSecret } = require("../lib");
+const { loadSwapFixture } = require("./fixtures");
+
+describe("Gasless claims", function () {
+    const AMOUNT = ethers.utils.parseEther("1");
+    const FEE = ethers.utils.parseEther("0.01");
+    const NATIVE_FEE = ethers.utils.parseEther("0.0001");
+    const TIMELOCK_DURATION = 3600;
+
+    let alice;
+    let bob;
+    let relayerSigner;
+    let htlc;
+    let fpphtlc;
+    let token;
+    let otherToken;
+    let relayer;
+
+    beforeEach(async function () {
+        ({ htlc, fpphtlc, tokenA: token, tokenB: otherToken } = await loadSwapFixture());
+        [alice, bob, relayerSigner] = await ethers.getSigners();
+
+        const fees = { [token.address]: FEE, [NATIVE_TOKEN]: NATIVE_FEE };
+        relayer = new Relayer({ networks: { local: { htlc, fpphtlc, signer: relayerSigner, fees } } });
+    });
+
+    async function lockHTLC(tokenAddress = token.address) {
+        const client = new SwapClient(htlc, alice);
+        const swap = await client.prepareSwap({
+            recipient: bob.address, token: tokenAddress, amount: AMOUNT, timelockDuration: TIMELOCK_DURATION
+        });
+        await client.lock(swap, { approve: true });
+        return swap;
+    }
+
+    async function lockFPPHTLC(bobSecret) {
+        const client = new FppSwapClient(fpphtlc, alice);
+        const swap = await client.prepareSwap({
+            recipient: bob.address, token: token.address, amount: AMOUNT,
+            counterpartyHash: hashSecret(bobSecret), timelockDuration: TIMELOCK_DURATION
+        });
+        await client.lock(swap, { approve: true });
+        return swap;
+    }
+
+    async function expectRelayError(request, message) {
+        let error;
+        try {
+            await relayer.relay(request);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.contain(message);
+    }
+
+    it("should relay an HTLC claim without the recipient spending gas", async function () {
+        const swap = await lockHTLC();
+        const auth = await new SwapClient(htlc, bob).signClaim(swap.swapId, { fee: FEE });
+        const bobEthBefore = await bob.getBalance();
+
+        const entry = await relayer.relay({
+            network: "local", protocol: "htlc", action: "claim", swapId: swap.swapId, secret: swap.secret, auth
+        });
+
+        expect(entry.txHash).to.match(/^0x[0-9a-f]{64}$/);
+        expect(await bob.getBalance()).to.equal(bobEthBefore);
+        expect(await token.balanceOf(bob.address)).to.equal(AMOUNT.sub(FEE));
+        expect(await token.balanceOf(relayerSigner.address)).to.equal(FEE);
+        expect((await new SwapClient(htlc).getStatus(swap.swapId)).revealedSecret).to.equal(swap.secret);
+    });
+
+    it("should relay an FPPHTLC claim through the HTTP server", async function () {
+        const bobSecret = ethers.utils.formatBytes32String("bob");
+        const swap = await lockFPPHTLC(bobSecret);
+        const auth = await new FppSwapClient(fpphtlc, bob).signClaim(swap.swapId, {
+            fee: FEE, relayer: relayerSigner.address
+        });
+
+        const server = createRelayerServer(relayer);
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+        try {
+            const info = await (await fetch(`${baseUrl}/info`)).json();
+            expect(info.networks.local.relayer).to.equal(relayerSigner.address);
+            expect(info.networks.local.fees).to.deep.equal({
+                [token.address]: FEE.toString(), [NATIVE_TOKEN]: NATIVE_FEE.toString()
+            });
+
+            const response = await fetch(`${baseUrl}/relay`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({
+                    network: "local", protocol: "fpphtlc", action: "claim", swapId: swap.swapId,
+                    initiatorSecret: swap.secret, recipientSecret: bobSecret, auth
+                })
+            });
+            expect(response.status).to.equal(200);
+        } finally {
+            server.close();
+        }
+
+        expect(await token.balanceOf(bob.address)).to.equal(AMOUNT.sub(FEE));
+        expect(await token.balanceOf(relayerSigner.address)).to.equal(FEE);
+    });
+
+    it("should relay a signed refund to the initiator", async function () {
+        const swap = await lockFPPHTLC(ethers.utils.formatBytes32String("bob"));
+        await time.increaseTo(swap.timelock + 1);
+        const auth = await new FppSwapClient(fpphtlc, alice).signRefund(swap.swapId, { fee: FEE });
+        const aliceBefore = await token.balanceOf(alice.address);
+
+        await relayer.relay({ network: "local", protocol: "fpphtlc", action: "refund", swapId: swap.swapId, auth });
+
+        expect(await token.balanceOf(alice.address)).to.equal(aliceBefore.add(AMOUNT).sub(FEE));
+        expect((await new FppSwapClient(fpphtlc).getStatus(swap.swapId)).status).to.equal(SwapStatus.REFUNDED);
+    });
+
+    it("should reject low fees, foreign signatures and other relayers' authorizations", async function () {
+        const swap = await lockHTLC();
+        const request = { network: "local", protocol: "htlc", action: "claim", swapId: swap.swapId, secret: swap.secret };
+
+        const lowFee = await new SwapClient(htlc, bob).signClaim(swap.swapId, { fee: FEE.sub(1) });
+        await expectRelayError({ ...request, auth: lowFee }, "Fee below minimum");
+
+        const notRecipient = await new SwapClient(htlc, alice).signClaim(swap.swapId, { fee: FEE });
+        await expectRelayError({ ...request, auth: notRecipient }, "Invalid signature");
+
+        const otherRelayer = await new SwapClient(htlc, bob).signClaim(swap.swapId, { fee: FEE, relayer: alice.address });
+        await expectRelayError({ ...request, auth: otherRelayer }, "different relayer");
+
+        expect(await token.balanceOf(relayerSigner.address)).to.equal(0);
+        expect((await new SwapClient(htlc).getStatus(swap.swapId)).status).to.equal(SwapStatus.ACTIVE);
+    });
+
+    it("should only relay accepted tokens, each with a minimum fee in its own units", async function () {
+        const simulated = [];
+        const send = relayer._send.bind(relayer);
+        relayer._send = (client, request, callStatic) => {
+            simulated.push(request.swapId);
+            return send(client, request, callStatic);
+        };
+
+        // Rejected before simulating, however high the fee
+        const unlisted = await lockHTLC(otherToken.address);
+        const unlistedAuth = await new SwapClient(htlc, bob).signClaim(unlisted.swapId, { fee: AMOUNT.div(2) });
+        await expectRelayError({
+            network: "local", protocol: "htlc", action: "claim", swapId: unlisted.swapId, secret: unlisted.secret, auth: unlistedAuth
+        }, "not accepted");
+        expect(simulated).to.deep.equal([]);
+
+        // The native minimum applies to native swaps, not the token's
+        const native = await lockHTLC(NATIVE_TOKEN);
+        const request = { network: "local", protocol: "htlc", action: "claim", swapId: native.swapId, secret: native.secret };
+        const lowFee = await new SwapClient(htlc, bob).signClaim(native.swapId, { fee: NATIVE_FEE.sub(1) });
+        await expectRelayError({ ...request, auth: lowFee }, "Fee below minimum");
+        const auth = await new SwapClient(htlc, bob).signClaim(native.swapId, { fee: NATIVE_FEE });
+        await relayer.relay({ ...request, auth });
+        expect(simulated).to.deep.equal([native.swapId, native.swapId]);
+        expect((await new SwapClient(htlc).getStatus(native.swapId)).status).to.equal(SwapStatus.CLAIMED);
+    });
+
+    it("should enforce relayer binding, deadline and fee limits on-chain", async function () {
+        const swap = await lockHTLC();
+        const bobClient = new SwapClient(htlc, bob);
+        const submit = async (auth) => {
+            try {
+                await htlc.connect(relayerSigner).claimFundsBySig(swap.swapId, swap.secret, auth);
+            } catch (e) {
+                return e.message;
+            }
+            return "";
+        };
+
+        expect(await submit(await bobClient.signClaim(swap.swapId, { relayer: alice.address }))).to.contain("Invalid relayer");
+        const expired = (await bobClient.latestTimestamp()) - 1;
+        expect(await submit(await bobClient.signClaim(swap.swapId, { deadline: expired }))).to.contain("Signature expired");
+        expect(await submit(await bobClient.signClaim(swap.swapId, { fee: AMOUNT.add(1) }))).to.contain("Fee exceeds amount");
+
+        const auth = await bobClient.signClaim(swap.swapId, { fee: FEE });
+        expect(await submit({ ...auth, fee: FEE.mul(2).toString() })).to.contain("Only recipient can claim");
+        expect(await submit(auth)).to.equal("");
+        expect(await submit(auth)).to.contain("Already claimed");
+    });
+});
@@ -0,0 +1,124 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { FppSwapClient, SwapStatus, hashSecret, combineHashes, combinePartyHashes, ringCommitments, ringOrder, MAX_PARTIES } = require("../lib");
+const { loadSwapFixture } = require("./fixtures");
+
+describe("Multi-party FPPHTLC swaps", function () {
+    const AMOUNT = ethers.utils.parseEther("1");
+    const TIMELOCK_DURATION = 3600;
+
+    let parties;
+    let fpphtlc;
+    let tokens;
+
+    beforeEach(async function () {
+        ({ fpphtlc } = await loadSwapFixture());
+        const [alice, bob, carol] = await ethers.getSigners();
+        parties = [alice, bob, carol];
+
+        const ERC20Mock = await ethers.getContractFactory("contracts/mocks/ERC20Mock.sol:ERC20Mock");
+
+        // Each party pays with its own token
+        tokens = [];
+        for (const [i, party] of parties.entries()) {
+            tokens.push(await ERC20Mock.connect(party).deploy(`Token${i}`, `TK${i}`, ethers.utils.parseEther("1000")));
+        }
+    });
+
+    it("should match the contract's commitment and reduce to the two-party hash", async function () {
+        const hashes = ["a", "b", "c"].map((s) => hashSecret(ethers.utils.formatBytes32String(s)));
+
+        expect(await fpphtlc.generateMultiPartyHash(hashes)).to.equal(combinePartyHashes(hashes));
+        expect(await fpphtlc.generateMultiPartyHash(hashes.slice(0, 2)))
+            .to.equal(await fpphtlc.generateCombinedHash(hashes[0], hashes[1]));
+        expect(combinePartyHashes(hashes.slice(0, 2))).to.equal(combineHashes(hashes[0], hashes[1]));
+
+        const commitments = ringCommitments(hashes);
+        expect(commitments[1]).to.equal(combinePartyHashes([hashes[1], hashes[2], hashes[0]]));
+        expect(new Set(commitments).size).to.equal(3);
+
+        await expect(fpphtlc.generateMultiPartyHash(hashes.slice(0, 1))).to.be.revertedWith("Invalid party count");
+        await expect(fpphtlc.generateMultiPartyHash(Array(9).fill(hashes[0]))).to.be.revertedWith("Invalid party count");
+        await expect(fpphtlc.generateMultiPartyHash([hashes[0], ethers.constants.HashZero])).to.be.revertedWith("Invalid party hash");
+    });
+
+    it("should reject party hashes no claim could satisfy before locking", async function () {
+        const [alice, bob] = parties;
+        const hashes = Array.from({ length: MAX_PARTIES + 1 }, (_, i) => hashSecret(ethers.utils.formatBytes32String(`s${i}`)));
+        const client = new FppSwapClient(fpphtlc, alice);
+        const terms = { recipient: bob.address, token: tokens[0].address, amount: AMOUNT, timelockDuration: TIMELOCK_DURATION };
+
+        expect(MAX_PARTIES).to.equal((await fpphtlc.MAX_PARTIES()).toNumber());
+        expect(() => combinePartyHashes(hashes)).to.throw(`Between 2 and ${MAX_PARTIES} party hashes required`);
+        expect(() => combinePartyHashes([hashes[0], hashes[1], hashes[0]])).to.throw("Duplicate party hash at index 2");
+        expect(() => ringCommitments([hashes[0], "0x" + hashes[0].slice(2).toUpperCase()]))
+            .to.throw("Duplicate party hash at index 1");
+
+        const secret = ethers.utils.formatBytes32String("own");
+        const invalid = [
+            [hashes.slice(1), `Between 2 and ${MAX_PARTIES} party hashes required`],
+            [[hashes[1], ethers.constants.HashZero], "Invalid party hash at index 2"],
+            [[hashes[1], hashes[2], hashes[1]], "Duplicate party hash at index 3"],
+            [[hashes[1], hashSecret(secret)], "Duplicate party hash at index 2"]
+        ];
+        for (const [partyHashes, reason] of invalid) {
+            try {
+                await client.prepareSwap({ ...terms, secret, partyHashes });
+                expect.fail(`Expected "${reason}"`);
+            } catch (error) {
+                expect(error.message).to.equal(reason);
+            }
+        }
+
+        const swap = await client.prepareSwap({ ...terms, secret, partyHashes: hashes.slice(1, MAX_PARTIES) });
+        expect(swap.combinedHash).to.equal(await fpphtlc.generateMultiPartyHash([hashSecret(secret), ...hashes.slice(1, MAX_PARTIES)]));
+        expect(await tokens[0].balanceOf(fpphtlc.address)).to.equal(0);
+    });
+
+    it("should settle a three-party ring once every secret is shared", async function () {
+        const secrets = parties.map(() => ethers.utils.hexlify(ethers.utils.randomBytes(32)));
+        const hashes = secrets.map(hashSecret);
+
+        // Leg i: party i pays party i + 1
+        const swaps = [];
+        for (const [i, party] of parties.entries()) {
+            const recipient = parties[(i + 1) % parties.length];
+            const client = new FppSwapClient(fpphtlc, party);
+            const swap = await client.prepareSwap({
+                recipient: recipient.address, token: tokens[i].address, amount: AMOUNT,
+                secret: secrets[i], partyHashes: ringOrder(hashes, i).slice(1), timelockDuration: TIMELOCK_DURATION
+            });
+            expect(swap.combinedHash).to.equal(ringCommitments(hashes)[i]);
+            await client.lock(swap, { approve: true });
+            swaps.push(swap);
+        }
+
+        const bobClient = new FppSwapClient(fpphtlc, parties[1]);
+        expect(await bobClient.verifyMultiPartySecrets(swaps[0].swapId, ringOrder(secrets, 0))).to.be.true;
+        expect(await bobClient.verifyMultiPartySecrets(swaps[0].swapId, ringOrder(secrets, 1))).to.be.false;
+        await expect(fpphtlc.connect(parties[1]).claimFundsMultiParty(swaps[0].swapId, secrets.slice(0, 2)))
+            .to.be.revertedWith("Invalid secrets");
+
+        for (const [i, swap] of swaps.entries()) {
+            const recipient = parties[(i + 1) % parties.length];
+            await new FppSwapClient(fpphtlc, recipient).claimMultiParty(swap.swapId, ringOrder(secrets, i));
+            expect(await tokens[i].balanceOf(recipient.address)).to.equal(AMOUNT);
+            expect((await bobClient.getStatus(swap.swapId)).status).to.equal(SwapStatus.CLAIMED);
+        }
+    });
+
+    it("should keep two-party claims working for swaps locked with partyHashes", async function () {
+        const [alice, bob] = parties;
+        const bobSecret = ethers.utils.formatBytes32String("bob");
+        const client = new FppSwapClient(fpphtlc, alice);
+        const swap = await client.prepareSwap({
+            recipient: bob.address, token: tokens[0].address, amount: AMOUNT,
+            partyHashes: [hashSecret(bobSecret)], timelockDuration: TIMELOCK_DURATION
+        });
+        expect(swap.counterpartyHash).to.equal(hashSecret(bobSecret));
+        await client.lock(swap, { approve: true });
+
+        await new FppSwapClient(fpphtlc, bob).claim(swap.swapId, swap.secret, bobSecret);
+        expect(await tokens[0].balanceOf(bob.address)).to.equal(AMOUNT);
+    });
+});
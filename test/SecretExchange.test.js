@@ -0,0 +1,325 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { FppSwapClient, generateSecret, generateSwapId, deriveSwapId, hashSecret, secretExchange } = require("../lib");
+const { loadSwapFixture, deployTwoChainFixture } = require("./fixtures");
+
+const {
+    MessageType, SecretExchange, MemoryTransport, HttpTransport, WebSocketTransport,
+    createRelayServer, createMessage, verifyMessage, sessionId, extractClaimSecrets
+} = secretExchange;
+
+describe("Secret exchange", function () {
+    const AMOUNT = ethers.utils.parseEther("1");
+
+    let alice;
+    let bob;
+    let carol;
+    let chainA;
+    let chainB;
+    let tokenA;
+    let tokenB;
+    let clientSwapIds;
+    let swapIds;
+
+    beforeEach(async function () {
+        ({ chainA, chainB, tokenA, tokenB } = await loadSwapFixture(deployTwoChainFixture));
+        [alice, bob, carol] = await ethers.getSigners();
+
+        await tokenB.transfer(bob.address, ethers.utils.parseEther("500"));
+
+        clientSwapIds = { initiator: generateSwapId("alice"), counterparty: generateSwapId("bob") };
+        swapIds = {
+            initiator: deriveSwapId(alice.address, clientSwapIds.initiator),
+            counterparty: deriveSwapId(bob.address, clientSwapIds.counterparty)
+        };
+    });
+
+    function parties(transport) {
+        const aliceExchange = new SecretExchange({
+            signer: alice, transport, role: "initiator", swapIds, clientSwapId: clientSwapIds.initiator, secret: generateSecret(),
+            counterparty: bob.address,
+            ownLeg: new FppSwapClient(chainA, alice), counterpartyLeg: new FppSwapClient(chainB, alice),
+            timeout: 5000
+        });
+        const bobExchange = new SecretExchange({
+            signer: bob, transport, role: "counterparty", swapIds, clientSwapId: clientSwapIds.counterparty,
+            secret: generateSecret(),
+            counterparty: alice.address,
+            ownLeg: new FppSwapClient(chainB, bob), counterpartyLeg: new FppSwapClient(chainA, bob),
+            timeout: 5000
+        });
+        return { aliceExchange, bobExchange };
+    }
+
+    async function lockBoth(aliceExchange, bobExchange, { bobCounterpartyHash } = {}) {
+        const aliceClient = new FppSwapClient(chainA, alice);
+        const bobClient = new FppSwapClient(chainB, bob);
+        const aliceSwap = await aliceClient.prepareSwap({
+            recipient: bob.address, token: tokenA.address, amount: AMOUNT, clientSwapId: clientSwapIds.initiator,
+            secret: aliceExchange.secret, counterpartyHash: aliceExchange.counterpartyHash, timelockDuration: 7200
+        });
+        const bobSwap = await bobClient.prepareSwap({
+            recipient: alice.address, token: tokenB.address, amount: AMOUNT, clientSwapId: clientSwapIds.counterparty,
+            secret: bobExchange.secret, counterpartyHash: bobCounterpartyHash || bobExchange.counterpartyHash,
+            timelockDuration: 3600
+        });
+        await Promise.all([
+            aliceClient.lock(aliceSwap, { approve: true }),
+            bobClient.lock(bobSwap, { approve: true })
+        ]);
+    }
+
+    describe("Messages", function () {
+        it("should sign messages bound to the swapId pair", async function () {
+            const message = await createMessage(
+                alice, MessageType.COMMITMENT, swapIds, hashSecret(generateSecret()), clientSwapIds.initiator
+            );
+            expect(verifyMessage(message, { sender: alice.address, swapIds })).to.be.true;
+
+            const otherPair = { initiator: swapIds.initiator, counterparty: generateSwapId("other") };
+            expect(() => verifyMessage(message, { swapIds: otherPair })).to.throw("Message bound to a different swap");
+            expect(() => verifyMessage(message, { sender: bob.address })).to.throw("Unexpected sender");
+        });
+
+        it("should only accept messages from the lockers of the swapId pair", async function () {
+            const outsider = await createMessage(
+                carol, MessageType.COMMITMENT, swapIds, hashSecret(generateSecret()), generateSwapId("carol")
+            );
+            expect(() => verifyMessage(outsider)).to.throw("Sender is not a party to the swap");
+
+            // Carol cannot claim Alice's clientSwapId either, as it derives a different swapId for her
+            const copied = await createMessage(
+                carol, MessageType.COMMITMENT, swapIds, hashSecret(generateSecret()), clientSwapIds.initiator
+            );
+            expect(() => verifyMessage(copied)).to.throw("Sender is not a party to the swap");
+        });
+
+        it("should reject tampered messages", async function () {
+            const message = await createMessage(alice, MessageType.REVEAL, swapIds, generateSecret(), clientSwapIds.initiator);
+            const tampered = { ...message, payload: generateSecret() };
+            expect(() => verifyMessage(tampered)).to.throw("Invalid signature");
+        });
+    });
+
+    describe("Protocol", function () {
+        it("should exchange secrets over the HTTP relay and let both parties claim", async function () {
+            const server = createRelayServer();
+            await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+            const transport = new HttpTransport(`http://127.0.0.1:${server.address().port}`, { pollWait: 200 });
+
+            try {
+                const { aliceExchange, bobExchange } = parties(transport);
+                await Promise.all([aliceExchange.exchangeCommitments(), bobExchange.exchangeCommitments()]);
+                expect(aliceExchange.counterpartyHash).to.equal(bobExchange.secretHash);
+
+                await lockBoth(aliceExchange, bobExchange);
+                const [aliceResult, bobResult] = await Promise.all([
+                    aliceExchange.revealSecrets(),
+                    bobExchange.revealSecrets()
+                ]);
+                expect(aliceResult).to.deep.equal(bobResult);
+
+                const { initiatorSecret, counterpartySecret } = aliceResult;
+                const claimTx = await chainB.connect(alice).claimFunds(swapIds.counterparty, counterpartySecret, initiatorSecret);
+                await chainA.connect(bob).claimFunds(swapIds.initiator, initiatorSecret, counterpartySecret);
+
+                expect(await tokenA.balanceOf(bob.address)).to.equal(AMOUNT);
+                expect(await tokenB.balanceOf(alice.address)).to.equal(ethers.utils.parseEther("500").add(AMOUNT));
+
+                const recovered = await extractClaimSecrets(chainB, claimTx.hash);
+                expect(recovered.initiatorSecret).to.equal(counterpartySecret);
+                expect(recovered.recipientSecret).to.equal(initiatorSecret);
+            } finally {
+                server.close();
+            }
+        });
+
+        it("should recover secrets from relayed and batched claims", async function () {
+            const { aliceExchange, bobExchange } = parties(new MemoryTransport());
+            await Promise.all([aliceExchange.exchangeCommitments(), bobExchange.exchangeCommitments()]);
+            await lockBoth(aliceExchange, bobExchange);
+
+            // Alice has Carol relay her claim, so the transaction is not a claimFunds call
+            const auth = await new FppSwapClient(chainB, alice).signClaim(swapIds.counterparty);
+            const relayed = await new FppSwapClient(chainB, carol)
+                .claimBySig(swapIds.counterparty, bobExchange.secret, aliceExchange.secret, auth);
+            const fromRelayed = await extractClaimSecrets(chainB, relayed.transactionHash);
+            expect(fromRelayed.swapId).to.equal(swapIds.counterparty);
+            expect(fromRelayed.initiatorSecret).to.equal(bobExchange.secret);
+            expect(fromRelayed.recipientSecret).to.equal(aliceExchange.secret);
+
+            // Bob claims in a batch; the failed item reveals nothing
+            const batch = await chainA.connect(bob).batchClaim(
+                [generateSwapId("missing"), swapIds.initiator],
+                [aliceExchange.secret, aliceExchange.secret],
+                [bobExchange.secret, bobExchange.secret]
+            );
+            const fromBatch = await extractClaimSecrets(chainA, batch.hash, swapIds.initiator);
+            expect(fromBatch.secrets).to.deep.equal([aliceExchange.secret, bobExchange.secret]);
+
+            let error;
+            try {
+                await extractClaimSecrets(chainA, batch.hash, swapIds.counterparty);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.equal(`No claim of ${swapIds.counterparty} in ${batch.hash}`);
+        });
+
+        it("should refuse to reveal when the counterparty lock does not match the commitments", async function () {
+            const transport = new MemoryTransport();
+            const { aliceExchange, bobExchange } = parties(transport);
+            await Promise.all([aliceExchange.exchangeCommitments(), bobExchange.exchangeCommitments()]);
+
+            // Bob locks against a hash Alice never committed to
+            await lockBoth(aliceExchange, bobExchange, { bobCounterpartyHash: hashSecret(generateSecret()) });
+
+            const reasons = await aliceExchange.checkLocks();
+            expect(reasons).to.include("Counterparty lock combinedHash does not match the exchanged hashes");
+
+            let error;
+            try {
+                await aliceExchange.revealSecrets();
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.contain("Refusing to reveal secret");
+            expect(transport.sessions.get(aliceExchange.sessionId).some((m) => m.type === MessageType.REVEAL)).to.be.false;
+        });
+
+        it("should ignore messages from anyone but the counterparty", async function () {
+            const transport = new MemoryTransport();
+            const { aliceExchange, bobExchange } = parties(transport);
+            await transport.send(await createMessage(
+                carol, MessageType.COMMITMENT, swapIds, hashSecret(generateSecret()), generateSwapId("carol")
+            ));
+
+            await Promise.all([aliceExchange.exchangeCommitments(), bobExchange.exchangeCommitments()]);
+            expect(aliceExchange.counterpartyHash).to.equal(bobExchange.secretHash);
+        });
+
+        it("should exchange secrets over the relay's WebSocket endpoint", async function () {
+            const server = createRelayServer();
+            await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+            const transport = new WebSocketTransport(`ws://127.0.0.1:${server.address().port}`);
+
+            try {
+                const { aliceExchange, bobExchange } = parties(transport);
+                await Promise.all([aliceExchange.exchangeCommitments(), bobExchange.exchangeCommitments()]);
+                await lockBoth(aliceExchange, bobExchange);
+                const [aliceResult, bobResult] = await Promise.all([
+                    aliceExchange.revealSecrets(),
+                    bobExchange.revealSecrets()
+                ]);
+                expect(aliceResult).to.deep.equal(bobResult);
+
+                // Messages sent on the socket get the same checks as POSTed ones
+                const outsider = await createMessage(
+                    carol, MessageType.COMMITMENT, swapIds, hashSecret(generateSecret()), generateSwapId("carol")
+                );
+                let error;
+                try {
+                    await transport.send(outsider);
+                } catch (e) {
+                    error = e;
+                }
+                expect(error.message).to.contain("Sender is not a party to the swap");
+            } finally {
+                transport.close();
+                server.close();
+            }
+        });
+
+        it("should reject unsigned messages at the relay", async function () {
+            const server = createRelayServer();
+            await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+            const transport = new HttpTransport(`http://127.0.0.1:${server.address().port}`);
+
+            try {
+                const message = await createMessage(
+                    alice, MessageType.COMMITMENT, swapIds, hashSecret(generateSecret()), clientSwapIds.initiator
+                );
+                let error;
+                try {
+                    await transport.send({ ...message, signature: "0x" + "00".repeat(65) });
+                } catch (e) {
+                    error = e;
+                }
+                expect(error.message).to.contain("Relay rejected message");
+            } finally {
+                server.close();
+            }
+        });
+
+        it("should keep outsiders and oversized bodies out of relay sessions and expire idle ones", async function () {
+            const server = createRelayServer({ sessionTtl: 200 });
+            await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+            const baseUrl = `http://127.0.0.1:${server.address().port}`;
+            const transport = new HttpTransport(baseUrl);
+            const sessionUrl = `${baseUrl}/sessions/${sessionId(swapIds)}/messages`;
+            const expectRejected = async (send, reason) => {
+                let error;
+                try {
+                    await send();
+                } catch (e) {
+                    error = e;
+                }
+                expect(error.message).to.contain(reason);
+            };
+
+            try {
+                const outsider = await createMessage(
+                    carol, MessageType.COMMITMENT, swapIds, hashSecret(generateSecret()), generateSwapId("carol")
+                );
+                await expectRejected(() => transport.send(outsider), "Sender is not a party to the swap");
+                await expectRejected(() => fetch(sessionUrl, { method: "POST", body: "x".repeat(32 * 1024) }), "fetch failed");
+
+                await transport.send(await createMessage(
+                    alice, MessageType.COMMITMENT, swapIds, hashSecret(generateSecret()), clientSwapIds.initiator
+                ));
+                expect((await (await fetch(sessionUrl)).json()).messages).to.have.length(1);
+
+                await new Promise((resolve) => setTimeout(resolve, 300));
+                expect((await (await fetch(sessionUrl)).json()).messages).to.deep.equal([]);
+            } finally {
+                server.close();
+            }
+        });
+
+        it("should validate polls and drop the least recently used session beyond the cap", async function () {
+            const server = createRelayServer({ maxSessions: 2 });
+            await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+            const baseUrl = `http://127.0.0.1:${server.address().port}`;
+            const transport = new HttpTransport(baseUrl);
+
+            // Alice's swap paired with three different counterparty swaps of Bob
+            const pairs = ["bob-1", "bob-2", "bob-3"].map((label) => ({
+                initiator: swapIds.initiator,
+                counterparty: deriveSwapId(bob.address, generateSwapId(label))
+            }));
+            const messagesOf = async (pair, query = "") =>
+                (await (await fetch(`${baseUrl}/sessions/${sessionId(pair)}/messages${query}`)).json()).messages;
+            const post = async (pair) => transport.send(await createMessage(
+                alice, MessageType.COMMITMENT, pair, hashSecret(generateSecret()), clientSwapIds.initiator
+            ));
+
+            try {
+                for (const query of ["?after=-1", "?after=1.5", "?after=x", "?wait=-5", "?after="]) {
+                    const response = await fetch(`${baseUrl}/sessions/${sessionId(pairs[0])}/messages${query}`);
+                    expect(response.status).to.equal(400);
+                }
+
+                await post(pairs[0]);
+                await post(pairs[1]);
+                await post(pairs[0]);
+                await post(pairs[2]);
+                expect(await messagesOf(pairs[0])).to.have.length(2);
+                expect(await messagesOf(pairs[1])).to.deep.equal([]);
+                expect(await messagesOf(pairs[2])).to.have.length(1);
+                expect(await messagesOf(pairs[0], "?after=1")).to.have.length(1);
+            } finally {
+                server.close();
+            }
+        });
+    });
+});
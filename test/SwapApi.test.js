@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    SwapApi, SwapIndexer, JsonStateStore, createApiServer, SwapClient, SwapStatus, hashSecret
+} = require("../lib");
+const { loadSwapFixture } = require("./fixtures");
+
+describe("Swap API server", function () {
+    const AMOUNT = ethers.utils.parseEther("1");
+    const TIMELOCK_DURATION = 3600;
+    const TOKEN = "test-token";
+
+    let alice;
+    let bob;
+    let htlc;
+    let fpphtlc;
+    let token;
+    let api;
+    let server;
+    let baseUrl;
+
+    beforeEach(async function () {
+        let fromBlock;
+        ({ htlc, fpphtlc, tokenA: token, fromBlock } = await loadSwapFixture());
+        [alice, bob] = await ethers.getSigners();
+
+        await token.transfer(bob.address, ethers.utils.parseEther("100"));
+
+        const stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "api-")), "swap-index.json");
+        api = new SwapApi({
+            networks: { local: { htlc, fpphtlc, signer: alice } },
+            indexer: new SwapIndexer({ networks: { local: { htlc, fpphtlc, fromBlock } }, store: new JsonStateStore(stateFile) }),
+            indexInterval: 0
+        });
+        server = createApiServer(api, { token: TOKEN });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(function () {
+        server.close();
+    });
+
+    async function request(method, pathname, body, headers = {}) {
+        const response = await fetch(`${baseUrl}${pathname}`, {
+            method,
+            headers: { "Content-Type": "application/json", Authorization: `Bearer ${TOKEN}`, ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function rpc(method, params) {
+        const { body } = await request("POST", "/rpc", { jsonrpc: "2.0", id: 1, method, params });
+        return body;
+    }
+
+    it("should run an HTLC swap through the REST endpoints", async function () {
+        const info = await request("GET", "/info");
+        expect(info.body.networks.local).to.deep.equal({ signer: alice.address, htlc: htlc.address, fpphtlc: fpphtlc.address });
+
+        const intent = await request("POST", "/swaps", {
+            network: "local", protocol: "htlc", recipient: bob.address, token: token.address,
+            amount: AMOUNT.toString(), timelockDuration: TIMELOCK_DURATION, lock: true
+        });
+        expect(intent.status).to.equal(200);
+        expect(intent.body).to.include({ initiator: alice.address, amount: AMOUNT.toString(), locked: true });
+        expect(intent.body.txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+        // Bob mirrors the lock under Alice's hashlock, payable to the API signer
+        const bobSwap = await new SwapClient(htlc, bob).prepareSwap({
+            recipient: alice.address, token: token.address, amount: AMOUNT,
+            hashlock: intent.body.hashlock, timelockDuration: TIMELOCK_DURATION / 2
+        });
+        await new SwapClient(htlc, bob).lock(bobSwap, { approve: true });
+
+        const status = await request("GET", `/swaps/local/htlc/${intent.body.swapId}`);
+        expect(status.body).to.include({ status: SwapStatus.ACTIVE, recipient: bob.address, amount: AMOUNT.toString() });
+
+        const claim = await request("POST", `/swaps/local/htlc/${bobSwap.swapId}/claim`, { secret: intent.body.secret });
+        expect(claim.body).to.include({ action: "claim", status: SwapStatus.CLAIMED });
+        expect(await token.balanceOf(alice.address)).to.equal(ethers.utils.parseEther("900"));
+
+        const listed = await request("GET", `/swaps?address=${bob.address}&protocol=htlc`);
+        expect(listed.body.swaps.map((swap) => [swap.swapId, swap.status])).to.deep.equal([
+            [intent.body.swapId, SwapStatus.ACTIVE],
+            [bobSwap.swapId, SwapStatus.CLAIMED]
+        ]);
+        const claimed = await request("GET", `/swaps?address=${alice.address}&status=Claimed`);
+        expect(claimed.body.swaps).to.have.length(1);
+    });
+
+    it("should create, refund and read FPPHTLC swaps over JSON-RPC", async function () {
+        const intent = await rpc("swap_createIntent", {
+            network: "local", protocol: "fpphtlc", recipient: bob.address, token: token.address,
+            amount: AMOUNT.toString(), timelockDuration: TIMELOCK_DURATION,
+            counterpartyHash: hashSecret(ethers.utils.formatBytes32String("bob")), lock: true
+        });
+        expect(intent.result).to.include({ network: "local", locked: true });
+        const { swapId, timelock } = intent.result;
+
+        expect((await rpc("swap_refund", { network: "local", protocol: "fpphtlc", swapId })).error.message)
+            .to.equal("Timelock not expired");
+
+        await time.increaseTo(timelock + 1);
+        const refund = await rpc("swap_refund", { network: "local", protocol: "fpphtlc", swapId });
+        expect(refund.result).to.include({ action: "refund", status: SwapStatus.REFUNDED });
+
+        const swap = await rpc("swap_getSwap", { network: "local", protocol: "fpphtlc", swapId });
+        expect(swap.result).to.include({ isRefunded: true, network: "local", combinedHash: intent.result.combinedHash });
+
+        expect((await rpc("swap_deploy", {})).error.code).to.equal(-32601);
+        expect((await request("POST", "/rpc", { method: "swap_info" })).body.error.code).to.equal(-32600);
+    });
+
+    it("should reject invalid requests without sending transactions", async function () {
+        const intent = {
+            network: "local", protocol: "htlc", recipient: bob.address, token: token.address,
+            amount: AMOUNT.toString(), timelockDuration: TIMELOCK_DURATION
+        };
+        const unlocked = await request("POST", "/swaps", intent);
+        expect(unlocked.body).to.include({ locked: false, txHash: null });
+
+        const missing = await request("GET", `/swaps/local/htlc/${unlocked.body.swapId}`);
+        expect(missing).to.deep.equal({ status: 404, body: { error: "Swap not found" } });
+
+        expect((await request("POST", "/swaps", { ...intent, recipient: "0x1234" })).body.error).to.equal("Invalid recipient");
+        expect((await request("POST", "/swaps", { ...intent, amount: "-1" })).status).to.equal(400);
+        expect((await request("POST", "/swaps", { ...intent, protocol: "fpphtlc" })).body.error).to.equal("counterpartyHash required");
+        expect((await request("POST", "/swaps", { ...intent, network: "mainnet" })).status).to.equal(404);
+        expect((await request("GET", "/swaps")).body.error).to.equal("Invalid address");
+        expect((await request("GET", "/unknown")).status).to.equal(404);
+        expect((await request("DELETE", "/swaps")).status).to.equal(405);
+
+        const { body } = await request("POST", "/swaps", { ...intent, lock: true });
+        const nonceBefore = await alice.getTransactionCount();
+        const claim = await request("POST", `/swaps/local/htlc/${body.swapId}/claim`, { secret: body.secret });
+        expect(claim).to.deep.equal({ status: 400, body: { error: "Only recipient can claim" } });
+        expect(await alice.getTransactionCount()).to.equal(nonceBefore);
+    });
+
+    it("should only sign for local callers holding the token", async function () {
+        const intent = {
+            network: "local", protocol: "htlc", recipient: bob.address, token: token.address,
+            amount: AMOUNT.toString(), timelockDuration: TIMELOCK_DURATION, lock: true
+        };
+        const nonceBefore = await alice.getTransactionCount();
+
+        expect(await request("POST", "/swaps", intent, { Authorization: "" }))
+            .to.deep.equal({ status: 401, body: { error: "Unauthorized" } });
+        expect((await request("POST", "/swaps", intent, { Authorization: `Bearer ${TOKEN}x` })).status).to.equal(401);
+        expect((await request("POST", `/swaps/local/htlc/${ethers.constants.HashZero}/refund`, {}, { Authorization: "" })).status)
+            .to.equal(401);
+        const rpcIntent = { jsonrpc: "2.0", id: 1, method: "swap_createIntent", params: intent };
+        expect((await request("POST", "/rpc", rpcIntent, { Authorization: "" })).body.error)
+            .to.deep.equal({ code: -32001, message: "Unauthorized", data: { status: 401 } });
+
+        // What a web page can send without a preflight: a text/plain body, or any request with its Origin
+        expect(await request("POST", "/swaps", intent, { "Content-Type": "text/plain" }))
+            .to.deep.equal({ status: 415, body: { error: "Content-Type must be application/json" } });
+        expect((await request("POST", "/rpc", rpcIntent, { "Content-Type": "text/plain" })).status).to.equal(415);
+        expect(await request("POST", "/swaps", intent, { Origin: "https://example.com" }))
+            .to.deep.equal({ status: 403, body: { error: "Cross-origin requests are not allowed" } });
+        expect((await request("GET", "/info", undefined, { Origin: "https://example.com" })).status).to.equal(403);
+        expect(await alice.getTransactionCount()).to.equal(nonceBefore);
+
+        // Reads need no token
+        expect((await request("GET", "/info", undefined, { Authorization: "" })).status).to.equal(200);
+        expect(() => createApiServer(api)).to.throw("API token required");
+    });
+
+    it("should share one index sync between listings", async function () {
+        let runs = 0;
+        const run = api.indexer.run.bind(api.indexer);
+        api.indexer.run = () => {
+            runs++;
+            return run();
+        };
+        await request("POST", "/swaps", {
+            network: "local", protocol: "htlc", recipient: bob.address, token: token.address,
+            amount: AMOUNT.toString(), timelockDuration: TIMELOCK_DURATION, lock: true
+        });
+
+        const listings = await Promise.all([1, 2, 3].map(() => request("GET", `/swaps?address=${bob.address}`)));
+        expect(runs).to.equal(1);
+        expect(listings.map(({ body }) => body.swaps.length)).to.deep.equal([1, 1, 1]);
+
+        // Within the interval listings read the index without syncing
+        api.indexInterval = 60000;
+        await request("GET", `/swaps?address=${bob.address}`);
+        expect(runs).to.equal(1);
+    });
+
+    it("should describe every route in the OpenAPI document", async function () {
+        const { body } = await request("GET", "/openapi.json");
+        expect(body.openapi).to.match(/^3\./);
+        expect(Object.keys(body.paths)).to.have.members([
+            "/info",
+            "/swaps",
+            "/swaps/{network}/{protocol}/{swapId}",
+            "/swaps/{network}/{protocol}/{swapId}/claim",
+            "/swaps/{network}/{protocol}/{swapId}/refund"
+        ]);
+        const operations = Object.values(body.paths).flatMap((item) => Object.values(item).map((op) => op.operationId));
+        expect(operations.filter(Boolean)).to.have.members(["info", "createIntent", "listSwaps", "getSwap", "claim", "refund"]);
+    });
+});
@@ -0,0 +1,359 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    SwapClient, FppSwapClient, SwapStatus, statusFromState, NATIVE_TOKEN, hashSecret, combineHashes, deriveSwapId
+} = require("../lib");
+const { loadSwapFixture } = require("./fixtures");
+
+describe("Swap SDK", function () {
+    const AMOUNT = ethers.utils.parseEther("1");
+    const TIMELOCK_DURATION = 3600;
+
+    let alice;
+    let bob;
+    let mallory;
+    let htlc;
+    let fpphtlc;
+    let tokenA;
+    let tokenB;
+
+    beforeEach(async function () {
+        ({ htlc, fpphtlc, tokenA, tokenB } = await loadSwapFixture());
+        [alice, bob, mallory] = await ethers.getSigners();
+
+        await tokenB.transfer(bob.address, ethers.utils.parseEther("500"));
+    });
+
+    describe("SwapClient (HTLC)", function () {
+        it("should complete a swap using the revealed secret", async function () {
+            const aliceClient = new SwapClient(htlc, alice);
+            const bobClient = new SwapClient(htlc, bob);
+
+            const aliceSwap = await aliceClient.prepareSwap({
+                recipient: bob.address, token: tokenA.address, amount: AMOUNT, timelockDuration: TIMELOCK_DURATION * 2
+            });
+            const bobSwap = await bobClient.prepareSwap({
+                recipient: alice.address, token: tokenB.address, amount: AMOUNT,
+                hashlock: aliceSwap.hashlock, timelockDuration: TIMELOCK_DURATION
+            });
+
+            await aliceClient.lock(aliceSwap, { approve: true });
+            await bobClient.lock(bobSwap, { approve: true });
+            expect((await aliceClient.getStatus(aliceSwap.swapId)).status).to.equal(SwapStatus.ACTIVE);
+
+            await aliceClient.claim(bobSwap.swapId, aliceSwap.secret);
+            const { revealedSecret } = await bobClient.getStatus(bobSwap.swapId);
+            expect(revealedSecret).to.equal(aliceSwap.secret);
+            await bobClient.claim(aliceSwap.swapId, revealedSecret);
+
+            expect((await aliceClient.getStatus(aliceSwap.swapId)).status).to.equal(SwapStatus.CLAIMED);
+            expect(await tokenA.balanceOf(bob.address)).to.equal(AMOUNT);
+            expect(await tokenB.balanceOf(alice.address)).to.equal(ethers.utils.parseEther("500").add(AMOUNT));
+        });
+
+        it("should report expiry and refund after the timelock", async function () {
+            const client = new SwapClient(htlc, alice);
+            const swap = await client.prepareSwap({
+                recipient: bob.address, token: tokenA.address, amount: AMOUNT, timelockDuration: TIMELOCK_DURATION
+            });
+            await client.lock(swap, { approve: true });
+
+            await time.increaseTo(swap.timelock + 1);
+            expect((await client.getStatus(swap.swapId)).status).to.equal(SwapStatus.EXPIRED);
+
+            await client.refund(swap.swapId);
+            expect((await client.getStatus(swap.swapId)).status).to.equal(SwapStatus.REFUNDED);
+        });
+
+        it("should report unknown swaps as empty", async function () {
+            const client = new SwapClient(htlc, alice);
+            const { swapId } = await client.prepareSwap({
+                recipient: bob.address, token: tokenA.address, amount: AMOUNT, timelockDuration: TIMELOCK_DURATION
+            });
+            expect((await client.getStatus(swapId)).status).to.equal(SwapStatus.EMPTY);
+        });
+    });
+
+    describe("FppSwapClient (FPPHTLC)", function () {
+        it("should match the on-chain combined hash", async function () {
+            const client = new FppSwapClient(fpphtlc, alice);
+            const hashA = hashSecret(ethers.utils.formatBytes32String("a"));
+            const hashB = hashSecret(ethers.utils.formatBytes32String("b"));
+            expect(combineHashes(hashA, hashB)).to.equal(await fpphtlc.generateCombinedHash(hashA, hashB));
+            expect(() => combineHashes(ethers.constants.HashZero, hashB)).to.throw("Invalid initiator hash");
+            let error;
+            try {
+                await client.prepareSwap({ recipient: bob.address });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.equal("counterpartyHash required");
+        });
+
+        it("should lock both legs in parallel and claim with both secrets", async function () {
+            const aliceClient = new FppSwapClient(fpphtlc, alice);
+            const bobClient = new FppSwapClient(fpphtlc, bob);
+            const bobSecret = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+
+            const aliceSwap = await aliceClient.prepareSwap({
+                recipient: bob.address, token: tokenA.address, amount: AMOUNT,
+                counterpartyHash: hashSecret(bobSecret), timelockDuration: TIMELOCK_DURATION * 2, network: "local"
+            });
+            const bobSwap = await bobClient.prepareSwap({
+                recipient: alice.address, token: tokenB.address, amount: AMOUNT, secret: bobSecret,
+                counterpartyHash: aliceSwap.secretHash, timelockDuration: TIMELOCK_DURATION, network: "local"
+            });
+
+            await Promise.all([
+                aliceClient.lock(aliceSwap, { approve: true }),
+                bobClient.lock(bobSwap, { approve: true })
+            ]);
+            expect((await bobClient.getStatus(bobSwap.swapId)).status).to.equal(SwapStatus.ACTIVE);
+
+            await bobClient.claim(aliceSwap.swapId, aliceSwap.secret, bobSecret);
+            await aliceClient.claim(bobSwap.swapId, bobSecret, aliceSwap.secret);
+
+            expect((await aliceClient.getStatus(aliceSwap.swapId)).status).to.equal(SwapStatus.CLAIMED);
+            expect((await bobClient.getStatus(bobSwap.swapId)).status).to.equal(SwapStatus.CLAIMED);
+            expect(await tokenA.balanceOf(bob.address)).to.equal(AMOUNT);
+        });
+
+        it("should refund an expired lock", async function () {
+            const client = new FppSwapClient(fpphtlc, alice);
+            const swap = await client.prepareSwap({
+                recipient: bob.address, token: tokenA.address, amount: AMOUNT,
+                counterpartyHash: hashSecret(ethers.utils.formatBytes32String("bob")), timelockDuration: TIMELOCK_DURATION
+            });
+            await client.lock(swap, { approve: true });
+
+            await time.increaseTo(swap.timelock + 1);
+            expect((await client.getStatus(swap.swapId)).status).to.equal(SwapStatus.EXPIRED);
+
+            const balanceBefore = await tokenA.balanceOf(alice.address);
+            await client.refund(swap.swapId);
+            expect((await client.getStatus(swap.swapId)).status).to.equal(SwapStatus.REFUNDED);
+            expect(await tokenA.balanceOf(alice.address)).to.equal(balanceBefore.add(AMOUNT));
+        });
+
+        it("should expose claim and refund preflight views", async function () {
+            const aliceClient = new FppSwapClient(fpphtlc, alice);
+            const bobClient = new FppSwapClient(fpphtlc, bob);
+            const bobSecret = ethers.utils.formatBytes32String("bob");
+            const wrongSecret = ethers.utils.formatBytes32String("wrong");
+            const swap = await aliceClient.prepareSwap({
+                recipient: bob.address, token: tokenA.address, amount: AMOUNT,
+                counterpartyHash: hashSecret(bobSecret), timelockDuration: TIMELOCK_DURATION
+            });
+
+            expect(await fpphtlc.getSwapState(swap.swapId)).to.equal(0);
+            expect(await aliceClient.verifySecrets(swap.swapId, swap.secret, bobSecret)).to.be.false;
+            await aliceClient.lock(swap, { approve: true });
+
+            expect(await fpphtlc.getSwapState(swap.swapId)).to.equal(1);
+            expect(await aliceClient.verifySecrets(swap.swapId, swap.secret, bobSecret)).to.be.true;
+            expect(await aliceClient.verifySecrets(swap.swapId, bobSecret, swap.secret)).to.be.false;
+            expect(await aliceClient.canClaim(swap.swapId, swap.secret, bobSecret)).to.be.true;
+            expect(await aliceClient.canClaim(swap.swapId, swap.secret, wrongSecret)).to.be.false;
+            expect(await aliceClient.canRefund(swap.swapId)).to.be.false;
+
+            await time.increaseTo(swap.timelock + 1);
+            expect((await fpphtlc.getSwap(swap.swapId)).state).to.equal(4);
+            expect(await aliceClient.canClaim(swap.swapId, swap.secret, bobSecret)).to.be.false;
+            expect(await aliceClient.canRefund(swap.swapId)).to.be.true;
+
+            await aliceClient.refund(swap.swapId);
+            expect(await fpphtlc.getSwapState(swap.swapId)).to.equal(3);
+            expect(await aliceClient.canRefund(swap.swapId)).to.be.false;
+            expect(await bobClient.verifySecrets(swap.swapId, swap.secret, bobSecret)).to.be.true;
+        });
+
+        it("should decode the on-chain swap state", async function () {
+            expect(statusFromState(0)).to.equal(SwapStatus.EMPTY);
+            expect(statusFromState(2)).to.equal(SwapStatus.CLAIMED);
+            expect(statusFromState(4)).to.equal(SwapStatus.EXPIRED);
+            expect(() => statusFromState(5)).to.throw("Unknown swap state 5");
+        });
+    });
+
+    describe("Native currency", function () {
+        it("should swap native currency against an ERC20 with HTLC", async function () {
+            const aliceClient = new SwapClient(htlc, alice);
+            const bobClient = new SwapClient(htlc, bob);
+            const aliceSwap = await aliceClient.prepareSwap({
+                recipient: bob.address, token: NATIVE_TOKEN, amount: AMOUNT, timelockDuration: TIMELOCK_DURATION * 2
+            });
+            const bobSwap = await bobClient.prepareSwap({
+                recipient: alice.address, token: tokenB.address, amount: AMOUNT,
+                hashlock: aliceSwap.hashlock, timelockDuration: TIMELOCK_DURATION
+            });
+
+            await aliceClient.lock(aliceSwap, { approve: true });
+            await bobClient.lock(bobSwap, { approve: true });
+            expect(await ethers.provider.getBalance(htlc.address)).to.equal(AMOUNT);
+
+            await aliceClient.claim(bobSwap.swapId, aliceSwap.secret);
+            const bobBalanceBefore = await bob.getBalance();
+            const receipt = await bobClient.claim(aliceSwap.swapId, aliceSwap.secret);
+            const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+            expect(await bob.getBalance()).to.equal(bobBalanceBefore.add(AMOUNT).sub(gasCost));
+            expect(await ethers.provider.getBalance(htlc.address)).to.equal(0);
+        });
+
+        it("should refund native FPPHTLC locks and reject mismatched value", async function () {
+            const client = new FppSwapClient(fpphtlc, alice);
+            const swap = await client.prepareSwap({
+                recipient: bob.address, token: NATIVE_TOKEN, amount: AMOUNT,
+                counterpartyHash: hashSecret(ethers.utils.formatBytes32String("bob")), timelockDuration: TIMELOCK_DURATION
+            });
+
+            let error;
+            try {
+                await fpphtlc.lockFunds(
+                    swap.recipient, swap.token, swap.amount, swap.combinedHash,
+                    swap.timelock, swap.network, swap.clientSwapId, { value: AMOUNT.div(2) }
+                );
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.contain("Incorrect native amount");
+
+            await client.lock(swap);
+            expect(await ethers.provider.getBalance(fpphtlc.address)).to.equal(AMOUNT);
+
+            await time.increaseTo(swap.timelock + 1);
+            await client.refund(swap.swapId);
+            expect((await client.getStatus(swap.swapId)).status).to.equal(SwapStatus.REFUNDED);
+            expect(await ethers.provider.getBalance(fpphtlc.address)).to.equal(0);
+        });
+
+        it("should reject value sent with an ERC20 lock", async function () {
+            const swap = await new SwapClient(htlc, alice).prepareSwap({
+                recipient: bob.address, token: tokenA.address, amount: AMOUNT, timelockDuration: TIMELOCK_DURATION
+            });
+            await tokenA.approve(htlc.address, AMOUNT);
+
+            let error;
+            try {
+                await htlc.lockFunds(
+                    swap.clientSwapId, swap.recipient, swap.token, swap.amount,
+                    swap.hashlock, swap.timelock, { value: 1 }
+                );
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.contain("Native value not accepted");
+        });
+    });
+
+    describe("Permit locking", function () {
+        it("should lock HTLC funds with a permit in a single transaction", async function () {
+            const client = new SwapClient(htlc, alice);
+            const swap = await client.prepareSwap({
+                recipient: bob.address, token: tokenA.address, amount: AMOUNT, timelockDuration: TIMELOCK_DURATION
+            });
+            const nonceBefore = await ethers.provider.getTransactionCount(alice.address);
+
+            await client.lock(swap, { permit: true });
+
+            expect(await ethers.provider.getTransactionCount(alice.address)).to.equal(nonceBefore + 1);
+            expect(await tokenA.nonces(alice.address)).to.equal(1);
+            expect(await tokenA.balanceOf(htlc.address)).to.equal(AMOUNT);
+            expect((await client.getStatus(swap.swapId)).status).to.equal(SwapStatus.ACTIVE);
+        });
+
+        it("should lock FPPHTLC funds even if the permit was front-run", async function () {
+            const client = new FppSwapClient(fpphtlc, alice);
+            const swap = await client.prepareSwap({
+                recipient: bob.address, token: tokenA.address, amount: AMOUNT,
+                counterpartyHash: hashSecret(ethers.utils.formatBytes32String("bob")), timelockDuration: TIMELOCK_DURATION
+            });
+            const permit = await client.signPermit(tokenA.address, AMOUNT);
+            // Someone else submits the permit first, consuming its nonce
+            await tokenA.connect(bob).permit(alice.address, fpphtlc.address, AMOUNT, permit.deadline, permit.v, permit.r, permit.s);
+
+            await fpphtlc.lockFundsWithPermit(
+                swap.recipient, swap.token, swap.amount, swap.combinedHash,
+                swap.timelock, swap.network, swap.clientSwapId, permit
+            );
+            expect(await tokenA.balanceOf(fpphtlc.address)).to.equal(AMOUNT);
+        });
+
+        it("should reject a lock with an expired permit", async function () {
+            const client = new FppSwapClient(fpphtlc, alice);
+            const swap = await client.prepareSwap({
+                recipient: bob.address, token: tokenA.address, amount: AMOUNT,
+                counterpartyHash: hashSecret(ethers.utils.formatBytes32String("bob")), timelockDuration: TIMELOCK_DURATION
+            });
+
+            let error;
+            try {
+                await client.lock(swap, { permit: true, permitDeadline: (await client.latestTimestamp()) - 1 });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.contain("Insufficient allowance");
+            expect((await client.getStatus(swap.swapId)).status).to.equal(SwapStatus.EMPTY);
+        });
+    });
+
+    describe("Swap ID namespacing", function () {
+        it("should derive the same swapId on-chain and client-side", async function () {
+            const client = new FppSwapClient(fpphtlc, alice);
+            const swap = await client.prepareSwap({
+                recipient: bob.address, token: tokenA.address, amount: AMOUNT,
+                counterpartyHash: hashSecret(ethers.utils.formatBytes32String("bob")), timelockDuration: TIMELOCK_DURATION
+            });
+
+            expect(await fpphtlc.computeSwapId(alice.address, swap.clientSwapId)).to.equal(swap.swapId);
+            expect(await htlc.computeSwapId(alice.address, swap.clientSwapId)).to.equal(swap.swapId);
+            expect(deriveSwapId(bob.address, swap.clientSwapId)).to.not.equal(swap.swapId);
+
+            await tokenA.approve(fpphtlc.address, AMOUNT);
+            const returned = await fpphtlc.callStatic.lockFunds(
+                swap.recipient, swap.token, swap.amount, swap.combinedHash,
+                swap.timelock, swap.network, swap.clientSwapId
+            );
+            expect(returned).to.equal(swap.swapId);
+        });
+
+        it("should not let a copied HTLC clientSwapId grief the real lock", async function () {
+            const aliceClient = new SwapClient(htlc, alice);
+            const swap = await aliceClient.prepareSwap({
+                recipient: bob.address, token: tokenA.address, amount: AMOUNT, timelockDuration: TIMELOCK_DURATION
+            });
+
+            // Mallory copies the pending clientSwapId and front-runs with a dust lock
+            await tokenA.transfer(mallory.address, 1);
+            await tokenA.connect(mallory).approve(htlc.address, 1);
+            await htlc.connect(mallory).lockFunds(swap.clientSwapId, mallory.address, tokenA.address, 1, swap.hashlock, swap.timelock);
+
+            await aliceClient.lock(swap, { approve: true });
+            const status = await aliceClient.getStatus(swap.swapId);
+            expect(status.initiator).to.equal(alice.address);
+            expect(status.recipient).to.equal(bob.address);
+            expect(status.amount).to.equal(AMOUNT);
+        });
+
+        it("should not let a copied FPPHTLC clientSwapId grief the real lock", async function () {
+            const aliceClient = new FppSwapClient(fpphtlc, alice);
+            const swap = await aliceClient.prepareSwap({
+                recipient: bob.address, token: tokenA.address, amount: AMOUNT,
+                counterpartyHash: hashSecret(ethers.utils.formatBytes32String("bob")), timelockDuration: TIMELOCK_DURATION
+            });
+
+            await tokenA.transfer(mallory.address, 1);
+            await tokenA.connect(mallory).approve(fpphtlc.address, 1);
+            await fpphtlc.connect(mallory).lockFunds(
+                mallory.address, tokenA.address, 1, swap.combinedHash, swap.timelock, "", swap.clientSwapId
+            );
+
+            const { receipt } = await aliceClient.lock(swap, { approve: true });
+            const event = receipt.events.find((e) => e.event === "SwapInitiated");
+            expect(event.args.swapId).to.equal(swap.swapId);
+            expect((await aliceClient.getStatus(swap.swapId)).amount).to.equal(AMOUNT);
+            expect((await aliceClient.getStatus(deriveSwapId(mallory.address, swap.clientSwapId))).amount).to.equal(1);
+        });
+    });
+});
@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SwapCoordinator, JsonStateStore, LegStatus, CoordinatorStatus, generateSwapId, deriveSwapId } = require("../lib");
+const { loadSwapFixture, deployTwoChainFixture } = require("./fixtures");
+
+describe("SwapCoordinator", function () {
+    const AMOUNT = ethers.utils.parseEther("1");
+
+    let alice;
+    let bob;
+    let chains;
+    let tokenA;
+    let tokenB;
+    let stateFile;
+
+    // Two FPPHTLC deployments stand in for the two chains
+    beforeEach(async function () {
+        let chainA, chainB;
+        ({ chainA, chainB, tokenA, tokenB } = await loadSwapFixture(deployTwoChainFixture));
+        [alice, bob] = await ethers.getSigners();
+
+        await tokenB.transfer(bob.address, ethers.utils.parseEther("500"));
+
+        chains = {
+            chainA: { contract: chainA, initiator: alice, counterparty: bob },
+            chainB: { contract: chainB, initiator: alice, counterparty: bob }
+        };
+        stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "coordinator-")), "state.json");
+    });
+
+    function createCoordinator(options = {}) {
+        return new SwapCoordinator({ chains, store: new JsonStateStore(stateFile, { swaps: {} }), ...options });
+    }
+
+    function intent(overrides = {}) {
+        return {
+            id: "swap-1",
+            initiatorLeg: { network: "chainA", token: tokenA.address, amount: AMOUNT, timelockDuration: 7200 },
+            counterpartyLeg: { network: "chainB", token: tokenB.address, amount: AMOUNT, timelockDuration: 3600 },
+            ...overrides
+        };
+    }
+
+    it("should lock both legs and claim once both are confirmed", async function () {
+        const coordinator = createCoordinator();
+        const swap = await coordinator.submit(intent());
+        expect(swap.legs.initiator.lockTx).to.not.be.undefined;
+        expect(swap.legs.counterparty.lockTx).to.not.be.undefined;
+
+        await coordinator.tick();
+
+        expect(swap.status).to.equal(CoordinatorStatus.COMPLETED);
+        expect(swap.legs.initiator.status).to.equal(LegStatus.CLAIMED);
+        expect(swap.legs.counterparty.status).to.equal(LegStatus.CLAIMED);
+        expect(await tokenA.balanceOf(bob.address)).to.equal(AMOUNT);
+        expect(await tokenB.balanceOf(alice.address)).to.equal(ethers.utils.parseEther("500").add(AMOUNT));
+    });
+
+    it("should resume an in-flight swap after a restart", async function () {
+        await createCoordinator().submit(intent());
+
+        const restarted = createCoordinator();
+        expect(restarted.getSwap("swap-1").status).to.equal(CoordinatorStatus.ACTIVE);
+        await restarted.tick();
+
+        expect(restarted.getSwap("swap-1").status).to.equal(CoordinatorStatus.COMPLETED);
+        const persisted = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+        expect(persisted.swaps["swap-1"].status).to.equal(CoordinatorStatus.COMPLETED);
+    });
+
+    it("should adopt locks mined while it was down instead of locking again", async function () {
+        await createCoordinator().submit(intent());
+
+        // As if the coordinator stopped before it saw either lock: one leg still
+        // locking without a recorded transaction, the other about to be sent again
+        const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+        const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+        for (const [legName, status] of [["initiator", LegStatus.PENDING], ["counterparty", LegStatus.LOCKING]]) {
+            const leg = state.swaps["swap-1"].legs[legName];
+            Object.assign(leg, { status, startBlock });
+            delete leg.lockTx;
+            delete leg.lockBlock;
+        }
+        fs.writeFileSync(stateFile, JSON.stringify(state));
+
+        const restarted = createCoordinator();
+        const errors = [];
+        restarted.on("swapError", ({ error }) => errors.push(error.message));
+        for (let i = 0; i < 3; i++) await restarted.tick();
+
+        expect(errors).to.deep.equal([]);
+        expect(restarted.getSwap("swap-1").status).to.equal(CoordinatorStatus.COMPLETED);
+        expect(await tokenA.balanceOf(bob.address)).to.equal(AMOUNT);
+        expect(await tokenB.balanceOf(alice.address)).to.equal(ethers.utils.parseEther("500").add(AMOUNT));
+    });
+
+    it("should send a lock again once its transaction was dropped", async function () {
+        await createCoordinator().submit(intent());
+
+        // Move both legs to fresh swapIds whose lock transactions the node dropped
+        const dropTransaction = async (signer) => {
+            await network.provider.send("evm_setAutomine", [false]);
+            const tx = await signer.sendTransaction({ to: signer.address, value: 0 });
+            await network.provider.send("hardhat_dropTransaction", [tx.hash]);
+            await network.provider.send("evm_setAutomine", [true]);
+            return tx;
+        };
+        const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+        for (const [legName, locker] of [["initiator", alice], ["counterparty", bob]]) {
+            const tx = await dropTransaction(locker);
+            const leg = state.swaps["swap-1"].legs[legName];
+            leg.clientSwapId = generateSwapId(legName);
+            leg.swapId = deriveSwapId(locker.address, leg.clientSwapId);
+            Object.assign(leg, {
+                status: LegStatus.LOCKING, startBlock: await ethers.provider.getBlockNumber(),
+                lockTx: tx.hash, lockNonce: tx.nonce, lockSentAt: Date.now()
+            });
+            delete leg.lockBlock;
+        }
+        fs.writeFileSync(stateFile, JSON.stringify(state));
+
+        // Another transaction takes the initiator's nonce, so its lock can never be mined
+        await alice.sendTransaction({ to: bob.address, value: 1 });
+
+        const restarted = createCoordinator({ lockTimeout: 60000 });
+        for (let i = 0; i < 2; i++) await restarted.tick();
+        const { legs } = restarted.getSwap("swap-1");
+        expect(legs.initiator.status).to.be.oneOf([LegStatus.LOCKED, LegStatus.CONFIRMED]);
+        expect(legs.counterparty.status).to.equal(LegStatus.LOCKING);
+
+        // The counterparty's nonce is still free: it is sent again once the timeout passes
+        const timedOut = createCoordinator({ lockTimeout: 0 });
+        for (let i = 0; i < 3; i++) await timedOut.tick();
+        expect(timedOut.getSwap("swap-1").status).to.equal(CoordinatorStatus.COMPLETED);
+        expect(await tokenA.balanceOf(bob.address)).to.equal(AMOUNT);
+    });
+
+    it("should refund a locked leg once its timelock lapses", async function () {
+        const coordinator = createCoordinator();
+        // Bob cannot fund the counterparty leg, so only the initiator leg gets locked
+        const swap = await coordinator.submit(intent({
+            counterpartyLeg: { network: "chainB", token: tokenB.address, amount: ethers.utils.parseEther("5000"), timelockDuration: 3600 }
+        }));
+        expect(swap.legs.counterparty.status).to.equal(LegStatus.FAILED);
+
+        await coordinator.tick();
+        expect(swap.legs.initiator.status).to.equal(LegStatus.CONFIRMED);
+
+        const balanceBefore = await tokenA.balanceOf(alice.address);
+        await time.increaseTo(swap.legs.initiator.timelock + 1);
+        await coordinator.tick();
+
+        expect(swap.legs.initiator.status).to.equal(LegStatus.REFUNDED);
+        expect(swap.status).to.equal(CoordinatorStatus.REFUNDED);
+        expect(await tokenA.balanceOf(alice.address)).to.equal(balanceBefore.add(AMOUNT));
+    });
+
+    it("should reject intents with unsafe timelock ordering", async function () {
+        const coordinator = createCoordinator();
+        let error;
+        try {
+            await coordinator.submit(intent({
+                initiatorLeg: { network: "chainA", token: tokenA.address, amount: AMOUNT, timelockDuration: 3600 }
+            }));
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.equal("Initiator timelock must be longer than counterparty timelock");
+    });
+
+    it("should reject timelocks too close for the chains' finality and plan omitted ones", async function () {
+        chains.chainB.timing = { blockTime: 12, finalityBlocks: 64, networkDelay: 5 };
+        const coordinator = createCoordinator();
+        let error;
+        try {
+            await coordinator.submit(intent({
+                initiatorLeg: { network: "chainA", token: tokenA.address, amount: AMOUNT, timelockDuration: 4000 }
+            }));
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.equal("Unsafe timelocks: Timelocks are 400s apart, below the 1630s minimum");
+
+        const swap = await coordinator.submit(intent({
+            initiatorLeg: { network: "chainA", token: tokenA.address, amount: AMOUNT },
+            counterpartyLeg: { network: "chainB", token: tokenB.address, amount: AMOUNT }
+        }));
+        const { initiator, counterparty } = swap.legs;
+        expect(initiator.timelock - counterparty.timelock).to.be.within(1630, 1632);
+    });
+});
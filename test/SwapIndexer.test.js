@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SwapIndexer, Watchtower, JsonStateStore, SwapClient, FppSwapClient, SwapStatus, hashSecret } = require("../lib");
+const { loadSwapFixture } = require("./fixtures");
+
+describe("SwapIndexer", function () {
+    const AMOUNT = ethers.utils.parseEther("1");
+    const TIMELOCK_DURATION = 3600;
+
+    let alice;
+    let bob;
+    let carol;
+    let htlc;
+    let fpphtlc;
+    let tokenA;
+    let tokenB;
+    let fromBlock;
+    let stateFile;
+
+    beforeEach(async function () {
+        ({ htlc, fpphtlc, tokenA, tokenB, fromBlock } = await loadSwapFixture());
+        [alice, bob, carol] = await ethers.getSigners();
+
+        await tokenA.transfer(carol.address, ethers.utils.parseEther("100"));
+        stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "swap-index.json");
+    });
+
+    function createIndexer(options = {}) {
+        return new SwapIndexer({
+            networks: { local: { htlc, fpphtlc, fromBlock } },
+            store: new JsonStateStore(stateFile),
+            ...options
+        });
+    }
+
+    async function lockHTLC(signer, token = tokenA) {
+        const client = new SwapClient(htlc, signer);
+        const swap = await client.prepareSwap({
+            recipient: bob.address, token: token.address, amount: AMOUNT, timelockDuration: TIMELOCK_DURATION
+        });
+        await client.lock(swap, { approve: true });
+        return swap;
+    }
+
+    async function lockFPPHTLC(signer, bobSecret) {
+        const client = new FppSwapClient(fpphtlc, signer);
+        const swap = await client.prepareSwap({
+            recipient: bob.address, token: tokenB.address, amount: AMOUNT, timelockDuration: TIMELOCK_DURATION,
+            counterpartyHash: hashSecret(bobSecret), network: "local"
+        });
+        await client.lock(swap, { approve: true });
+        return swap;
+    }
+
+    it("should index the history of both contracts and answer queries", async function () {
+        const bobSecret = ethers.utils.formatBytes32String("bob");
+        const claimed = await lockHTLC(alice);
+        const refunded = await lockFPPHTLC(alice, bobSecret);
+        const start = await time.latest();
+        const open = await lockHTLC(carol);
+        await new SwapClient(htlc, bob).claim(claimed.swapId, claimed.secret);
+
+        const indexer = createIndexer();
+        expect(await indexer.sync("local")).to.equal(4);
+
+        const record = indexer.getSwap("local", "htlc", claimed.swapId);
+        expect(record).to.include({ status: SwapStatus.CLAIMED, revealedSecret: claimed.secret, initiator: alice.address });
+        expect(record.amount).to.equal(AMOUNT.toString());
+
+        expect(indexer.query({ participant: bob.address }).map((s) => s.swapId))
+            .to.deep.equal([claimed.swapId, refunded.swapId, open.swapId]);
+        expect(indexer.query({ initiator: carol.address.toLowerCase() }).map((s) => s.swapId)).to.deep.equal([open.swapId]);
+        expect(indexer.query({ token: tokenB.address })[0]).to.include({ protocol: "fpphtlc", networkLabel: "local" });
+        expect(indexer.query({ from: start + 1 }).map((s) => s.swapId)).to.deep.equal([open.swapId]);
+        expect(indexer.query({ to: start })).to.have.length(2);
+
+        await time.increaseTo(open.timelock + 1);
+        await new FppSwapClient(fpphtlc, alice).refund(refunded.swapId);
+        await indexer.sync("local");
+
+        expect(indexer.query({ status: SwapStatus.REFUNDED }).map((s) => s.swapId)).to.deep.equal([refunded.swapId]);
+        expect(indexer.query({ status: [SwapStatus.ACTIVE, SwapStatus.EXPIRED] }).map((s) => s.status))
+            .to.deep.equal([SwapStatus.EXPIRED]);
+    });
+
+    it("should resume from the persisted cursor", async function () {
+        await lockHTLC(alice);
+        const indexer = createIndexer({ blockRange: 2 });
+        expect(await indexer.sync("local")).to.equal(1);
+
+        await lockHTLC(carol);
+        const resumed = createIndexer();
+        expect(await resumed.sync("local")).to.equal(1);
+        expect(resumed.query()).to.have.length(2);
+        expect(resumed.state.cursors.local.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("should roll back and re-index swaps from reorganised blocks", async function () {
+        const kept = await lockHTLC(alice);
+        const snapshot = await network.provider.send("evm_snapshot");
+        const orphaned = await lockHTLC(alice);
+        await new SwapClient(htlc, bob).claim(kept.swapId, kept.secret);
+
+        const indexer = createIndexer({ reorgDepth: 4 });
+        const reorgs = [];
+        indexer.on("reorg", (entry) => reorgs.push(entry));
+        await indexer.sync("local");
+        expect(indexer.query()).to.have.length(2);
+
+        // Replace the last blocks with a different history of the same height
+        await network.provider.send("evm_revert", [snapshot]);
+        const replacement = await lockHTLC(carol);
+        await ethers.provider.send("evm_mine", []);
+
+        await indexer.sync("local");
+        expect(reorgs).to.have.length(1);
+        expect(indexer.query().map((s) => s.swapId)).to.deep.equal([kept.swapId, replacement.swapId]);
+        expect(indexer.getSwap("local", "htlc", orphaned.swapId)).to.equal(null);
+        expect(indexer.getSwap("local", "htlc", kept.swapId).status).to.equal(SwapStatus.ACTIVE);
+    });
+
+    it("should replace a refunded swap that is locked again under the same swapId", async function () {
+        // Current HTLC deployments reject the relock, so feed the logs of an older one
+        const swapId = ethers.utils.id("relocked");
+        const lockLog = (blockNumber, timelock) => ({
+            event: "SwapInitiated", address: htlc.address, blockNumber, logIndex: 0,
+            transactionHash: ethers.utils.id(`lock-${blockNumber}`),
+            args: {
+                swapId, initiator: alice.address, recipient: bob.address, token: tokenA.address,
+                amount: AMOUNT, hashlock: ethers.utils.id("hashlock"), timelock: ethers.BigNumber.from(timelock)
+            }
+        });
+        const refundLog = {
+            event: "SwapRefunded", address: htlc.address, blockNumber: 11, logIndex: 0,
+            transactionHash: ethers.utils.id("refund"), args: { swapId, initiator: alice.address }
+        };
+
+        const indexer = createIndexer();
+        expect(indexer._apply("local", "htlc", lockLog(10, 100), 50)).to.equal(true);
+        expect(indexer._apply("local", "htlc", refundLog, 150)).to.equal(true);
+        expect(indexer._apply("local", "htlc", lockLog(12, 1000), 200)).to.equal(true);
+
+        // Replayed logs of the first lock leave the new one alone
+        expect(indexer._apply("local", "htlc", lockLog(10, 100), 50)).to.equal(false);
+        expect(indexer._apply("local", "htlc", refundLog, 150)).to.equal(false);
+
+        const swap = indexer.getSwap("local", "htlc", swapId);
+        expect(swap).to.include({ status: SwapStatus.ACTIVE, blockNumber: 12, timelock: 1000, isRefunded: false });
+        expect(swap.previous).to.include({ blockNumber: 10, isRefunded: true });
+    });
+
+    it("should stop the watchtower tracking locks that a reorg removed", async function () {
+        const snapshot = await network.provider.send("evm_snapshot");
+        const orphaned = await lockHTLC(alice);
+
+        const indexer = createIndexer({ reorgDepth: 4 });
+        const watchtower = new Watchtower({
+            networks: { local: { htlc, fpphtlc, signers: [alice] } },
+            store: new JsonStateStore(path.join(path.dirname(stateFile), "watchtower.json")),
+            indexer
+        });
+        await watchtower.index("local");
+        expect(Object.values(watchtower.state.swaps).map((swap) => swap.swapId)).to.deep.equal([orphaned.swapId]);
+
+        await network.provider.send("evm_revert", [snapshot]);
+        await lockHTLC(carol);
+        await ethers.provider.send("evm_mine", []);
+
+        await watchtower.index("local");
+        expect(watchtower.state.swaps).to.deep.equal({});
+    });
+
+    it("should feed the watchtower's tracked swaps", async function () {
+        const aliceSwap = await lockHTLC(alice);
+        await lockHTLC(carol);
+        await time.increaseTo(aliceSwap.timelock + 1);
+
+        const indexer = createIndexer();
+        const watchtower = new Watchtower({
+            networks: { local: { htlc, fpphtlc, signers: [alice] } },
+            store: new JsonStateStore(path.join(path.dirname(stateFile), "watchtower.json")),
+            indexer
+        });
+        const report = await watchtower.run();
+
+        expect(report.refunds.map((entry) => entry.swapId)).to.deep.equal([aliceSwap.swapId]);
+        await indexer.sync("local");
+        expect(indexer.getSwap("local", "htlc", aliceSwap.swapId).status).to.equal(SwapStatus.REFUNDED);
+    });
+});
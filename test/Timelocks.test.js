@@ -0,0 +1,42 @@
+const { expect } = require("chai");
+const { planTimelocks, checkTimelocks, timelockRequirements } = require("../lib");
+
+describe("Timelock planner", function () {
+    const CROSS_CHAIN = { initiatorNetwork: "sepolia", counterpartyNetwork: "bscTestnet" };
+
+    it("should derive both timelocks from finality, claim latency and the safety factor", function () {
+        // Sepolia: 12 x 12s finality, 17s claim latency; BSC Testnet: 20 x 3s finality, 5s claim latency
+        expect(timelockRequirements(CROSS_CHAIN)).to.deep.equal({
+            minCounterpartyDuration: 2 * (144 + 60 + 5),
+            minGap: 2 * (60 + 17) + 60,
+            minClaimWindow: 2 * 5 + 60
+        });
+
+        const plan = planTimelocks({ ...CROSS_CHAIN, now: 1000 });
+        expect(plan).to.include({ counterpartyTimelock: 1418, initiatorTimelock: 1632, gap: 214 });
+
+        const padded = planTimelocks({ ...CROSS_CHAIN, duration: 3600, safetyFactor: 3, now: 1000 });
+        expect(padded).to.include({ counterpartyDuration: 3600, gap: 3 * 77 + 60 });
+    });
+
+    it("should follow custom network timing", function () {
+        const timing = { slowChain: { blockTime: 60, finalityBlocks: 10, networkDelay: 10 } };
+        const { minCounterpartyDuration, minGap } = timelockRequirements({
+            initiatorNetwork: "slowChain", counterpartyNetwork: "bscTestnet", safetyFactor: 1, clockDrift: 0, timing
+        });
+        expect(minCounterpartyDuration).to.equal(600 + 60 + 5);
+        expect(minGap).to.equal(60 + 70);
+    });
+
+    it("should reject unsafe combinations with every reason", function () {
+        expect(checkTimelocks({ ...CROSS_CHAIN, initiatorDuration: 7200, counterpartyDuration: 3600 })).to.deep.equal([]);
+        expect(checkTimelocks({ ...CROSS_CHAIN, initiatorDuration: 400, counterpartyDuration: 300 })).to.deep.equal([
+            "Counterparty timelock of 300s is below the 418s minimum",
+            "Timelocks are 100s apart, below the 214s minimum"
+        ]);
+
+        expect(() => planTimelocks({ ...CROSS_CHAIN, duration: 3600, gap: 60 }))
+            .to.throw("Unsafe timelocks: Timelocks are 60s apart, below the 214s minimum");
+        expect(() => planTimelocks({ ...CROSS_CHAIN, safetyFactor: 0.5 })).to.throw("Safety factor must be at least 1");
+    });
+});
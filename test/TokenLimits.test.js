@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { SwapClient, FppSwapClient, NATIVE_TOKEN, hashSecret } = require("../lib");
+const { resolveTokenLimits, planTokenLimits, applyTokenLimits } = require("../scripts/manage-tokens");
+const { loadSwapFixture } = require("./fixtures");
+
+describe("Token limits", function () {
+    const TIMELOCK_DURATION = 3600;
+    const parse = ethers.utils.parseEther;
+
+    let alice;
+    let bob;
+    let mallory;
+    let htlc;
+    let fpphtlc;
+    let tokenA;
+    let tokenB;
+
+    beforeEach(async function () {
+        ({ htlc, fpphtlc, tokenA, tokenB } = await loadSwapFixture());
+        [alice, bob, mallory] = await ethers.getSigners();
+    });
+
+    async function lockHTLC(token, amount) {
+        const client = new SwapClient(htlc, alice);
+        const swap = await client.prepareSwap({
+            recipient: bob.address, token: token.address, amount, timelockDuration: TIMELOCK_DURATION
+        });
+        await client.lock(swap, { approve: true });
+        return swap;
+    }
+
+    async function lockFPPHTLC(token, amount, bobSecret = ethers.utils.formatBytes32String("bob")) {
+        const client = new FppSwapClient(fpphtlc, alice);
+        const swap = await client.prepareSwap({
+            recipient: bob.address, token: token.address, amount,
+            counterpartyHash: hashSecret(bobSecret), timelockDuration: TIMELOCK_DURATION
+        });
+        await client.lock(swap, { approve: true });
+        return swap;
+    }
+
+    async function expectLockError(lock, message) {
+        let error;
+        try {
+            await lock();
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.contain(message);
+    }
+
+    it("should only lock allowlisted tokens in allowlist mode", async function () {
+        await expect(htlc.setAllowlistEnabled(true)).to.emit(htlc, "AllowlistModeUpdated").withArgs(true);
+        await expect(htlc.setTokenAllowed(tokenA.address, true))
+            .to.emit(htlc, "TokenAllowedUpdated").withArgs(tokenA.address, true);
+        expect(await htlc.isTokenAllowed(tokenA.address)).to.equal(true);
+        expect(await htlc.isTokenAllowed(tokenB.address)).to.equal(false);
+
+        await lockHTLC(tokenA, parse("1"));
+        await expectLockError(() => lockHTLC(tokenB, parse("1")), "Token not allowed");
+        await expect(htlc.lockFunds(ethers.utils.id("native"), bob.address, NATIVE_TOKEN, 1, ethers.utils.id("h"),
+            (await time.latest()) + TIMELOCK_DURATION, { value: 1 })).to.be.revertedWith("Token not allowed");
+
+        // Removing a token stops new locks but not claims of existing ones
+        const swap = await lockFPPHTLC(tokenA, parse("1"));
+        await fpphtlc.setAllowlistEnabled(true);
+        await expectLockError(() => lockFPPHTLC(tokenA, parse("1")), "Token not allowed");
+        await fpphtlc.connect(bob).claimFunds(swap.swapId, swap.secret, ethers.utils.formatBytes32String("bob"));
+        expect(await tokenA.balanceOf(bob.address)).to.equal(parse("1"));
+    });
+
+    it("should enforce per-swap amounts and the total locked cap", async function () {
+        for (const contract of [htlc, fpphtlc]) {
+            await expect(contract.setTokenLimits(tokenA.address, parse("1"), parse("5"), parse("8")))
+                .to.emit(contract, "TokenLimitsUpdated").withArgs(tokenA.address, parse("1"), parse("5"), parse("8"));
+            expect(await contract.availableToLock(tokenA.address)).to.equal(parse("8"));
+            expect(await contract.availableToLock(tokenB.address)).to.equal(ethers.constants.MaxUint256);
+        }
+
+        await expectLockError(() => lockHTLC(tokenA, parse("0.5")), "Amount below minimum");
+        await expectLockError(() => lockHTLC(tokenA, parse("6")), "Amount above maximum");
+        const first = await lockHTLC(tokenA, parse("5"));
+        await lockHTLC(tokenA, parse("3"));
+        expect(await htlc.totalLocked(tokenA.address)).to.equal(parse("8"));
+        expect(await htlc.availableToLock(tokenA.address)).to.equal(0);
+        await expectLockError(() => lockHTLC(tokenA, parse("1")), "Token cap exceeded");
+
+        // Claims and refunds free up the cap
+        await htlc.connect(bob).claimFunds(first.swapId, first.secret);
+        expect(await htlc.totalLocked(tokenA.address)).to.equal(parse("3"));
+        await lockHTLC(tokenA, parse("5"));
+
+        // A tranched lock is checked as a whole: its tranches may be below the
+        // minimum, but cannot add up to more than the maximum
+        const fppClient = new FppSwapClient(fpphtlc, alice);
+        const prepareTranches = (amounts) => fppClient.prepareTranchedSwap({
+            recipient: bob.address, token: tokenA.address,
+            amount: amounts.reduce((sum, amount) => sum.add(amount)), amounts,
+            counterpartyHash: hashSecret(ethers.utils.formatBytes32String("bob")), timelockDuration: TIMELOCK_DURATION
+        });
+        const oversized = await prepareTranches([parse("3"), parse("3")]);
+        await expectLockError(() => fppClient.lockTranches(oversized, { approve: true }), "Amount above maximum");
+        const tranched = await prepareTranches([parse("4"), parse("0.5")]);
+        await fppClient.lockTranches(tranched, { approve: true });
+        expect(await fpphtlc.totalLocked(tokenA.address)).to.equal(parse("4.5"));
+        await expectLockError(() => lockFPPHTLC(tokenA, parse("4")), "Token cap exceeded");
+        await time.increase(TIMELOCK_DURATION + 1);
+        await fppClient.refundTranches(tranched.swapId);
+        expect(await fpphtlc.totalLocked(tokenA.address)).to.equal(0);
+
+        const htlcClient = new SwapClient(htlc, alice);
+        const htlcOversized = await htlcClient.prepareTranchedSwap({
+            recipient: bob.address, token: tokenA.address, amount: parse("6"), count: 2, timelockDuration: TIMELOCK_DURATION
+        });
+        await expectLockError(() => htlcClient.lockTranches(htlcOversized, { approve: true }), "Amount above maximum");
+
+        await expect(htlc.setTokenLimits(tokenA.address, parse("2"), parse("1"), 0)).to.be.revertedWith("Invalid limits");
+    });
+
+    it("should restrict token settings to the token admin", async function () {
+        for (const contract of [htlc, fpphtlc]) {
+            expect(await contract.tokenAdmin()).to.equal(alice.address);
+            await expect(contract.connect(mallory).setAllowlistEnabled(true)).to.be.revertedWith("Only token admin");
+            await expect(contract.connect(mallory).setTokenAllowed(tokenA.address, true)).to.be.revertedWith("Only token admin");
+            await expect(contract.connect(mallory).setTokenLimits(tokenA.address, 0, 0, 1)).to.be.revertedWith("Only token admin");
+            await expect(contract.connect(mallory).transferTokenAdmin(mallory.address)).to.be.revertedWith("Only token admin");
+
+            // Separate from the fee admin
+            await expect(contract.transferTokenAdmin(bob.address))
+                .to.emit(contract, "TokenAdminTransferred").withArgs(alice.address, bob.address);
+            await expect(contract.setAllowlistEnabled(true)).to.be.revertedWith("Only token admin");
+            await expect(contract.connect(bob).setTreasury(bob.address)).to.be.revertedWith("Only fee admin");
+            expect(await contract.feeAdmin()).to.equal(alice.address);
+        }
+    });
+
+    it("should apply a token limits file and skip settings that already match", async function () {
+        const file = {
+            allowlist: true,
+            tokens: {
+                TokenA: { minAmount: "0.5", maxAmount: "100", maxLocked: "1000" },
+                native: { allowed: true }
+            },
+            networks: {
+                local: { tokens: { [tokenB.address]: { allowed: false, minAmount: "1" } } },
+                other: { allowlist: false }
+            }
+        };
+        const settings = resolveTokenLimits(file, "local", { TokenA: tokenA.address });
+        expect(settings.allowlist).to.equal(true);
+        expect(Object.keys(settings.tokens)).to.deep.equal(["TokenA", "native", tokenB.address]);
+        expect(settings.tokens.native).to.deep.equal({
+            address: NATIVE_TOKEN, allowed: true, minAmount: "0", maxAmount: "0", maxLocked: "0"
+        });
+        expect(() => resolveTokenLimits({ tokens: { TokenC: {} } }, "local", {})).to.throw("Unknown token TokenC on local");
+
+        const changes = await planTokenLimits(htlc, settings);
+        expect(changes.map(({ method }) => method)).to.deep.equal([
+            "setAllowlistEnabled", "setTokenAllowed", "setTokenLimits", "setTokenAllowed", "setTokenLimits"
+        ]);
+        await expectLockError(() => applyTokenLimits(htlc.connect(bob), changes), `${bob.address} is not the token admin`);
+        await applyTokenLimits(htlc, changes);
+
+        const limits = await htlc.tokenLimits(tokenA.address);
+        expect([limits.allowed, limits.minAmount, limits.maxAmount, limits.maxLocked])
+            .to.deep.equal([true, parse("0.5"), parse("100"), parse("1000")]);
+        expect((await htlc.tokenLimits(tokenB.address)).minAmount).to.equal(parse("1"));
+        expect(await htlc.isTokenAllowed(NATIVE_TOKEN)).to.equal(true);
+        expect(await htlc.isTokenAllowed(tokenB.address)).to.equal(false);
+        expect(await planTokenLimits(htlc, settings)).to.deep.equal([]);
+    });
+});
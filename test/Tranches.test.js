@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { SwapClient, FppSwapClient, SwapStatus, NATIVE_TOKEN, hashSecret, planTranches, deriveTrancheId } = require("../lib");
+const { loadSwapFixture } = require("./fixtures");
+
+describe("Tranched swaps", function () {
+    const AMOUNT = ethers.utils.parseEther("10");
+    const TIMELOCK_DURATION = 3600;
+
+    let alice;
+    let bob;
+    let htlc;
+    let fpphtlc;
+    let token;
+
+    beforeEach(async function () {
+        ({ htlc, fpphtlc, tokenA: token } = await loadSwapFixture());
+        [alice, bob] = await ethers.getSigners();
+    });
+
+    it("should plan tranches and derive the contracts' tranche ids", async function () {
+        const amounts = planTranches(100, { count: 3 });
+        expect(amounts.map(String)).to.deep.equal(["33", "33", "34"]);
+        expect(planTranches(100, { amounts: [60, 40] }).map(String)).to.deep.equal(["60", "40"]);
+
+        expect(() => planTranches(100, { amounts: [60, 30] })).to.throw("add up to 90");
+        expect(() => planTranches(100, { count: 17 })).to.throw("Between 1 and 16");
+        expect(() => planTranches(2, { count: 3 })).to.throw("positive amount");
+        expect(() => planTranches(100)).to.throw("count or amounts required");
+
+        const swapId = ethers.utils.formatBytes32String("parent");
+        expect(await htlc.computeTrancheId(swapId, 2)).to.equal(deriveTrancheId(swapId, 2));
+        expect(await fpphtlc.computeTrancheId(swapId, 2)).to.equal(deriveTrancheId(swapId, 2));
+    });
+
+    it("should claim part of an HTLC swap and refund the remaining tranches", async function () {
+        const aliceClient = new SwapClient(htlc, alice);
+        const bobClient = new SwapClient(htlc, bob);
+        const swap = await aliceClient.prepareTranchedSwap({
+            recipient: bob.address, token: token.address, amount: AMOUNT, count: 4, timelockDuration: TIMELOCK_DURATION
+        });
+        const aliceBefore = await token.balanceOf(alice.address);
+
+        const { receipt } = await aliceClient.lockTranches(swap, { approve: true });
+        const locked = receipt.events.find((e) => e.event === "TranchesLocked");
+        expect(locked.args.swapId).to.equal(swap.swapId);
+        expect(locked.args.trancheCount).to.equal(4);
+        expect(locked.args.totalAmount).to.equal(AMOUNT);
+        expect(receipt.events.filter((e) => e.event === "SwapInitiated")).to.have.length(4);
+        expect(await token.balanceOf(htlc.address)).to.equal(AMOUNT);
+
+        // Alice only releases the secrets of the first two tranches
+        for (const tranche of swap.tranches.slice(0, 2)) {
+            await bobClient.claim(tranche.trancheId, tranche.secret);
+        }
+        await expect(bobClient.claim(swap.tranches[2].trancheId, swap.tranches[3].secret)).to.be.revertedWith("Invalid secret");
+
+        let state = await aliceClient.getTranches(swap.swapId);
+        expect(state.tranches.map((t) => t.status)).to.deep.equal([
+            SwapStatus.CLAIMED, SwapStatus.CLAIMED, SwapStatus.ACTIVE, SwapStatus.ACTIVE
+        ]);
+        expect(state.claimedAmount).to.equal(AMOUNT.div(2));
+        expect(state.openAmount).to.equal(AMOUNT.div(2));
+
+        await time.increaseTo(swap.timelock + 1);
+        expect(await aliceClient.refundTranches(swap.swapId)).to.have.length(2);
+
+        state = await aliceClient.getTranches(swap.swapId);
+        expect(state.refundedAmount).to.equal(AMOUNT.div(2));
+        expect(state.openAmount).to.equal(0);
+        expect(await token.balanceOf(bob.address)).to.equal(AMOUNT.div(2));
+        expect(await token.balanceOf(alice.address)).to.equal(aliceBefore.sub(AMOUNT.div(2)));
+    });
+
+    it("should lock native FPPHTLC tranches with one secret per tranche", async function () {
+        const bobSecret = ethers.utils.formatBytes32String("bob");
+        const aliceClient = new FppSwapClient(fpphtlc, alice);
+        const bobClient = new FppSwapClient(fpphtlc, bob);
+        const swap = await aliceClient.prepareTranchedSwap({
+            recipient: bob.address, token: NATIVE_TOKEN, amount: AMOUNT, amounts: [AMOUNT.sub(1), 1],
+            counterpartyHash: hashSecret(bobSecret), timelockDuration: TIMELOCK_DURATION
+        });
+        await aliceClient.lockTranches(swap);
+        expect(await ethers.provider.getBalance(fpphtlc.address)).to.equal(AMOUNT);
+
+        const [first, second] = swap.tranches;
+        expect(await bobClient.canClaim(first.trancheId, first.secret, bobSecret)).to.equal(true);
+        expect(await bobClient.canClaim(second.trancheId, first.secret, bobSecret)).to.equal(false);
+
+        await bobClient.claim(first.trancheId, first.secret, bobSecret);
+        expect(await ethers.provider.getBalance(fpphtlc.address)).to.equal(second.amount);
+        const state = await bobClient.getTranches(swap.swapId);
+        expect(state.tranches.map((t) => t.status)).to.deep.equal([SwapStatus.CLAIMED, SwapStatus.ACTIVE]);
+        expect(state.totalAmount).to.equal(AMOUNT);
+    });
+
+    it("should reject malformed tranches and reuse of the parent swapId", async function () {
+        const hashlocks = ["a", "b"].map((s) => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(s)));
+        const clientSwapId = ethers.utils.formatBytes32String("tranched");
+        const timelock = (await time.latest()) + TIMELOCK_DURATION;
+        await token.approve(htlc.address, AMOUNT);
+        const lock = (amounts, hashes, id = clientSwapId) =>
+            htlc.lockTranches(id, bob.address, token.address, amounts, hashes, timelock);
+
+        await expect(lock([], [])).to.be.revertedWith("Invalid tranches");
+        await expect(lock([1, 2], hashlocks.slice(0, 1))).to.be.revertedWith("Invalid tranches");
+        await expect(lock(Array(17).fill(1), Array(17).fill(hashlocks[0]))).to.be.revertedWith("Invalid tranches");
+        await expect(lock([1, 0], hashlocks)).to.be.revertedWith("Amount must be positive");
+        await expect(lock([1, 2], [hashlocks[0], ethers.constants.HashZero])).to.be.revertedWith("Invalid hashlock");
+
+        await lock([1, 2], hashlocks);
+        await expect(lock([1, 2], hashlocks)).to.be.revertedWith("Swap already exists");
+
+        // A plain swap under another id cannot be turned into a tranche parent
+        const plainId = ethers.utils.formatBytes32String("plain");
+        await htlc.lockFunds(plainId, bob.address, token.address, 1, hashlocks[0], timelock);
+        await expect(lock([1], hashlocks.slice(0, 1), plainId)).to.be.revertedWith("Swap already exists");
+
+        // Nor can a tranche parent be reused for a plain swap
+        await expect(htlc.lockFunds(clientSwapId, bob.address, token.address, 1, hashlocks[0], timelock))
+            .to.be.revertedWith("Swap already exists");
+
+        await expect(fpphtlc.lockTranches(bob.address, NATIVE_TOKEN, [1, 2], hashlocks, timelock, "", clientSwapId, { value: 2 }))
+            .to.be.revertedWith("Incorrect native amount");
+        await fpphtlc.lockTranches(bob.address, NATIVE_TOKEN, [1, 2], hashlocks, timelock, "", clientSwapId, { value: 3 });
+        await expect(fpphtlc.lockFunds(bob.address, NATIVE_TOKEN, 1, hashlocks[0], timelock, "", clientSwapId, { value: 1 }))
+            .to.be.revertedWith("Swap already exists");
+    });
+});
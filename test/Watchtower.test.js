@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Watchtower, JsonStateStore, SwapClient, FppSwapClient, hashSecret } = require("../lib");
+const { loadSwapFixture } = require("./fixtures");
+
+describe("Watchtower", function () {
+    const AMOUNT = ethers.utils.parseEther("1");
+    const TIMELOCK_DURATION = 3600;
+
+    let alice;
+    let bob;
+    let carol;
+    let htlc;
+    let fpphtlc;
+    let token;
+    let stateFile;
+
+    beforeEach(async function () {
+        ({ htlc, fpphtlc, tokenA: token } = await loadSwapFixture());
+        [alice, bob, carol] = await ethers.getSigners();
+
+        await token.transfer(carol.address, ethers.utils.parseEther("100"));
+        stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "watchtower-")), "state.json");
+    });
+
+    function createWatchtower(dryRun = false) {
+        return new Watchtower({
+            networks: { local: { htlc, fpphtlc, signers: [alice] } },
+            store: new JsonStateStore(stateFile),
+            dryRun
+        });
+    }
+
+    async function lockHTLC(signer) {
+        const client = new SwapClient(htlc, signer);
+        const swap = await client.prepareSwap({
+            recipient: bob.address, token: token.address, amount: AMOUNT, timelockDuration: TIMELOCK_DURATION
+        });
+        await client.lock(swap, { approve: true });
+        return swap;
+    }
+
+    async function lockFPPHTLC(signer) {
+        const client = new FppSwapClient(fpphtlc, signer);
+        const swap = await client.prepareSwap({
+            recipient: bob.address, token: token.address, amount: AMOUNT, timelockDuration: TIMELOCK_DURATION,
+            counterpartyHash: hashSecret(ethers.utils.formatBytes32String("bob"))
+        });
+        await client.lock(swap, { approve: true });
+        return swap;
+    }
+
+    it("should only index swaps initiated by watched addresses", async function () {
+        await lockHTLC(alice);
+        await lockFPPHTLC(alice);
+        await lockHTLC(carol);
+
+        const added = await createWatchtower().index("local");
+        expect(added).to.equal(2);
+        // Resumes from the persisted cursor
+        expect(await createWatchtower().index("local")).to.equal(0);
+    });
+
+    it("should not refund before the timelock expires", async function () {
+        await lockHTLC(alice);
+        const report = await createWatchtower().run();
+        expect(report.refunds).to.have.length(0);
+        expect(report.tracked).to.equal(1);
+    });
+
+    it("should report without refunding in dry-run mode", async function () {
+        const swap = await lockFPPHTLC(alice);
+        await time.increaseTo(swap.timelock + 1);
+
+        const report = await createWatchtower(true).run();
+        expect(report.dryRun).to.be.true;
+        expect(report.refunds).to.have.length(1);
+        expect(report.refunds[0].action).to.equal("would-refund");
+        expect((await fpphtlc.getSwap(swap.swapId)).isRefunded).to.be.false;
+    });
+
+    it("should refund expired HTLC and FPPHTLC locks and skip claimed ones", async function () {
+        const htlcSwap = await lockHTLC(alice);
+        const fppSwap = await lockFPPHTLC(alice);
+        const claimedSwap = await lockHTLC(alice);
+        await new SwapClient(htlc, bob).claim(claimedSwap.swapId, claimedSwap.secret);
+
+        await time.increaseTo(claimedSwap.timelock + 1);
+        const balanceBefore = await token.balanceOf(alice.address);
+        const report = await createWatchtower().run();
+
+        expect(report.refunds.map((entry) => entry.swapId)).to.have.members([htlcSwap.swapId, fppSwap.swapId]);
+        expect(report.refunds.every((entry) => entry.action === "refunded" && entry.txHash)).to.be.true;
+        expect(report.tracked).to.equal(0);
+        expect(await token.balanceOf(alice.address)).to.equal(balanceBefore.add(AMOUNT.mul(2)));
+        expect((await fpphtlc.getSwap(fppSwap.swapId)).isRefunded).to.be.true;
+    });
+});
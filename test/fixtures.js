@@ -0,0 +1,55 @@
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Shared deployments for the unit tests. loadSwapFixture deploys them once and
+// every later test starts again from the same snapshot.
+
+/**
+ * HTLC and FPPHTLC with Alice (the first signer) as fee and token admin, and
+ * TokenA and TokenB with 1000 tokens each minted to Alice.
+ * @returns {Promise<Object>} { htlc, fpphtlc, tokenA, tokenB, fromBlock }, fromBlock being the block before the deployments
+ */
+async function deploySwapFixture() {
+    const [alice] = await ethers.getSigners();
+
+    const HTLC = await ethers.getContractFactory("HTLC");
+    const FPPHTLC = await ethers.getContractFactory("FPPHTLC");
+    const ERC20Mock = await ethers.getContractFactory("contracts/mocks/ERC20Mock.sol:ERC20Mock");
+
+    const fromBlock = await ethers.provider.getBlockNumber();
+    const htlc = await HTLC.deploy(alice.address);
+    const fpphtlc = await FPPHTLC.deploy(alice.address);
+    const tokenA = await ERC20Mock.deploy("TokenA", "TKA", ethers.utils.parseEther("1000"));
+    const tokenB = await ERC20Mock.deploy("TokenB", "TKB", ethers.utils.parseEther("1000"));
+
+    return { htlc, fpphtlc, tokenA, tokenB, fromBlock };
+}
+
+/**
+ * deploySwapFixture plus a second FPPHTLC, standing in for the other chain of
+ * a cross-chain swap.
+ * @returns {Promise<Object>} { ...deploySwapFixture(), chainA, chainB }, chainA being fpphtlc
+ */
+async function deployTwoChainFixture() {
+    const [alice] = await ethers.getSigners();
+    const contracts = await deploySwapFixture();
+    const FPPHTLC = await ethers.getContractFactory("FPPHTLC");
+    return { ...contracts, chainA: contracts.fpphtlc, chainB: await FPPHTLC.deploy(alice.address) };
+}
+
+/**
+ * loadFixture, with the fixture's contracts connected to Alice on the current
+ * provider. hardhat-ethers swaps ethers.provider for a new one on every revert,
+ * and the old one, still held by the contracts of the first run, would report
+ * block numbers from before the revert. Get the signers after loading too.
+ * @param {Function} [fixture] Defaults to deploySwapFixture
+ * @returns {Promise<Object>} The fixture's result
+ */
+async function loadSwapFixture(fixture = deploySwapFixture) {
+    const result = await loadFixture(fixture);
+    const [alice] = await ethers.getSigners();
+    return Object.fromEntries(Object.entries(result).map(([key, value]) =>
+        [key, value instanceof ethers.Contract ? value.connect(alice) : value]));
+}
+
+module.exports = { deploySwapFixture, deployTwoChainFixture, loadSwapFixture };